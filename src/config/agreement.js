@@ -0,0 +1,58 @@
+// src/config/agreement.js
+// Rental agreement templates. A published version must never be edited:
+// add a new one and point AGREEMENT_VERSION at it, so every signed
+// agreement can be traced back to the exact terms it was signed under.
+// {{placeholders}} are filled from the booking, see utils/agreementService.
+
+const templates = {
+    '2026.1': {
+        title: 'Vehicle Rental Agreement',
+        clauses: [
+            {
+                heading: 'Parties',
+                text: 'This agreement is made between Car Rental Service ("the Company") and {{driverName}} ("the Renter"), holder of driving licence {{licenseNumber}}, for booking {{bookingNumber}}.'
+            },
+            {
+                heading: 'Vehicle',
+                text: 'The Company rents the Renter a {{vehicle}}, registration {{licensePlate}}, from {{pickupAt}} to {{dropoffAt}}. The vehicle is handed over and must be returned in the condition recorded at the pickup inspection.'
+            },
+            {
+                heading: 'Authorised Driver',
+                text: 'Only the Renter, or additional drivers named on the booking, may drive the vehicle. The Renter must carry a valid driving licence throughout the rental.'
+            },
+            {
+                heading: 'Kilometre Limit',
+                text: 'The rental includes {{kilometerLimit}} km per day, {{allowedKilometers}} km in total. Every kilometre beyond this is charged at ₹{{extraKmCharge}}.'
+            },
+            {
+                heading: 'Fuel',
+                text: 'Fuel policy: {{fuelPolicy}}. Fuel below the level recorded at pickup is charged at the Company\'s refuelling rate.'
+            },
+            {
+                heading: 'Insurance',
+                text: 'The vehicle is covered by {{insurance}} insurance. The Renter is liable for damage not covered by it, and for all damage caused while driving under the influence, off-road or in breach of this agreement.'
+            },
+            {
+                heading: 'Security Deposit',
+                text: 'A refundable security deposit of ₹{{securityDeposit}} is held for the rental. Fuel, extra kilometres, damage, traffic fines, tolls and late return charges may be deducted from it; any shortfall is billed to the Renter.'
+            },
+            {
+                heading: 'Charges',
+                text: 'The rental charges of ₹{{totalAmount}} (including GST) are set out in the booking invoice. Returning the vehicle late is charged per hour at the vehicle\'s rates.'
+            },
+            {
+                heading: 'Use of the Vehicle',
+                text: 'The vehicle must not be sub-let, used for hire or reward, racing, towing, or to carry goods or passengers beyond its permitted capacity, nor taken outside India without written consent.'
+            },
+            {
+                heading: 'Breakdowns and Accidents',
+                text: 'The Renter must report any breakdown, accident or theft to the Company and, where required, to the police straight away, and must not arrange repairs without the Company\'s consent.'
+            }
+        ]
+    }
+};
+
+module.exports = {
+    currentVersion: process.env.AGREEMENT_VERSION || '2026.1',
+    templates
+};
@@ -0,0 +1,119 @@
+// src/config/booking.js
+// Booking and payment terms, overridable per deployment through env vars.
+
+const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? fallback : parsed;
+};
+
+const json = (name, fallback) => {
+    if (!process.env[name]) return fallback;
+
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        console.error(`❌ ${name} is not valid JSON, ignoring it`);
+        return fallback;
+    }
+};
+
+module.exports = {
+    // Branches' local time: pickup times, slots and cut-offs are read and
+    // shown in it whatever timezone the server runs in
+    timeZone: process.env.BRANCH_TIMEZONE || 'Asia/Kolkata',
+    advancePayment: {
+        // Let customers confirm with an advance and pay the rest at pickup
+        enabled: process.env.ADVANCE_PAYMENT_ENABLED !== 'false',
+        // Share of the total needed to confirm the booking
+        percent: number(process.env.ADVANCE_PAYMENT_PERCENT, 20),
+        // Never ask for less than this (capped at the booking total)
+        minimumAmount: number(process.env.ADVANCE_PAYMENT_MIN_AMOUNT, 500),
+        // Unpaid advances are cancelled this long after booking
+        dueHours: number(process.env.ADVANCE_PAYMENT_DUE_HOURS, 24),
+        // Balance reminder goes out this long before pickup
+        balanceReminderHours: number(process.env.BALANCE_REMINDER_HOURS, 24)
+    },
+    currency: {
+        // Prices are set and charged in INR. Customers who prefer another
+        // currency see an indicative amount at these rates (units per ₹1),
+        // e.g. {"USD":0.012,"EUR":0.011}
+        displayRates: json('DISPLAY_CURRENCY_RATES', {})
+    },
+    unpaidExpiry: {
+        // Unpaid full-payment bookings are cancelled this long after booking
+        // (advance bookings use advancePayment.dueHours instead)
+        minutes: number(process.env.UNPAID_BOOKING_EXPIRY_MINUTES, 60),
+        // Payment reminder goes out this long before the booking expires
+        reminderMinutes: number(process.env.UNPAID_BOOKING_REMINDER_MINUTES, 15)
+    },
+    turnaround: {
+        // Minutes a car is kept free after each rental for cleaning and inspection
+        minutes: number(process.env.TURNAROUND_MINUTES, 120),
+        // Per car category, e.g. {"electric":240} to leave time for charging
+        byCategory: json('TURNAROUND_BY_CATEGORY', { electric: 240 }),
+        // Per branch city, e.g. {"Mumbai":180}; the longer of the two applies
+        byBranch: json('TURNAROUND_BY_BRANCH', {})
+    },
+    oneWay: {
+        // Drop fee between branch cities, e.g. {"Mumbai":{"Pune":2500}};
+        // a pair listed one way round applies in both directions
+        dropFees: json('ONE_WAY_DROP_FEES', {}),
+        // Fee for city pairs missing from the matrix; unset means one-way
+        // trips are only offered between the listed cities
+        defaultFee: number(process.env.ONE_WAY_DEFAULT_FEE, null),
+        // Where cars are based in each branch city after a one-way trip, e.g.
+        // {"Pune":{"address":"FC Road","state":"Maharashtra","pincode":"411004",
+        //   "coordinates":{"lat":18.52,"lng":73.84}}}
+        branches: json('BRANCH_LOCATIONS', {})
+    },
+    delivery: {
+        // Doorstep delivery and collection per branch city, e.g.
+        // {"Mumbai":{"zones":[{"name":"Bandra","pincodes":["400050"],"fee":300}],
+        //   "coordinates":{"lat":19.076,"lng":72.877},"perKm":25,"minimumFee":300,"maxKm":30}}
+        // Pincode zones are matched first, then the distance from the branch.
+        // Cities not listed have no doorstep service.
+        branches: json('DELIVERY_BRANCHES', {}),
+        // Daily windows cars are delivered and collected in
+        slots: json('DELIVERY_SLOTS', ['08:00-10:00', '10:00-12:00', '12:00-14:00', '14:00-16:00', '16:00-18:00', '18:00-20:00']),
+        // Runs a branch can take per slot, i.e. drivers on shift
+        slotCapacity: number(process.env.DELIVERY_SLOT_CAPACITY, 4)
+    },
+    modification: {
+        // Charged on every change a customer makes to their booking
+        changeFee: number(process.env.BOOKING_CHANGE_FEE, 250),
+        // Bookings can no longer be changed this close to pickup
+        cutoffHours: number(process.env.BOOKING_CHANGE_CUTOFF_HOURS, 24)
+    },
+    waitlist: {
+        // How long a freed-up car is held for the next customer in line
+        offerMinutes: number(process.env.WAITLIST_OFFER_MINUTES, 60),
+        // Open waitlist entries one customer can have at a time
+        maxEntriesPerUser: number(process.env.WAITLIST_MAX_ENTRIES, 5)
+    },
+    pickup: {
+        // How early before the booked pickup time staff can hand over the car
+        earlyMinutes: number(process.env.PICKUP_EARLY_MINUTES, 120)
+    },
+    noShow: {
+        // Confirmed bookings not picked up this long after the pickup time
+        // are marked as no-shows
+        graceMinutes: number(process.env.NO_SHOW_GRACE_MINUTES, 180),
+        // Days of the rental kept as the no-show fee (capped at the amount
+        // paid); the rest of the payment is refunded
+        feeDays: number(process.env.NO_SHOW_FEE_DAYS, 1)
+    },
+    dispute: {
+        // Customers can dispute the charges this long after the return
+        windowDays: number(process.env.DISPUTE_WINDOW_DAYS, 30)
+    },
+    categoryBooking: {
+        // Category bookings are bound to a concrete car this long before pickup
+        assignLeadHours: number(process.env.CATEGORY_ASSIGN_LEAD_HOURS, 24)
+    },
+    hold: {
+        // How long a car stays reserved while the customer checks out
+        minutes: number(process.env.BOOKING_HOLD_MINUTES, 15),
+        // Attempts to reserve when other customers are booking the same car
+        maxAttempts: 5
+    }
+};
@@ -0,0 +1,23 @@
+// src/config/invoice.js
+// Invoice numbering. GST allows up to 16 characters per invoice number,
+// e.g. IN/MUM/2627/0001, unique per series (document type, branch, FY).
+
+let branchCodes = {};
+try {
+    branchCodes = JSON.parse(process.env.INVOICE_BRANCH_CODES || '{}');
+} catch (error) {
+    console.error('❌ INVOICE_BRANCH_CODES is not valid JSON, ignoring it');
+}
+
+module.exports = {
+    prefixes: {
+        invoice: process.env.INVOICE_PREFIX || 'IN',
+        credit_note: process.env.CREDIT_NOTE_PREFIX || 'CN',
+        debit_note: process.env.DEBIT_NOTE_PREFIX || 'DN'
+    },
+    // Branch code per city, e.g. {"Mumbai":"MUM","Bengaluru":"BLR"}
+    branchCodes,
+    sequencePadding: 4,
+    // Indian financial year runs April to March
+    financialYearStartMonth: 4
+};
@@ -0,0 +1,39 @@
+// src/config/storage.js
+// Where uploaded files and generated PDFs are kept.
+// Keys under private/ (licences, invoices, inspection photos) are never
+// served publicly; they are handed out through expiring signed URLs.
+
+const number = (value, fallback) => {
+    const parsed = parseInt(value);
+    return isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+    // local | s3 | cloudinary
+    driver: process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local'),
+    // Lifetime of signed URLs returned by the API, in seconds
+    signedUrlExpiry: number(process.env.STORAGE_SIGNED_URL_EXPIRY, 15 * 60),
+    // Lifetime of signed URLs sent out in emails and notifications
+    linkExpiry: number(process.env.STORAGE_LINK_EXPIRY, 7 * 24 * 60 * 60),
+    local: {
+        root: process.env.STORAGE_LOCAL_ROOT || 'uploads',
+        // Base URL the API is reachable on; files are served from /api/files
+        baseUrl: process.env.STORAGE_BASE_URL || process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`,
+        signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+    },
+    s3: {
+        // Any S3-compatible service (AWS, MinIO, R2, Spaces). The bucket
+        // policy should allow public reads on the public/ prefix only.
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'ap-south-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        // CDN or custom domain in front of the bucket, for public files
+        publicUrl: process.env.S3_PUBLIC_URL
+    },
+    cloudinary: {
+        rootFolder: process.env.CLOUDINARY_ROOT_FOLDER || 'car-rental'
+    }
+};
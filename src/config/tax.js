@@ -0,0 +1,89 @@
+// src/config/tax.js
+// GST registration and rates. Rates are percentages and can be overridden
+// per deployment through env vars.
+
+const rate = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? fallback : parsed;
+};
+
+// Optional per-state registrations, e.g. {"Karnataka":"29ABCDE1234F1Z5"}
+let gstinByState = {};
+try {
+    gstinByState = JSON.parse(process.env.GSTIN_BY_STATE || '{}');
+} catch (error) {
+    console.error('❌ GSTIN_BY_STATE is not valid JSON, ignoring it');
+}
+
+module.exports = {
+    company: {
+        legalName: process.env.COMPANY_LEGAL_NAME || 'Car Rental Service',
+        gstin: process.env.COMPANY_GSTIN || '',
+        state: process.env.COMPANY_STATE || 'Maharashtra',
+        gstinByState
+    },
+
+    // SAC code and GST rate per item type
+    items: {
+        rental: {
+            sacCode: process.env.GST_SAC_RENTAL || '997311',
+            rate: rate(process.env.GST_RATE_RENTAL, 18),
+            label: 'Rental of motor vehicle without operator'
+        },
+        insurance: {
+            sacCode: process.env.GST_SAC_INSURANCE || '997134',
+            rate: rate(process.env.GST_RATE_INSURANCE, 18),
+            label: 'Insurance cover'
+        },
+        service: {
+            sacCode: process.env.GST_SAC_SERVICE || '997319',
+            rate: rate(process.env.GST_RATE_SERVICE, 18),
+            label: 'Add-on services'
+        },
+        penalty: {
+            sacCode: process.env.GST_SAC_PENALTY || '999794',
+            rate: rate(process.env.GST_RATE_PENALTY, 18),
+            label: 'Penalties and charges'
+        }
+    },
+
+    // GST state codes (first two digits of a GSTIN)
+    stateCodes: {
+        'Jammu and Kashmir': '01',
+        'Himachal Pradesh': '02',
+        'Punjab': '03',
+        'Chandigarh': '04',
+        'Uttarakhand': '05',
+        'Haryana': '06',
+        'Delhi': '07',
+        'Rajasthan': '08',
+        'Uttar Pradesh': '09',
+        'Bihar': '10',
+        'Sikkim': '11',
+        'Arunachal Pradesh': '12',
+        'Nagaland': '13',
+        'Manipur': '14',
+        'Mizoram': '15',
+        'Tripura': '16',
+        'Meghalaya': '17',
+        'Assam': '18',
+        'West Bengal': '19',
+        'Jharkhand': '20',
+        'Odisha': '21',
+        'Chhattisgarh': '22',
+        'Madhya Pradesh': '23',
+        'Gujarat': '24',
+        'Dadra and Nagar Haveli and Daman and Diu': '26',
+        'Maharashtra': '27',
+        'Karnataka': '29',
+        'Goa': '30',
+        'Lakshadweep': '31',
+        'Kerala': '32',
+        'Tamil Nadu': '33',
+        'Puducherry': '34',
+        'Andaman and Nicobar Islands': '35',
+        'Telangana': '36',
+        'Andhra Pradesh': '37',
+        'Ladakh': '38'
+    }
+};
@@ -4,6 +4,7 @@ const Booking = require('../models/Booking');
 const Offer = require('../models/Offer');
 const Notification = require('../models/Notification');
 const { sendEmail } = require('../utils/emailService');
+const storage = require('../utils/storage');
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/dashboard
@@ -364,7 +365,11 @@ exports.getUserDetails = async (req, res) => {
         res.status(200).json({
             success: true,
             data: {
-                user,
+                user: {
+                    ...user.toObject(),
+                    // Licence scans are private; hand out a short-lived link
+                    licenseImage: storage.withFileUrl(user.licenseImage)
+                },
                 bookings: {
                     total: bookings.length,
                     list: bookings
@@ -418,7 +423,7 @@ exports.updateUser = async (req, res) => {
 
         const allowedUpdates = [
             'name', 'email', 'phone', 'address', 'status',
-            'role', 'walletBalance', 'driverLicense'
+            'role', 'driverLicense'
         ];
 
         const updates = {};
@@ -0,0 +1,208 @@
+const Booking = require('../models/Booking');
+const {
+    generateAgreement,
+    getAgreement,
+    getAgreementPdf,
+    signAgreement,
+    countersignAgreement
+} = require('../utils/agreementService');
+
+const STAFF_ROLES = ['staff', 'admin', 'super_admin'];
+
+// Customers see their own bookings' agreements; staff see all
+const findBooking = (req) => {
+    const query = { _id: req.params.id };
+
+    if (!STAFF_ROLES.includes(req.user.role)) {
+        query.user = req.user.id;
+    }
+
+    return Booking.findOne(query);
+};
+
+// Signature images stay private; only say whether one was drawn
+const toSummary = (booking, agreement) => ({
+    bookingNumber: booking.bookingNumber,
+    version: agreement.version,
+    status: agreement.status,
+    documentHash: agreement.documentHash,
+    generatedAt: agreement.generatedAt,
+    customerSignature: agreement.customerSignature && agreement.customerSignature.signedAt
+        ? {
+            method: agreement.customerSignature.method,
+            name: agreement.customerSignature.name,
+            signedAt: agreement.customerSignature.signedAt,
+            ip: agreement.customerSignature.ip
+        }
+        : null,
+    countersignature: agreement.countersignature && agreement.countersignature.signedAt
+        ? {
+            name: agreement.countersignature.name,
+            signedAt: agreement.countersignature.signedAt
+        }
+        : null,
+    signedDocumentHash: agreement.signedDocumentHash
+});
+
+// @desc    Generate the rental agreement of a booking for signing
+// @route   POST /api/bookings/:id/agreement
+// @access  Private
+exports.generateBookingAgreement = async (req, res) => {
+    try {
+        const booking = await findBooking(req);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const agreement = await generateAgreement(booking);
+
+        res.status(201).json({
+            success: true,
+            data: toSummary(booking, agreement)
+        });
+    } catch (error) {
+        console.error('Generate agreement error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get the rental agreement of a booking
+// @route   GET /api/bookings/:id/agreement
+// @access  Private
+exports.getBookingAgreement = async (req, res) => {
+    try {
+        const booking = await findBooking(req);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const agreement = await getAgreement(booking);
+
+        res.status(200).json({
+            success: true,
+            data: toSummary(booking, agreement)
+        });
+    } catch (error) {
+        console.error('Get agreement error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Download the rental agreement as PDF
+// @route   GET /api/bookings/:id/agreement/pdf
+// @access  Private
+exports.downloadAgreement = async (req, res) => {
+    try {
+        const booking = await findBooking(req);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const document = await getAgreementPdf(booking);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Length': document.buffer.length,
+            'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${document.filename}"`,
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(document.buffer);
+    } catch (error) {
+        console.error('Download agreement error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Sign the rental agreement
+// @route   POST /api/bookings/:id/agreement/sign
+// @access  Private
+exports.signBookingAgreement = async (req, res) => {
+    try {
+        // Only the customer can sign for themselves
+        const booking = await Booking.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const agreement = await signAgreement(booking, {
+            userId: req.user.id,
+            method: req.body.method,
+            name: req.body.name,
+            image: req.body.image,
+            documentHash: req.body.documentHash,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        res.status(200).json({
+            success: true,
+            data: toSummary(booking, agreement)
+        });
+    } catch (error) {
+        console.error('Sign agreement error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Countersign the rental agreement for the company
+// @route   POST /api/bookings/:id/agreement/countersign
+// @access  Private/Staff
+exports.countersignBookingAgreement = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const agreement = await countersignAgreement(booking, {
+            user: req.user,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            data: toSummary(booking, agreement)
+        });
+    } catch (error) {
+        console.error('Countersign agreement error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,83 @@
+const Booking = require('../models/Booking');
+const { assignCar } = require('../utils/assignmentService');
+
+// @desc    Get category bookings and the cars assigned to them
+// @route   GET /api/admin/assignments
+// @access  Private/Admin
+exports.getAssignments = async (req, res) => {
+    try {
+        const query = {
+            'vehicleClass.category': { $exists: true },
+            status: { $in: ['pending', 'confirmed'] }
+        };
+
+        if (req.query.status) {
+            query['assignment.status'] = req.query.status;
+        }
+
+        if (req.query.city) {
+            query['vehicleClass.city'] = req.query.city;
+        }
+
+        // Default to the next week of pickups
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to
+            ? new Date(req.query.to)
+            : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+        query.pickupDate = { $gte: from, $lte: to };
+
+        const bookings = await Booking.find(query)
+            .select('bookingNumber user car vehicleClass assignment pickupDate dropoffDate status')
+            .populate('user', 'name phone')
+            .populate('car', 'make model licensePlate availability status')
+            .sort('pickupDate');
+
+        res.status(200).json({
+            success: true,
+            count: bookings.length,
+            data: bookings
+        });
+    } catch (error) {
+        console.error('Get assignments error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Assign a car to a category booking
+// @route   PUT /api/bookings/:id/assign
+// @access  Private/Admin
+exports.assignBookingCar = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        await assignCar(booking, {
+            carId: req.body.carId,
+            assignedBy: req.user.id,
+            reason: req.body.reason
+        });
+
+        await booking.populate('car', 'make model licensePlate');
+
+        res.status(200).json({
+            success: true,
+            data: booking
+        });
+    } catch (error) {
+        console.error('Assign booking car error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
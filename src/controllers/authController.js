@@ -3,6 +3,8 @@ const Referral = require('../models/Referral');
 const Notification = require('../models/Notification');
 const { sendEmail } = require('../utils/emailService');
 const { sendSMS } = require('../utils/smsService');
+const walletService = require('../utils/walletService');
+const storage = require('../utils/storage');
 const crypto = require('crypto');
 
 // Generate JWT Token
@@ -472,25 +474,34 @@ exports.verifyEmail = async (req, res) => {
         if (user.referredBy) {
             const referrer = await User.findById(user.referredBy);
             if (referrer) {
-                referrer.walletBalance += parseInt(process.env.REFERRAL_REWARD);
-                referrer.referralPoints += parseInt(process.env.REFERRAL_REWARD);
+                const referralReward = parseInt(process.env.REFERRAL_REWARD) || 100;
+
+                referrer.referralPoints += referralReward;
                 referrer.totalReferrals += 1;
                 await referrer.save();
                 
                 // Update referral status
-                await Referral.findOneAndUpdate(
+                const referral = await Referral.findOneAndUpdate(
                     { referrer: referrer._id, referredUser: user._id },
                     { status: 'completed', completedAt: new Date() }
                 );
+
+                // Credit the reward through the wallet ledger
+                await walletService.credit(referrer._id, referralReward, {
+                    source: 'referral',
+                    referral: referral ? referral._id : undefined,
+                    description: `Referral reward for ${user.name}`,
+                    ...(referral && { idempotencyKey: `referral:${referral._id}` })
+                });
                 
                 // Send notification to referrer
                 await Notification.create({
                     user: referrer._id,
                     title: 'Referral Reward!',
-                    message: `You earned ₹${process.env.REFERRAL_REWARD} for referring ${user.name}`,
+                    message: `You earned ₹${referralReward} for referring ${user.name}`,
                     type: 'referral',
                     metadata: {
-                        amount: process.env.REFERRAL_REWARD,
+                        amount: referralReward,
                         referredUserName: user.name
                     }
                 });
@@ -677,13 +688,22 @@ exports.uploadProfilePicture = async (req, res) => {
             });
         }
         
+        const previous = user.profileImage && user.profileImage.public_id;
+
         // Update profile image
         user.profileImage = {
-            url: req.file.path,
-            public_id: req.file.filename
+            url: req.file.url,
+            public_id: req.file.public_id
         };
         
         await user.save();
+
+        // Clean up the old picture; a leftover file is not worth failing for
+        if (previous) {
+            storage.remove(previous).catch(error => {
+                console.error('Remove old profile picture error:', error.message);
+            });
+        }
         
         res.status(200).json({
             success: true,
@@ -695,4 +715,74 @@ exports.uploadProfilePicture = async (req, res) => {
             error: error.message
         });
     }
+};
+
+// @desc    Upload driving licence scan
+// @route   POST /api/auth/upload-license
+// @access  Private
+exports.uploadLicense = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please upload your driving licence'
+            });
+        }
+
+        const previous = user.licenseImage && user.licenseImage.public_id;
+
+        user.licenseImage = {
+            url: req.file.url,
+            public_id: req.file.public_id
+        };
+
+        await user.save();
+
+        if (previous) {
+            storage.remove(previous).catch(error => {
+                console.error('Remove old licence scan error:', error.message);
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: storage.withFileUrl(user.licenseImage)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a download link for the driving licence scan
+// @route   GET /api/auth/license
+// @access  Private
+exports.getLicense = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('driverLicense licenseImage');
+
+        if (!user.licenseImage || !user.licenseImage.url) {
+            return res.status(404).json({
+                success: false,
+                error: 'No licence uploaded'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                driverLicense: user.driverLicense,
+                ...storage.withFileUrl(user.licenseImage)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
 };
\ No newline at end of file
@@ -2,9 +2,27 @@ const Booking = require('../models/Booking');
 const Car = require('../models/Car');
 const User = require('../models/User');
 const Offer = require('../models/Offer');
+const BookingHold = require('../models/BookingHold');
 const Notification = require('../models/Notification');
 const { sendEmail } = require('../utils/emailService');
 const { generateInvoice } = require('../utils/invoiceGenerator');
+const storage = require('../utils/storage');
+const { selectGatewayName } = require('../utils/paymentGateways');
+const { processRefund } = require('../utils/refundService');
+const { payWithWallet, getAdvanceTerms, getPaymentDeadline } = require('../utils/paymentService');
+const { advancePayment } = require('../config/booking');
+const { isValidGstin } = require('../utils/taxEngine');
+const { addDeduction, settleDeposit, getDepositSummary, isSettled } = require('../utils/depositService');
+const { issueInvoice, issueDepositDebitNote, getBookingDocument } = require('../utils/invoiceService');
+const { getPricingCar, priceExtension, approveExtension, rejectExtension } = require('../utils/extensionService');
+const { createHold, getUsableHold, attachHold, releaseHolds } = require('../utils/holdService');
+const { toDateTime, fromZonedTime, formatTime, formatDate, formatDateTime, isValidDate } = require('../utils/dateTime');
+const { priceBooking } = require('../utils/bookingPricing');
+const { getBranchLocation } = require('../utils/dropFees');
+const { markBooked } = require('../utils/waitlistService');
+const { getRateCar, getPoolAvailability, reserveClassCar, describeClass, isClassBooking, assignCar } = require('../utils/assignmentService');
+const { assertTransition, applyTransition, afterTransition } = require('../utils/bookingLifecycle');
+const { planDeliveries, reserveSlots, releaseSlots } = require('../utils/deliveryService');
 
 // @desc    Create booking
 // @route   POST /api/bookings
@@ -13,6 +31,7 @@ exports.createBooking = async (req, res) => {
     try {
         const { 
             carId, 
+            vehicleClass,
             pickupDate, 
             dropoffDate, 
             pickupLocation, 
@@ -20,12 +39,27 @@ exports.createBooking = async (req, res) => {
             driverDetails,
             additionalServices,
             promoCode,
-            paymentMethod 
+            paymentMethod,
+            paymentMode,
+            billing,
+            currency,
+            holdId
         } = req.body;
 
+        // Pickup and dropoff are precise datetimes; a bare date takes the
+        // separate pickupTime/dropoffTime fields
+        const start = toDateTime(pickupDate, req.body.pickupTime);
+        const end = toDateTime(dropoffDate, req.body.dropoffTime);
+
+        if (!isValidDate(start) || !isValidDate(end)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid pickup or dropoff time'
+            });
+        }
 
         // Validate dates
-        if (new Date(pickupDate) >= new Date(dropoffDate)) {
+        if (start >= end) {
             return res.status(400).json({
                 success: false,
                 error: 'Dropoff date must be after pickup date'
@@ -34,163 +68,273 @@ exports.createBooking = async (req, res) => {
 
         // Check if pickup is at least 2 hours from now
         const minPickupTime = new Date(Date.now() + 2 * 60 * 60 * 1000);
-        if (new Date(pickupDate) < minPickupTime) {
+        if (start < minPickupTime) {
             return res.status(400).json({
                 success: false,
                 error: 'Pickup must be at least 2 hours from now'
             });
         }
 
+        // Category bookings are priced at the class rate and get a car
+        // from the pool, which can be swapped until pickup
+        const classBooking = !carId && vehicleClass;
+
+        if (classBooking && (!vehicleClass.category || !vehicleClass.city)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Vehicle class needs a category and a branch city'
+            });
+        }
+
         // Get car details
-        const car = await Car.findById(carId);
+        const car = classBooking
+            ? await getRateCar(vehicleClass)
+            : await Car.findById(carId);
         if (!car || car.status !== 'active') {
             return res.status(404).json({
                 success: false,
-                error: 'Car not found or not available'
+                error: classBooking
+                    ? `No ${describeClass(vehicleClass)} in our fleet`
+                    : 'Car not found or not available'
             });
         }
 
-        // Check availability
-        const isAvailable = await car.isAvailableForDates(
-            new Date(pickupDate),
-            new Date(dropoffDate)
-        );
-
-        if (!isAvailable) {
+        if (billing && billing.gstin && !isValidGstin(billing.gstin)) {
             return res.status(400).json({
                 success: false,
-                error: 'Car not available for selected dates'
+                error: 'Invalid GSTIN'
             });
         }
 
-        // Calculate rental period
-        const start = new Date(pickupDate);
-        const end = new Date(dropoffDate);
-        const totalDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-
-        // Calculate base amount
-        let baseAmount = car.calculateRentalPrice(totalDays);
+        // Apply promo code if provided
+        const offer = promoCode
+            ? await Offer.findOne({
+                code: promoCode.toUpperCase(),
+                status: 'active'
+            })
+            : null;
 
-        // Calculate security deposit
-        const securityDeposit = car.securityDeposit;
+        // Doorstep delivery and collection for address pickups and dropoffs
+        const deliveries = await planDeliveries({
+            car,
+            pickupLocation,
+            dropoffLocation,
+            start,
+            end
+        });
 
-        // Process additional services
-        let additionalCharges = [];
-        let servicesTotal = 0;
-
-        if (additionalServices && additionalServices.length > 0) {
-            additionalServices.forEach(service => {
-                const serviceTotal = service.price * service.quantity;
-                servicesTotal += serviceTotal;
-                
-                additionalCharges.push({
-                    description: service.description || service.service,
-                    amount: serviceTotal,
-                    type: 'service'
+        // Rental, add-ons, one-way drop fee, delivery fees, promo discount and GST
+        const {
+            period,
+            totalDays,
+            baseAmount,
+            oneWay,
+            additionalCharges,
+            discountAmount,
+            tax,
+            taxAmount,
+            totalAmount,
+            promo
+        } = priceBooking({
+            car,
+            start,
+            end,
+            additionalServices,
+            dropoffCity: dropoffLocation.address && dropoffLocation.address.city,
+            offer,
+            userId: req.user.id,
+            taxParties: {
+                customerState: (billing && billing.state) || (req.user.address && req.user.address.state),
+                customerGstin: billing && billing.gstin,
+                customerName: billing && billing.legalName
+            },
+            fees: deliveries.fees
+        });
+        const promoUsed = promo && promo.valid ? offer : null;
+
+        // Check availability; a hold taken at checkout already guarantees it
+        const hold = holdId && !classBooking
+            ? await getUsableHold(holdId, {
+                userId: req.user.id,
+                carId,
+                pickupDate: start,
+                dropoffDate: end
+            })
+            : null;
+
+        if (classBooking) {
+            const pool = await getPoolAvailability(vehicleClass, start, end);
+
+            if (pool.available === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `No ${describeClass(vehicleClass)} available for selected dates`
                 });
+            }
+        } else if (!hold && !(await car.isAvailableForDates(start, end))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Car not available for selected dates'
             });
         }
 
-        // Apply promo code if provided
-        let discountAmount = 0;
-        let promoUsed = null;
+        // Security deposit is collected separately at pickup
+        const securityDeposit = car.securityDeposit;
 
-        if (promoCode) {
-            const offer = await Offer.findOne({ 
-                code: promoCode.toUpperCase(),
-                status: 'active'
+        // Pick the payment gateway from the method and the customer's
+        // currency; the booking is still charged in INR
+        const displayCurrency = (currency || req.user.preferences.currency || 'INR').toUpperCase();
+        const paymentGateway = selectGatewayName({
+            method: paymentMethod || 'card',
+            currency: displayCurrency
+        });
+
+        // Advance mode confirms on part of the total, the rest is due at pickup
+        if (paymentMode === 'advance' && !advancePayment.enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Advance payment is not available'
             });
+        }
 
-            if (offer) {
-                const eligibility = offer.canApplyToBooking({
-                    totalAmount: baseAmount + servicesTotal,
-                    totalDays,
-                    carId: car._id,
-                    category: car.category,
-                    userId: req.user.id
-                });
+        const paymentTerms = paymentMode === 'advance'
+            ? getAdvanceTerms(totalAmount, start)
+            : { mode: 'full' };
+
+        // Unpaid bookings are cancelled after this so the car is freed up
+        paymentTerms.expiresAt = getPaymentDeadline(paymentTerms, start);
+
+        // Reserve the car atomically so a concurrent booking cannot take
+        // the same dates between the check above and the insert below
+        const reservation = hold || (classBooking
+            ? await reserveClassCar({
+                vehicleClass,
+                userId: req.user.id,
+                start,
+                end
+            })
+            : await createHold({
+                carId,
+                userId: req.user.id,
+                pickupDate: start,
+                dropoffDate: end
+            }));
 
-                if (eligibility.valid) {
-                    discountAmount = offer.calculateDiscount(baseAmount + servicesTotal);
-                    
-                    additionalCharges.push({
-                        description: `Promo Code: ${offer.code}`,
-                        amount: -discountAmount, // Negative for discount
-                        type: 'discount'
-                    });
-
-                    promoUsed = offer._id;
-                    
-                    // Increment offer usage
-                    offer.usedCount += 1;
-                    offer.usersUsed.push({
-                        user: req.user.id,
-                        usedAt: new Date()
-                    });
-                    await offer.save();
-                }
+        // Delivery slots are reserved the same way. If the booking cannot
+        // be created the car and the slots are given back; the customer's
+        // own checkout hold stays theirs.
+        let booking;
+        let slotsReserved = false;
+
+        try {
+            await reserveSlots(deliveries.runs);
+            slotsReserved = true;
+
+            booking = await Booking.create({
+                user: req.user.id,
+                car: reservation.car,
+                ...(classBooking && {
+                    vehicleClass: {
+                        category: vehicleClass.category,
+                        transmission: vehicleClass.transmission,
+                        seats: vehicleClass.seats,
+                        city: vehicleClass.city
+                    },
+                    assignment: {
+                        status: 'provisional',
+                        history: [{ car: reservation.car, reason: 'Booked' }]
+                    }
+                }),
+                pickupDate: start,
+                dropoffDate: end,
+                pickupTime: formatTime(start),
+                dropoffTime: formatTime(end),
+                totalDays,
+                totalHours: period.billedHours,
+                pickupLocation: {
+                    type: pickupLocation.type || 'branch',
+                    address: pickupLocation.address,
+                    branch: pickupLocation.branchId
+                },
+                dropoffLocation: {
+                    type: dropoffLocation.type || 'branch',
+                    address: dropoffLocation.address,
+                    branch: dropoffLocation.branchId
+                },
+                oneWay,
+                deliveries: deliveries.runs,
+                driverDetails,
+                additionalServices,
+                baseAmount,
+                securityDeposit,
+                deposit: {
+                    status: securityDeposit > 0 ? 'pending' : 'waived'
+                },
+                additionalCharges,
+                discountAmount,
+                taxAmount,
+                tax,
+                totalAmount,
+                paidAmount: 0,
+                payment: {
+                    method: paymentMethod || 'card',
+                    status: 'pending',
+                    gateway: paymentGateway,
+                    currency: 'INR',
+                    displayCurrency,
+                    ...paymentTerms
+                },
+                status: 'pending',
+                promoCode: promoUsed ? promoUsed.code : undefined,
+                specialRequests: req.body.specialRequests
+            });
+        } catch (error) {
+            if (slotsReserved) {
+                await releaseSlots(deliveries.runs);
+            }
+
+            if (!hold) {
+                await releaseHolds({ _id: reservation._id });
             }
+
+            throw error;
         }
 
-        // Calculate taxes (18% GST)
-        const taxableAmount = baseAmount + servicesTotal - discountAmount;
-        const taxAmount = taxableAmount * 0.18;
+        // The hold keeps the car until the booking is paid for
+        await attachHold(reservation, booking);
 
-        additionalCharges.push({
-            description: 'GST (18%)',
-            amount: taxAmount,
-            type: 'tax'
-        });
+        if (hold) {
+            await markBooked(hold, booking);
+        }
 
-        // Calculate total amount
-        const totalAmount = baseAmount + servicesTotal + taxAmount - discountAmount + securityDeposit;
+        // Increment offer usage, linked to the booking so it can be
+        // given back if the booking expires unpaid
+        if (promoUsed) {
+            promoUsed.usedCount += 1;
+            promoUsed.usersUsed.push({
+                user: req.user.id,
+                usedAt: new Date(),
+                booking: booking._id
+            });
+            await promoUsed.save();
+        }
 
-        // Create booking
-        const booking = await Booking.create({
-            user: req.user.id,
-            car: carId,
-            pickupDate: start,
-            dropoffDate: end,
-            pickupTime: req.body.pickupTime || '10:00',
-            dropoffTime: req.body.dropoffTime || '10:00',
-            totalDays,
-            pickupLocation: {
-                type: pickupLocation.type || 'branch',
-                address: pickupLocation.address,
-                branch: pickupLocation.branchId
-            },
-            dropoffLocation: {
-                type: dropoffLocation.type || 'branch',
-                address: dropoffLocation.address,
-                branch: dropoffLocation.branchId
-            },
-            driverDetails,
-            additionalServices,
-            baseAmount,
-            securityDeposit,
-            additionalCharges,
-            discountAmount,
-            taxAmount,
-            totalAmount,
-            paidAmount: 0,
-            payment: {
-                method: paymentMethod || 'card',
-                status: 'pending'
-            },
-            status: 'pending',
-            specialRequests: req.body.specialRequests
+        // Update car's next booking date
+        await Car.findByIdAndUpdate(reservation.car, {
+            lastBooked: new Date()
         });
 
-        // Update car's next booking date
-        car.lastBooked = new Date();
-        await car.save();
+        // Customers booking a category are promised the class, not the car
+        const carDetails = classBooking
+            ? `${describeClass(vehicleClass)} (${car.make} ${car.model} or similar)`
+            : `${car.make} ${car.model}`;
 
         // Generate invoice
         const invoiceData = {
             bookingNumber: booking.bookingNumber,
             userName: req.user.name,
             userEmail: req.user.email,
-            carDetails: `${car.make} ${car.model} - ${car.licensePlate}`,
+            carDetails: classBooking ? carDetails : `${carDetails} - ${car.licensePlate}`,
             pickupDate: start,
             dropoffDate: end,
             totalDays,
@@ -198,15 +342,18 @@ exports.createBooking = async (req, res) => {
             additionalCharges,
             discountAmount,
             taxAmount,
+            tax,
             securityDeposit,
             totalAmount
         };
 
-        const invoiceUrl = await generateInvoice(invoiceData);
+        const proforma = await generateInvoice(invoiceData);
+        const invoiceUrl = proforma.url;
         
-        // Update booking with invoice URL
+        // Update booking with the proforma; the tax invoice number is
+        // assigned once the booking is confirmed
         booking.payment.invoiceUrl = invoiceUrl;
-        booking.payment.invoiceNumber = `INV-${booking.bookingNumber}`;
+        booking.documents.proforma = proforma;
         await booking.save();
 
         // Send booking confirmation email
@@ -217,9 +364,9 @@ exports.createBooking = async (req, res) => {
             context: {
                 userName: req.user.name,
                 bookingNumber: booking.bookingNumber,
-                carDetails: `${car.make} ${car.model}`,
-                pickupDate: start.toLocaleDateString(),
-                dropoffDate: end.toLocaleDateString(),
+                carDetails,
+                pickupDate: formatDateTime(start),
+                dropoffDate: formatDateTime(end),
                 totalDays,
                 totalAmount,
                 invoiceUrl,
@@ -231,7 +378,9 @@ exports.createBooking = async (req, res) => {
         await Notification.create({
             user: req.user.id,
             title: 'Booking Created!',
-            message: `Your booking #${booking.bookingNumber} has been created. Please complete payment to confirm.`,
+            message: paymentTerms.mode === 'advance'
+                ? `Your booking #${booking.bookingNumber} has been created. Pay the advance of ₹${paymentTerms.advanceAmount} by ${formatDateTime(paymentTerms.advanceDueAt)} to confirm.`
+                : `Your booking #${booking.bookingNumber} has been created. Please complete payment to confirm.`,
             type: 'booking',
             metadata: {
                 bookingId: booking._id,
@@ -256,6 +405,16 @@ exports.createBooking = async (req, res) => {
             });
         }
 
+        // Wallet bookings are paid from the balance straight away; whatever
+        // the wallet does not cover is paid through the gateway later
+        if (paymentMethod === 'wallet' && req.user.walletBalance > 0) {
+            try {
+                booking = await payWithWallet(booking, req.body.walletAmount);
+            } catch (error) {
+                console.error('Wallet payment error:', error.message);
+            }
+        }
+
         res.status(201).json({
             success: true,
             data: booking
@@ -263,7 +422,7 @@ exports.createBooking = async (req, res) => {
 
     } catch (error) {
         console.error('Create booking error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
@@ -378,7 +537,7 @@ exports.getUpcomingBookings = async (req, res) => {
 // @access  Private
 exports.cancelBooking = async (req, res) => {
     try {
-        const booking = await Booking.findOne({
+        let booking = await Booking.findOne({
             _id: req.params.id,
             user: req.user.id
         });
@@ -400,30 +559,39 @@ exports.cancelBooking = async (req, res) => {
 
         // Calculate cancellation fee
         const cancellationFee = booking.calculateCancellationFee();
+
+        // Refund whatever was paid beyond the fee (also covers part-paid bookings)
+        const refundAmount = Math.max(0, (booking.paidAmount || 0) - cancellationFee);
         
-        // Update booking status
-        booking.status = 'cancelled';
         booking.cancellation = {
             reason: req.body.reason,
             initiatedBy: 'user',
             cancellationFee,
             cancelledAt: new Date(),
-            refundAmount: booking.payment.status === 'paid' ? 
-                booking.totalAmount - cancellationFee : 0,
-            refundStatus: booking.payment.status === 'paid' ? 'pending' : 'not_applicable'
+            refundAmount,
+            refundMethod: req.body.refundTo === 'wallet' ? 'wallet' : 'original',
+            refundStatus: refundAmount > 0 ? 'pending' : 'not_applicable'
         };
 
         // Update payment status
-        if (booking.payment.status === 'paid') {
+        if (refundAmount > 0) {
             booking.payment.status = 'refund_pending';
         }
 
+        const previousStatus = applyTransition(booking, 'cancelled', {
+            by: req.user.id,
+            reason: req.body.reason
+        });
+
         await booking.save();
 
-        // Update car availability
-        await Car.findByIdAndUpdate(booking.car, {
-            availability: 'available'
-        });
+        // Frees the dates for the waitlist; the messages below tell the customer
+        await afterTransition(booking, previousStatus, 'cancelled', { notify: false });
+
+        // Try the refund straight away; failures are picked up by the retry job
+        if (refundAmount > 0) {
+            booking = (await processRefund(booking._id)) || booking;
+        }
 
         // Send cancellation email
         await sendEmail({
@@ -459,7 +627,7 @@ exports.cancelBooking = async (req, res) => {
         });
     } catch (error) {
         console.error('Cancel booking error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
@@ -471,7 +639,7 @@ exports.cancelBooking = async (req, res) => {
 // @access  Private/Admin
 exports.updateBooking = async (req, res) => {
     try {
-        const booking = await Booking.findById(req.params.id);
+        let booking = await Booking.findById(req.params.id);
 
         if (!booking) {
             return res.status(404).json({
@@ -480,12 +648,35 @@ exports.updateBooking = async (req, res) => {
             });
         }
 
+        const { status } = req.body;
+        const statusChanged = status !== undefined && status !== booking.status;
+
+        // Handing over the car records odometer, fuel and the licence check
+        if (status === 'active' && statusChanged) {
+            return res.status(400).json({
+                success: false,
+                error: 'Use the pickup check-in (POST /api/bookings/:id/pickup) to hand over the car'
+            });
+        }
+
+        // Reject illegal status changes before touching anything
+        if (statusChanged) {
+            assertTransition(booking, status);
+        }
+
+        // Dates and locations set the price, the car and the doorstep runs
+        const rescheduling = ['pickupDate', 'dropoffDate', 'pickupTime', 'dropoffTime', 'pickupLocation', 'dropoffLocation']
+            .some(key => req.body[key] !== undefined);
+
+        if (rescheduling) {
+            return res.status(400).json({
+                success: false,
+                error: 'Use the booking change (POST /api/bookings/:id/modify) to change dates or locations'
+            });
+        }
+
         // Update allowed fields
-        const allowedUpdates = [
-            'pickupDate', 'dropoffDate', 'pickupTime', 'dropoffTime',
-            'pickupLocation', 'dropoffLocation', 'driverDetails',
-            'additionalServices', 'specialRequests', 'status'
-        ];
+        const allowedUpdates = ['driverDetails', 'additionalServices', 'specialRequests'];
 
         Object.keys(req.body).forEach(key => {
             if (allowedUpdates.includes(key)) {
@@ -493,49 +684,42 @@ exports.updateBooking = async (req, res) => {
             }
         });
 
-        // If status changed to active (car picked up)
-        if (req.body.status === 'active' && booking.status !== 'active') {
-            booking.pickedUpAt = new Date();
-            
-            // Update car status
-            await Car.findByIdAndUpdate(booking.car, {
-                availability: 'booked'
-            });
+        // The company cancelling refunds everything that was paid
+        const refundAmount = status === 'cancelled' ? booking.paidAmount || 0 : 0;
+
+        if (statusChanged && status === 'cancelled') {
+            booking.cancellation = {
+                reason: req.body.reason || 'Cancelled by the rental company',
+                initiatedBy: 'admin',
+                cancellationFee: 0,
+                cancelledAt: new Date(),
+                refundAmount,
+                refundStatus: refundAmount > 0 ? 'pending' : 'not_applicable'
+            };
+
+            if (refundAmount > 0) {
+                booking.payment.status = 'refund_pending';
+            }
         }
 
-        // If status changed to completed (car returned)
-        if (req.body.status === 'completed' && booking.status !== 'completed') {
-            booking.droppedOffAt = new Date();
-            booking.completedAt = new Date();
-            
-            // Update car status and stats
-            const car = await Car.findById(booking.car);
-            car.availability = 'available';
-            car.totalBookings += 1;
-            car.totalRevenue += booking.totalAmount;
-            await car.save();
-            
-            // Update user stats
-            await User.findByIdAndUpdate(booking.user, {
-                $inc: { totalSpent: booking.totalAmount }
-            });
-        }
+        const previousStatus = statusChanged
+            ? applyTransition(booking, status, { by: req.user.id, reason: req.body.reason })
+            : null;
 
         await booking.save();
 
-        // Send notification to user if status changed
-        if (req.body.status && req.body.status !== booking.status) {
-            await Notification.create({
-                user: booking.user,
-                title: 'Booking Status Updated',
-                message: `Your booking #${booking.bookingNumber} status has been updated to ${req.body.status}`,
-                type: 'booking',
-                metadata: {
-                    bookingId: booking._id,
-                    newStatus: req.body.status
-                },
-                sendEmail: true
-            });
+        if (statusChanged) {
+            await afterTransition(booking, previousStatus, status);
+
+            if (status === 'completed' && previousStatus === 'active') {
+                await User.findByIdAndUpdate(booking.user, {
+                    $inc: { totalSpent: booking.totalAmount }
+                });
+            }
+
+            if (refundAmount > 0) {
+                booking = (await processRefund(booking._id)) || booking;
+            }
         }
 
         res.status(200).json({
@@ -544,7 +728,7 @@ exports.updateBooking = async (req, res) => {
         });
     } catch (error) {
         console.error('Update booking error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
@@ -798,6 +982,137 @@ exports.getBookingStats = async (req, res) => {
     }
 };
 
+// Licence numbers are written with and without spaces and dashes
+const normalizeLicense = (number) => String(number || '').replace(/[\s-]/g, '').toUpperCase();
+
+// @desc    Hand over the car: check the licence, record odometer, fuel,
+//          photos and the customer's signature, and start the rental
+// @route   POST /api/bookings/:id/pickup
+// @access  Private/Staff
+exports.processPickup = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id)
+            .populate('user', 'name email');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        // Pickup window, balance, deposit and signed agreement
+        assertTransition(booking, 'active');
+
+        const { licenseNumber, licenseExpiry, inspectionNotes, signatureUrl } = req.body;
+
+        // The licence shown must be the one the booking was made with and
+        // stay valid for the whole rental
+        if (normalizeLicense(licenseNumber) !== normalizeLicense(booking.driverDetails.licenseNumber)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Licence number does not match the driver on the booking'
+            });
+        }
+
+        const expiresOn = new Date(licenseExpiry);
+        if (!isValidDate(expiresOn) || expiresOn < booking.dropoffDate) {
+            return res.status(400).json({
+                success: false,
+                error: 'Driving licence expires before the end of the rental'
+            });
+        }
+
+        const car = await Car.findById(booking.car);
+        const mileageAtPickup = parseFloat(req.body.mileageAtPickup);
+        const fuelLevel = parseFloat(req.body.fuelLevel);
+
+        if (car.maintenance && car.maintenance.currentMileage > mileageAtPickup) {
+            return res.status(400).json({
+                success: false,
+                error: `Odometer reading is below the car's last recorded ${car.maintenance.currentMileage} km`
+            });
+        }
+
+        const descriptions = [].concat(req.body.descriptions || []);
+        const photos = (req.files || []).map((file, index) => ({
+            url: file.url,
+            public_id: file.public_id,
+            description: descriptions[index] || ''
+        }));
+
+        // Photos can also be uploaded beforehand
+        if (booking.inspection.pickup.images.length + photos.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please add photos of the car'
+            });
+        }
+
+        // Category bookings are bound to the car being handed over
+        if (isClassBooking(booking) && booking.assignment.status !== 'assigned') {
+            await assignCar(booking, { carId: car._id, assignedBy: req.user.id });
+        }
+
+        booking.inspection.pickup.images.push(...photos);
+        Object.assign(booking.inspection.pickup, {
+            conductedBy: req.user.id,
+            notes: inspectionNotes,
+            timestamp: new Date(),
+            signature: signatureUrl,
+            licenseCheck: {
+                licenseNumber,
+                expiresOn,
+                verifiedAt: new Date()
+            }
+        });
+
+        // Read back at return for extra-km and fuel charges
+        booking.mileageAtPickup = mileageAtPickup;
+        booking.fuelAtPickup = {
+            level: fuelLevel,
+            reading: mileageAtPickup
+        };
+
+        applyTransition(booking, 'active', { by: req.user.id });
+
+        await booking.save();
+
+        // Marks the car as out with the customer
+        await afterTransition(booking, 'confirmed', 'active', { notify: false });
+
+        await Car.findByIdAndUpdate(car._id, {
+            'maintenance.currentMileage': mileageAtPickup,
+            'maintenance.fuelLevel': fuelLevel
+        });
+
+        await Notification.create({
+            user: booking.user._id,
+            title: 'Enjoy Your Trip!',
+            message: `You picked up the ${car.make} ${car.model} (${car.licensePlate}) for booking #${booking.bookingNumber}. Please return it by ${formatDateTime(booking.dropoffDate)}.`,
+            type: 'booking',
+            category: 'success',
+            metadata: {
+                bookingId: booking._id,
+                bookingNumber: booking.bookingNumber,
+                url: `/bookings/${booking._id}`
+            },
+            sendEmail: true
+        });
+
+        res.status(200).json({
+            success: true,
+            data: booking
+        });
+    } catch (error) {
+        console.error('Process pickup error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 // @desc    Process booking return
 // @route   POST /api/bookings/:id/return
 // @access  Private/Admin
@@ -814,28 +1129,25 @@ exports.processReturn = async (req, res) => {
             });
         }
 
-        if (booking.status !== 'active') {
-            return res.status(400).json({
-                success: false,
-                error: 'Booking is not active'
-            });
-        }
+        assertTransition(booking, 'completed');
 
         const {
             mileageAtDropoff,
             fuelLevel,
             inspectionNotes,
             damages,
-            extraCharges
+            extraCharges,
+            holdDeposit,
+            depositReleaseTo
         } = req.body;
 
-        // Update inspection details
-        booking.inspection.dropoff = {
+        // Update inspection details, keeping photos uploaded beforehand
+        Object.assign(booking.inspection.dropoff, {
             conductedBy: req.user.id,
             notes: inspectionNotes,
             timestamp: new Date(),
             signature: req.body.signatureUrl
-        };
+        });
 
         // Update fuel and mileage
         booking.fuelAtDropoff = {
@@ -845,6 +1157,14 @@ exports.processReturn = async (req, res) => {
 
         booking.mileageAtDropoff = mileageAtDropoff;
 
+        // Return charges are itemised against the security deposit; a
+        // charge that works out to nothing (e.g. a full tank) is skipped
+        const charge = (deduction) => {
+            if (Math.round((Number(deduction.amount) || 0) * 100) / 100 > 0) {
+                addDeduction(booking, { ...deduction, createdBy: req.user.id });
+            }
+        };
+
         // Calculate extra kilometers
         if (mileageAtDropoff && booking.mileageAtPickup) {
             const totalKms = mileageAtDropoff - booking.mileageAtPickup;
@@ -854,25 +1174,25 @@ exports.processReturn = async (req, res) => {
                 const extraKms = totalKms - allowedKms;
                 booking.extraKilometers = extraKms;
                 booking.extraKmCharges = extraKms * booking.car.extraKmCharge;
-                
-                booking.additionalCharges.push({
+
+                charge({
+                    category: 'extra_km',
                     description: `Extra kilometers (${extraKms} km)`,
-                    amount: booking.extraKmCharges,
-                    type: 'fee'
+                    amount: booking.extraKmCharges
                 });
             }
         }
 
         // Calculate fuel charges
-        if (fuelLevel < booking.fuelAtPickup.level) {
-            const fuelDifference = booking.fuelAtPickup.level - fuelLevel;
+        if (booking.fuelAtPickup && Number(fuelLevel) < booking.fuelAtPickup.level) {
+            const fuelDifference = booking.fuelAtPickup.level - Number(fuelLevel);
             const fuelCharge = (fuelDifference / 100) * 5000; // Assuming 5000 is fuel tank capacity cost
             booking.fuelCharges = fuelCharge;
-            
-            booking.additionalCharges.push({
+
+            charge({
+                category: 'fuel',
                 description: 'Fuel refill charges',
-                amount: fuelCharge,
-                type: 'fee'
+                amount: fuelCharge
             });
         }
 
@@ -880,63 +1200,87 @@ exports.processReturn = async (req, res) => {
         if (damages && damages.length > 0) {
             booking.inspection.damages = damages.map(damage => ({
                 ...damage,
-                status: 'reported'
+                status: damage.repairCost > 0 ? 'charged' : 'reported'
             }));
+
+            damages.forEach(damage => {
+                charge({
+                    category: 'damage',
+                    description: `Damage: ${damage.description}`,
+                    amount: damage.repairCost
+                });
+            });
         }
 
-        // Add extra charges
+        // Add extra charges (fines, late return, cleaning, ...)
         if (extraCharges && extraCharges.length > 0) {
-            extraCharges.forEach(charge => {
-                booking.additionalCharges.push({
-                    description: charge.description,
-                    amount: charge.amount,
-                    type: charge.type || 'penalty'
+            extraCharges.forEach(extra => {
+                charge({
+                    category: extra.category || 'fine',
+                    description: extra.description,
+                    amount: extra.amount,
+                    reference: extra.reference
                 });
             });
         }
 
-        // Recalculate total amount
-        let newTotal = booking.baseAmount;
-        booking.additionalCharges.forEach(charge => {
-            if (charge.type === 'discount') {
-                newTotal -= charge.amount;
-            } else {
-                newTotal += charge.amount;
-            }
-        });
-
-        booking.totalAmount = newTotal;
-
-        // If security deposit needs adjustment
-        if (newTotal > booking.baseAmount) {
-            const additionalAmount = newTotal - booking.baseAmount;
-            
-            // Add to payment transactions
-            booking.payment.transactions.push({
-                amount: additionalAmount,
-                method: 'security_deposit_adjustment',
-                status: 'pending',
-                timestamp: new Date()
+        // Release the rest of the deposit or bill the shortfall. Staff can
+        // hold it back while fines or damage estimates are still pending.
+        if (!holdDeposit) {
+            await settleDeposit(booking, {
+                releaseTo: depositReleaseTo,
+                settledBy: req.user.id
             });
         }
 
-        // Update booking status
-        booking.status = 'completed';
-        booking.droppedOffAt = new Date();
-        booking.completedAt = new Date();
+        applyTransition(booking, 'completed', { by: req.user.id });
 
         await booking.save();
 
+        // Frees the car and adds the rental to its stats; the completion
+        // email below tells the customer
+        await afterTransition(booking, 'active', 'completed', { notify: false });
+
         // Update car
         const car = booking.car;
-        car.availability = 'available';
         car.maintenance.currentMileage = mileageAtDropoff;
         car.maintenance.fuelLevel = fuelLevel;
+
+        // After a one-way trip the car is based at the drop-off branch. A
+        // branch missing from the config takes the drop-off address, never
+        // the old branch's state or map position.
+        if (booking.oneWay && booking.oneWay.toCity) {
+            const dropoffAddress = booking.dropoffLocation.address || {};
+
+            car.location = getBranchLocation(booking.oneWay.toCity) || {
+                address: dropoffAddress.street,
+                city: booking.oneWay.toCity,
+                state: dropoffAddress.state,
+                pincode: dropoffAddress.pincode,
+                coordinates: dropoffAddress.coordinates
+            };
+        }
+
         await car.save();
 
-        // Update user stats
+        const depositSummary = getDepositSummary(booking);
+
+        // Tax invoice (if it was not issued at confirmation) and a debit
+        // note for what was taken from the deposit
+        let invoice = null;
+        try {
+            invoice = await issueInvoice(booking, { issuedBy: req.user.id });
+
+            if (isSettled(booking)) {
+                await issueDepositDebitNote(booking, { issuedBy: req.user.id });
+            }
+        } catch (error) {
+            console.error('Issue invoice error:', error.message);
+        }
+
+        // Update user stats (deductions already covered by the deposit count as spend)
         await User.findByIdAndUpdate(booking.user._id, {
-            $inc: { totalSpent: booking.totalAmount }
+            $inc: { totalSpent: booking.totalAmount + depositSummary.deducted - depositSummary.shortfall }
         });
 
         // Generate final invoice
@@ -952,22 +1296,18 @@ exports.processReturn = async (req, res) => {
             additionalCharges: booking.additionalCharges,
             discountAmount: booking.discountAmount,
             taxAmount: booking.taxAmount,
-            securityDeposit: car.securityDeposit,
+            tax: booking.tax,
+            securityDeposit: booking.securityDeposit,
             totalAmount: booking.totalAmount,
-            extraCharges: {
-                extraKilometers: booking.extraKmCharges,
-                fuelCharges: booking.fuelCharges,
-                damages: booking.inspection.damages
-            }
+            invoiceNumber: invoice ? invoice.invoiceNumber : booking.payment.invoiceNumber,
+            deposit: depositSummary
         };
 
-        const finalInvoiceUrl = await generateInvoice(invoiceData, true);
+        const receipt = await generateInvoice(invoiceData, true);
+        const finalInvoiceUrl = receipt.url;
 
         // Update booking with final invoice
-        booking.documents.receipt = {
-            url: finalInvoiceUrl,
-            public_id: `receipt-${booking.bookingNumber}`
-        };
+        booking.documents.receipt = receipt;
         await booking.save();
 
         // Send completion email
@@ -981,7 +1321,7 @@ exports.processReturn = async (req, res) => {
                 carDetails: `${car.make} ${car.model}`,
                 totalAmount: booking.totalAmount,
                 invoiceUrl: finalInvoiceUrl,
-                securityDepositRefund: car.securityDeposit - (booking.totalAmount - booking.baseAmount)
+                securityDepositRefund: depositSummary.released
             }
         });
 
@@ -1004,24 +1344,66 @@ exports.processReturn = async (req, res) => {
         });
     } catch (error) {
         console.error('Process return error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
     }
 };
 
-// @desc    Get booking invoice
+// @desc    Download a booking invoice as PDF (?type=proforma|final|receipt)
 // @route   GET /api/bookings/:id/invoice
 // @access  Private
 exports.getBookingInvoice = async (req, res) => {
     try {
-        const booking = await Booking.findOne({
-            _id: req.params.id,
-            user: req.user.id
-        })
-        .populate('car')
-        .populate('user');
+        const query = { _id: req.params.id };
+
+        // Admins can download any booking's invoice
+        if (!['admin', 'super_admin'].includes(req.user.role)) {
+            query.user = req.user.id;
+        }
+
+        const booking = await Booking.findOne(query)
+            .populate('car')
+            .populate('user');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const document = await getBookingDocument(booking, req.query.type);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Length': document.buffer.length,
+            'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${document.filename}"`,
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(document.buffer);
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get pickup and dropoff inspection of a booking
+// @route   GET /api/bookings/:id/inspection
+// @access  Private
+exports.getInspection = async (req, res) => {
+    try {
+        const query = { _id: req.params.id };
+
+        if (!['admin', 'super_admin'].includes(req.user.role)) {
+            query.user = req.user.id;
+        }
+
+        const booking = await Booking.findOne(query).select('bookingNumber inspection');
 
         if (!booking) {
             return res.status(404).json({
@@ -1030,17 +1412,78 @@ exports.getBookingInvoice = async (req, res) => {
             });
         }
 
-        // Return invoice URL
+        // Inspection photos are private; sign each one
+        const inspection = booking.inspection.toObject();
+        ['pickup', 'dropoff'].forEach(stage => {
+            if (inspection[stage]) {
+                inspection[stage].images = (inspection[stage].images || []).map(storage.withFileUrl);
+            }
+        });
+
         res.status(200).json({
             success: true,
-            data: {
-                invoiceUrl: booking.payment.invoiceUrl,
-                bookingNumber: booking.bookingNumber,
-                status: booking.status
-            }
+            data: inspection
         });
     } catch (error) {
-        console.error('Get invoice error:', error);
+        console.error('Get inspection error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Upload pickup or dropoff inspection photos
+// @route   POST /api/bookings/:id/inspection/:stage/images
+// @access  Private/Admin
+exports.uploadInspectionImages = async (req, res) => {
+    try {
+        const { stage } = req.params;
+
+        if (!['pickup', 'dropoff'].includes(stage)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Inspection stage must be pickup or dropoff'
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please upload at least one image'
+            });
+        }
+
+        const descriptions = [].concat(req.body.descriptions || []);
+
+        booking.inspection[stage].images.push(...req.files.map((file, index) => ({
+            url: file.url,
+            public_id: file.public_id,
+            description: descriptions[index] || ''
+        })));
+
+        if (!booking.inspection[stage].conductedBy) {
+            booking.inspection[stage].conductedBy = req.user.id;
+        }
+
+        await booking.save();
+
+        res.status(201).json({
+            success: true,
+            count: req.files.length,
+            data: booking.inspection[stage].images.map(storage.withFileUrl)
+        });
+    } catch (error) {
+        console.error('Upload inspection images error:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -1146,56 +1589,126 @@ exports.getBookingCalendar = async (req, res) => {
         const { carId } = req.params;
         const { month, year } = req.query;
 
-        const targetMonth = month ? parseInt(month) : new Date().getMonth() + 1;
-        const targetYear = year ? parseInt(year) : new Date().getFullYear();
+        // Days are the branch timezone's, whatever the server runs in
+        const today = formatDate(new Date());
+        const [currentYear, currentMonth] = today.split('-').map(Number);
+        const targetMonth = month ? parseInt(month) : currentMonth;
+        const targetYear = year ? parseInt(year) : currentYear;
 
-        // Get all bookings for the car in the specified month
-        const startDate = new Date(targetYear, targetMonth - 1, 1);
-        const endDate = new Date(targetYear, targetMonth, 0);
+        const car = await Car.findById(carId).select('category location');
+
+        if (!car) {
+            return res.status(404).json({
+                success: false,
+                error: 'Car not found'
+            });
+        }
+
+        // The car is also blocked for its turnaround before and after every
+        // rental, as Car.isAvailableForDates checks it
+        const buffer = car.getTurnaroundMinutes() * 60 * 1000;
+
+        // Get all bookings and checkout holds for the car in the specified month
+        const startDate = fromZonedTime(targetYear, targetMonth, 1, 0, 0);
+        const endDate = fromZonedTime(targetYear, targetMonth + 1, 1, 0, 0);
+        const overlapping = {
+            pickupDate: { $lt: new Date(endDate.getTime() + buffer) },
+            dropoffDate: { $gt: new Date(startDate.getTime() - buffer) }
+        };
 
         const bookings = await Booking.find({
             car: carId,
-            status: { $in: ['confirmed', 'active'] },
-            $or: [
-                {
-                    pickupDate: { $lte: endDate },
-                    dropoffDate: { $gte: startDate }
-                }
-            ]
+            status: { $in: ['confirmed', 'active', 'pending'] },
+            ...overlapping
         })
         .select('pickupDate dropoffDate status')
         .sort('pickupDate');
 
-        // Generate calendar with availability
-        const daysInMonth = new Date(targetYear, targetMonth, 0).getDate();
+        const holds = await BookingHold.find({
+            car: carId,
+            status: 'active',
+            expiresAt: { $gt: new Date() },
+            ...overlapping
+        })
+        .select('pickupDate dropoffDate booking');
+
+        const reservations = [
+            ...bookings.map(booking => ({
+                type: 'booking',
+                start: booking.pickupDate,
+                end: booking.dropoffDate,
+                bookingId: booking._id,
+                status: booking.status
+            })),
+            ...holds.map(hold => ({
+                type: 'hold',
+                start: hold.pickupDate,
+                end: hold.dropoffDate,
+                bookingId: hold.booking || null,
+                status: 'held'
+            }))
+        ];
+
+        const periods = reservations.flatMap(reservation => [
+            {
+                ...reservation,
+                type: 'turnaround',
+                start: new Date(reservation.start.getTime() - buffer),
+                end: reservation.start
+            },
+            reservation,
+            {
+                ...reservation,
+                type: 'turnaround',
+                start: reservation.end,
+                end: new Date(reservation.end.getTime() + buffer)
+            }
+        ]).filter(period => period.end > period.start);
+
+        // Generate calendar with the booked hours of each day
+        const daysInMonth = new Date(Date.UTC(targetYear, targetMonth, 0)).getUTCDate();
         const calendar = [];
 
         for (let day = 1; day <= daysInMonth; day++) {
-            const currentDate = new Date(targetYear, targetMonth - 1, day);
-            const dateStr = currentDate.toISOString().split('T')[0];
-
-            // Check if date is booked
-            let isBooked = false;
-            let bookingInfo = null;
-
-            for (const booking of bookings) {
-                if (currentDate >= booking.pickupDate && currentDate <= booking.dropoffDate) {
-                    isBooked = true;
-                    bookingInfo = {
-                        bookingId: booking._id,
-                        status: booking.status
-                    };
-                    break;
-                }
+            const currentDate = fromZonedTime(targetYear, targetMonth, day, 0, 0);
+            const nextDate = fromZonedTime(targetYear, targetMonth, day + 1, 0, 0);
+            const dateStr = formatDate(currentDate);
+
+            const slots = periods
+                .filter(period => period.start < nextDate && period.end > currentDate)
+                .map(period => ({
+                    type: period.type,
+                    from: period.start > currentDate ? period.start : currentDate,
+                    to: period.end < nextDate ? period.end : nextDate,
+                    bookingId: period.bookingId,
+                    status: period.status
+                }))
+                .sort((a, b) => a.from - b.from);
+
+            // Booked for the whole day only if the slots leave no gap
+            let coveredUntil = currentDate;
+            for (const slot of slots) {
+                if (slot.from > coveredUntil) break;
+                if (slot.to > coveredUntil) coveredUntil = slot.to;
             }
+            const isBooked = coveredUntil >= nextDate;
+            const firstBooking = slots.find(slot => slot.type === 'booking');
 
             calendar.push({
                 date: dateStr,
                 day,
                 isBooked,
-                bookingInfo,
-                isPast: currentDate < new Date(),
-                isToday: dateStr === new Date().toISOString().split('T')[0]
+                isPartiallyBooked: !isBooked && slots.length > 0,
+                bookedSlots: slots.map(slot => ({
+                    ...slot,
+                    fromTime: formatTime(slot.from),
+                    toTime: slot.to >= nextDate ? '24:00' : formatTime(slot.to)
+                })),
+                bookingInfo: firstBooking
+                    ? { bookingId: firstBooking.bookingId, status: firstBooking.status }
+                    : null,
+                isPast: nextDate <= new Date(),
+                isToday: dateStr === today
             });
         }
 
@@ -1204,6 +1717,7 @@ exports.getBookingCalendar = async (req, res) => {
             data: {
                 month: targetMonth,
                 year: targetYear,
+                turnaroundMinutes: buffer / (60 * 1000),
                 calendar,
                 bookings: bookings.length
             }
@@ -1238,8 +1752,15 @@ exports.extendBooking = async (req, res) => {
             });
         }
 
-        const newDropoff = new Date(newDropoffDate);
+        const newDropoff = toDateTime(newDropoffDate, req.body.newDropoffTime || booking.dropoffTime);
         
+        if (!isValidDate(newDropoff)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid dropoff time'
+            });
+        }
+
         if (newDropoff <= booking.dropoffDate) {
             return res.status(400).json({
                 success: false,
@@ -1247,10 +1768,18 @@ exports.extendBooking = async (req, res) => {
             });
         }
 
+        if (booking.extensionRequests.some(request => request.status === 'pending')) {
+            return res.status(400).json({
+                success: false,
+                error: 'An extension request for this booking is already awaiting approval'
+            });
+        }
+
         // Check car availability for extension period
         const isAvailable = await booking.car.isAvailableForDates(
             booking.dropoffDate,
-            newDropoff
+            newDropoff,
+            booking._id
         );
 
         if (!isAvailable) {
@@ -1260,27 +1789,30 @@ exports.extendBooking = async (req, res) => {
             });
         }
 
-        // Calculate extension days and cost
-        const extensionDays = Math.ceil(
-            (newDropoff - booking.dropoffDate) / (1000 * 60 * 60 * 24)
+        // Quote the extension with the car's pricing tiers (the class rate
+        // for category bookings); it is priced again when approved
+        const { extensionDays, rentalAmount: extensionCost, taxAmount, totalCost } = priceExtension(
+            booking,
+            await getPricingCar(booking, booking.car),
+            newDropoff
         );
-        const extensionCost = booking.car.pricePerDay * extensionDays;
 
         // Create extension request
-        const extensionRequest = {
+        booking.extensionRequests.push({
             requestedAt: new Date(),
             currentDropoffDate: booking.dropoffDate,
             requestedDropoffDate: newDropoff,
             extensionDays,
             extensionCost,
+            taxAmount,
+            totalCost,
             reason,
             status: 'pending',
             approvedBy: null,
             approvedAt: null
-        };
+        });
 
-        booking.extensionRequests = booking.extensionRequests || [];
-        booking.extensionRequests.push(extensionRequest);
+        const extensionRequest = booking.extensionRequests[booking.extensionRequests.length - 1];
 
         await booking.save();
 
@@ -1309,7 +1841,8 @@ exports.extendBooking = async (req, res) => {
             metadata: {
                 bookingId: booking._id,
                 extensionDays,
-                extensionCost
+                extensionCost,
+                amount: totalCost
             }
         });
 
@@ -1324,4 +1857,75 @@ exports.extendBooking = async (req, res) => {
             error: error.message
         });
     }
+};
+
+// @desc    Approve a booking extension request
+// @route   PUT /api/bookings/:id/extensions/:requestId/approve
+// @access  Private/Admin
+exports.approveBookingExtension = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const result = await approveExtension(booking, req.params.requestId, {
+            approvedBy: req.user.id,
+            chargeWallet: req.body.chargeWallet === true || req.body.chargeWallet === 'true'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                extension: result.request,
+                dropoffDate: result.booking.dropoffDate,
+                totalDays: result.booking.totalDays,
+                totalAmount: result.booking.totalAmount,
+                paidAmount: result.booking.paidAmount,
+                amountDue: result.amountDue
+            }
+        });
+    } catch (error) {
+        console.error('Approve extension error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Reject a booking extension request
+// @route   PUT /api/bookings/:id/extensions/:requestId/reject
+// @access  Private/Admin
+exports.rejectBookingExtension = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const request = await rejectExtension(booking, req.params.requestId, {
+            reason: req.body.reason,
+            rejectedBy: req.user.id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: request
+        });
+    } catch (error) {
+        console.error('Reject extension error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
 };
\ No newline at end of file
@@ -2,6 +2,12 @@ const Car = require('../models/Car');
 const Booking = require('../models/Booking');
 const Notification = require('../models/Notification');
 const { sendEmail } = require('../utils/emailService');
+const storage = require('../utils/storage');
+const { toDateTime, isValidDate } = require('../utils/dateTime');
+const { getRateCar, getPoolAvailability, reassignCarBookings, describeClass } = require('../utils/assignmentService');
+
+// Cars in these states cannot be rented out, so their bookings need another car
+const OUT_OF_SERVICE = ['maintenance', 'unavailable'];
 
 // @desc    Get all cars
 // @route   GET /api/cars
@@ -111,8 +117,8 @@ exports.getCar = async (req, res) => {
         // Check availability for specific dates if provided
         if (req.query.pickupDate && req.query.dropoffDate) {
             const isAvailable = await car.isAvailableForDates(
-                new Date(req.query.pickupDate),
-                new Date(req.query.dropoffDate)
+                toDateTime(req.query.pickupDate, req.query.pickupTime),
+                toDateTime(req.query.dropoffDate, req.query.dropoffTime)
             );
             
             car.availability = isAvailable ? 'available' : 'booked';
@@ -186,6 +192,8 @@ exports.updateCar = async (req, res) => {
             });
         }
         
+        const wasInService = car.status === 'active' && !OUT_OF_SERVICE.includes(car.availability);
+
         // Add updatedBy
         req.body.updatedBy = req.user.id;
         
@@ -200,6 +208,14 @@ exports.updateCar = async (req, res) => {
             new: true,
             runValidators: true
         });
+
+        // Move category bookings off a car taken out of service
+        if (wasInService && (car.status !== 'active' || OUT_OF_SERVICE.includes(car.availability))) {
+            await reassignCarBookings(car._id, {
+                reason: `${car.make} ${car.model} out of service`,
+                changedBy: req.user.id
+            });
+        }
         
         // Log price change
         if (req.body.pricePerDay && req.body.pricePerDay !== car.pricePerDay) {
@@ -259,6 +275,11 @@ exports.deleteCar = async (req, res) => {
         // Soft delete by changing status
         car.status = 'deleted';
         await car.save();
+
+        await reassignCarBookings(car._id, {
+            reason: `${car.make} ${car.model} removed from the fleet`,
+            changedBy: req.user.id
+        });
         
         // Create notification
         await Notification.create({
@@ -307,8 +328,8 @@ exports.uploadCarImages = async (req, res) => {
         
         // Process uploaded files
         const images = req.files.map((file, index) => ({
-            url: file.path || file.url,
-            public_id: file.filename || file.public_id,
+            url: file.url,
+            public_id: file.public_id,
             caption: req.body.captions ? req.body.captions[index] : '',
             isPrimary: index === 0 && car.images.length === 0 // First image as primary if no images exist
         }));
@@ -422,11 +443,8 @@ exports.deleteCarImage = async (req, res) => {
         car.images.pull({ _id: req.params.imageId });
         await car.save();
         
-        // Delete from Cloudinary if public_id exists
-        if (image.public_id) {
-            const { cloudinary } = require('../config/cloudinary');
-            await cloudinary.uploader.destroy(image.public_id);
-        }
+        // Delete the stored file
+        await storage.remove(image.public_id);
         
         res.status(200).json({
             success: true,
@@ -512,28 +530,39 @@ exports.checkAvailability = async (req, res) => {
             });
         }
         
-        const isAvailable = await car.isAvailableForDates(
-            new Date(pickupDate),
-            new Date(dropoffDate)
-        );
+        const start = toDateTime(pickupDate, req.body.pickupTime);
+        const end = toDateTime(dropoffDate, req.body.dropoffTime);
+
+        if (!isValidDate(start) || !isValidDate(end) || start >= end) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dropoff must be after pickup'
+            });
+        }
+        
+        const isAvailable = await car.isAvailableForDates(start, end);
         
         // Calculate price
-        const start = new Date(pickupDate);
-        const end = new Date(dropoffDate);
-        const totalDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+        const period = car.getRentalPeriod(start, end);
+        const totalDays = period.totalDays;
         
-        const price = car.calculateRentalPrice(totalDays);
+        const price = car.calculateRentalPrice(period.days, { hours: period.hours });
         
         res.status(200).json({
             success: true,
             data: {
                 isAvailable,
+                // Booked cars can be waitlisted for the same dates
+                canJoinWaitlist: !isAvailable,
                 carId: car._id,
                 carName: `${car.make} ${car.model}`,
-                pickupDate,
-                dropoffDate,
+                pickupDate: start,
+                dropoffDate: end,
                 totalDays,
+                totalHours: period.billedHours,
                 pricePerDay: car.pricePerDay,
+                pricePerHour: car.pricePerHour,
+                minimumHours: car.pricePerHour ? car.minimumHours : undefined,
                 totalPrice: price,
                 securityDeposit: car.securityDeposit
             }
@@ -547,6 +576,86 @@ exports.checkAvailability = async (req, res) => {
     }
 };
 
+// @desc    Check availability and price of a class of car
+// @route   POST /api/cars/categories/check-availability
+// @access  Public
+exports.checkCategoryAvailability = async (req, res) => {
+    try {
+        const { category, transmission, seats, city, pickupDate, dropoffDate } = req.body;
+
+        if (!category || !city) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please provide a category and branch city'
+            });
+        }
+
+        if (!pickupDate || !dropoffDate) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please provide pickup and dropoff dates'
+            });
+        }
+
+        const start = toDateTime(pickupDate, req.body.pickupTime);
+        const end = toDateTime(dropoffDate, req.body.dropoffTime);
+
+        if (!isValidDate(start) || !isValidDate(end) || start >= end) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dropoff must be after pickup'
+            });
+        }
+
+        const vehicleClass = {
+            category,
+            transmission,
+            seats: seats ? parseInt(seats, 10) : undefined,
+            city
+        };
+
+        // The class is priced at its cheapest car
+        const car = await getRateCar(vehicleClass);
+
+        if (!car) {
+            return res.status(404).json({
+                success: false,
+                error: `No ${describeClass(vehicleClass)} in our fleet`
+            });
+        }
+
+        const pool = await getPoolAvailability(vehicleClass, start, end);
+        const period = car.getRentalPeriod(start, end);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                isAvailable: pool.available > 0,
+                vehicleClass,
+                className: describeClass(vehicleClass),
+                availableCars: pool.available,
+                totalCars: pool.total,
+                // Cars the customer may get, as examples
+                examples: [...new Set(pool.cars.map(poolCar => `${poolCar.make} ${poolCar.model}`))],
+                pickupDate: start,
+                dropoffDate: end,
+                totalDays: period.totalDays,
+                totalHours: period.billedHours,
+                pricePerDay: car.pricePerDay,
+                pricePerHour: car.pricePerHour,
+                totalPrice: car.calculateRentalPrice(period.days, { hours: period.hours }),
+                securityDeposit: car.securityDeposit
+            }
+        });
+    } catch (error) {
+        console.error('Check category availability error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 // @desc    Get car statistics
 // @route   GET /api/cars/:id/stats
 // @access  Private/Admin
@@ -704,6 +813,13 @@ exports.updateMaintenance = async (req, res) => {
         }
         
         await car.save();
+
+        if (req.body.underMaintenance) {
+            await reassignCarBookings(car._id, {
+                reason: `${car.make} ${car.model} under maintenance`,
+                changedBy: req.user.id
+            });
+        }
         
         // Create notification
         await Notification.create({
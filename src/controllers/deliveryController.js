@@ -0,0 +1,212 @@
+const Booking = require('../models/Booking');
+const { toDateTime, formatDate, startOfDay, isValidDate } = require('../utils/dateTime');
+const {
+    getBranchSettings,
+    quoteRun,
+    getSlots,
+    assignDriver,
+    updateRunStatus,
+    OPEN_RUN_STATUSES
+} = require('../utils/deliveryService');
+
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+// @desc    Price doorstep delivery or collection to an address
+// @route   POST /api/delivery/quote
+// @access  Private
+exports.quoteDelivery = async (req, res) => {
+    try {
+        const quote = quoteRun(req.body.city, req.body.address);
+
+        res.status(200).json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        console.error('Quote delivery error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a branch's delivery slots for a day with what is left in each
+// @route   GET /api/delivery/slots
+// @access  Private
+exports.getDeliverySlots = async (req, res) => {
+    try {
+        const date = toDateTime(req.query.date);
+
+        if (!req.query.city || !isValidDate(date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'City and a valid date are required'
+            });
+        }
+
+        const slots = await getSlots(req.query.city, date);
+
+        res.status(200).json({
+            success: true,
+            count: slots.length,
+            data: slots
+        });
+    } catch (error) {
+        console.error('Get delivery slots error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get the delivery and collection runs of a day
+// @route   GET /api/delivery/runs
+// @access  Private/Staff
+exports.getDeliveryRuns = async (req, res) => {
+    try {
+        const { city, status, driver, mine } = req.query;
+        const date = toDateTime(req.query.date || formatDate(new Date()));
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date'
+            });
+        }
+
+        // The day in the branch timezone; the next midnight, not 24 hours
+        // on, so days with a DST change are whole
+        const dayStart = startOfDay(date);
+        const dayEnd = startOfDay(new Date(dayStart.getTime() + 36 * 60 * 60 * 1000));
+
+        const match = {
+            'slot.start': { $gte: dayStart, $lt: dayEnd },
+            status: status || { $in: OPEN_RUN_STATUSES }
+        };
+
+        if (city) {
+            const branch = getBranchSettings(city);
+            match.branchCity = branch ? branch.city : city;
+        }
+
+        // Drivers see their own runs; admins can look at anyone's
+        if (mine === 'true' || !ADMIN_ROLES.includes(req.user.role)) {
+            match.driver = req.user.id;
+        } else if (driver) {
+            match.driver = driver;
+        }
+
+        const bookings = await Booking.find({ deliveries: { $elemMatch: match } })
+            .select('bookingNumber user car status pickupDate dropoffDate deliveries')
+            .populate('user', 'name phone')
+            .populate('car', 'make model licensePlate')
+            .populate('deliveries.driver', 'name phone');
+
+        const matches = (run) => run.slot.start >= dayStart && run.slot.start < dayEnd
+            && (status ? run.status === status : OPEN_RUN_STATUSES.includes(run.status))
+            && (!match.branchCity || run.branchCity === match.branchCity)
+            && (!match.driver || (run.driver && run.driver._id.toString() === match.driver.toString()));
+
+        const runs = bookings
+            .flatMap(booking => booking.deliveries.filter(matches).map(run => ({
+                ...run.toObject(),
+                booking: {
+                    _id: booking._id,
+                    bookingNumber: booking.bookingNumber,
+                    status: booking.status,
+                    user: booking.user,
+                    car: booking.car
+                }
+            })))
+            .sort((a, b) => a.slot.start - b.slot.start);
+
+        res.status(200).json({
+            success: true,
+            count: runs.length,
+            data: runs
+        });
+    } catch (error) {
+        console.error('Get delivery runs error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Assign a staff driver to a delivery or collection run
+// @route   PUT /api/bookings/:id/deliveries/:runId/driver
+// @access  Private/Admin
+exports.assignDeliveryDriver = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const run = await assignDriver(booking, req.params.runId, {
+            driverId: req.body.driverId,
+            assignedBy: req.user.id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: run
+        });
+    } catch (error) {
+        console.error('Assign delivery driver error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Mark a run dispatched, delivered or collected
+// @route   PUT /api/bookings/:id/deliveries/:runId/status
+// @access  Private/Staff
+exports.updateDeliveryStatus = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        // Drivers can only update their own runs
+        const run = booking.deliveries.id(req.params.runId);
+        if (run && !ADMIN_ROLES.includes(req.user.role)
+            && (!run.driver || run.driver.toString() !== req.user.id.toString())) {
+            return res.status(403).json({
+                success: false,
+                error: 'This run is assigned to another driver'
+            });
+        }
+
+        const updated = await updateRunStatus(booking, req.params.runId, {
+            status: req.body.status,
+            note: req.body.note,
+            updatedBy: req.user.id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: updated
+        });
+    } catch (error) {
+        console.error('Update delivery status error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
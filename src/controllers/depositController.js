@@ -0,0 +1,168 @@
+const Booking = require('../models/Booking');
+const {
+    collectDeposit,
+    addDeduction,
+    settleDeposit,
+    getDepositSummary
+} = require('../utils/depositService');
+const { issueDepositDebitNote } = require('../utils/invoiceService');
+
+// @desc    Get the security deposit statement of a booking
+// @route   GET /api/bookings/:id/deposit
+// @access  Private
+exports.getDeposit = async (req, res) => {
+    try {
+        const query = { _id: req.params.id };
+
+        if (!['admin', 'super_admin'].includes(req.user.role)) {
+            query.user = req.user.id;
+        }
+
+        const booking = await Booking.findOne(query);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: getDepositSummary(booking)
+        });
+    } catch (error) {
+        console.error('Get deposit error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Collect or pre-authorise the security deposit at pickup
+// @route   POST /api/bookings/:id/deposit/collect
+// @access  Private/Admin
+exports.collectBookingDeposit = async (req, res) => {
+    try {
+        const { method, amount, reference } = req.body;
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        if (!['confirmed', 'active'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot collect a deposit for a ${booking.status} booking`
+            });
+        }
+
+        const summary = await collectDeposit(booking, {
+            method,
+            amount: amount !== undefined ? Number(amount) : undefined,
+            reference,
+            collectedBy: req.user.id
+        });
+
+        await booking.save();
+
+        res.status(200).json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        console.error('Collect deposit error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Itemise a charge against the security deposit
+// @route   POST /api/bookings/:id/deposit/deductions
+// @access  Private/Admin
+exports.addDepositDeduction = async (req, res) => {
+    try {
+        const { category, description, amount, reference } = req.body;
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const summary = addDeduction(booking, {
+            category,
+            description,
+            amount: Number(amount),
+            reference,
+            createdBy: req.user.id
+        });
+
+        await booking.save();
+
+        res.status(201).json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        console.error('Add deposit deduction error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Release the remaining deposit or bill the shortfall
+// @route   POST /api/bookings/:id/deposit/settle
+// @access  Private/Admin
+exports.settleBookingDeposit = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        if (booking.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                error: 'Deposit can only be settled after the car is returned'
+            });
+        }
+
+        const summary = await settleDeposit(booking, {
+            releaseTo: req.body.releaseTo,
+            settledBy: req.user.id
+        });
+
+        await booking.save();
+
+        await issueDepositDebitNote(booking, { issuedBy: req.user.id });
+
+        res.status(200).json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        console.error('Settle deposit error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,280 @@
+const Booking = require('../models/Booking');
+const storage = require('../utils/storage');
+const {
+    getDisputableCharges,
+    raiseDispute,
+    addEvidence,
+    addMessage,
+    adjustItem,
+    resolveDispute
+} = require('../utils/disputeService');
+
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+// Customers see their own bookings' disputes; admins see all
+const findBooking = (req) => {
+    const query = { _id: req.params.id };
+
+    if (!ADMIN_ROLES.includes(req.user.role)) {
+        query.user = req.user.id;
+    }
+
+    return Booking.findOne(query);
+};
+
+// Evidence files are private; sign each one
+const toDispute = (dispute) => {
+    const data = dispute.toObject ? dispute.toObject() : dispute;
+
+    return {
+        ...data,
+        evidence: (data.evidence || []).map(storage.withFileUrl)
+    };
+};
+
+// @desc    Get the dispute of a booking and the charges that can be disputed
+// @route   GET /api/bookings/:id/dispute
+// @access  Private
+exports.getDispute = async (req, res) => {
+    try {
+        const booking = await findBooking(req);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                bookingNumber: booking.bookingNumber,
+                dispute: booking.dispute && booking.dispute.status ? toDispute(booking.dispute) : null,
+                charges: getDisputableCharges(booking)
+            }
+        });
+    } catch (error) {
+        console.error('Get dispute error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Dispute charges on a completed booking
+// @route   POST /api/bookings/:id/dispute
+// @access  Private
+exports.createDispute = async (req, res) => {
+    try {
+        // Only the customer can dispute their own charges
+        const booking = await Booking.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const dispute = await raiseDispute(booking, {
+            userId: req.user.id,
+            reason: req.body.reason,
+            items: req.body.items
+        });
+
+        res.status(201).json({
+            success: true,
+            data: toDispute(dispute)
+        });
+    } catch (error) {
+        console.error('Create dispute error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Upload evidence for a dispute
+// @route   POST /api/bookings/:id/dispute/evidence
+// @access  Private
+exports.uploadDisputeEvidence = async (req, res) => {
+    try {
+        const booking = await findBooking(req);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please upload at least one file'
+            });
+        }
+
+        const evidence = await addEvidence(booking, {
+            files: req.files,
+            descriptions: [].concat(req.body.descriptions || []),
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            count: evidence.length,
+            data: evidence.map(storage.withFileUrl)
+        });
+    } catch (error) {
+        console.error('Upload dispute evidence error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Reply on a dispute
+// @route   POST /api/bookings/:id/dispute/messages
+// @access  Private
+exports.addDisputeMessage = async (req, res) => {
+    try {
+        const booking = await findBooking(req);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const dispute = await addMessage(booking, {
+            user: req.user,
+            isStaff: ADMIN_ROLES.includes(req.user.role),
+            message: req.body.message
+        });
+
+        res.status(201).json({
+            success: true,
+            data: toDispute(dispute)
+        });
+    } catch (error) {
+        console.error('Add dispute message error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get the queue of open disputes
+// @route   GET /api/admin/disputes
+// @access  Private/Admin
+exports.getDisputes = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+
+        const query = {
+            'dispute.status': status || { $in: ['open', 'under_review', 'resolving'] }
+        };
+
+        // Oldest first, so nothing waits too long
+        const bookings = await Booking.find(query)
+            .select('bookingNumber user car status totalAmount completedAt dispute.status dispute.reason dispute.raisedAt dispute.items dispute.resolution')
+            .populate('user', 'name email phone')
+            .populate('car', 'make model licensePlate')
+            .sort('dispute.raisedAt')
+            .skip((page - 1) * limit)
+            .limit(parseInt(limit, 10));
+
+        const total = await Booking.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: bookings.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page, 10),
+            data: bookings
+        });
+    } catch (error) {
+        console.error('Get disputes error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Decide on a disputed charge
+// @route   PUT /api/bookings/:id/dispute/items/:itemId
+// @access  Private/Admin
+exports.adjustDisputeItem = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const item = await adjustItem(booking, req.params.itemId, {
+            amount: Number(req.body.amount),
+            note: req.body.note,
+            decidedBy: req.user.id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: item
+        });
+    } catch (error) {
+        console.error('Adjust dispute item error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Resolve a dispute, refunding what was taken off the charges
+// @route   POST /api/bookings/:id/dispute/resolve
+// @access  Private/Admin
+exports.resolveBookingDispute = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const dispute = await resolveDispute(booking, {
+            note: req.body.note,
+            refundTo: req.body.refundTo,
+            resolvedBy: req.user.id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: toDispute(dispute)
+        });
+    } catch (error) {
+        console.error('Resolve dispute error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,43 @@
+const { getStorage, isPrivate } = require('../utils/storage');
+
+// @desc    Serve a file kept by the local storage driver
+// @route   GET /api/files/*key
+// @access  Public (private files need a signed link)
+exports.getFile = async (req, res) => {
+    try {
+        const storage = getStorage();
+        const key = [].concat(req.params.key).join('/');
+
+        if (storage.name !== 'local') {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        if (isPrivate(key) && !storage.verifySignature(key, req.query.expires, req.query.signature)) {
+            return res.status(403).json({
+                success: false,
+                error: 'This link is invalid or has expired'
+            });
+        }
+
+        const filePath = await storage.getPath(key);
+
+        if (!filePath) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        res.set('Cache-Control', isPrivate(key) ? 'private, no-store' : 'public, max-age=86400');
+        res.sendFile(filePath);
+    } catch (error) {
+        console.error('Get file error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,74 @@
+const BookingHold = require('../models/BookingHold');
+const { createHold, releaseHolds } = require('../utils/holdService');
+const { offerFreedCar } = require('../utils/waitlistService');
+const { toDateTime } = require('../utils/dateTime');
+
+// @desc    Reserve a car for the selected dates while the customer checks out
+// @route   POST /api/bookings/holds
+// @access  Private
+exports.createBookingHold = async (req, res) => {
+    try {
+        const { carId, pickupDate, dropoffDate } = req.body;
+
+        const hold = await createHold({
+            carId,
+            userId: req.user.id,
+            pickupDate: toDateTime(pickupDate, req.body.pickupTime),
+            dropoffDate: toDateTime(dropoffDate, req.body.dropoffTime)
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                holdId: hold._id,
+                car: hold.car,
+                pickupDate: hold.pickupDate,
+                dropoffDate: hold.dropoffDate,
+                expiresAt: hold.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Create booking hold error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Give up a reservation (e.g. checkout abandoned)
+// @route   DELETE /api/bookings/holds/:holdId
+// @access  Private
+exports.releaseBookingHold = async (req, res) => {
+    try {
+        const hold = await BookingHold.findOne({
+            _id: req.params.holdId,
+            user: req.user.id,
+            status: 'active',
+            booking: { $exists: false }
+        });
+
+        if (!hold) {
+            return res.status(404).json({
+                success: false,
+                error: 'Reservation not found'
+            });
+        }
+
+        await releaseHolds({ _id: hold._id });
+
+        // Give the dates to the next customer on the waitlist
+        await offerFreedCar(hold.car);
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        console.error('Release booking hold error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,268 @@
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const {
+    issueInvoice,
+    issueCreditNote,
+    issueDebitNote,
+    regeneratePdf
+} = require('../utils/invoiceService');
+const storage = require('../utils/storage');
+
+// Invoice PDFs are private; swap the stored link for a fresh signed one
+const withPdfUrl = (invoice) => {
+    const data = invoice.toObject();
+
+    if (data.pdf && data.pdf.public_id) {
+        data.pdf = storage.withFileUrl(data.pdf);
+    }
+
+    return data;
+};
+
+// @desc    Get invoices and notes of a booking
+// @route   GET /api/bookings/:id/invoices
+// @access  Private
+exports.getBookingInvoices = async (req, res) => {
+    try {
+        const query = { _id: req.params.id };
+
+        if (!['admin', 'super_admin'].includes(req.user.role)) {
+            query.user = req.user.id;
+        }
+
+        const booking = await Booking.findOne(query).select('_id');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const invoices = await Invoice.find({ booking: booking._id })
+            .select('invoiceNumber type status reason totals pdf issuedAt originalInvoice')
+            .sort('issuedAt');
+
+        res.status(200).json({
+            success: true,
+            count: invoices.length,
+            data: invoices.map(withPdfUrl)
+        });
+    } catch (error) {
+        console.error('Get booking invoices error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    List invoices, credit notes and debit notes
+// @route   GET /api/admin/invoices
+// @access  Private/Admin
+exports.getInvoices = async (req, res) => {
+    try {
+        const { type, financialYear, branchCode, booking, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (type) query.type = type;
+        if (financialYear) query.financialYear = financialYear;
+        if (branchCode) query.branchCode = branchCode.toUpperCase();
+        if (booking) query.booking = booking;
+
+        const invoices = await Invoice.find(query)
+            .populate('booking', 'bookingNumber')
+            .select('-lines')
+            .sort({ series: 1, sequence: -1 })
+            .skip((page - 1) * limit)
+            .limit(parseInt(limit));
+
+        const total = await Invoice.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: invoices.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            data: invoices
+        });
+    } catch (error) {
+        console.error('Get invoices error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a single invoice or note
+// @route   GET /api/admin/invoices/:id
+// @access  Private/Admin
+exports.getInvoice = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id)
+            .populate('booking', 'bookingNumber status')
+            .populate('originalInvoice', 'invoiceNumber issuedAt');
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: withPdfUrl(invoice)
+        });
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Issue the tax invoice of a booking
+// @route   POST /api/admin/bookings/:bookingId/invoice
+// @access  Private/Admin
+exports.createInvoice = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        if (!['confirmed', 'active', 'completed'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot invoice a ${booking.status} booking`
+            });
+        }
+
+        const invoice = await issueInvoice(booking, { issuedBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            data: invoice
+        });
+    } catch (error) {
+        console.error('Create invoice error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Issue a credit note against an invoice
+// @route   POST /api/admin/invoices/:id/credit-note
+// @access  Private/Admin
+exports.createCreditNote = async (req, res) => {
+    try {
+        const { amount, reason } = req.body;
+
+        const invoice = await Invoice.findOne({ _id: req.params.id, type: 'invoice' });
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+
+        const note = await issueCreditNote({ _id: invoice.booking }, Number(amount), {
+            reason,
+            issuedBy: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: note
+        });
+    } catch (error) {
+        console.error('Create credit note error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Issue a debit note against an invoice
+// @route   POST /api/admin/invoices/:id/debit-note
+// @access  Private/Admin
+exports.createDebitNote = async (req, res) => {
+    try {
+        const { items, reason } = req.body;
+
+        const invoice = await Invoice.findOne({ _id: req.params.id, type: 'invoice' });
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+
+        const booking = await Booking.findById(invoice.booking);
+
+        const note = await issueDebitNote(booking, items.map(item => ({
+            type: item.type || 'penalty',
+            description: item.description,
+            amount: Number(item.amount)
+        })), {
+            reason,
+            issuedBy: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: note
+        });
+    } catch (error) {
+        console.error('Create debit note error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Generate the PDF of an invoice or note again
+// @route   POST /api/admin/invoices/:id/pdf
+// @access  Private/Admin
+exports.regenerateInvoicePdf = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+
+        const updated = await regeneratePdf(invoice);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                invoiceNumber: updated.invoiceNumber,
+                pdf: updated.pdf
+            }
+        });
+    } catch (error) {
+        console.error('Regenerate invoice PDF error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
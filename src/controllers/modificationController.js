@@ -0,0 +1,115 @@
+const Booking = require('../models/Booking');
+const {
+    quoteModification,
+    applyModification,
+    toPreview
+} = require('../utils/modificationService');
+
+const STAFF_ROLES = ['staff', 'admin', 'super_admin'];
+
+// Customers change their own bookings; staff can change any
+const findBooking = (req) => {
+    const query = { _id: req.params.id };
+
+    if (!STAFF_ROLES.includes(req.user.role)) {
+        query.user = req.user.id;
+    }
+
+    return Booking.findOne(query);
+};
+
+// @desc    Preview the new price of a change to a booking
+// @route   POST /api/bookings/:id/modify/preview
+// @access  Private
+exports.previewModification = async (req, res) => {
+    try {
+        const booking = await findBooking(req);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const quote = await quoteModification(booking, req.body);
+
+        res.status(200).json({
+            success: true,
+            data: toPreview(quote)
+        });
+    } catch (error) {
+        console.error('Preview booking change error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Change the dates, times, locations or add-ons of a booking
+// @route   PUT /api/bookings/:id/modify
+// @access  Private
+exports.modifyBooking = async (req, res) => {
+    try {
+        const booking = await findBooking(req);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        const result = await applyModification(booking, req.body, {
+            revisedBy: req.user.id,
+            refundTo: req.body.refundTo,
+            chargeWallet: req.body.chargeWallet === true || req.body.chargeWallet === 'true'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                booking: result.booking,
+                revision: result.revision,
+                amountDue: result.amountDue
+            }
+        });
+    } catch (error) {
+        console.error('Modify booking error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get the change history of a booking
+// @route   GET /api/bookings/:id/revisions
+// @access  Private
+exports.getRevisions = async (req, res) => {
+    try {
+        const booking = await findBooking(req)
+            .select('bookingNumber revisions')
+            .populate('revisions.revisedBy', 'name role');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            count: booking.revisions.length,
+            data: booking.revisions
+        });
+    } catch (error) {
+        console.error('Get booking revisions error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
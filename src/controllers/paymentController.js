@@ -0,0 +1,320 @@
+const Booking = require('../models/Booking');
+const { getGateway, isSupportedGateway } = require('../utils/paymentGateways');
+const {
+    createOrderForBooking,
+    capturePayment,
+    failPayment,
+    recordGatewayRefund,
+    payWithWallet,
+    recordCounterPayment,
+    getAmountDue,
+    getAdvanceDue
+} = require('../utils/paymentService');
+const walletService = require('../utils/walletService');
+
+// @desc    Create a payment order for a booking
+// @route   POST /api/payments/orders
+// @access  Private
+exports.createPaymentOrder = async (req, res) => {
+    try {
+        const booking = await Booking.findOne({
+            _id: req.body.bookingId,
+            user: req.user.id
+        });
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        // Active bookings can still owe for an approved extension
+        if (!['pending', 'confirmed', 'active'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot take payment for a ${booking.status} booking`
+            });
+        }
+
+        if (booking.payment.status === 'paid') {
+            return res.status(400).json({
+                success: false,
+                error: 'Booking is already paid'
+            });
+        }
+
+        const order = await createOrderForBooking(booking, {
+            payFull: req.body.payFull === true || req.body.payFull === 'true'
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                bookingId: booking._id,
+                bookingNumber: booking.bookingNumber,
+                ...order
+            }
+        });
+    } catch (error) {
+        console.error('Create payment order error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Verify client-side payment callback
+// @route   POST /api/payments/verify
+// @access  Private
+exports.verifyPayment = async (req, res) => {
+    try {
+        const { bookingId, orderId, paymentId, signature } = req.body;
+
+        const booking = await Booking.findOne({
+            _id: bookingId,
+            user: req.user.id,
+            'payment.transactions.gatewayOrderId': orderId
+        });
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment order not found for this booking'
+            });
+        }
+
+        const transaction = booking.payment.transactions.find(t => t.gatewayOrderId === orderId);
+        const gateway = getGateway(transaction.gateway);
+
+        const isValid = await gateway.verifyPayment({ orderId, paymentId, signature });
+
+        if (!isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment verification failed'
+            });
+        }
+
+        // Stripe confirms by PaymentIntent only, so the intent doubles as payment id
+        const updatedBooking = await capturePayment({
+            orderId,
+            paymentId: paymentId || orderId,
+            signature,
+            gateway: gateway.name
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                bookingId: updatedBooking._id,
+                status: updatedBooking.status,
+                paymentStatus: updatedBooking.payment.status,
+                paidAmount: updatedBooking.paidAmount
+            }
+        });
+    } catch (error) {
+        console.error('Verify payment error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Pay for a booking from the wallet
+// @route   POST /api/payments/wallet
+// @access  Private
+exports.payWithWallet = async (req, res) => {
+    try {
+        const { bookingId, amount } = req.body;
+
+        const booking = await Booking.findOne({
+            _id: bookingId,
+            user: req.user.id
+        });
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        if (!['pending', 'confirmed', 'active'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot take payment for a ${booking.status} booking`
+            });
+        }
+
+        const updatedBooking = await payWithWallet(
+            booking,
+            amount !== undefined ? Number(amount) : undefined
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                bookingId: updatedBooking._id,
+                status: updatedBooking.status,
+                paymentStatus: updatedBooking.payment.status,
+                paidAmount: updatedBooking.paidAmount,
+                walletBalance: await walletService.getBalance(req.user.id)
+            }
+        });
+    } catch (error) {
+        console.error('Wallet payment error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Look up a booking's balance at the counter
+// @route   GET /api/payments/counter/:bookingNumber
+// @access  Private/Staff
+exports.getCounterBalance = async (req, res) => {
+    try {
+        const booking = await Booking.findOne({ bookingNumber: req.params.bookingNumber })
+            .populate('user', 'name email phone')
+            .populate('car', 'make model licensePlate');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                bookingId: booking._id,
+                bookingNumber: booking.bookingNumber,
+                status: booking.status,
+                user: booking.user,
+                car: booking.car,
+                pickupDate: booking.pickupDate,
+                totalAmount: booking.totalAmount,
+                paidAmount: booking.paidAmount,
+                balance: getAmountDue(booking),
+                advanceDue: getAdvanceDue(booking),
+                payment: {
+                    mode: booking.payment.mode,
+                    status: booking.payment.status,
+                    balanceDueAt: booking.payment.balanceDueAt
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get counter balance error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Collect a payment at the counter (cash, UPI or card)
+// @route   POST /api/payments/counter
+// @access  Private/Staff
+exports.collectCounterPayment = async (req, res) => {
+    try {
+        const { bookingId, amount, method, reference } = req.body;
+
+        const booking = await Booking.findById(bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: 'Booking not found'
+            });
+        }
+
+        if (!['pending', 'confirmed', 'active', 'completed'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot take payment for a ${booking.status} booking`
+            });
+        }
+
+        const updatedBooking = await recordCounterPayment(booking, {
+            amount: amount !== undefined ? Number(amount) : undefined,
+            method,
+            reference,
+            collectedBy: req.user.id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                bookingId: updatedBooking._id,
+                bookingNumber: updatedBooking.bookingNumber,
+                status: updatedBooking.status,
+                paymentStatus: updatedBooking.payment.status,
+                paidAmount: updatedBooking.paidAmount,
+                balance: getAmountDue(updatedBooking)
+            }
+        });
+    } catch (error) {
+        console.error('Counter payment error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Receive payment gateway webhooks
+// @route   POST /api/payments/webhook/:gateway
+// @access  Public (signature verified)
+exports.handleWebhook = async (req, res) => {
+    try {
+        if (!isSupportedGateway(req.params.gateway)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Unknown payment gateway'
+            });
+        }
+
+        const gateway = getGateway(req.params.gateway);
+        // Orders are only settled by the gateway they were placed on
+        const event = {
+            ...gateway.parseWebhook(req.rawBody || '', req.headers),
+            gateway: gateway.name
+        };
+
+        let booking = null;
+        let topUp = null;
+
+        // Orders that no booking owns may be wallet top-ups
+        if (event.event === 'payment.captured') {
+            booking = await capturePayment(event);
+            if (!booking) topUp = await walletService.completeTopUp(event);
+        } else if (event.event === 'payment.failed') {
+            booking = await failPayment(event);
+            if (!booking) topUp = await walletService.failTopUp(event);
+        } else if (event.event === 'refund.processed') {
+            booking = await recordGatewayRefund(event);
+        }
+
+        // Always acknowledge so the gateway stops retrying events we don't track
+        res.status(200).json({
+            success: true,
+            data: {
+                event: event.event,
+                bookingId: booking ? booking._id : null,
+                walletTransactionId: topUp ? topUp._id : null
+            }
+        });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
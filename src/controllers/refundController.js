@@ -0,0 +1,113 @@
+const Booking = require('../models/Booking');
+const { processRefund, getOutstandingRefund } = require('../utils/refundService');
+
+// @desc    List cancellation refunds
+// @route   GET /api/admin/refunds
+// @access  Private/Admin
+exports.getRefunds = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+
+        const query = {
+            status: 'cancelled',
+            'cancellation.refundStatus': status
+                ? status
+                : { $in: ['pending', 'failed'] }
+        };
+
+        const bookings = await Booking.find(query)
+            .populate('user', 'name email phone')
+            .select('bookingNumber user totalAmount paidAmount payment.status payment.gateway cancellation')
+            .sort('cancellation.cancelledAt')
+            .skip((page - 1) * limit)
+            .limit(parseInt(limit));
+
+        const total = await Booking.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: bookings.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            data: bookings.map(booking => ({
+                ...booking.toObject(),
+                outstandingRefund: getOutstandingRefund(booking)
+            }))
+        });
+    } catch (error) {
+        console.error('Get refunds error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Process (or retry) a booking's refund
+// @route   POST /api/admin/refunds/:bookingId/process
+// @access  Private/Admin
+exports.triggerRefund = async (req, res) => {
+    try {
+        const { amount, destination } = req.body;
+
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking || booking.status !== 'cancelled') {
+            return res.status(404).json({
+                success: false,
+                error: 'Cancelled booking not found'
+            });
+        }
+
+        if (!['pending', 'failed'].includes(booking.cancellation.refundStatus)) {
+            return res.status(400).json({
+                success: false,
+                error: `Refund is ${booking.cancellation.refundStatus}`
+            });
+        }
+
+        if (amount !== undefined && (isNaN(amount) || Number(amount) <= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Refund amount must be a positive number'
+            });
+        }
+
+        // A manual trigger gives a failed refund a fresh set of retries
+        if (booking.cancellation.refundStatus === 'failed') {
+            booking.cancellation.refundStatus = 'pending';
+            booking.cancellation.refundAttempts = 0;
+            await booking.save();
+        }
+
+        const updatedBooking = await processRefund(booking._id, {
+            amount: amount !== undefined ? Number(amount) : undefined,
+            destination
+        });
+
+        if (!updatedBooking) {
+            return res.status(409).json({
+                success: false,
+                error: 'Refund for this booking is already being processed'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                bookingId: updatedBooking._id,
+                bookingNumber: updatedBooking.bookingNumber,
+                paymentStatus: updatedBooking.payment.status,
+                cancellation: updatedBooking.cancellation,
+                outstandingRefund: getOutstandingRefund(updatedBooking)
+            }
+        });
+    } catch (error) {
+        console.error('Trigger refund error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,169 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { joinWaitlist, leaveWaitlist, getDemandByCar } = require('../utils/waitlistService');
+const { toDateTime } = require('../utils/dateTime');
+
+// @desc    Join the waitlist for a car that is booked for the requested dates
+// @route   POST /api/waitlist
+// @access  Private
+exports.joinCarWaitlist = async (req, res) => {
+    try {
+        const { carId, pickupDate, dropoffDate, scope } = req.body;
+
+        const entry = await joinWaitlist({
+            userId: req.user.id,
+            carId,
+            pickupDate: toDateTime(pickupDate, req.body.pickupTime),
+            dropoffDate: toDateTime(dropoffDate, req.body.dropoffTime),
+            scope
+        });
+
+        // Position among customers waiting for the same car
+        const position = await WaitlistEntry.countDocuments({
+            car: entry.car,
+            status: 'waiting',
+            createdAt: { $lte: entry.createdAt }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                entry,
+                position
+            }
+        });
+    } catch (error) {
+        console.error('Join waitlist error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get my waitlist entries
+// @route   GET /api/waitlist
+// @access  Private
+exports.getMyWaitlist = async (req, res) => {
+    try {
+        const query = { user: req.user.id };
+
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const entries = await WaitlistEntry.find(query)
+            .populate('car', 'make model images pricePerDay location')
+            .populate('offer.car', 'make model images pricePerDay location')
+            .sort('-createdAt');
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            data: entries
+        });
+    } catch (error) {
+        console.error('Get my waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Leave a waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private
+exports.leaveCarWaitlist = async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Waitlist entry not found'
+            });
+        }
+
+        await leaveWaitlist(entry);
+
+        res.status(200).json({
+            success: true,
+            data: entry
+        });
+    } catch (error) {
+        console.error('Leave waitlist error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get all waitlist entries
+// @route   GET /api/admin/waitlist
+// @access  Private/Admin
+exports.getWaitlist = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const startIndex = (page - 1) * limit;
+
+        const query = {};
+
+        if (req.query.status) query.status = req.query.status;
+        if (req.query.car) query.car = req.query.car;
+        if (req.query.city) query.city = req.query.city;
+        if (req.query.category) query.category = req.query.category;
+
+        const total = await WaitlistEntry.countDocuments(query);
+        const entries = await WaitlistEntry.find(query)
+            .populate('user', 'name email phone')
+            .populate('car', 'make model licensePlate')
+            .populate('offer.car', 'make model licensePlate')
+            .sort('createdAt')
+            .skip(startIndex)
+            .limit(limit);
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            total,
+            pagination: {
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            },
+            data: entries
+        });
+    } catch (error) {
+        console.error('Get waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get open waitlist demand per car
+// @route   GET /api/admin/waitlist/demand
+// @access  Private/Admin
+exports.getWaitlistDemand = async (req, res) => {
+    try {
+        const demand = await getDemandByCar();
+
+        res.status(200).json({
+            success: true,
+            count: demand.length,
+            data: demand
+        });
+    } catch (error) {
+        console.error('Get waitlist demand error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,185 @@
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const walletService = require('../utils/walletService');
+const { getGateway } = require('../utils/paymentGateways');
+
+const MIN_TOP_UP = parseInt(process.env.WALLET_MIN_TOP_UP, 10) || 100;
+const MAX_TOP_UP = parseInt(process.env.WALLET_MAX_TOP_UP, 10) || 50000;
+
+// @desc    Get wallet balance and recent activity
+// @route   GET /api/wallet
+// @access  Private
+exports.getWallet = async (req, res) => {
+    try {
+        const balance = await walletService.getBalance(req.user.id);
+        const { transactions } = await walletService.getHistory(req.user.id, { limit: 5 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                balance,
+                recentTransactions: transactions
+            }
+        });
+    } catch (error) {
+        console.error('Get wallet error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get wallet transaction history
+// @route   GET /api/wallet/transactions
+// @access  Private
+exports.getWalletTransactions = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, type, source } = req.query;
+
+        const { transactions, total } = await walletService.getHistory(req.user.id, {
+            page,
+            limit,
+            type,
+            source
+        });
+
+        res.status(200).json({
+            success: true,
+            count: transactions.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            data: transactions
+        });
+    } catch (error) {
+        console.error('Get wallet transactions error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Start a wallet top-up
+// @route   POST /api/wallet/topup
+// @access  Private
+exports.topUpWallet = async (req, res) => {
+    try {
+        const amount = Number(req.body.amount);
+
+        if (isNaN(amount) || amount < MIN_TOP_UP || amount > MAX_TOP_UP) {
+            return res.status(400).json({
+                success: false,
+                error: `Top-up amount must be between ₹${MIN_TOP_UP} and ₹${MAX_TOP_UP}`
+            });
+        }
+
+        const order = await walletService.createTopUpOrder(req.user, amount);
+
+        res.status(201).json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        console.error('Wallet top-up error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Verify a wallet top-up payment
+// @route   POST /api/wallet/topup/verify
+// @access  Private
+exports.verifyTopUp = async (req, res) => {
+    try {
+        const { orderId, paymentId, signature } = req.body;
+
+        const entry = await WalletTransaction.findOne({
+            user: req.user.id,
+            source: 'top_up',
+            gatewayOrderId: orderId
+        });
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Top-up not found'
+            });
+        }
+
+        const gateway = getGateway(entry.gateway);
+        const isValid = await gateway.verifyPayment({ orderId, paymentId, signature });
+
+        if (!isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment verification failed'
+            });
+        }
+
+        const completed = await walletService.completeTopUp({
+            orderId,
+            paymentId: paymentId || orderId,
+            gateway: gateway.name
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                transaction: completed,
+                balance: await walletService.getBalance(req.user.id)
+            }
+        });
+    } catch (error) {
+        console.error('Verify top-up error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Credit or debit a user's wallet
+// @route   POST /api/admin/users/:id/wallet
+// @access  Private/Admin
+exports.adjustWallet = async (req, res) => {
+    try {
+        const { type, amount, source = 'admin_adjustment', description } = req.body;
+
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const details = {
+            source,
+            description: description || 'Adjustment by support',
+            createdBy: req.user.id
+        };
+
+        const entry = type === 'debit'
+            ? await walletService.debit(user._id, Number(amount), details)
+            : await walletService.credit(user._id, Number(amount), details);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                transaction: entry,
+                balance: entry.balanceAfter
+            }
+        });
+    } catch (error) {
+        console.error('Adjust wallet error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,95 @@
+// src/jobs/index.js
+// Lightweight in-process scheduler for recurring background work.
+
+const { retryPendingRefunds } = require('../utils/refundService');
+const { sendBalanceReminders } = require('../utils/advancePaymentService');
+const { expireUnpaidBookings, sendPaymentReminders } = require('../utils/bookingExpiryService');
+const { processWaitlist } = require('../utils/waitlistService');
+const { bindUpcomingAssignments } = require('../utils/assignmentService');
+const { markNoShows } = require('../utils/noShowService');
+const { retryChangeRefunds } = require('../utils/modificationService');
+const { resumeDisputes } = require('../utils/disputeService');
+
+const jobs = [
+    {
+        name: 'refund-retry',
+        intervalMinutes: parseInt(process.env.REFUND_RETRY_INTERVAL_MINUTES, 10) || 10,
+        run: retryPendingRefunds
+    },
+    {
+        name: 'change-refund-retry',
+        intervalMinutes: parseInt(process.env.REFUND_RETRY_INTERVAL_MINUTES, 10) || 10,
+        run: retryChangeRefunds
+    },
+    {
+        name: 'dispute-resume',
+        intervalMinutes: parseInt(process.env.REFUND_RETRY_INTERVAL_MINUTES, 10) || 10,
+        run: resumeDisputes
+    },
+    {
+        name: 'unpaid-expiry',
+        intervalMinutes: parseInt(process.env.UNPAID_EXPIRY_INTERVAL_MINUTES || process.env.ADVANCE_EXPIRY_INTERVAL_MINUTES, 10) || 5,
+        run: expireUnpaidBookings
+    },
+    {
+        name: 'payment-reminder',
+        intervalMinutes: parseInt(process.env.PAYMENT_REMINDER_INTERVAL_MINUTES, 10) || 5,
+        run: sendPaymentReminders
+    },
+    {
+        name: 'balance-reminder',
+        intervalMinutes: parseInt(process.env.BALANCE_REMINDER_INTERVAL_MINUTES, 10) || 60,
+        run: sendBalanceReminders
+    },
+    {
+        name: 'waitlist',
+        intervalMinutes: parseInt(process.env.WAITLIST_INTERVAL_MINUTES, 10) || 5,
+        run: processWaitlist
+    },
+    {
+        name: 'car-assignment',
+        intervalMinutes: parseInt(process.env.CAR_ASSIGNMENT_INTERVAL_MINUTES, 10) || 30,
+        run: bindUpcomingAssignments
+    },
+    {
+        name: 'no-show',
+        intervalMinutes: parseInt(process.env.NO_SHOW_INTERVAL_MINUTES, 10) || 15,
+        run: markNoShows
+    }
+];
+
+/**
+ * Run a job, skipping the tick if the previous run is still going
+ */
+const runJob = async (job) => {
+    if (job.running) return;
+
+    job.running = true;
+    try {
+        const processed = await job.run();
+        if (processed) {
+            console.log(`⏱️  Job ${job.name}: processed ${processed}`);
+        }
+    } catch (error) {
+        console.error(`❌ Job ${job.name} failed:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+/**
+ * Start all background jobs
+ */
+exports.startJobs = () => {
+    jobs.forEach(job => {
+        const timer = setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000);
+
+        // Don't keep the process alive just for the scheduler
+        timer.unref();
+    });
+
+    console.log(`⏱️  Started ${jobs.length} background job(s)`);
+};
+
+exports.jobs = jobs;
+exports.runJob = runJob;
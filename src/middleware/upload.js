@@ -1,12 +1,6 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
-
-// Ensure upload directory exists
-const uploadDir = 'uploads';
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
+const fileStorage = require('../utils/storage');
 
 // File filter
 const fileFilter = (req, file, cb) => {
@@ -26,33 +20,8 @@ const fileFilter = (req, file, cb) => {
     }
 };
 
-// Storage configuration
-const storage = multer.diskStorage({
-    destination: function(req, file, cb) {
-        let folder = 'general';
-        
-        if (req.baseUrl.includes('cars')) {
-            folder = 'cars';
-        } else if (req.baseUrl.includes('users')) {
-            folder = 'users';
-        } else if (req.baseUrl.includes('bookings')) {
-            folder = 'bookings';
-        }
-        
-        const dir = `uploads/${folder}`;
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-        
-        cb(null, dir);
-    },
-    filename: function(req, file, cb) {
-        // Create unique filename
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-    }
-});
+// Files are kept in memory and handed to the storage driver by storeUploads
+const storage = multer.memoryStorage();
 
 // Upload configuration for different file types
 const uploadConfig = {
@@ -142,7 +111,50 @@ const uploadConfig = {
                 cb(new Error('Please upload only images'), false);
             }
         }
-    }).array('carImages', 8) // Max 8 images
+    }).array('carImages', 8), // Max 8 images
+
+    // Driving licence scan
+    licenseScan: multer({
+        storage: storage,
+        limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+        fileFilter: (req, file, cb) => {
+            const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png'];
+
+            if (allowedTypes.includes(file.mimetype)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Please upload the licence as a PDF, JPG or PNG'), false);
+            }
+        }
+    }).single('license'),
+
+    // Pickup / dropoff inspection photos
+    inspectionImages: multer({
+        storage: storage,
+        limits: { fileSize: 5 * 1024 * 1024 }, // 5MB per image
+        fileFilter: (req, file, cb) => {
+            if (file.mimetype.startsWith('image/')) {
+                cb(null, true);
+            } else {
+                cb(new Error('Please upload only images'), false);
+            }
+        }
+    }).array('images', 12), // Max 12 images
+
+    // Photos, receipts and documents backing a dispute
+    disputeEvidence: multer({
+        storage: storage,
+        limits: { fileSize: 5 * 1024 * 1024 }, // 5MB per file
+        fileFilter: (req, file, cb) => {
+            const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png'];
+
+            if (allowedTypes.includes(file.mimetype)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Please upload evidence as PDF, JPG or PNG files'), false);
+            }
+        }
+    }).array('evidence', 6) // Max 6 files
 };
 
 // Middleware to handle upload errors
@@ -180,54 +192,39 @@ const handleUploadError = (err, req, res, next) => {
     next();
 };
 
-// Cloudinary upload middleware
-const { carImageStorage, userImageStorage, documentStorage } = require('../config/cloudinary');
+// Store the uploaded files with the configured storage driver.
+// Each file gets url and public_id, ready to save on the model.
+const storeUploads = (folder, { access = 'public' } = {}) => async (req, res, next) => {
+    const files = [
+        req.file,
+        ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())
+    ].filter(Boolean);
 
-const cloudinaryUpload = {
-    // Upload to Cloudinary instead of local storage
-    carImagesToCloudinary: multer({ 
-        storage: carImageStorage,
-        limits: { fileSize: 5 * 1024 * 1024 }
-    }).array('images', 8),
-    
-    profileToCloudinary: multer({
-        storage: userImageStorage,
-        limits: { fileSize: 2 * 1024 * 1024 }
-    }).single('profileImage'),
-    
-    documentsToCloudinary: multer({
-        storage: documentStorage,
-        limits: { fileSize: 10 * 1024 * 1024 }
-    }).single('document')
-};
-
-// Cleanup uploaded files middleware
-const cleanupUploads = (req, res, next) => {
-    // Cleanup uploaded files after response is sent
-    res.on('finish', () => {
-        if (req.files) {
-            Object.values(req.files).forEach(fileArray => {
-                if (Array.isArray(fileArray)) {
-                    fileArray.forEach(file => {
-                        if (file.path && fs.existsSync(file.path)) {
-                            fs.unlinkSync(file.path);
-                        }
-                    });
-                }
+    try {
+        await Promise.all(files.map(async (file) => {
+            const stored = await fileStorage.upload(file.buffer, {
+                folder,
+                filename: fileStorage.buildFilename(file.fieldname, file.originalname),
+                contentType: file.mimetype,
+                access
             });
-        }
-        
-        if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-        }
-    });
-    
+
+            file.url = stored.url;
+            file.public_id = stored.public_id;
+        }));
+    } catch (error) {
+        console.error('Store upload error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Could not store the uploaded file'
+        });
+    }
+
     next();
 };
 
 module.exports = {
     ...uploadConfig,
-    ...cloudinaryUpload,
     handleUploadError,
-    cleanupUploads
-};
\ No newline at end of file
+    storeUploads
+};
@@ -19,6 +19,51 @@ const bookingSchema = new mongoose.Schema({
         ref: 'Car',
         required: true
     },
+    // Bookings made for a class of car rather than a specific one; car is
+    // then the vehicle assigned from the pool, which can change until pickup
+    vehicleClass: {
+        category: String,
+        transmission: String,
+        seats: Number, // Minimum
+        city: String
+    },
+    assignment: {
+        status: {
+            type: String,
+            enum: [
+                'provisional', // Any car of the class may still be swapped in
+                'assigned'     // Bound to the car; the customer has been told
+            ]
+        },
+        assignedAt: Date,
+        assignedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        method: {
+            type: String,
+            enum: ['auto', 'admin']
+        },
+        history: [{
+            car: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Car'
+            },
+            previousCar: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Car'
+            },
+            reason: String,
+            changedAt: {
+                type: Date,
+                default: Date.now
+            },
+            changedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        }]
+    },
     
     // Rental Period
     pickupDate: {
@@ -43,6 +88,8 @@ const bookingSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Hours billed; totalDays is this rounded up to whole days
+    totalHours: Number,
     
     // Locations
     pickupLocation: {
@@ -55,7 +102,11 @@ const bookingSchema = new mongoose.Schema({
             street: String,
             city: String,
             state: String,
-            pincode: String
+            pincode: String,
+            coordinates: {
+                lat: Number,
+                lng: Number
+            }
         }
     },
     dropoffLocation: {
@@ -68,9 +119,82 @@ const bookingSchema = new mongoose.Schema({
             street: String,
             city: String,
             state: String,
-            pincode: String
+            pincode: String,
+            coordinates: {
+                lat: Number,
+                lng: Number
+            }
         }
     },
+    // Doorstep delivery to the pickup address and collection from the
+    // dropoff address, see utils/deliveryService
+    deliveries: [{
+        kind: {
+            type: String,
+            enum: ['delivery', 'collection'],
+            required: true
+        },
+        // Branch the driver sets out from (delivery) or returns to (collection)
+        branchCity: String,
+        address: {
+            street: String,
+            city: String,
+            state: String,
+            pincode: String,
+            coordinates: {
+                lat: Number,
+                lng: Number
+            }
+        },
+        zone: String,
+        distanceKm: Number,
+        fee: Number,
+        slot: {
+            label: String,
+            start: Date,
+            end: Date
+        },
+        driver: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        assignedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        assignedAt: Date,
+        status: {
+            type: String,
+            enum: [
+                'scheduled',    // Booked into a slot, waiting for the run
+                'dispatched',   // Driver on the way
+                'delivered',    // Car handed over at the address
+                'collected',    // Car picked up from the address
+                'cancelled'
+            ],
+            default: 'scheduled'
+        },
+        dispatchedAt: Date,
+        completedAt: Date,
+        history: [{
+            status: String,
+            note: String,
+            by: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            at: {
+                type: Date,
+                default: Date.now
+            }
+        }]
+    }],
+    // Trips ending in another branch city; the car is based there after return
+    oneWay: {
+        fromCity: String,
+        toCity: String,
+        dropFee: Number
+    },
     
     // Driver Details
     driverDetails: {
@@ -94,6 +218,80 @@ const bookingSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Security deposit ledger, kept apart from the rental amount
+    deposit: {
+        status: {
+            type: String,
+            enum: [
+                'pending',              // Not collected yet
+                'held',                 // Collected at pickup
+                'pre_authorised',       // Card hold placed at pickup
+                'released',             // Settled, everything returned
+                'partially_released',   // Settled, part kept for deductions
+                'forfeited',            // Settled, deductions used it all
+                'shortfall_billed',     // Deductions exceeded it, difference billed
+                'waived'
+            ],
+            default: 'pending'
+        },
+        method: {
+            type: String,
+            enum: ['cash', 'card', 'upi', 'wallet', 'pre_auth']
+        },
+        reference: String,
+        collectedAmount: {
+            type: Number,
+            default: 0
+        },
+        deductedAmount: {
+            type: Number,
+            default: 0
+        },
+        releasedAmount: {
+            type: Number,
+            default: 0
+        },
+        shortfallAmount: {
+            type: Number,
+            default: 0
+        },
+        releasedTo: {
+            type: String,
+            enum: ['original', 'wallet']
+        },
+        entries: [{
+            type: {
+                type: String,
+                enum: ['collection', 'deduction', 'release', 'shortfall'],
+                required: true
+            },
+            category: {
+                type: String,
+                enum: ['extra_km', 'fuel', 'damage', 'fine', 'late_return', 'cleaning', 'other']
+            },
+            description: String,
+            amount: {
+                type: Number,
+                required: true
+            },
+            reference: String,
+            createdBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        collectedAt: Date,
+        settledAt: Date,
+        // Debit note billing the deductions
+        debitNote: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice'
+        }
+    },
     additionalCharges: [{
         description: String,
         amount: Number,
@@ -110,10 +308,44 @@ const bookingSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // GST breakup, see utils/taxEngine
+    tax: {
+        supplierGstin: String,
+        supplierState: String,
+        supplierStateCode: String,
+        customerGstin: String,
+        customerName: String,
+        customerState: String,
+        customerStateCode: String,
+        placeOfSupply: String,
+        isInterState: Boolean,
+        lines: [{
+            type: {
+                type: String,
+                enum: ['rental', 'insurance', 'service', 'penalty']
+            },
+            description: String,
+            sacCode: String,
+            amount: Number,
+            discount: Number,
+            taxableAmount: Number,
+            rate: Number,
+            cgst: Number,
+            sgst: Number,
+            igst: Number,
+            totalTax: Number
+        }],
+        taxableAmount: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        totalTax: Number
+    },
     totalAmount: {
         type: Number,
         required: true
     },
+    // Paid and not refunded; refunds are taken off it
     paidAmount: {
         type: Number,
         default: 0
@@ -128,14 +360,48 @@ const bookingSchema = new mongoose.Schema({
         },
         status: {
             type: String,
-            enum: ['pending', 'partial', 'paid', 'failed', 'refunded'],
+            enum: ['pending', 'partial', 'paid', 'failed', 'refund_pending', 'partially_refunded', 'refunded'],
             default: 'pending'
         },
+        gateway: String,
+        // Amounts are always charged in INR; the customer's preferred
+        // currency is only used to show an indicative amount
+        currency: {
+            type: String,
+            default: 'INR'
+        },
+        displayCurrency: String,
+        // 'advance' confirms on a part payment, balance is due at pickup
+        mode: {
+            type: String,
+            enum: ['full', 'advance'],
+            default: 'full'
+        },
+        advanceAmount: Number,
+        advanceDueAt: Date,
+        balanceDueAt: Date,
+        balanceReminderSentAt: Date,
+        // Pending bookings still unpaid at this time are cancelled
+        expiresAt: Date,
+        expiryReminderSentAt: Date,
         transactions: [{
             transactionId: String,
+            type: {
+                type: String,
+                enum: ['payment', 'refund', 'adjustment'],
+                default: 'payment'
+            },
             amount: Number,
             method: String,
             status: String,
+            gateway: String,
+            gatewayOrderId: String,
+            gatewayPaymentId: String,
+            failureReason: String,
+            collectedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
             razorpayOrderId: String,
             razorpayPaymentId: String,
             razorpaySignature: String,
@@ -154,6 +420,20 @@ const bookingSchema = new mongoose.Schema({
         enum: ['pending', 'confirmed', 'cancelled', 'active', 'completed', 'no_show', 'disputed'],
         default: 'pending'
     },
+    // Every status change, oldest first, see utils/bookingLifecycle
+    statusHistory: [{
+        from: String,
+        to: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: String,
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     
     // Cancellation
     cancellation: {
@@ -165,9 +445,26 @@ const bookingSchema = new mongoose.Schema({
         refundAmount: Number,
         refundStatus: {
             type: String,
-            enum: ['pending', 'processed', 'failed'],
+            enum: ['pending', 'processed', 'failed', 'not_applicable'],
             default: 'pending'
         },
+        refundMethod: {
+            type: String,
+            enum: ['original', 'wallet'],
+            default: 'original'
+        },
+        refundedAmount: {
+            type: Number,
+            default: 0
+        },
+        refundAttempts: {
+            type: Number,
+            default: 0
+        },
+        lastRefundError: String,
+        nextRefundAttemptAt: Date,
+        refundLockedUntil: Date,
+        refundedAt: Date,
         cancellationFee: Number,
         cancelledAt: Date
     },
@@ -231,7 +528,13 @@ const bookingSchema = new mongoose.Schema({
                 description: String
             }],
             timestamp: Date,
-            signature: String
+            signature: String,
+            // Licence shown at the counter, checked against the booking
+            licenseCheck: {
+                licenseNumber: String,
+                expiresOn: Date,
+                verifiedAt: Date
+            }
         },
         dropoff: {
             conductedBy: {
@@ -264,6 +567,11 @@ const bookingSchema = new mongoose.Schema({
     
     // Documents
     documents: {
+        proforma: {
+            url: String,
+            public_id: String
+        },
+        // Signed by both parties; the unsigned copy is agreement.draft
         agreement: {
             url: String,
             public_id: String
@@ -273,6 +581,58 @@ const bookingSchema = new mongoose.Schema({
             public_id: String
         }
     },
+
+    // Rental agreement, see utils/agreementService
+    agreement: {
+        version: String,
+        status: {
+            type: String,
+            enum: [
+                'generated',        // Waiting for the customer to sign
+                'customer_signed',  // Waiting for staff to countersign
+                'signed'            // Signed by both; documents.agreement
+            ]
+        },
+        draft: {
+            url: String,
+            public_id: String
+        },
+        // Filled-in terms the draft was rendered from; the signed copy is
+        // rendered from these, not from the booking as it is by then
+        content: mongoose.Schema.Types.Mixed,
+        // SHA-256 of the draft PDF the customer signs
+        documentHash: String,
+        generatedAt: Date,
+        customerSignature: {
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            method: {
+                type: String,
+                enum: ['typed', 'drawn']
+            },
+            name: String,
+            image: {
+                url: String,
+                public_id: String
+            },
+            signedAt: Date,
+            ip: String,
+            userAgent: String
+        },
+        countersignature: {
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            name: String,
+            signedAt: Date,
+            ip: String
+        },
+        // SHA-256 of the signed PDF
+        signedDocumentHash: String
+    },
     
     // Promo & Referral
     promoCode: String,
@@ -302,8 +662,192 @@ const bookingSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
-        approvedAt: Date
+        approvedAt: Date,
+        // Priced again on approval
+        taxAmount: Number,
+        totalCost: Number,
+        debitNote: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice'
+        },
+        rejectedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        rejectedAt: Date,
+        rejectionReason: String
     }],
+
+    // Changes the customer made to dates, locations or add-ons, oldest first
+    revisions: [{
+        revisedAt: {
+            type: Date,
+            default: Date.now
+        },
+        revisedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changes: [{
+            field: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed
+        }],
+        previousTotal: Number,
+        newTotal: Number,
+        changeFee: Number,
+        // Money owed (positive) or paid back (negative) because of the change
+        difference: Number,
+        refundAmount: Number,
+        refundMethod: {
+            type: String,
+            enum: ['original', 'wallet']
+        },
+        // A failed refund stays pending until the retry job gives up on it
+        refundStatus: {
+            type: String,
+            enum: ['not_applicable', 'pending', 'processed', 'failed'],
+            default: 'not_applicable'
+        },
+        refundAttempts: {
+            type: Number,
+            default: 0
+        },
+        nextRefundAttemptAt: Date,
+        lastRefundError: String,
+        promoRemoved: String,
+        invoiceNote: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice'
+        }
+    }],
+
+    // Customer dispute of the charges on a completed booking, see utils/disputeService
+    dispute: {
+        status: {
+            type: String,
+            enum: [
+                'open',           // Raised, waiting for an admin
+                'under_review',   // An admin has responded
+                'resolving',      // Being closed, the adjustments are paid out
+                'resolved',       // Closed with some charges reduced or waived
+                'rejected'        // Closed with the charges standing
+            ]
+        },
+        reason: String,
+        raisedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        raisedAt: Date,
+        // Charges the customer disputes
+        items: [{
+            // A deduction from the deposit ledger or a line of additionalCharges
+            source: {
+                type: String,
+                enum: ['deposit', 'charge']
+            },
+            chargeId: mongoose.Schema.Types.ObjectId,
+            category: String,
+            description: String,
+            // Charged when the dispute was raised
+            amount: Number,
+            comment: String,
+            decision: {
+                type: String,
+                enum: ['pending', 'upheld', 'reduced', 'waived'],
+                default: 'pending'
+            },
+            adjustedAmount: Number,
+            decidedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            decidedAt: Date
+        }],
+        evidence: [{
+            url: String,
+            public_id: String,
+            description: String,
+            uploadedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            uploadedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        messages: [{
+            author: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            role: {
+                type: String,
+                enum: ['customer', 'staff']
+            },
+            message: String,
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        resolution: {
+            note: String,
+            // Taken off the charges in total
+            adjustedAmount: Number,
+            refundAmount: Number,
+            refundTo: {
+                type: String,
+                enum: ['original', 'wallet']
+            },
+            // Deposit releases the resolution pays out
+            releases: [{
+                entry: mongoose.Schema.Types.ObjectId,
+                destination: {
+                    type: String,
+                    enum: ['original', 'wallet']
+                }
+            }],
+            // A failed refund stays pending until the retry job gives up on it
+            refundStatus: {
+                type: String,
+                enum: ['not_applicable', 'pending', 'processed', 'failed']
+            },
+            refundAttempts: Number,
+            nextRefundAttemptAt: Date,
+            lastRefundError: String,
+            // Set while a resolution is being paid out, see resumeDisputes
+            lockedUntil: Date,
+            creditNote: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Invoice'
+            },
+            resolvedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            resolvedAt: Date
+        },
+        // Audit trail of everything done on the dispute, oldest first
+        history: [{
+            action: {
+                type: String,
+                enum: ['raised', 'evidence_added', 'message', 'item_adjusted', 'resolved', 'rejected']
+            },
+            note: String,
+            amount: Number,
+            by: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            at: {
+                type: Date,
+                default: Date.now
+            }
+        }]
+    },
     
     // Review
     review: {
@@ -328,6 +872,7 @@ const bookingSchema = new mongoose.Schema({
     pickedUpAt: Date,
     droppedOffAt: Date,
     completedAt: Date,
+    noShowAt: Date,
     createdAt: {
         type: Date,
         default: Date.now
@@ -348,6 +893,15 @@ bookingSchema.index({ status: 1 });
 bookingSchema.index({ pickupDate: 1 });
 bookingSchema.index({ createdAt: -1 });
 bookingSchema.index({ 'payment.status': 1 });
+bookingSchema.index({ 'payment.transactions.gatewayOrderId': 1 });
+bookingSchema.index({ 'cancellation.refundStatus': 1, 'cancellation.nextRefundAttemptAt': 1 });
+bookingSchema.index({ 'revisions.refundStatus': 1, 'revisions.nextRefundAttemptAt': 1 });
+bookingSchema.index({ 'payment.mode': 1, status: 1, 'payment.advanceDueAt': 1 });
+bookingSchema.index({ status: 1, 'payment.expiresAt': 1 });
+bookingSchema.index({ 'assignment.status': 1, pickupDate: 1 });
+bookingSchema.index({ 'dispute.status': 1, 'dispute.raisedAt': 1 });
+bookingSchema.index({ 'deliveries.slot.start': 1, 'deliveries.branchCity': 1 });
+bookingSchema.index({ 'deliveries.driver': 1, 'deliveries.slot.start': 1 });
 
 // Generate booking number
 bookingSchema.pre('save', async function(next) {
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Short-lived reservation of a car for a time range, taken before checkout
+// so two customers cannot book overlapping dates at the same moment
+const bookingHoldSchema = new mongoose.Schema({
+    car: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Car',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    pickupDate: {
+        type: Date,
+        required: true
+    },
+    dropoffDate: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: [
+            'active',     // Blocking the car until expiresAt
+            'converted',  // Became (part of) a confirmed booking
+            'released'    // Given up before it expired
+        ],
+        default: 'active'
+    },
+    purpose: {
+        type: String,
+        enum: ['booking', 'extension', 'modification', 'waitlist', 'assignment'],
+        default: 'booking'
+    },
+    // Booking the hold was used for
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    // Removed by MongoDB once passed; unset when the hold is converted
+    expiresAt: Date,
+    convertedAt: Date,
+    releasedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+bookingHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+bookingHoldSchema.index({ car: 1, status: 1, pickupDate: 1, dropoffDate: 1 });
+bookingHoldSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('BookingHold', bookingHoldSchema);
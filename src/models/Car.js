@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const BookingHold = require('./BookingHold');
+const { turnaround } = require('../config/booking');
 
 const carSchema = new mongoose.Schema({
     make: {
@@ -82,10 +84,25 @@ const carSchema = new mongoose.Schema({
     },
     pricePerWeek: Number,
     pricePerMonth: Number,
+    // Cars without an hourly rate are only rented by the day
+    pricePerHour: {
+        type: Number,
+        min: [0, 'Price cannot be negative']
+    },
+    minimumHours: {
+        type: Number,
+        default: 4,
+        min: [1, 'Minimum rental must be at least 1 hour']
+    },
     securityDeposit: {
         type: Number,
         required: true
     },
+    // Whether the car may be dropped off at another branch
+    allowOneWay: {
+        type: Boolean,
+        default: false
+    },
     kilometerLimit: {
         type: Number,
         default: 300
@@ -214,6 +231,11 @@ const carSchema = new mongoose.Schema({
         default: 0
     },
     lastBooked: Date,
+    // Bumped on every reservation so concurrent holds on the car can be detected
+    reservationVersion: {
+        type: Number,
+        default: 0
+    },
     
     // Admin
     createdBy: {
@@ -253,38 +275,102 @@ carSchema.index({ rating: -1 });
 carSchema.index({ isFeatured: 1 });
 carSchema.index({ isRecommended: 1 });
 
-// Check availability for dates
-carSchema.methods.isAvailableForDates = async function(startDate, endDate) {
+// Minutes the car needs between rentals for cleaning and inspection
+// Category and branch settings override the default; the longer one wins
+carSchema.methods.getTurnaroundMinutes = function() {
+    const byCategory = turnaround.byCategory[this.category];
+    const byBranch = this.location && turnaround.byBranch[this.location.city];
+
+    if (byCategory === undefined && byBranch === undefined) {
+        return turnaround.minutes;
+    }
+
+    return Math.max(byCategory || 0, byBranch || 0);
+};
+
+// Check availability for a period, to the minute
+// Rentals must be at least the turnaround time apart; excludeBookingId
+// leaves a booking out of the check (e.g. when extending it)
+carSchema.methods.isAvailableForDates = async function(startDate, endDate, excludeBookingId) {
     const Booking = mongoose.model('Booking');
+    const buffer = this.getTurnaroundMinutes() * 60 * 1000;
+    const windowStart = new Date(new Date(startDate).getTime() - buffer);
+    const windowEnd = new Date(new Date(endDate).getTime() + buffer);
     
     const overlappingBookings = await Booking.find({
         car: this._id,
+        ...(excludeBookingId && { _id: { $ne: excludeBookingId } }),
         status: { $in: ['confirmed', 'active', 'pending'] },
         $or: [
             {
-                pickupDate: { $lte: endDate },
-                dropoffDate: { $gte: startDate }
+                pickupDate: { $lt: windowEnd },
+                dropoffDate: { $gt: windowStart }
             }
         ]
     });
     
-    return overlappingBookings.length === 0;
+    if (overlappingBookings.length > 0) {
+        return false;
+    }
+
+    // Cars held by someone at checkout are not available either
+    const overlappingHold = await BookingHold.exists({
+        car: this._id,
+        status: 'active',
+        expiresAt: { $gt: new Date() },
+        ...(excludeBookingId && { booking: { $ne: excludeBookingId } }),
+        pickupDate: { $lt: windowEnd },
+        dropoffDate: { $gt: windowStart }
+    });
+
+    return !overlappingHold;
 };
 
-// Calculate rental price
-carSchema.methods.calculateRentalPrice = function(days, extras = {}) {
-    let total = 0;
-    
+// Split a rental into billable days and leftover hours
+// Cars without an hourly rate bill any part of a day as a whole day
+carSchema.methods.getRentalPeriod = function(startDate, endDate) {
+    const totalHours = Math.ceil((endDate - startDate) / (1000 * 60 * 60));
+    const billedHours = this.pricePerHour
+        ? Math.max(totalHours, this.minimumHours || 1)
+        : Math.ceil(totalHours / 24) * 24;
+
+    return {
+        totalHours,
+        billedHours,
+        days: Math.floor(billedHours / 24),
+        hours: billedHours % 24,
+        totalDays: Math.ceil(billedHours / 24)
+    };
+};
+
+// Price of whole days on the daily, weekly and monthly tiers
+carSchema.methods.calculateDaysPrice = function(days) {
     if (days >= 30 && this.pricePerMonth) {
         const months = Math.floor(days / 30);
         const remainingDays = days % 30;
-        total = (months * this.pricePerMonth) + (remainingDays * this.pricePerDay);
-    } else if (days >= 7 && this.pricePerWeek) {
+        return (months * this.pricePerMonth) + (remainingDays * this.pricePerDay);
+    }
+
+    if (days >= 7 && this.pricePerWeek) {
         const weeks = Math.floor(days / 7);
         const remainingDays = days % 7;
-        total = (weeks * this.pricePerWeek) + (remainingDays * this.pricePerDay);
-    } else {
-        total = days * this.pricePerDay;
+        return (weeks * this.pricePerWeek) + (remainingDays * this.pricePerDay);
+    }
+
+    return days * this.pricePerDay;
+};
+
+// Calculate rental price
+// extras.hours are billed at the hourly rate on top of the days, but never
+// more than rounding up to one more day would cost
+carSchema.methods.calculateRentalPrice = function(days, extras = {}) {
+    let total = this.calculateDaysPrice(days);
+    
+    if (extras.hours) {
+        const nextDay = this.calculateDaysPrice(days + 1);
+        total = this.pricePerHour
+            ? Math.min(total + extras.hours * this.pricePerHour, nextDay)
+            : nextDay;
     }
     
     if (extras.extraKms && this.extraKmCharge) {
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Places taken in a branch's doorstep delivery slot. A run only takes a
+// place while the count is below the slot capacity, so two bookings
+// cannot both get the last one; see utils/deliveryService.
+const deliverySlotSchema = new mongoose.Schema({
+    branchCity: {
+        type: String,
+        required: true
+    },
+    start: {
+        type: Date,
+        required: true
+    },
+    // Delivery and collection runs booked into the slot
+    reserved: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+deliverySlotSchema.index({ branchCity: 1, start: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
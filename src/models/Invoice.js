@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const partySchema = {
+    name: String,
+    email: String,
+    gstin: String,
+    state: String,
+    stateCode: String
+};
+
+const invoiceSchema = new mongoose.Schema({
+    // Numbering
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: ['invoice', 'credit_note', 'debit_note'],
+        required: true
+    },
+    series: {
+        type: String,
+        required: true
+    },
+    sequence: {
+        type: Number,
+        required: true
+    },
+    financialYear: {
+        type: String,
+        required: true
+    },
+    branchCode: {
+        type: String,
+        required: true
+    },
+
+    // References
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Invoice a credit or debit note adjusts
+    originalInvoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice'
+    },
+    reason: String,
+
+    // Parties and tax, frozen at issue time
+    supplier: {
+        ...partySchema,
+        legalName: String
+    },
+    customer: partySchema,
+    placeOfSupply: String,
+    isInterState: Boolean,
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    lines: [{
+        type: {
+            type: String,
+            enum: ['rental', 'insurance', 'service', 'penalty']
+        },
+        description: String,
+        sacCode: String,
+        amount: Number,
+        discount: Number,
+        taxableAmount: Number,
+        rate: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        totalTax: Number
+    }],
+    totals: {
+        taxableAmount: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        totalTax: Number,
+        grandTotal: Number
+    },
+
+    status: {
+        type: String,
+        enum: ['issued', 'cancelled'],
+        default: 'issued'
+    },
+    pdf: {
+        url: String,
+        public_id: String
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ series: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ booking: 1, type: 1 });
+// A booking has one issued tax invoice; extra charges go on notes
+invoiceSchema.index(
+    { booking: 1 },
+    { unique: true, partialFilterExpression: { type: 'invoice', status: 'issued' } }
+);
+invoiceSchema.index({ financialYear: 1, branchCode: 1, type: 1 });
+
+// Issued documents are immutable; only the PDF and status may change
+invoiceSchema.pre('save', function() {
+    if (this.isNew) return;
+
+    const locked = ['invoiceNumber', 'type', 'series', 'sequence', 'booking', 'supplier', 'customer', 'lines', 'totals', 'issuedAt'];
+    const changed = locked.filter(path => this.isModified(path));
+
+    if (changed.length > 0) {
+        throw new Error(`Issued ${this.type.replace('_', ' ')} cannot be changed (${changed.join(', ')})`);
+    }
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
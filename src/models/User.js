@@ -64,7 +64,7 @@ const userSchema = new mongoose.Schema({
     // Role & Status
     role: {
         type: String,
-        enum: ['user', 'admin', 'super_admin'],
+        enum: ['user', 'staff', 'admin', 'super_admin'],
         default: 'user'
     },
     status: {
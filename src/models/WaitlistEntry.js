@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A customer waiting for a car (or any car of the same category in the
+// same city) to free up for a date range
+const waitlistEntrySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Car asked for; with scope 'category' any similar car will do
+    car: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Car',
+        required: true
+    },
+    scope: {
+        type: String,
+        enum: ['car', 'category'],
+        default: 'car'
+    },
+    category: String,
+    city: String,
+    pickupDate: {
+        type: Date,
+        required: true
+    },
+    dropoffDate: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: [
+            'waiting',    // No car free yet
+            'offered',    // A car is held for the customer until offer.expiresAt
+            'booked',     // The customer booked with the offer
+            'expired',    // The offer lapsed or the dates passed
+            'cancelled'   // The customer left the waitlist
+        ],
+        default: 'waiting'
+    },
+    offer: {
+        car: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Car'
+        },
+        hold: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BookingHold'
+        },
+        offeredAt: Date,
+        expiresAt: Date
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    cancelledAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+waitlistEntrySchema.index({ status: 1, car: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, category: 1, city: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+waitlistEntrySchema.index({ 'offer.hold': 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const walletTransactionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['credit', 'debit'],
+        required: true
+    },
+    source: {
+        type: String,
+        enum: [
+            'referral',          // Referral reward
+            'refund',            // Booking refund paid into the wallet
+            'cashback',          // Promotional cashback
+            'top_up',            // Customer added money
+            'booking_payment',   // Wallet used to pay for a booking
+            'security_deposit',  // Deposit held from, or released to, the wallet
+            'admin_adjustment'   // Manual correction by an admin
+        ],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Amount must be positive']
+    },
+    // Completed entries count towards the balance; a pending debit holds
+    // its amount while the cached balance is being moved
+    status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed'],
+        default: 'completed'
+    },
+    balanceAfter: Number,
+    description: String,
+    // Set by callers that may retry, so the same credit or debit is only
+    // recorded once
+    idempotencyKey: String,
+
+    // References
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    referral: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Referral'
+    },
+    gateway: String,
+    gatewayOrderId: String,
+    gatewayPaymentId: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    completedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ user: 1, status: 1 });
+walletTransactionSchema.index({ gatewayOrderId: 1 });
+walletTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+// Balance of a user computed from the ledger: completed credits less
+// completed and pending debits
+walletTransactionSchema.statics.getBalance = async function(userId) {
+    const result = await this.aggregate([
+        {
+            $match: {
+                user: new mongoose.Types.ObjectId(userId.toString()),
+                $or: [
+                    { status: 'completed' },
+                    { type: 'debit', status: 'pending' }
+                ]
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                credits: {
+                    $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] }
+                },
+                debits: {
+                    $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] }
+                }
+            }
+        }
+    ]);
+
+    if (!result[0]) return 0;
+
+    return Math.round((result[0].credits - result[0].debits) * 100) / 100;
+};
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
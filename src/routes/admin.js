@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { body } = require('express-validator');
 const {
     getDashboardStats,
     getAllUsers,
@@ -14,6 +15,19 @@ const {
     getMaintenanceTasks,
     getReports
 } = require('../controllers/adminController');
+const { getRefunds, triggerRefund } = require('../controllers/refundController');
+const { adjustWallet } = require('../controllers/walletController');
+const { getWaitlist, getWaitlistDemand } = require('../controllers/waitlistController');
+const { getAssignments } = require('../controllers/assignmentController');
+const { getDisputes } = require('../controllers/disputeController');
+const {
+    getInvoices,
+    getInvoice,
+    createInvoice,
+    createCreditNote,
+    createDebitNote,
+    regenerateInvoicePdf
+} = require('../controllers/invoiceController');
 const { protect, authorize } = require('../middleware/auth');
 
 // All admin routes require authentication and admin role
@@ -28,6 +42,12 @@ router.get('/users', getAllUsers);
 router.get('/users/:id', getUserDetails);
 router.put('/users/:id', updateUser);
 router.delete('/users/:id', deleteUser);
+router.post('/users/:id/wallet',
+    body('type').isIn(['credit', 'debit']).withMessage('Type must be credit or debit'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be positive'),
+    body('source').optional().isIn(['admin_adjustment', 'cashback']).withMessage('Source must be admin_adjustment or cashback'),
+    adjustWallet
+);
 
 // System management
 router.get('/logs', getSystemLogs);
@@ -38,4 +58,41 @@ router.post('/export', exportData);
 router.get('/maintenance', getMaintenanceTasks);
 router.get('/reports', getReports);
 
+// Refunds
+router.get('/refunds', getRefunds);
+router.post('/refunds/:bookingId/process',
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be positive'),
+    body('destination').optional().isIn(['original', 'wallet']).withMessage('Destination must be original or wallet'),
+    triggerRefund
+);
+
+// Invoices and credit/debit notes
+router.get('/invoices', getInvoices);
+router.get('/invoices/:id', getInvoice);
+router.post('/bookings/:bookingId/invoice', createInvoice);
+router.post('/invoices/:id/credit-note',
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be positive'),
+    body('reason').notEmpty().withMessage('Reason is required'),
+    createCreditNote
+);
+router.post('/invoices/:id/debit-note',
+    body('items').isArray({ min: 1 }).withMessage('At least one charge is required'),
+    body('items.*.type').optional().isIn(['rental', 'insurance', 'service', 'penalty']).withMessage('Invalid charge type'),
+    body('items.*.description').notEmpty().withMessage('Charge description is required'),
+    body('items.*.amount').isFloat({ gt: 0 }).withMessage('Charge amount must be positive'),
+    body('reason').notEmpty().withMessage('Reason is required'),
+    createDebitNote
+);
+router.post('/invoices/:id/pdf', regenerateInvoicePdf);
+
+// Category bookings awaiting or holding a car
+router.get('/assignments', getAssignments);
+
+// Disputed booking charges
+router.get('/disputes', getDisputes);
+
+// Waitlist
+router.get('/waitlist', getWaitlist);
+router.get('/waitlist/demand', getWaitlistDemand);
+
 module.exports = router;
\ No newline at end of file
@@ -14,10 +14,12 @@ const {
     getReferralDetails,
     requestPhoneVerification,
     verifyPhone,
-    uploadProfilePicture
+    uploadProfilePicture,
+    uploadLicense,
+    getLicense
 } = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
-const { profilePicture } = require('../middleware/upload');
+const { profilePicture, licenseScan, handleUploadError, storeUploads } = require('../middleware/upload');
 
 // Validation middleware
 const registerValidation = [
@@ -64,6 +66,8 @@ router.post('/verify-phone',
     body('otp').matches(/^[0-9]{6}$/).withMessage('Please enter a valid 6-digit OTP'),
     verifyPhone
 );
-router.post('/upload-profile', profilePicture, uploadProfilePicture);
+router.post('/upload-profile', profilePicture, handleUploadError, storeUploads('users'), uploadProfilePicture);
+router.post('/upload-license', licenseScan, handleUploadError, storeUploads('licenses', { access: 'private' }), uploadLicense);
+router.get('/license', getLicense);
 
 module.exports = router;
\ No newline at end of file
@@ -10,27 +10,99 @@ const {
     updateBooking,
     getAllBookings,
     getBookingStats,
+    processPickup,
     processReturn,
     getBookingInvoice,
     addReview,
     getBookingCalendar,
-    extendBooking
+    extendBooking,
+    approveBookingExtension,
+    rejectBookingExtension,
+    getInspection,
+    uploadInspectionImages
 } = require('../controllers/bookingController');
+const {
+    getDeposit,
+    collectBookingDeposit,
+    addDepositDeduction,
+    settleBookingDeposit
+} = require('../controllers/depositController');
+const { getBookingInvoices } = require('../controllers/invoiceController');
+const { createBookingHold, releaseBookingHold } = require('../controllers/holdController');
+const { previewModification, modifyBooking, getRevisions } = require('../controllers/modificationController');
+const { assignBookingCar } = require('../controllers/assignmentController');
+const {
+    generateBookingAgreement,
+    getBookingAgreement,
+    downloadAgreement,
+    signBookingAgreement,
+    countersignBookingAgreement
+} = require('../controllers/agreementController');
+const {
+    getDispute,
+    createDispute,
+    uploadDisputeEvidence,
+    addDisputeMessage,
+    adjustDisputeItem,
+    resolveBookingDispute
+} = require('../controllers/disputeController');
+const { assignDeliveryDriver, updateDeliveryStatus } = require('../controllers/deliveryController');
 const { protect, authorize } = require('../middleware/auth');
+const { inspectionImages, disputeEvidence, handleUploadError, storeUploads } = require('../middleware/upload');
+const { TIME_PATTERN } = require('../utils/dateTime');
 
 // Validation middleware
 const createBookingValidation = [
-    body('carId').notEmpty().withMessage('Car ID is required'),
+    // Either a specific car or a class of car (category booking)
+    body('carId').if(body('vehicleClass').not().exists()).notEmpty().withMessage('Car ID or vehicle class is required'),
+    body('vehicleClass.category').if(body('carId').not().exists())
+        .isIn(['hatchback', 'sedan', 'suv', 'muv', 'luxury', 'electric']).withMessage('Invalid car category'),
+    body('vehicleClass.city').if(body('carId').not().exists()).notEmpty().withMessage('Branch city is required'),
+    body('vehicleClass.transmission').optional().isIn(['automatic', 'manual', 'semi-automatic']).withMessage('Invalid transmission'),
+    body('vehicleClass.seats').optional().isInt({ min: 2, max: 12 }).withMessage('Seats must be between 2 and 12'),
     body('pickupDate').isISO8601().withMessage('Valid pickup date is required'),
     body('dropoffDate').isISO8601().withMessage('Valid dropoff date is required'),
+    body('pickupTime').optional().matches(TIME_PATTERN).withMessage('Pickup time must look like 14:30 or 2:30 PM'),
+    body('dropoffTime').optional().matches(TIME_PATTERN).withMessage('Dropoff time must look like 14:30 or 2:30 PM'),
     body('pickupLocation').notEmpty().withMessage('Pickup location is required'),
     body('dropoffLocation').notEmpty().withMessage('Dropoff location is required'),
+    body('pickupLocation.type').optional().isIn(['branch', 'address']).withMessage('Pickup location type must be branch or address'),
+    body('dropoffLocation.type').optional().isIn(['branch', 'address']).withMessage('Dropoff location type must be branch or address'),
+    // Map pin of a doorstep address, used to price delivery by distance
+    body('pickupLocation.address.coordinates.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid pickup latitude'),
+    body('pickupLocation.address.coordinates.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid pickup longitude'),
+    body('dropoffLocation.address.coordinates.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid dropoff latitude'),
+    body('dropoffLocation.address.coordinates.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid dropoff longitude'),
     body('driverDetails.name').notEmpty().withMessage('Driver name is required'),
-    body('driverDetails.licenseNumber').notEmpty().withMessage('Driver license number is required')
+    body('driverDetails.licenseNumber').notEmpty().withMessage('Driver license number is required'),
+    body('billing.gstin').optional().isLength({ min: 15, max: 15 }).withMessage('GSTIN must be 15 characters'),
+    body('billing.state').optional().isString().withMessage('Billing state must be a string'),
+    body('paymentMode').optional().isIn(['full', 'advance']).withMessage('Payment mode must be full or advance'),
+    body('walletAmount').optional().isFloat({ gt: 0 }).withMessage('Wallet amount must be a positive number'),
+    body('holdId').optional().isMongoId().withMessage('Invalid reservation')
+];
+
+const holdValidation = [
+    body('carId').notEmpty().withMessage('Car ID is required'),
+    body('pickupDate').isISO8601().withMessage('Valid pickup date is required'),
+    body('dropoffDate').isISO8601().withMessage('Valid dropoff date is required'),
+    body('pickupTime').optional().matches(TIME_PATTERN).withMessage('Pickup time must look like 14:30 or 2:30 PM'),
+    body('dropoffTime').optional().matches(TIME_PATTERN).withMessage('Dropoff time must look like 14:30 or 2:30 PM')
+];
+
+const modifyBookingValidation = [
+    body('pickupDate').optional().isISO8601().withMessage('Valid pickup date is required'),
+    body('dropoffDate').optional().isISO8601().withMessage('Valid dropoff date is required'),
+    body('pickupTime').optional().matches(TIME_PATTERN).withMessage('Pickup time must look like 14:30 or 2:30 PM'),
+    body('dropoffTime').optional().matches(TIME_PATTERN).withMessage('Dropoff time must look like 14:30 or 2:30 PM'),
+    body('additionalServices').optional().isArray().withMessage('Additional services must be a list'),
+    body('refundTo').optional().isIn(['original', 'wallet']).withMessage('Refund destination must be original or wallet'),
+    body('chargeWallet').optional().isBoolean().withMessage('chargeWallet must be a boolean')
 ];
 
 const cancelBookingValidation = [
-    body('reason').optional().isString().withMessage('Reason must be a string')
+    body('reason').optional().isString().withMessage('Reason must be a string'),
+    body('refundTo').optional().isIn(['original', 'wallet']).withMessage('Refund destination must be original or wallet')
 ];
 
 const reviewValidation = [
@@ -40,28 +112,155 @@ const reviewValidation = [
 
 const extendBookingValidation = [
     body('newDropoffDate').isISO8601().withMessage('Valid dropoff date is required'),
+    body('newDropoffTime').optional().matches(TIME_PATTERN).withMessage('Dropoff time must look like 14:30 or 2:30 PM'),
     body('reason').notEmpty().withMessage('Reason is required')
 ];
 
+const collectDepositValidation = [
+    body('method').isIn(['cash', 'card', 'upi', 'wallet', 'pre_auth']).withMessage('Invalid deposit method'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Deposit amount must be positive'),
+    body('reference').optional().isString().withMessage('Reference must be a string')
+];
+
+const depositDeductionValidation = [
+    body('category').isIn(['extra_km', 'fuel', 'damage', 'fine', 'late_return', 'cleaning', 'other']).withMessage('Invalid deduction category'),
+    body('description').notEmpty().withMessage('Description is required'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be positive')
+];
+
+const signAgreementValidation = [
+    body('method').isIn(['typed', 'drawn']).withMessage('Signature must be typed or drawn'),
+    body('name').notEmpty().withMessage('Full name is required'),
+    body('image').if(body('method').equals('drawn')).notEmpty().withMessage('Signature image is required'),
+    body('documentHash').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Document hash is required')
+];
+
+const pickupValidation = [
+    body('licenseNumber').notEmpty().withMessage('Licence number is required'),
+    body('licenseExpiry').isISO8601().withMessage('Valid licence expiry date is required'),
+    body('mileageAtPickup').isFloat({ min: 0 }).withMessage('Odometer reading is required'),
+    body('fuelLevel').isFloat({ min: 0, max: 100 }).withMessage('Fuel level must be between 0 and 100'),
+    body('signatureUrl').notEmpty().withMessage('Customer signature is required'),
+    body('inspectionNotes').optional().isString().withMessage('Notes must be a string')
+];
+
+const disputeValidation = [
+    body('reason').notEmpty().withMessage('Please tell us why you dispute the charges'),
+    body('items').isArray({ min: 1 }).withMessage('Choose at least one charge to dispute'),
+    body('items.*.chargeId').isMongoId().withMessage('Invalid charge'),
+    body('items.*.comment').optional().isString().withMessage('Comment must be a string')
+];
+
+const disputeItemValidation = [
+    body('amount').isFloat({ min: 0 }).withMessage('Amount must be zero or more'),
+    body('note').optional().isString().withMessage('Note must be a string')
+];
+
+const returnValidation = [
+    body('depositReleaseTo').optional().isIn(['original', 'wallet']).withMessage('Deposit release must be original or wallet'),
+    body('holdDeposit').optional().isBoolean().withMessage('holdDeposit must be a boolean').toBoolean()
+];
+
 // Protected routes (user)
 router.use(protect);
 
 router.post('/', createBookingValidation, createBooking);
+router.post('/holds', holdValidation, createBookingHold);
+router.delete('/holds/:holdId', releaseBookingHold);
 router.get('/mybookings', getMyBookings);
 router.get('/upcoming', getUpcomingBookings);
 router.get('/:id', getBooking);
 router.put('/:id/cancel', cancelBookingValidation, cancelBooking);
+router.post('/:id/modify/preview', modifyBookingValidation, previewModification);
+router.put('/:id/modify', modifyBookingValidation, modifyBooking);
+router.get('/:id/revisions', getRevisions);
 router.get('/:id/invoice', getBookingInvoice);
 router.post('/:id/review', reviewValidation, addReview);
 router.get('/calendar/:carId', getBookingCalendar);
 router.post('/:id/extend', extendBookingValidation, extendBooking);
+router.get('/:id/deposit', getDeposit);
+router.get('/:id/invoices', getBookingInvoices);
+router.get('/:id/inspection', getInspection);
+router.post('/:id/agreement', generateBookingAgreement);
+router.get('/:id/agreement', getBookingAgreement);
+router.get('/:id/agreement/pdf', downloadAgreement);
+router.post('/:id/agreement/sign', signAgreementValidation, signBookingAgreement);
+router.get('/:id/dispute', getDispute);
+router.post('/:id/dispute', disputeValidation, createDispute);
+router.post('/:id/dispute/evidence',
+    disputeEvidence,
+    handleUploadError,
+    storeUploads('disputes', { access: 'private' }),
+    uploadDisputeEvidence
+);
+router.post('/:id/dispute/messages',
+    body('message').notEmpty().withMessage('Message is required'),
+    addDisputeMessage
+);
+
+// Counter staff countersign agreements and hand over cars; drivers
+// update their delivery and collection runs
+router.post('/:id/agreement/countersign', authorize('staff', 'admin', 'super_admin'), countersignBookingAgreement);
+router.post('/:id/pickup',
+    authorize('staff', 'admin', 'super_admin'),
+    inspectionImages,
+    handleUploadError,
+    storeUploads('inspections', { access: 'private' }),
+    pickupValidation,
+    processPickup
+);
+router.put('/:id/deliveries/:runId/status',
+    authorize('staff', 'admin', 'super_admin'),
+    body('status').isIn(['dispatched', 'delivered', 'collected']).withMessage('Status must be dispatched, delivered or collected'),
+    body('note').optional().isString().withMessage('Note must be a string'),
+    updateDeliveryStatus
+);
 
 // Admin routes
 router.use(authorize('admin', 'super_admin'));
 
 router.get('/', getAllBookings);
 router.get('/stats', getBookingStats);
-router.put('/:id', updateBooking);
-router.post('/:id/return', processReturn);
+router.put('/:id',
+    body('status').optional().isIn(['pending', 'confirmed', 'cancelled', 'active', 'completed', 'no_show', 'disputed']).withMessage('Invalid booking status'),
+    body('reason').optional().isString().withMessage('Reason must be a string'),
+    updateBooking
+);
+router.post('/:id/return', returnValidation, processReturn);
+router.put('/:id/assign',
+    body('carId').optional().isMongoId().withMessage('Invalid car'),
+    body('reason').optional().isString().withMessage('Reason must be a string'),
+    assignBookingCar
+);
+router.post('/:id/deposit/collect', collectDepositValidation, collectBookingDeposit);
+router.post('/:id/deposit/deductions', depositDeductionValidation, addDepositDeduction);
+router.post('/:id/deposit/settle',
+    body('releaseTo').optional().isIn(['original', 'wallet']).withMessage('Release destination must be original or wallet'),
+    settleBookingDeposit
+);
+router.put('/:id/extensions/:requestId/approve',
+    body('chargeWallet').optional().isBoolean().withMessage('chargeWallet must be a boolean'),
+    approveBookingExtension
+);
+router.put('/:id/extensions/:requestId/reject',
+    body('reason').notEmpty().withMessage('Reason is required'),
+    rejectBookingExtension
+);
+router.put('/:id/dispute/items/:itemId', disputeItemValidation, adjustDisputeItem);
+router.post('/:id/dispute/resolve',
+    body('note').optional().isString().withMessage('Note must be a string'),
+    body('refundTo').optional().isIn(['original', 'wallet']).withMessage('Refund destination must be original or wallet'),
+    resolveBookingDispute
+);
+router.put('/:id/deliveries/:runId/driver',
+    body('driverId').isMongoId().withMessage('Invalid driver'),
+    assignDeliveryDriver
+);
+router.post('/:id/inspection/:stage/images',
+    inspectionImages,
+    handleUploadError,
+    storeUploads('inspections', { access: 'private' }),
+    uploadInspectionImages
+);
 
 module.exports = router;
\ No newline at end of file
@@ -13,18 +13,20 @@ const {
     getFeaturedCars,
     getRecommendedCars,
     checkAvailability,
+    checkCategoryAvailability,
     getCarStats,
     updateMaintenance,
     searchByLocation,
     getCategories
 } = require('../controllers/carController');
 const { protect, authorize } = require('../middleware/auth');
-const { carImages, handleUploadError } = require('../middleware/upload');
+const { carImages, handleUploadError, storeUploads } = require('../middleware/upload');
 
 // Public routes
 router.get('/', getCars);
 router.get('/featured', getFeaturedCars);
 router.get('/categories', getCategories);
+router.post('/categories/check-availability', checkCategoryAvailability);
 router.get('/search/location', searchByLocation);
 router.get('/:id', getCar);
 router.post('/:id/check-availability', checkAvailability);
@@ -42,12 +44,15 @@ router.post('/',
     body('model').notEmpty().withMessage('Car model is required'),
     body('licensePlate').notEmpty().withMessage('License plate is required'),
     body('pricePerDay').isNumeric().withMessage('Price per day must be a number'),
+    body('pricePerHour').optional().isNumeric().withMessage('Price per hour must be a number'),
+    body('minimumHours').optional().isInt({ min: 1 }).withMessage('Minimum hours must be at least 1'),
+    body('allowOneWay').optional().isBoolean().withMessage('allowOneWay must be true or false'),
     createCar
 );
 
 router.put('/:id', updateCar);
 router.delete('/:id', deleteCar);
-router.post('/:id/images', carImages, handleUploadError, uploadCarImages);
+router.post('/:id/images', carImages, handleUploadError, storeUploads('cars'), uploadCarImages);
 router.put('/:id/images/primary', setPrimaryImage);
 router.delete('/:id/images/:imageId', deleteCarImage);
 router.get('/:id/stats', getCarStats);
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+    quoteDelivery,
+    getDeliverySlots,
+    getDeliveryRuns
+} = require('../controllers/deliveryController');
+const { protect, authorize } = require('../middleware/auth');
+
+// Validation middleware
+const quoteValidation = [
+    body('city').notEmpty().withMessage('Branch city is required'),
+    body('address.pincode').optional().isString().withMessage('Pincode must be a string'),
+    body('address.coordinates.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('address.coordinates.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+];
+
+router.use(protect);
+
+router.post('/quote', quoteValidation, quoteDelivery);
+router.get('/slots', getDeliverySlots);
+
+// Drivers' and branch staff's schedule of runs
+router.get('/runs', authorize('staff', 'admin', 'super_admin'), getDeliveryRuns);
+
+module.exports = router;
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const { getFile } = require('../controllers/fileController');
+
+router.get('/*key', getFile);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+    createPaymentOrder,
+    verifyPayment,
+    payWithWallet,
+    getCounterBalance,
+    collectCounterPayment,
+    handleWebhook
+} = require('../controllers/paymentController');
+const { protect, authorize } = require('../middleware/auth');
+
+// Validation middleware
+const createOrderValidation = [
+    body('bookingId').isMongoId().withMessage('Valid booking ID is required'),
+    body('payFull').optional().isBoolean().withMessage('payFull must be a boolean')
+];
+
+const verifyPaymentValidation = [
+    body('bookingId').isMongoId().withMessage('Valid booking ID is required'),
+    body('orderId').notEmpty().withMessage('Order ID is required'),
+    body('paymentId').optional().isString().withMessage('Payment ID must be a string'),
+    body('signature').optional().isString().withMessage('Payment signature must be a string')
+];
+
+const walletPaymentValidation = [
+    body('bookingId').isMongoId().withMessage('Valid booking ID is required'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be positive')
+];
+
+const counterPaymentValidation = [
+    body('bookingId').isMongoId().withMessage('Valid booking ID is required'),
+    body('method').isIn(['cash', 'upi', 'card']).withMessage('Method must be cash, upi or card'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be positive'),
+    body('reference').optional().isString().withMessage('Reference must be a string')
+];
+
+// Public routes (verified by gateway signature)
+router.post('/webhook/:gateway', handleWebhook);
+
+// Protected routes (user)
+router.use(protect);
+
+router.post('/orders', createOrderValidation, createPaymentOrder);
+router.post('/verify', verifyPaymentValidation, verifyPayment);
+router.post('/wallet', walletPaymentValidation, payWithWallet);
+
+// Counter routes (staff)
+router.get('/counter/:bookingNumber', authorize('staff', 'admin', 'super_admin'), getCounterBalance);
+router.post('/counter', authorize('staff', 'admin', 'super_admin'), counterPaymentValidation, collectCounterPayment);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+    joinCarWaitlist,
+    getMyWaitlist,
+    leaveCarWaitlist
+} = require('../controllers/waitlistController');
+const { protect } = require('../middleware/auth');
+const { TIME_PATTERN } = require('../utils/dateTime');
+
+// Validation middleware
+const joinWaitlistValidation = [
+    body('carId').notEmpty().withMessage('Car ID is required'),
+    body('pickupDate').isISO8601().withMessage('Valid pickup date is required'),
+    body('dropoffDate').isISO8601().withMessage('Valid dropoff date is required'),
+    body('pickupTime').optional().matches(TIME_PATTERN).withMessage('Pickup time must look like 14:30 or 2:30 PM'),
+    body('dropoffTime').optional().matches(TIME_PATTERN).withMessage('Dropoff time must look like 14:30 or 2:30 PM'),
+    body('scope').optional().isIn(['car', 'category']).withMessage('Scope must be car or category')
+];
+
+router.use(protect);
+
+router.post('/', joinWaitlistValidation, joinCarWaitlist);
+router.get('/', getMyWaitlist);
+router.delete('/:id', leaveCarWaitlist);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+    getWallet,
+    getWalletTransactions,
+    topUpWallet,
+    verifyTopUp
+} = require('../controllers/walletController');
+const { protect } = require('../middleware/auth');
+
+// Validation middleware
+const topUpValidation = [
+    body('amount').isFloat({ gt: 0 }).withMessage('Valid top-up amount is required')
+];
+
+const verifyTopUpValidation = [
+    body('orderId').notEmpty().withMessage('Order ID is required'),
+    body('paymentId').optional().isString().withMessage('Payment ID must be a string'),
+    body('signature').optional().isString().withMessage('Payment signature must be a string')
+];
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', getWallet);
+router.get('/transactions', getWalletTransactions);
+router.post('/topup', topUpValidation, topUpWallet);
+router.post('/topup/verify', verifyTopUpValidation, verifyTopUp);
+
+module.exports = router;
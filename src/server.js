@@ -16,16 +16,32 @@ const errorHandler = require('./middleware/error');
 // Connect to DB
 connectDB();
 
+// Background jobs (refund retries, ...)
+if (process.env.DISABLE_JOBS !== 'true') {
+  require('./jobs').startJobs();
+}
+
 const app = express();
 
 // Middleware
-app.use(express.json());
+// Keep the raw body around so payment webhooks can verify their signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(cors());
 
 // ROUTES (IMPORTANT: keep these)
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/cars', require('./routes/cars'));
 app.use('/api/bookings', require('./routes/bookings'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/wallet', require('./routes/wallet'));
+app.use('/api/files', require('./routes/files'));
+app.use('/api/waitlist', require('./routes/waitlist'));
+app.use('/api/delivery', require('./routes/delivery'));
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,46 @@
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const { getAmountDue } = require('./paymentService');
+const { formatDateTime } = require('./dateTime');
+const { advancePayment } = require('../config/booking');
+
+/**
+ * Remind customers of the balance due at pickup
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+exports.sendBalanceReminders = async () => {
+    const remindBefore = new Date(Date.now() + advancePayment.balanceReminderHours * 60 * 60 * 1000);
+
+    const bookings = await Booking.find({
+        'payment.mode': 'advance',
+        'payment.status': 'partial',
+        status: 'confirmed',
+        'payment.balanceDueAt': { $lte: remindBefore },
+        'payment.balanceReminderSentAt': { $exists: false }
+    }).limit(100);
+
+    for (const booking of bookings) {
+        const balance = getAmountDue(booking);
+
+        await Notification.create({
+            user: booking.user,
+            title: 'Balance Due at Pickup',
+            message: `₹${balance} is due for booking #${booking.bookingNumber} by ${formatDateTime(booking.payment.balanceDueAt)}. Pay online now or at the counter when you pick up the car.`,
+            type: 'payment',
+            category: 'info',
+            metadata: {
+                bookingId: booking._id,
+                amount: balance,
+                url: `/bookings/${booking._id}`
+            },
+            sendEmail: true
+        });
+
+        await Booking.updateOne(
+            { _id: booking._id },
+            { $set: { 'payment.balanceReminderSentAt': new Date() } }
+        );
+    }
+
+    return bookings.length;
+};
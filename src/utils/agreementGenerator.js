@@ -0,0 +1,106 @@
+const PDFDocument = require('pdfkit');
+const { formatDateTime } = require('./dateTime');
+
+/**
+ * Render a rental agreement to PDF. The same content and creation date
+ * always give the same bytes, so a draft can be rendered again exactly.
+ * @param {Object} content - { title, version, bookingNumber, clauses: [{ heading, text }] }
+ * @param {Object} options
+ * @param {Date} options.createdAt - Creation date written into the PDF
+ * @param {Object} options.signatures - Signature page, left out of the unsigned draft
+ * @param {Object} options.signatures.customer - { name, method, image (Buffer), signedAt, ip }
+ * @param {Object} options.signatures.company - { name, signedAt, ip }
+ * @param {string} options.signatures.documentHash - Hash of the draft the customer signed
+ * @returns {Promise<Buffer>} - PDF contents
+ */
+exports.generateAgreementPdf = (content, { createdAt, signatures } = {}) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                margin: 50,
+                info: { CreationDate: createdAt || new Date() }
+            });
+            const chunks = [];
+
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            generateAgreementContent(doc, content);
+
+            if (signatures) {
+                generateSignaturePage(doc, content, signatures);
+            }
+
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
+
+/**
+ * Agreement terms
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} content - Filled-in template
+ */
+function generateAgreementContent(doc, content) {
+    // Header
+    doc.fontSize(25).text('Car Rental Service', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(10).text('123 Rental Street, Mumbai, India', { align: 'center' });
+    doc.text('Phone: +91 9876543210 | Email: info@carrental.com', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(20).text(content.title.toUpperCase(), { align: 'center' });
+    doc.fontSize(10).text(`Booking ${content.bookingNumber} | Terms version ${content.version}`, { align: 'center' });
+    doc.moveDown(2);
+
+    content.clauses.forEach((clause, index) => {
+        doc.fontSize(12).font('Helvetica-Bold').text(`${index + 1}. ${clause.heading}`);
+        doc.font('Helvetica').fontSize(11).text(clause.text, { align: 'justify' });
+        doc.moveDown();
+    });
+}
+
+/**
+ * Signatures of both parties with the evidence of when and where they signed
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} content - Filled-in template
+ * @param {Object} signatures - See generateAgreementPdf
+ */
+function generateSignaturePage(doc, content, signatures) {
+    const { customer, company, documentHash } = signatures;
+
+    doc.addPage();
+    doc.fontSize(16).font('Helvetica-Bold').text('Signatures', { align: 'center' });
+    doc.font('Helvetica').moveDown();
+
+    doc.fontSize(10).text(`The Renter signed agreement version ${content.version} for booking ${content.bookingNumber} electronically. SHA-256 of the document signed:`);
+    doc.font('Courier').text(documentHash);
+    doc.font('Helvetica').moveDown(2);
+
+    // Renter
+    doc.fontSize(12).font('Helvetica-Bold').text('Renter');
+    doc.font('Helvetica');
+
+    if (customer.method === 'drawn' && customer.image) {
+        doc.image(customer.image, { fit: [200, 80] });
+    } else {
+        doc.font('Helvetica-Oblique').fontSize(20).text(customer.name);
+        doc.font('Helvetica');
+    }
+
+    doc.fontSize(10);
+    doc.text(`Name: ${customer.name}`);
+    doc.text(`Signed: ${formatDateTime(customer.signedAt)} (${customer.method} signature)`);
+    doc.text(`IP address: ${customer.ip || 'unknown'}`);
+    doc.moveDown(2);
+
+    // Company
+    doc.fontSize(12).font('Helvetica-Bold').text('For Car Rental Service');
+    doc.font('Helvetica-Oblique').fontSize(20).text(company.name);
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`Countersigned: ${formatDateTime(company.signedAt)}`);
+    doc.text(`IP address: ${company.ip || 'unknown'}`);
+}
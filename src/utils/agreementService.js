@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const Car = require('../models/Car');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const storage = require('./storage');
+const { generateAgreementPdf } = require('./agreementGenerator');
+const { isClassBooking, describeClass } = require('./vehicleClass');
+const { currentVersion, templates } = require('../config/agreement');
+const { formatDateTime } = require('./dateTime');
+
+// Agreements are signed before the car is handed over
+const SIGNABLE_STATUSES = ['pending', 'confirmed'];
+
+// Drawn signatures come in as PNG or JPEG data URLs
+const SIGNATURE_IMAGE = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/=]+)$/;
+const MAX_SIGNATURE_BYTES = 64 * 1024;
+
+const FUEL_POLICIES = {
+    full_to_full: 'full to full, the vehicle is handed over with a full tank and must be returned full',
+    same_to_same: 'same to same, the vehicle must be returned with the fuel level it was handed over with',
+    prepaid: 'prepaid, the fuel is paid for with the booking'
+};
+
+const agreementError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const hash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Fill a template in from the booking
+ * @param {Object} booking - Booking document
+ * @param {string} version - Template version
+ * @returns {Promise<Object>} - { title, version, bookingNumber, clauses }
+ */
+const buildContent = async (booking, version) => {
+    const template = templates[version];
+
+    if (!template) {
+        throw agreementError(`Agreement template ${version} does not exist`, 500);
+    }
+
+    const car = await Car.findById(booking.car._id || booking.car);
+    const user = await User.findById(booking.user._id || booking.user).select('name');
+    const driver = booking.driverDetails || {};
+
+    // Category bookings name the class until a car is bound to them
+    const provisional = isClassBooking(booking) && booking.assignment.status !== 'assigned';
+    const insurance = booking.insurance || {};
+
+    const values = {
+        driverName: driver.name || user.name,
+        licenseNumber: driver.licenseNumber,
+        bookingNumber: booking.bookingNumber,
+        vehicle: provisional
+            ? `${describeClass(booking.vehicleClass)} (${car.make} ${car.model} or similar)`
+            : `${car.year} ${car.make} ${car.model}`,
+        licensePlate: provisional ? 'to be confirmed at pickup' : car.licensePlate,
+        pickupAt: formatDateTime(booking.pickupDate),
+        dropoffAt: formatDateTime(booking.dropoffDate),
+        kilometerLimit: car.kilometerLimit,
+        allowedKilometers: car.kilometerLimit * booking.totalDays,
+        extraKmCharge: car.extraKmCharge,
+        fuelPolicy: FUEL_POLICIES[booking.fuelPolicy] || booking.fuelPolicy,
+        insurance: insurance.coverage
+            ? `${insurance.type || 'basic'} (cover up to ₹${insurance.coverage})`
+            : insurance.type || 'basic',
+        securityDeposit: booking.securityDeposit,
+        totalAmount: booking.totalAmount
+    };
+
+    return {
+        title: template.title,
+        version,
+        bookingNumber: booking.bookingNumber,
+        clauses: template.clauses.map(clause => ({
+            heading: clause.heading,
+            text: clause.text.replace(/\{\{(\w+)\}\}/g, (match, key) => (
+                values[key] === undefined || values[key] === null ? '' : String(values[key])
+            ))
+        }))
+    };
+};
+
+/**
+ * Generate the unsigned agreement for the customer to review and sign,
+ * replacing any earlier draft
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} - booking.agreement
+ */
+const generateAgreement = async (booking) => {
+    if (!SIGNABLE_STATUSES.includes(booking.status)) {
+        throw agreementError(`No agreement can be generated for a ${booking.status} booking`);
+    }
+
+    if (booking.agreement && booking.agreement.status === 'signed') {
+        throw agreementError('The agreement has already been signed');
+    }
+
+    const generatedAt = new Date();
+    const content = await buildContent(booking, currentVersion);
+    const buffer = await generateAgreementPdf(content, { createdAt: generatedAt });
+
+    const draft = await storage.upload(buffer, {
+        folder: 'agreements',
+        filename: `agreement_${booking.bookingNumber}_${Date.now()}.pdf`,
+        contentType: 'application/pdf',
+        access: 'private'
+    });
+
+    booking.agreement = {
+        version: currentVersion,
+        status: 'generated',
+        draft,
+        content,
+        documentHash: hash(buffer),
+        generatedAt
+    };
+
+    await booking.save();
+
+    return booking.agreement;
+};
+
+/**
+ * The booking's agreement; it is generated with generateAgreement first
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} - booking.agreement
+ */
+const getAgreement = async (booking) => {
+    if (!booking.agreement || !booking.agreement.status) {
+        throw agreementError('No agreement has been generated for this booking yet', 404);
+    }
+
+    return booking.agreement;
+};
+
+/**
+ * PDF of the agreement: the signed copy once both parties signed, the
+ * draft before that
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} - { filename, buffer }
+ */
+const getAgreementPdf = async (booking) => {
+    const agreement = await getAgreement(booking);
+    const signed = agreement.status === 'signed';
+
+    let buffer = await storage.read(signed
+        ? booking.documents.agreement && booking.documents.agreement.public_id
+        : agreement.draft && agreement.draft.public_id);
+
+    // A lost draft can be generated again as nobody has signed it yet
+    if (!buffer && agreement.status === 'generated') {
+        const regenerated = await generateAgreement(booking);
+        buffer = await storage.read(regenerated.draft.public_id);
+    }
+
+    if (!buffer) {
+        throw agreementError('The agreement file could not be found', 404);
+    }
+
+    return {
+        filename: `agreement_${booking.bookingNumber}${signed ? '_signed' : ''}.pdf`,
+        buffer
+    };
+};
+
+/**
+ * Customer signs the agreement they reviewed
+ * @param {Object} booking - Booking document
+ * @param {Object} signature
+ * @param {string} signature.userId - Customer signing
+ * @param {string} signature.method - 'typed' or 'drawn'
+ * @param {string} signature.name - Full name, typed as the signature or printed under a drawn one
+ * @param {string} signature.image - Drawn signature as a data URL
+ * @param {string} signature.documentHash - Hash of the draft the customer was shown
+ * @param {string} signature.ip - Customer's IP address
+ * @param {string} signature.userAgent - Customer's browser
+ * @returns {Promise<Object>} - booking.agreement
+ */
+const signAgreement = async (booking, { userId, method, name, image, documentHash, ip, userAgent }) => {
+    if (!SIGNABLE_STATUSES.includes(booking.status)) {
+        throw agreementError('The agreement must be signed before pickup');
+    }
+
+    if (!booking.agreement || booking.agreement.status !== 'generated') {
+        throw agreementError(booking.agreement && booking.agreement.status
+            ? 'The agreement has already been signed'
+            : 'Review the agreement before signing it');
+    }
+
+    // The customer must sign exactly the document they were shown
+    if (documentHash !== booking.agreement.documentHash) {
+        throw agreementError('The agreement has changed since you opened it, please review it again', 409);
+    }
+
+    if (!name || !name.trim()) {
+        throw agreementError('Please enter your full name');
+    }
+
+    let signatureImage;
+
+    if (method === 'drawn') {
+        const match = SIGNATURE_IMAGE.exec(image || '');
+        const buffer = match && Buffer.from(match[2], 'base64');
+
+        if (!buffer || buffer.length === 0) {
+            throw agreementError('Please draw your signature');
+        }
+
+        if (buffer.length > MAX_SIGNATURE_BYTES) {
+            throw agreementError('Signature image is too large');
+        }
+
+        signatureImage = await storage.upload(buffer, {
+            folder: 'signatures',
+            filename: `signature_${booking.bookingNumber}_${Date.now()}.${match[1] === 'jpeg' ? 'jpg' : 'png'}`,
+            contentType: `image/${match[1]}`,
+            access: 'private'
+        });
+    }
+
+    booking.agreement.customerSignature = {
+        user: userId,
+        method,
+        name: name.trim(),
+        image: signatureImage,
+        signedAt: new Date(),
+        ip,
+        userAgent
+    };
+    booking.agreement.status = 'customer_signed';
+
+    await booking.save();
+
+    return booking.agreement;
+};
+
+/**
+ * Staff countersign; the signed agreement is stored on the booking
+ * @param {Object} booking - Booking document
+ * @param {Object} signature
+ * @param {Object} signature.user - Staff member (req.user)
+ * @param {string} signature.ip - Staff member's IP address
+ * @returns {Promise<Object>} - booking.agreement
+ */
+const countersignAgreement = async (booking, { user, ip }) => {
+    if (!booking.agreement || booking.agreement.status !== 'customer_signed') {
+        throw agreementError(booking.agreement && booking.agreement.status === 'signed'
+            ? 'The agreement has already been countersigned'
+            : 'The customer has not signed the agreement yet');
+    }
+
+    const { customerSignature, content, documentHash, generatedAt } = booking.agreement;
+    const signedAt = new Date();
+
+    // The stored draft must still be the document the customer signed, and
+    // its terms must render to exactly that document again
+    const draft = await storage.read(booking.agreement.draft && booking.agreement.draft.public_id);
+
+    if (!draft || hash(draft) !== documentHash || !content
+        || hash(await generateAgreementPdf(content, { createdAt: generatedAt })) !== documentHash) {
+        throw agreementError('The agreement the customer signed could not be verified, it has to be generated and signed again', 409);
+    }
+
+    // The signed terms with only the signature page added
+    const buffer = await generateAgreementPdf(content, {
+        createdAt: generatedAt,
+        signatures: {
+            documentHash,
+            customer: {
+                name: customerSignature.name,
+                method: customerSignature.method,
+                image: customerSignature.method === 'drawn'
+                    ? await storage.read(customerSignature.image.public_id)
+                    : null,
+                signedAt: customerSignature.signedAt,
+                ip: customerSignature.ip
+            },
+            company: {
+                name: user.name,
+                signedAt,
+                ip
+            }
+        }
+    });
+
+    booking.documents.agreement = await storage.upload(buffer, {
+        folder: 'agreements',
+        filename: `agreement_${booking.bookingNumber}_signed.pdf`,
+        contentType: 'application/pdf',
+        access: 'private'
+    });
+
+    booking.agreement.countersignature = {
+        user: user._id || user.id,
+        name: user.name,
+        signedAt,
+        ip
+    };
+    booking.agreement.signedDocumentHash = hash(buffer);
+    booking.agreement.status = 'signed';
+
+    await booking.save();
+
+    await Notification.create({
+        user: booking.user._id || booking.user,
+        title: 'Rental Agreement Signed',
+        message: `The rental agreement for booking #${booking.bookingNumber} has been signed by both parties. A copy is available with your booking.`,
+        type: 'booking',
+        metadata: {
+            bookingId: booking._id,
+            bookingNumber: booking.bookingNumber,
+            url: `/bookings/${booking._id}/agreement`
+        },
+        sendEmail: true
+    });
+
+    return booking.agreement;
+};
+
+/**
+ * Drop the agreement after the terms it was written for changed (dates,
+ * car); a new one is generated and signed before pickup. The caller saves.
+ * @param {Object} booking - Booking document
+ * @returns {boolean} - Whether there was an agreement to drop
+ */
+const voidAgreement = (booking) => {
+    if (!booking.agreement || !booking.agreement.status) return false;
+
+    booking.agreement = undefined;
+    booking.documents.agreement = undefined;
+
+    return true;
+};
+
+/**
+ * Whether the car can be handed over under the agreement
+ * @param {Object} booking - Booking document
+ * @returns {boolean}
+ */
+const isAgreementSigned = (booking) => Boolean(booking.agreement && booking.agreement.status === 'signed');
+
+exports.generateAgreement = generateAgreement;
+exports.getAgreement = getAgreement;
+exports.getAgreementPdf = getAgreementPdf;
+exports.signAgreement = signAgreement;
+exports.countersignAgreement = countersignAgreement;
+exports.voidAgreement = voidAgreement;
+exports.isAgreementSigned = isAgreementSigned;
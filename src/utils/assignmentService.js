@@ -0,0 +1,343 @@
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { createHold, convertHolds, releaseHolds } = require('./holdService');
+const { offerFreedCar } = require('./waitlistService');
+const { voidAgreement } = require('./agreementService');
+const { isClassBooking, describeClass } = require('./vehicleClass');
+const { formatDateTime } = require('./dateTime');
+const { categoryBooking } = require('../config/booking');
+
+// Category bookings can only move between cars before pickup
+const ASSIGNABLE_STATUSES = ['pending', 'confirmed'];
+
+const assignmentError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Car query for the cars that can serve a class
+ */
+const getClassFilter = (vehicleClass) => ({
+    category: vehicleClass.category,
+    'location.city': vehicleClass.city,
+    ...(vehicleClass.transmission && { transmission: vehicleClass.transmission }),
+    ...(vehicleClass.seats && { seats: { $gte: vehicleClass.seats } }),
+    status: 'active',
+    availability: { $nin: ['maintenance', 'unavailable'] }
+});
+
+/**
+ * Cars in the pool for a class, least recently rented first so wear is
+ * spread across the fleet
+ * @param {Object} vehicleClass - { category, transmission, seats, city }
+ * @returns {Promise<Array>} - Car documents
+ */
+const getPoolCars = (vehicleClass) => {
+    return Car.find(getClassFilter(vehicleClass)).sort({ lastBooked: 1, createdAt: 1 });
+};
+
+/**
+ * Car whose rates price the class: the cheapest one in the pool, so the
+ * customer never pays more than the class is advertised at
+ * @param {Object} vehicleClass - { category, transmission, seats, city }
+ * @returns {Promise<Object|null>} - Car document
+ */
+const getRateCar = (vehicleClass) => {
+    return Car.findOne(getClassFilter(vehicleClass)).sort({ pricePerDay: 1 });
+};
+
+/**
+ * Cars of a class free for a period
+ * @param {Object} vehicleClass - { category, transmission, seats, city }
+ * @param {Date} start - Pickup datetime
+ * @param {Date} end - Dropoff datetime
+ * @param {Object} options
+ * @param {string} options.excludeBookingId - Booking left out of the check, e.g. when moving it
+ * @returns {Promise<Object>} - { total, available, cars }
+ */
+const getPoolAvailability = async (vehicleClass, start, end, { excludeBookingId } = {}) => {
+    const pool = await getPoolCars(vehicleClass);
+    const cars = [];
+
+    for (const car of pool) {
+        if (await car.isAvailableForDates(start, end, excludeBookingId)) {
+            cars.push(car);
+        }
+    }
+
+    return {
+        total: pool.length,
+        available: cars.length,
+        cars
+    };
+};
+
+/**
+ * Hold a free car of the class for a period, trying the pool in order
+ * @param {Object} params
+ * @param {Object} params.vehicleClass - { category, transmission, seats, city }
+ * @param {string} params.userId - Customer
+ * @param {Date} params.start - Pickup datetime
+ * @param {Date} params.end - Dropoff datetime
+ * @param {string} params.bookingId - Booking being moved, if any
+ * @param {Array} params.excludeCarIds - Cars not to use
+ * @returns {Promise<Object>} - BookingHold document
+ */
+const reserveClassCar = async ({ vehicleClass, userId, start, end, bookingId, excludeCarIds = [] }) => {
+    const excluded = excludeCarIds.map(id => id.toString());
+    const pool = await getPoolCars(vehicleClass);
+
+    for (const car of pool) {
+        if (excluded.includes(car._id.toString())) continue;
+
+        try {
+            return await createHold({
+                carId: car._id,
+                userId,
+                pickupDate: start,
+                dropoffDate: end,
+                purpose: bookingId ? 'assignment' : 'booking',
+                bookingId
+            });
+        } catch (error) {
+            // Booked for these dates; try the next car in the pool
+            if (error.status === 409) continue;
+            throw error;
+        }
+    }
+
+    throw assignmentError(`No ${describeClass(vehicleClass)} available for selected dates`, 409);
+};
+
+/**
+ * Tell the customer which car they will get
+ */
+const notifyAssigned = async (booking, car, changed) => {
+    await Notification.create({
+        user: booking.user._id || booking.user,
+        title: changed ? 'Your Car Has Changed' : 'Your Car Is Assigned',
+        message: changed
+            ? `Your booking #${booking.bookingNumber} has been moved to a ${car.make} ${car.model} (${car.licensePlate}) of the same class.`
+            : `A ${car.make} ${car.model} (${car.licensePlate}) is ready for your booking #${booking.bookingNumber} on ${formatDateTime(booking.pickupDate)}.`,
+        type: 'booking',
+        category: changed ? 'warning' : 'info',
+        metadata: {
+            bookingId: booking._id,
+            bookingNumber: booking.bookingNumber,
+            carId: car._id,
+            url: `/bookings/${booking._id}`
+        },
+        sendEmail: true
+    });
+};
+
+/**
+ * Assign a car to a category booking. Without a carId the next free car
+ * of the class is taken. The customer is told once the booking is bound,
+ * and again whenever a bound booking moves to another car.
+ * @param {Object} booking - Booking document
+ * @param {Object} options
+ * @param {string} options.carId - Car to assign
+ * @param {boolean} options.bind - Bind the booking to the car
+ * @param {string} options.assignedBy - Staff member, unset for automatic assignment
+ * @param {string} options.changedBy - Staff member who caused a change of car, if not assigning it
+ * @param {string} options.reason - Why the car is changed
+ * @returns {Promise<Object>} - Updated booking
+ */
+const assignCar = async (booking, { carId, bind = true, assignedBy, changedBy, reason } = {}) => {
+    if (!isClassBooking(booking)) {
+        throw assignmentError('Only category bookings can be assigned another car');
+    }
+
+    if (!ASSIGNABLE_STATUSES.includes(booking.status)) {
+        throw assignmentError(`Cars cannot be assigned to a ${booking.status} booking`);
+    }
+
+    const previousCarId = (booking.car._id || booking.car).toString();
+    const wasBound = booking.assignment && booking.assignment.status === 'assigned';
+    let hold = null;
+
+    if (carId && carId.toString() !== previousCarId) {
+        const matches = await Car.exists({ _id: carId, ...getClassFilter(booking.vehicleClass) });
+
+        if (!matches) {
+            throw assignmentError(`Car is not an available ${describeClass(booking.vehicleClass)}`);
+        }
+
+        hold = await createHold({
+            carId,
+            userId: booking.user._id || booking.user,
+            pickupDate: booking.pickupDate,
+            dropoffDate: booking.dropoffDate,
+            purpose: 'assignment',
+            bookingId: booking._id
+        });
+    } else if (!carId) {
+        // Keep the current car if it can still be rented out
+        const current = await Car.exists({ _id: previousCarId, ...getClassFilter(booking.vehicleClass) });
+
+        if (!current) {
+            hold = await reserveClassCar({
+                vehicleClass: booking.vehicleClass,
+                userId: booking.user._id || booking.user,
+                start: booking.pickupDate,
+                end: booking.dropoffDate,
+                bookingId: booking._id,
+                excludeCarIds: [previousCarId]
+            });
+        }
+    }
+
+    if (hold) {
+        booking.car = hold.car;
+        booking.assignment.history.push({
+            car: hold.car,
+            previousCar: previousCarId,
+            reason: reason || (assignedBy ? 'Reassigned by staff' : 'Previous car unavailable'),
+            changedBy: changedBy || assignedBy
+        });
+
+        // An agreement naming the old car has to be signed again
+        if (wasBound) {
+            voidAgreement(booking);
+        }
+    }
+
+    if (bind) {
+        booking.assignment.status = 'assigned';
+        booking.assignment.assignedAt = new Date();
+        booking.assignment.assignedBy = assignedBy;
+        booking.assignment.method = assignedBy ? 'admin' : 'auto';
+    }
+
+    await booking.save();
+
+    if (hold) {
+        // The booking now blocks the new car; drop what it held on the old one
+        await releaseHolds({ booking: booking._id, _id: { $ne: hold._id } });
+
+        if (booking.status === 'confirmed') {
+            await convertHolds(booking._id);
+        }
+
+        await offerFreedCar(previousCarId);
+    }
+
+    if (bind && (hold || !wasBound)) {
+        const car = await Car.findById(booking.car);
+        await notifyAssigned(booking, car, Boolean(hold) && wasBound);
+    }
+
+    return booking;
+};
+
+/**
+ * Bind category bookings picking up soon to a concrete car, moving them
+ * off cars that have since gone out of service
+ * @returns {Promise<number>} - Number of bookings bound
+ */
+const bindUpcomingAssignments = async () => {
+    const due = new Date(Date.now() + categoryBooking.assignLeadHours * 60 * 60 * 1000);
+
+    const bookings = await Booking.find({
+        'vehicleClass.category': { $exists: true },
+        'assignment.status': 'provisional',
+        status: { $in: ASSIGNABLE_STATUSES },
+        pickupDate: { $lte: due }
+    })
+    .sort('pickupDate')
+    .limit(100);
+
+    let bound = 0;
+
+    for (const booking of bookings) {
+        try {
+            await assignCar(booking);
+            bound++;
+        } catch (error) {
+            console.error(`Car assignment failed for booking ${booking.bookingNumber}:`, error.message);
+            await notifyAdmins(booking, error.message);
+        }
+    }
+
+    return bound;
+};
+
+/**
+ * Move upcoming category bookings off a car that can no longer be rented
+ * (maintenance, breakdown, retired). Bookings for that specific car, or
+ * with no other car of the class free, are flagged to the admins.
+ * @param {string} carId - Car taken out of service
+ * @param {Object} options
+ * @param {string} options.reason - Why the car is out of service
+ * @param {string} options.changedBy - Staff member taking it out
+ * @returns {Promise<Object>} - { moved, unresolved }
+ */
+const reassignCarBookings = async (carId, { reason = 'Car out of service', changedBy } = {}) => {
+    const bookings = await Booking.find({
+        car: carId,
+        status: { $in: ASSIGNABLE_STATUSES },
+        pickupDate: { $gt: new Date() }
+    }).sort('pickupDate');
+
+    let moved = 0;
+    let unresolved = 0;
+
+    for (const booking of bookings) {
+        if (!isClassBooking(booking)) {
+            unresolved++;
+            await notifyAdmins(booking, `${reason}; the customer booked this specific car`);
+            continue;
+        }
+
+        try {
+            await assignCar(booking, {
+                bind: booking.assignment.status === 'assigned',
+                changedBy,
+                reason
+            });
+
+            moved++;
+        } catch (error) {
+            unresolved++;
+            await notifyAdmins(booking, error.message);
+        }
+    }
+
+    return { moved, unresolved };
+};
+
+/**
+ * Ask the admins to sort out a booking that could not be given a car
+ */
+const notifyAdmins = async (booking, problem) => {
+    const adminUsers = await User.find({ role: { $in: ['admin', 'super_admin'] } });
+    for (const admin of adminUsers) {
+        await Notification.create({
+            user: admin._id,
+            title: 'Booking Needs a Car',
+            message: `Booking #${booking.bookingNumber} picking up ${formatDateTime(booking.pickupDate)} needs attention: ${problem}`,
+            type: 'alert',
+            priority: 'high',
+            metadata: {
+                bookingId: booking._id,
+                bookingNumber: booking.bookingNumber,
+                carId: booking.car
+            }
+        });
+    }
+};
+
+exports.isClassBooking = isClassBooking;
+exports.describeClass = describeClass;
+exports.getPoolCars = getPoolCars;
+exports.getRateCar = getRateCar;
+exports.getPoolAvailability = getPoolAvailability;
+exports.reserveClassCar = reserveClassCar;
+exports.assignCar = assignCar;
+exports.bindUpcomingAssignments = bindUpcomingAssignments;
+exports.reassignCarBookings = reassignCarBookings;
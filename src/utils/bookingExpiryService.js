@@ -0,0 +1,172 @@
+const Booking = require('../models/Booking');
+const Offer = require('../models/Offer');
+const Notification = require('../models/Notification');
+const { processRefund } = require('./refundService');
+const { getAmountDue, getAdvanceDue, getPaymentDeadline } = require('./paymentService');
+const { claimTransition } = require('./bookingLifecycle');
+const { formatDateTime } = require('./dateTime');
+const { unpaidExpiry } = require('../config/booking');
+
+/**
+ * Pending bookings whose payment deadline is before the given time.
+ * Bookings made before deadlines were stored fall back to the advance
+ * due date or the booking time plus the expiry window.
+ */
+const dueBefore = (time) => ({
+    status: 'pending',
+    $or: [
+        { 'payment.expiresAt': { $lte: time } },
+        {
+            'payment.expiresAt': { $exists: false },
+            'payment.mode': 'advance',
+            'payment.advanceDueAt': { $lte: time }
+        },
+        {
+            'payment.expiresAt': { $exists: false },
+            'payment.mode': { $ne: 'advance' },
+            createdAt: { $lte: new Date(time.getTime() - unpaidExpiry.minutes * 60 * 1000) }
+        }
+    ]
+});
+
+/**
+ * Give back the promo code use of a booking that never went ahead
+ * @param {Object} booking - Booking document
+ */
+const releaseOfferUsage = async (booking) => {
+    if (!booking.promoCode) return;
+
+    // Matching on the booking keeps this safe to run twice
+    await Offer.updateOne(
+        { code: booking.promoCode, 'usersUsed.booking': booking._id },
+        {
+            $inc: { usedCount: -1 },
+            $pull: { usersUsed: { booking: booking._id } }
+        }
+    );
+};
+
+/**
+ * Cancel pending bookings that were not paid in time. The car's dates
+ * and the promo code use are freed up, and anything paid towards an
+ * advance is refunded in full.
+ * @returns {Promise<number>} - Number of bookings cancelled
+ */
+exports.expireUnpaidBookings = async () => {
+    const bookings = await Booking.find(dueBefore(new Date())).limit(50);
+
+    let cancelled = 0;
+
+    for (const booking of bookings) {
+        const refundAmount = booking.paidAmount || 0;
+        const isAdvance = booking.payment.mode === 'advance';
+
+        const reason = isAdvance
+            ? 'Advance payment not received in time'
+            : 'Payment not received in time';
+
+        // Only cancel if nobody paid for or cancelled it in the meantime.
+        // The dates go back to the car and its waitlist.
+        const updated = await claimTransition(booking, 'cancelled', {
+            where: { paidAmount: booking.paidAmount },
+            set: {
+                cancellation: {
+                    reason,
+                    initiatedBy: 'system',
+                    cancellationFee: 0,
+                    cancelledAt: new Date(),
+                    refundAmount,
+                    refundStatus: refundAmount > 0 ? 'pending' : 'not_applicable'
+                },
+                ...(refundAmount > 0 && { 'payment.status': 'refund_pending' })
+            },
+            reason,
+            notify: false
+        });
+
+        if (!updated) continue;
+
+        try {
+            await releaseOfferUsage(updated);
+        } catch (error) {
+            console.error(`Offer release failed for booking ${updated.bookingNumber}:`, error);
+        }
+
+        if (refundAmount > 0) {
+            await processRefund(updated._id);
+        }
+
+        await Notification.create({
+            user: updated.user,
+            title: 'Booking Expired',
+            message: refundAmount > 0
+                ? `Your booking #${updated.bookingNumber} expired because the ${isAdvance ? 'advance' : 'payment'} was not received in time. ₹${refundAmount} will be refunded.`
+                : `Your booking #${updated.bookingNumber} expired because the ${isAdvance ? 'advance' : 'payment'} was not received in time. You can book the car again if it is still available.`,
+            type: 'booking',
+            category: 'warning',
+            metadata: {
+                bookingId: updated._id,
+                bookingNumber: updated.bookingNumber,
+                amount: refundAmount
+            },
+            sendEmail: true
+        });
+
+        cancelled++;
+    }
+
+    return cancelled;
+};
+
+/**
+ * Remind customers to pay shortly before their booking expires
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+exports.sendPaymentReminders = async () => {
+    const now = new Date();
+    const remindBefore = new Date(now.getTime() + unpaidExpiry.reminderMinutes * 60 * 1000);
+
+    const bookings = await Booking.find({
+        ...dueBefore(remindBefore),
+        'payment.expiryReminderSentAt': { $exists: false }
+    }).limit(100);
+
+    let sent = 0;
+
+    for (const booking of bookings) {
+        const deadline = getPaymentDeadline(booking.payment, booking.pickupDate, booking.createdAt);
+
+        // Past the deadline already; the expiry job will pick it up
+        if (deadline <= now) continue;
+
+        const amount = booking.payment.mode === 'advance'
+            ? getAdvanceDue(booking)
+            : getAmountDue(booking);
+
+        await Notification.create({
+            user: booking.user,
+            title: 'Complete Your Payment',
+            message: `Pay ₹${amount} by ${formatDateTime(deadline)} to confirm booking #${booking.bookingNumber}, or it will be cancelled and the car released.`,
+            type: 'payment',
+            category: 'warning',
+            metadata: {
+                bookingId: booking._id,
+                bookingNumber: booking.bookingNumber,
+                amount,
+                url: `/bookings/${booking._id}`
+            },
+            sendEmail: true
+        });
+
+        await Booking.updateOne(
+            { _id: booking._id },
+            { $set: { 'payment.expiryReminderSentAt': new Date() } }
+        );
+
+        sent++;
+    }
+
+    return sent;
+};
+
+exports.releaseOfferUsage = releaseOfferUsage;
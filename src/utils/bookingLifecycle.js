@@ -0,0 +1,384 @@
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const Notification = require('../models/Notification');
+const { convertHolds, releaseHolds } = require('./holdService');
+const { offerFreedCar } = require('./waitlistService');
+const { issueInvoice } = require('./invoiceService');
+const { isAgreementSigned } = require('./agreementService');
+const { cancelRuns } = require('./deliveryService');
+const { formatDateTime } = require('./dateTime');
+const { pickup, noShow } = require('../config/booking');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const lifecycleError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * No-show fee of a booking: the configured days of the rental at its
+ * average daily charge, never more than the customer paid
+ * @param {Object} booking - Booking document
+ * @returns {number}
+ */
+const getNoShowFee = (booking) => {
+    const dailyCharge = (booking.totalAmount || 0) / Math.max(booking.totalDays || 1, 1);
+    const fee = Math.min(dailyCharge * noShow.feeDays, booking.totalAmount || 0);
+
+    return round(Math.min(fee, booking.paidAmount || 0));
+};
+
+const isDisputeOpen = (booking) => Boolean(booking.dispute
+    && ['open', 'under_review', 'resolving'].includes(booking.dispute.status));
+
+// A booking that never went ahead calls off its doorstep runs and gives
+// its dates back; the car itself only changes hands at pickup and
+// return, so its availability stays. Each step runs even if another
+// fails, the runs first so no driver sets off for it.
+const freeDates = async (booking) => {
+    const steps = [
+        ['Run cancellation', () => cancelRuns(booking, booking.status === 'no_show' ? 'Booking closed as a no-show' : 'Booking cancelled')],
+        ['Hold release', () => releaseHolds({ booking: booking._id })],
+        ['Waitlist offer', () => offerFreedCar(booking.car._id || booking.car)]
+    ];
+
+    for (const [name, step] of steps) {
+        try {
+            await step();
+        } catch (error) {
+            console.error(`${name} error for ${booking.bookingNumber}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Legal status changes, by current status then new status.
+ *   guard(booking)        throws if the booking is not ready for the change
+ *   fields(now, booking, options)
+ *                         set together with the status; options are the
+ *                         { by, reason } of the change
+ *   after(booking)        side effects once the change is saved
+ *   notification(booking) default message to the customer
+ */
+const TRANSITIONS = {
+    pending: {
+        confirmed: {
+            guard: (booking) => {
+                const required = booking.payment.mode === 'advance'
+                    ? booking.payment.advanceAmount || 0
+                    : booking.totalAmount;
+
+                if ((booking.paidAmount || 0) < required) {
+                    throw lifecycleError(`₹${round(required - (booking.paidAmount || 0))} must be paid before the booking is confirmed`);
+                }
+            },
+            fields: (now) => ({ confirmedAt: now }),
+            // Once confirmed the booking keeps the car by itself, and the
+            // tax invoice is issued
+            after: async (booking) => {
+                await convertHolds(booking._id);
+
+                try {
+                    await issueInvoice(booking);
+                } catch (error) {
+                    console.error(`Invoice error for booking ${booking.bookingNumber}:`, error.message);
+                }
+            },
+            notification: (booking) => ({
+                title: 'Booking Confirmed',
+                message: `Your booking #${booking.bookingNumber} is confirmed.`,
+                category: 'success'
+            })
+        },
+        cancelled: {
+            after: freeDates,
+            notification: (booking) => ({
+                title: 'Booking Cancelled',
+                message: `Your booking #${booking.bookingNumber} has been cancelled.`
+            })
+        }
+    },
+    confirmed: {
+        active: {
+            guard: (booking) => {
+                const earliest = new Date(booking.pickupDate.getTime() - pickup.earlyMinutes * 60 * 1000);
+                if (new Date() < earliest) {
+                    throw lifecycleError(`Pickup opens at ${formatDateTime(earliest)}`);
+                }
+
+                // Advance bookings pay the balance at the counter first
+                const amountDue = round((booking.totalAmount || 0) - (booking.paidAmount || 0));
+                if (amountDue > 0) {
+                    throw lifecycleError(`Collect the balance of ₹${amountDue} before handing over the car`);
+                }
+
+                // The car is only handed over once the deposit is taken
+                if (booking.deposit.status === 'pending' && booking.securityDeposit > 0) {
+                    throw lifecycleError('Collect the security deposit before handing over the car');
+                }
+
+                if (!isAgreementSigned(booking)) {
+                    throw lifecycleError('The rental agreement must be signed by the customer and countersigned before handing over the car');
+                }
+            },
+            fields: (now) => ({ pickedUpAt: now }),
+            after: async (booking) => {
+                await Car.findByIdAndUpdate(booking.car._id || booking.car, { availability: 'booked' });
+            },
+            notification: (booking) => ({
+                title: 'Enjoy Your Trip!',
+                message: `You picked up the car for booking #${booking.bookingNumber}. Please return it by ${formatDateTime(booking.dropoffDate)}.`,
+                category: 'success'
+            })
+        },
+        cancelled: {
+            after: freeDates,
+            notification: (booking) => ({
+                title: 'Booking Cancelled',
+                message: `Your booking #${booking.bookingNumber} has been cancelled.`
+            })
+        },
+        no_show: {
+            guard: (booking) => {
+                if (booking.pickupDate > new Date()) {
+                    throw lifecycleError('The pickup time has not passed yet');
+                }
+            },
+            // The no-show fee is kept and the rest of the payment refunded
+            fields: (now, booking, { by, reason }) => {
+                const fee = getNoShowFee(booking);
+                const refundAmount = round((booking.paidAmount || 0) - fee);
+
+                return {
+                    noShowAt: now,
+                    cancellation: {
+                        reason: reason || 'Car was not picked up',
+                        initiatedBy: by ? 'admin' : 'system',
+                        cancellationFee: fee,
+                        cancelledAt: now,
+                        refundAmount,
+                        refundStatus: refundAmount > 0 ? 'pending' : 'not_applicable'
+                    },
+                    ...(refundAmount > 0 && { 'payment.status': 'refund_pending' })
+                };
+            },
+            after: async (booking) => {
+                await freeDates(booking);
+
+                if (booking.cancellation.refundAmount > 0) {
+                    // Required here: refundService loads this module through paymentService
+                    const { processRefund } = require('./refundService');
+                    await processRefund(booking._id);
+                }
+            },
+            notification: (booking) => ({
+                title: 'Booking Marked as No-Show',
+                message: `Your booking #${booking.bookingNumber} was not picked up and has been closed as a no-show. A no-show fee of ₹${booking.cancellation.cancellationFee} applies${booking.cancellation.refundAmount > 0 ? ` and ₹${booking.cancellation.refundAmount} will be refunded` : ''}.`,
+                category: 'warning'
+            })
+        }
+    },
+    active: {
+        completed: {
+            fields: (now) => ({ droppedOffAt: now, completedAt: now }),
+            // The rental counts towards the car's stats once it is back
+            after: async (booking) => {
+                await Car.findByIdAndUpdate(booking.car._id || booking.car, {
+                    availability: 'available',
+                    $inc: {
+                        totalBookings: 1,
+                        totalRevenue: booking.totalAmount
+                    }
+                });
+            },
+            notification: (booking) => ({
+                title: 'Booking Completed',
+                message: `Your booking #${booking.bookingNumber} has been completed. Thank you for riding with us.`
+            })
+        }
+    },
+    completed: {
+        disputed: {
+            guard: (booking) => {
+                if (!isDisputeOpen(booking)) {
+                    throw lifecycleError('Raise a dispute on the charges to mark the booking as disputed');
+                }
+            },
+            notification: (booking) => ({
+                title: 'Booking Disputed',
+                message: `We are reviewing your dispute on booking #${booking.bookingNumber}.`
+            })
+        }
+    },
+    disputed: {
+        completed: {
+            guard: (booking) => {
+                if (isDisputeOpen(booking)) {
+                    throw lifecycleError('Resolve the dispute before closing the booking');
+                }
+            },
+            notification: (booking) => ({
+                title: 'Dispute Closed',
+                message: `The dispute on booking #${booking.bookingNumber} has been closed.`
+            })
+        }
+    }
+};
+
+const getTransition = (from, to) => (TRANSITIONS[from] || {})[to];
+
+/**
+ * Statuses a booking can move to from the given one
+ * @param {string} status - Current status
+ * @returns {Array<string>}
+ */
+const getNextStatuses = (status) => Object.keys(TRANSITIONS[status] || {});
+
+/**
+ * Whether a booking may move between the two statuses
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => Boolean(getTransition(from, to));
+
+/**
+ * Check the change is legal and the booking is ready for it, without
+ * changing anything
+ * @param {Object} booking - Booking document
+ * @param {string} to - New status
+ */
+const assertTransition = (booking, to) => {
+    const transition = getTransition(booking.status, to);
+
+    if (!transition) {
+        throw lifecycleError(booking.status === to
+            ? `Booking is already ${to}`
+            : `A ${booking.status} booking cannot be changed to ${to}`);
+    }
+
+    if (transition.guard) {
+        transition.guard(booking);
+    }
+};
+
+/**
+ * Move the booking to a new status, setting the timestamps that go with
+ * it and recording the change. Does not save the booking; call
+ * afterTransition once it is saved.
+ * @param {Object} booking - Booking document
+ * @param {string} to - New status
+ * @param {Object} options
+ * @param {string} options.by - User making the change (none for jobs)
+ * @param {string} options.reason - Kept in the status history
+ * @returns {string} - Previous status
+ */
+const applyTransition = (booking, to, { by, reason } = {}) => {
+    assertTransition(booking, to);
+
+    const from = booking.status;
+    const now = new Date();
+    const { fields } = getTransition(from, to);
+
+    booking.set({ ...(fields ? fields(now, booking, { by, reason }) : {}), status: to });
+    booking.statusHistory.push({ from, to, changedBy: by, reason, changedAt: now });
+
+    return from;
+};
+
+/**
+ * Side effects and the customer notification of a saved status change
+ * @param {Object} booking - Booking document, already saved
+ * @param {string} from - Previous status
+ * @param {string} to - New status
+ * @param {Object} options
+ * @param {boolean} options.notify - Send the default notification; callers
+ *                                   with a more specific message turn it off
+ */
+const afterTransition = async (booking, from, to, { notify = true } = {}) => {
+    const transition = getTransition(from, to);
+
+    if (transition.after) {
+        await transition.after(booking);
+    }
+
+    if (notify && transition.notification) {
+        const { title, message, category } = transition.notification(booking);
+
+        await Notification.create({
+            user: booking.user._id || booking.user,
+            title,
+            message,
+            type: 'booking',
+            ...(category && { category }),
+            metadata: {
+                bookingId: booking._id,
+                bookingNumber: booking.bookingNumber,
+                newStatus: to,
+                url: `/bookings/${booking._id}`
+            },
+            sendEmail: true
+        });
+    }
+};
+
+/**
+ * Change the status, save the booking and run the side effects
+ * @param {Object} booking - Booking document
+ * @param {string} to - New status
+ * @param {Object} options - See applyTransition and afterTransition
+ * @returns {Promise<Object>} - The booking
+ */
+const transition = async (booking, to, options = {}) => {
+    const from = applyTransition(booking, to, options);
+
+    await booking.save();
+    await afterTransition(booking, from, to, options);
+
+    return booking;
+};
+
+/**
+ * Change the status in a single update that only matches while the
+ * booking is still in the status it was loaded with, so a job and a
+ * customer acting at the same time cannot both change it.
+ * @param {Object} booking - Booking as loaded
+ * @param {string} to - New status
+ * @param {Object} options - See applyTransition and afterTransition
+ * @param {Object} options.where - Extra conditions the booking must still meet
+ * @param {Object} options.set - Other fields to set with the status
+ * @returns {Promise<Object|null>} - Updated booking, or null if it changed in the meantime
+ */
+const claimTransition = async (booking, to, { where = {}, set = {}, by, reason, ...options } = {}) => {
+    assertTransition(booking, to);
+
+    const from = booking.status;
+    const now = new Date();
+    const { fields } = getTransition(from, to);
+
+    const updated = await Booking.findOneAndUpdate(
+        { ...where, _id: booking._id, status: from },
+        {
+            $set: { ...set, ...(fields ? fields(now, booking, { by, reason }) : {}), status: to },
+            $push: { statusHistory: { from, to, changedBy: by, reason, changedAt: now } }
+        },
+        { new: true }
+    );
+
+    if (updated) {
+        await afterTransition(updated, from, to, options);
+    }
+
+    return updated;
+};
+
+exports.getNoShowFee = getNoShowFee;
+exports.getNextStatuses = getNextStatuses;
+exports.canTransition = canTransition;
+exports.assertTransition = assertTransition;
+exports.applyTransition = applyTransition;
+exports.afterTransition = afterTransition;
+exports.transition = transition;
+exports.claimTransition = claimTransition;
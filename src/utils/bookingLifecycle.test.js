@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const {
+    canTransition,
+    getNextStatuses,
+    assertTransition,
+    applyTransition,
+    getNoShowFee
+} = require('./bookingLifecycle');
+
+const HOUR = 60 * 60 * 1000;
+
+const makeBooking = (fields = {}) => new Booking({
+    user: new mongoose.Types.ObjectId(),
+    car: new mongoose.Types.ObjectId(),
+    bookingNumber: 'BK0001',
+    pickupDate: new Date(Date.now() + 48 * HOUR),
+    dropoffDate: new Date(Date.now() + 120 * HOUR),
+    totalDays: 3,
+    baseAmount: 2700,
+    totalAmount: 3000,
+    ...fields
+});
+
+test('only the lifecycle moves are allowed', () => {
+    assert.deepEqual(getNextStatuses('pending'), ['confirmed', 'cancelled']);
+    assert.deepEqual(getNextStatuses('confirmed'), ['active', 'cancelled', 'no_show']);
+    assert.equal(canTransition('active', 'completed'), true);
+    assert.equal(canTransition('completed', 'active'), false);
+    assert.equal(canTransition('cancelled', 'confirmed'), false);
+    assert.deepEqual(getNextStatuses('no_show'), []);
+});
+
+test('an illegal move names both statuses', () => {
+    const booking = makeBooking({ status: 'cancelled' });
+
+    assert.throws(() => assertTransition(booking, 'active'), {
+        status: 400,
+        message: 'A cancelled booking cannot be changed to active'
+    });
+    assert.throws(() => assertTransition(booking, 'cancelled'), { message: 'Booking is already cancelled' });
+});
+
+test('a booking is only confirmed once paid', () => {
+    const booking = makeBooking({ status: 'pending', paidAmount: 1000 });
+
+    assert.throws(() => applyTransition(booking, 'confirmed'), { message: /₹2000 must be paid/ });
+    assert.equal(booking.status, 'pending');
+
+    booking.paidAmount = 3000;
+    const from = applyTransition(booking, 'confirmed', { reason: 'Paid' });
+
+    assert.equal(from, 'pending');
+    assert.equal(booking.status, 'confirmed');
+    assert.ok(booking.confirmedAt instanceof Date);
+    assert.equal(booking.statusHistory.length, 1);
+    assert.equal(booking.statusHistory[0].reason, 'Paid');
+});
+
+test('an advance booking is confirmed once the advance is paid', () => {
+    const booking = makeBooking({
+        status: 'pending',
+        paidAmount: 600,
+        payment: { mode: 'advance', advanceAmount: 600 }
+    });
+
+    applyTransition(booking, 'confirmed');
+
+    assert.equal(booking.status, 'confirmed');
+});
+
+test('a no-show cannot be marked before the pickup time', () => {
+    const booking = makeBooking({ status: 'confirmed', paidAmount: 3000 });
+
+    assert.throws(() => applyTransition(booking, 'no_show'), { message: 'The pickup time has not passed yet' });
+});
+
+test('a no-show keeps the fee and queues the rest for refund', () => {
+    const booking = makeBooking({
+        status: 'confirmed',
+        paidAmount: 3000,
+        pickupDate: new Date(Date.now() - 5 * HOUR)
+    });
+    const fee = getNoShowFee(booking);
+
+    applyTransition(booking, 'no_show', { by: new mongoose.Types.ObjectId() });
+
+    assert.ok(fee > 0 && fee < 3000);
+    assert.equal(booking.status, 'no_show');
+    assert.equal(booking.cancellation.cancellationFee, fee);
+    assert.equal(booking.cancellation.refundAmount, 3000 - fee);
+    assert.equal(booking.cancellation.refundStatus, 'pending');
+    assert.equal(booking.cancellation.initiatedBy, 'admin');
+    assert.equal(booking.payment.status, 'refund_pending');
+});
+
+test('the no-show fee is never more than what was paid', () => {
+    const booking = makeBooking({ paidAmount: 100 });
+
+    assert.equal(getNoShowFee(booking), 100);
+    assert.equal(getNoShowFee(makeBooking({ paidAmount: 0 })), 0);
+});
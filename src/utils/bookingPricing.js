@@ -0,0 +1,166 @@
+const { calculateTax, toChargeLines } = require('./taxEngine');
+const { isOneWay, getDropFee } = require('./dropFees');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const pricingError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Work out the one-way leg of a trip
+ * @param {Object} car - Car document
+ * @param {string} dropoffCity - City the car is returned in
+ * @returns {Object|undefined} - { fromCity, toCity, dropFee }, undefined for round trips
+ */
+const getOneWay = (car, dropoffCity) => {
+    if (!isOneWay(car.location.city, dropoffCity)) return undefined;
+
+    if (!car.allowOneWay) {
+        throw pricingError(`This car must be returned in ${car.location.city}`);
+    }
+
+    const dropFee = getDropFee(car.location.city, dropoffCity);
+
+    if (dropFee === null) {
+        throw pricingError(`One-way trips from ${car.location.city} to ${dropoffCity} are not available`);
+    }
+
+    return {
+        fromCity: car.location.city,
+        toCity: dropoffCity,
+        dropFee
+    };
+};
+
+/**
+ * Price a rental: the car's hourly/daily tiers, add-ons, the one-way drop
+ * fee, a promo code and GST. New bookings and modifications of existing
+ * ones are priced the same way.
+ * @param {Object} params
+ * @param {Object} params.car - Car document
+ * @param {Date} params.start - Pickup datetime
+ * @param {Date} params.end - Dropoff datetime
+ * @param {Array} params.additionalServices - [{ service, description, price, quantity }]
+ * @param {string} params.dropoffCity - City the car is returned in
+ * @param {Object} params.offer - Offer document to apply, if any
+ * @param {string} params.userId - Customer the offer is checked for
+ * @param {Object} params.taxParties - { supplierState, customerState, customerGstin, customerName }
+ * @param {Array} params.fees - Other fees to add, e.g. change fees [{ description, amount }]
+ * @returns {Object} - { period, totalDays, baseAmount, servicesTotal, oneWay, dropFee, feesTotal, promo,
+ *                       discountAmount, additionalCharges, tax, taxAmount, totalAmount }
+ */
+exports.priceBooking = ({ car, start, end, additionalServices = [], dropoffCity, offer, userId, taxParties = {}, fees = [] }) => {
+    // Short rentals are billed by the hour on cars that have an hourly rate
+    const period = car.getRentalPeriod(start, end);
+    const totalDays = period.totalDays;
+    const baseAmount = car.calculateRentalPrice(period.days, { hours: period.hours });
+
+    const oneWay = getOneWay(car, dropoffCity);
+    const dropFee = oneWay ? oneWay.dropFee : 0;
+
+    const additionalCharges = [];
+    let servicesTotal = 0;
+
+    (additionalServices || []).forEach(service => {
+        const serviceTotal = service.price * service.quantity;
+        servicesTotal += serviceTotal;
+
+        additionalCharges.push({
+            description: service.description || service.service,
+            amount: serviceTotal,
+            type: 'service'
+        });
+    });
+
+    if (dropFee > 0) {
+        additionalCharges.push({
+            description: `One-way drop fee (${oneWay.fromCity} to ${oneWay.toCity})`,
+            amount: dropFee,
+            type: 'fee'
+        });
+    }
+
+    const otherFees = fees.filter(fee => fee.amount > 0);
+    const feesTotal = otherFees.reduce((sum, fee) => sum + fee.amount, 0);
+
+    otherFees.forEach(fee => {
+        additionalCharges.push({
+            description: fee.description,
+            amount: fee.amount,
+            type: 'fee'
+        });
+    });
+
+    // Promo codes that do not fit the rental are left out, not rejected
+    let discountAmount = 0;
+    let promo = null;
+
+    if (offer) {
+        const eligibility = offer.canApplyToBooking({
+            totalAmount: baseAmount + servicesTotal,
+            totalDays,
+            carId: car._id,
+            category: car.category,
+            userId
+        });
+
+        if (eligibility.valid) {
+            discountAmount = offer.calculateDiscount(baseAmount + servicesTotal);
+
+            additionalCharges.push({
+                description: `Promo Code: ${offer.code}`,
+                amount: -discountAmount, // Negative for discount
+                type: 'discount'
+            });
+        }
+
+        promo = {
+            code: offer.code,
+            valid: eligibility.valid,
+            reason: eligibility.reason,
+            discount: discountAmount
+        };
+    }
+
+    // GST (CGST+SGST within the branch state, IGST across states)
+    const tax = calculateTax({
+        items: [
+            { type: 'rental', description: 'Car rental', amount: baseAmount },
+            ...(additionalServices || []).map(service => ({
+                type: service.service === 'insurance' ? 'insurance' : 'service',
+                description: service.description || service.service,
+                amount: service.price * service.quantity
+            })),
+            // Promo codes do not apply to the drop fee or other fees
+            { type: 'service', description: 'One-way drop fee', amount: dropFee, discountable: false },
+            ...otherFees.map(fee => ({ type: 'service', description: fee.description, amount: fee.amount, discountable: false }))
+        ],
+        discount: discountAmount,
+        supplierState: taxParties.supplierState || car.location.state,
+        customerState: taxParties.customerState,
+        customerGstin: taxParties.customerGstin,
+        customerName: taxParties.customerName
+    });
+    const taxAmount = tax.totalTax;
+
+    additionalCharges.push(...toChargeLines(tax));
+
+    return {
+        period,
+        totalDays,
+        baseAmount,
+        servicesTotal,
+        oneWay,
+        dropFee,
+        feesTotal,
+        promo,
+        discountAmount,
+        additionalCharges,
+        tax,
+        taxAmount,
+        totalAmount: round(baseAmount + servicesTotal + dropFee + feesTotal + taxAmount - discountAmount)
+    };
+};
@@ -0,0 +1,189 @@
+// Pickup and dropoff times used to be sent as a date plus a free-text time
+// ('10:00 AM'). These helpers turn either form into a precise datetime.
+// Dates and times of day are in the branches' timezone, not the server's.
+
+const { timeZone: BRANCH_TIME_ZONE } = require('../config/booking');
+
+const DEFAULT_TIME = '10:00';
+
+// Time of day sent with a bare pickup or dropoff date
+const TIME_PATTERN = /^(\d{1,2}:\d{2}|\d{1,2}(:\d{2})?\s*[ap]\.?m\.?)$/i;
+
+/**
+ * Calendar date and time of day of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month (1-12), day, hours, minutes, seconds }
+ */
+const getZonedParts = (date, timeZone = BRANCH_TIME_ZONE) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+
+    return {
+        year: get('year'),
+        month: get('month'),
+        day: get('day'),
+        hours: get('hour'),
+        minutes: get('minute'),
+        seconds: get('second')
+    };
+};
+
+/**
+ * Minutes a timezone is ahead of UTC at an instant
+ */
+const getOffsetMinutes = (date, timeZone) => {
+    const { year, month, day, hours, minutes, seconds } = getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * The instant a wall-clock time happens in a timezone
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} hours
+ * @param {number} minutes
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const fromZonedTime = (year, month, day, hours, minutes, timeZone = BRANCH_TIME_ZONE) => {
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    const offset = getOffsetMinutes(new Date(wallClock), timeZone);
+    const instant = wallClock - offset * 60 * 1000;
+
+    // Around a DST change the offset at the result can differ from the guess
+    const actualOffset = getOffsetMinutes(new Date(instant), timeZone);
+    return new Date(actualOffset === offset ? instant : wallClock - actualOffset * 60 * 1000);
+};
+
+/**
+ * Parse a time of day like '14:30', '10:00 AM' or '6 pm'
+ * @param {string} value - Time of day
+ * @returns {Object|null} - { hours, minutes } or null if not a valid time
+ */
+const parseTime = (value) => {
+    const match = String(value || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?$|^(\d{1,2}):(\d{2})$/i);
+    if (!match) return null;
+
+    if (match[4] !== undefined) {
+        const hours = parseInt(match[4], 10);
+        const minutes = parseInt(match[5], 10);
+        return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+    }
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2] || '0', 10);
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+
+    return {
+        hours: (hours % 12) + (match[3].toLowerCase() === 'p' ? 12 : 0),
+        minutes
+    };
+};
+
+/**
+ * Combine a date and a time of day into one datetime. A date that already
+ * carries a time (ISO 8601 datetime) is used as is; a bare date is combined
+ * with the time, or 10:00 when none is given, in the branch timezone.
+ * @param {string|Date} date - Date or datetime
+ * @param {string} time - Time of day for a bare date
+ * @param {string} timeZone - IANA timezone (defaults to the branches')
+ * @returns {Date} - Invalid Date if either part cannot be parsed
+ */
+const toDateTime = (date, time, timeZone = BRANCH_TIME_ZONE) => {
+    if (date instanceof Date) return new Date(date);
+
+    const value = String(date || '').trim();
+    const bareDate = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+
+    if (!bareDate) return new Date(value || NaN);
+
+    const parsed = parseTime(time || DEFAULT_TIME);
+    if (!parsed) return new Date(NaN);
+
+    return fromZonedTime(
+        parseInt(bareDate[1], 10),
+        parseInt(bareDate[2], 10),
+        parseInt(bareDate[3], 10),
+        parsed.hours,
+        parsed.minutes,
+        timeZone
+    );
+};
+
+/**
+ * Time of day of a datetime as 'HH:mm' in the branch timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone (defaults to the branches')
+ * @returns {string}
+ */
+const formatTime = (date, timeZone = BRANCH_TIME_ZONE) => {
+    const { hours, minutes } = getZonedParts(date, timeZone);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Calendar date of a datetime as 'YYYY-MM-DD' in the branch timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone (defaults to the branches')
+ * @returns {string}
+ */
+const formatDate = (date, timeZone = BRANCH_TIME_ZONE) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Date and time for messages to customers and staff, in the branch timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone (defaults to the branches')
+ * @returns {string}
+ */
+const formatDateTime = (date, timeZone = BRANCH_TIME_ZONE) => {
+    return new Date(date).toLocaleString('en-IN', {
+        timeZone,
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+};
+
+/**
+ * Start of the calendar day an instant falls on, in the branch timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone (defaults to the branches')
+ * @returns {Date}
+ */
+const startOfDay = (date, timeZone = BRANCH_TIME_ZONE) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return fromZonedTime(year, month, day, 0, 0, timeZone);
+};
+
+/**
+ * Whether a value is a usable date
+ * @param {Date} date
+ * @returns {boolean}
+ */
+const isValidDate = (date) => date instanceof Date && !isNaN(date.getTime());
+
+exports.TIME_PATTERN = TIME_PATTERN;
+exports.parseTime = parseTime;
+exports.fromZonedTime = fromZonedTime;
+exports.toDateTime = toDateTime;
+exports.formatTime = formatTime;
+exports.formatDate = formatDate;
+exports.formatDateTime = formatDateTime;
+exports.startOfDay = startOfDay;
+exports.isValidDate = isValidDate;
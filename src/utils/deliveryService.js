@@ -0,0 +1,613 @@
+const Booking = require('../models/Booking');
+const DeliverySlot = require('../models/DeliverySlot');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { isOneWay } = require('./dropFees');
+const { toDateTime, formatDate } = require('./dateTime');
+const { delivery } = require('../config/booking');
+
+// Runs that still need a driver's time
+const OPEN_RUN_STATUSES = ['scheduled', 'dispatched'];
+
+// Bookings whose runs still count against a slot
+const LIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'active'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const deliveryError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const normalise = (city) => (city || '').trim().toLowerCase();
+
+const isAddress = (location) => Boolean(location && location.type === 'address');
+
+/**
+ * Doorstep settings of a branch city
+ * @param {string} city - Branch city
+ * @returns {Object|null} - { city, zones, coordinates, perKm, minimumFee, maxKm }
+ */
+const getBranchSettings = (city) => {
+    const key = Object.keys(delivery.branches).find(branch => normalise(branch) === normalise(city));
+    if (!key) return null;
+
+    return { zones: [], ...delivery.branches[key], city: key };
+};
+
+/**
+ * Straight-line distance between two points in km
+ */
+const distanceKm = (from, to) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const hasCoordinates = (point) => Boolean(point
+    && Number.isFinite(Number(point.lat))
+    && Number.isFinite(Number(point.lng)));
+
+/**
+ * Fee to drive a car between a branch and an address. A pincode zone of
+ * the branch sets the fee; otherwise it is charged by the distance from
+ * the branch.
+ * @param {string} branchCity - Branch the run starts or ends at
+ * @param {Object} address - { street, city, state, pincode, coordinates }
+ * @param {Object} origin - Where the branch is, when not configured { lat, lng }
+ * @returns {Object} - { branchCity, zone, distanceKm, fee }
+ */
+const quoteRun = (branchCity, address = {}, origin) => {
+    const branch = getBranchSettings(branchCity);
+
+    if (!branch) {
+        throw deliveryError(`Doorstep delivery is not available in ${branchCity}`);
+    }
+
+    const pincode = String(address.pincode || '').trim();
+    const zone = pincode && branch.zones.find(candidate => (candidate.pincodes || []).map(String).includes(pincode));
+
+    if (zone) {
+        return {
+            branchCity: branch.city,
+            zone: zone.name,
+            fee: round(Number(zone.fee) || 0)
+        };
+    }
+
+    const from = branch.coordinates || origin;
+
+    if (!branch.perKm || !hasCoordinates(from)) {
+        throw deliveryError(`We do not deliver to ${pincode ? `pincode ${pincode}` : 'this address'} from ${branch.city}`);
+    }
+
+    if (!hasCoordinates(address.coordinates)) {
+        throw deliveryError('Pin the address on the map to price the delivery');
+    }
+
+    const distance = Math.round(distanceKm(
+        { lat: Number(from.lat), lng: Number(from.lng) },
+        { lat: Number(address.coordinates.lat), lng: Number(address.coordinates.lng) }
+    ) * 10) / 10;
+
+    if (branch.maxKm && distance > branch.maxKm) {
+        throw deliveryError(`The address is ${distance} km from our ${branch.city} branch; we deliver up to ${branch.maxKm} km`);
+    }
+
+    return {
+        branchCity: branch.city,
+        zone: 'distance',
+        distanceKm: distance,
+        fee: round(Math.max(distance * branch.perKm, branch.minimumFee || 0))
+    };
+};
+
+/**
+ * A slot on a given day in the branch timezone
+ * @param {Date} date - Any time on the day
+ * @param {string} label - Window like '08:00-10:00'
+ * @returns {Object} - { label, start, end }
+ */
+const toSlot = (date, label) => {
+    const [from, to] = label.split('-');
+    const day = formatDate(date);
+
+    return {
+        label,
+        start: toDateTime(day, from.trim()),
+        end: toDateTime(day, to.trim())
+    };
+};
+
+/**
+ * Slot a car is delivered or collected in, the one the time falls in
+ * @param {Date} date - Pickup or dropoff time
+ * @returns {Object} - { label, start, end }
+ */
+const getSlot = (date) => {
+    const slot = delivery.slots
+        .map(label => toSlot(date, label))
+        .find(candidate => candidate.start <= date && date < candidate.end);
+
+    if (!slot) {
+        throw deliveryError(`Doorstep delivery and collection run in these slots: ${delivery.slots.join(', ')}`);
+    }
+
+    return slot;
+};
+
+const isSameSlot = (a, b) => a.branchCity === b.branchCity && a.slot.start.getTime() === b.slot.start.getTime();
+
+/**
+ * Runs a branch already has in a slot
+ * @param {string} branchCity - Branch city as configured
+ * @param {Date} start - Start of the slot
+ * @returns {Promise<number>}
+ */
+const countSlotRuns = async (branchCity, start) => {
+    const bookings = await Booking.find({
+        status: { $in: LIVE_BOOKING_STATUSES },
+        deliveries: {
+            $elemMatch: {
+                branchCity,
+                'slot.start': start,
+                status: { $in: OPEN_RUN_STATUSES }
+            }
+        }
+    }).select('deliveries');
+
+    return bookings.reduce((count, booking) => count + booking.deliveries.filter(run => run.branchCity === branchCity
+        && run.slot.start.getTime() === start.getTime()
+        && OPEN_RUN_STATUSES.includes(run.status)).length, 0);
+};
+
+/**
+ * Places taken in a slot. Slots nobody booked through the counter yet
+ * are counted from the runs.
+ * @param {string} branchCity - Branch city as configured
+ * @param {Date} start - Start of the slot
+ * @returns {Promise<number>}
+ */
+const getReserved = async (branchCity, start) => {
+    const counter = await DeliverySlot.findOne({ branchCity, start });
+
+    return counter ? counter.reserved : countSlotRuns(branchCity, start);
+};
+
+/**
+ * Take a place in the slot of a run, only while the slot has one left
+ * @param {Object} run - { branchCity, slot }
+ * @returns {Promise<boolean>} - Whether a place was taken
+ */
+const reserveSlot = async ({ branchCity, slot }) => {
+    try {
+        // The first place taken starts from the runs already in the slot
+        await DeliverySlot.updateOne(
+            { branchCity, start: slot.start },
+            { $setOnInsert: { reserved: await countSlotRuns(branchCity, slot.start) } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // Created by another booking at the same moment
+        if (error.code !== 11000) throw error;
+    }
+
+    const taken = await DeliverySlot.findOneAndUpdate(
+        { branchCity, start: slot.start, reserved: { $lt: delivery.slotCapacity } },
+        { $inc: { reserved: 1 } }
+    );
+
+    return Boolean(taken);
+};
+
+/**
+ * Give back the places of runs that are not going ahead
+ * @param {Array} runs - Runs whose places were taken
+ */
+const releaseSlots = async (runs = []) => {
+    for (const { branchCity, slot } of runs) {
+        await DeliverySlot.updateOne(
+            { branchCity, start: slot.start, reserved: { $gt: 0 } },
+            { $inc: { reserved: -1 } }
+        );
+    }
+};
+
+/**
+ * Take the slot places of new runs, all or none. A run that replaces a
+ * cancelled one in the same slot takes over its place.
+ * @param {Array} runs - New runs
+ * @param {Array} replaced - Runs being cancelled for them
+ * @returns {Promise<Object>} - { taken, left }: runs that took a place,
+ *                              and replaced runs whose place is left to give back
+ */
+const reserveSlots = async (runs = [], replaced = []) => {
+    const left = [...replaced];
+    const taken = [];
+
+    for (const run of runs) {
+        const index = left.findIndex(old => isSameSlot(old, run));
+
+        if (index !== -1) {
+            left.splice(index, 1);
+            continue;
+        }
+
+        if (!(await reserveSlot(run))) {
+            await releaseSlots(taken);
+            throw deliveryError(`The ${run.slot.label} ${run.kind} slot in ${run.branchCity} is full; please pick another time`, 409);
+        }
+
+        taken.push(run);
+    }
+
+    return { taken, left };
+};
+
+/**
+ * Delivery and collection runs for a booking's locations, priced and
+ * placed in the slots of the pickup and dropoff times. A car delivered
+ * on a one-way trip is collected for the dropoff branch.
+ * @param {Object} params
+ * @param {Object} params.car - Car (its city is the home branch)
+ * @param {Object} params.pickupLocation - { type, address }
+ * @param {Object} params.dropoffLocation - { type, address }
+ * @param {Date} params.start - Pickup time
+ * @param {Date} params.end - Dropoff time
+ * @param {Array} params.currentRuns - Runs of the booking being changed, not counted
+ * @returns {Promise<Object>} - { runs, fees } with fees as [{ description, amount }]
+ */
+const planDeliveries = async ({ car, pickupLocation, dropoffLocation, start, end, currentRuns = [] }) => {
+    const homeCity = car.location.city;
+    const dropoffCity = dropoffLocation && dropoffLocation.address && dropoffLocation.address.city;
+    const planned = [];
+
+    if (isAddress(pickupLocation)) {
+        planned.push({ kind: 'delivery', branchCity: homeCity, address: pickupLocation.address, time: start });
+    }
+
+    if (isAddress(dropoffLocation)) {
+        planned.push({
+            kind: 'collection',
+            branchCity: isOneWay(homeCity, dropoffCity) ? dropoffCity : homeCity,
+            address: dropoffLocation.address,
+            time: end
+        });
+    }
+
+    const runs = [];
+
+    for (const { kind, branchCity, address, time } of planned) {
+        const origin = normalise(branchCity) === normalise(homeCity) ? car.location.coordinates : undefined;
+        const quote = quoteRun(branchCity, address, origin);
+        const slot = getSlot(time);
+
+        // Places are only taken once the booking is saved, see reserveSlots
+        const place = { branchCity: quote.branchCity, slot };
+        const taken = await getReserved(quote.branchCity, slot.start)
+            - currentRuns.filter(run => OPEN_RUN_STATUSES.includes(run.status) && isSameSlot(run, place)).length
+            + runs.filter(run => isSameSlot(run, place)).length;
+
+        if (taken >= delivery.slotCapacity) {
+            throw deliveryError(`The ${slot.label} ${kind} slot in ${quote.branchCity} is full; please pick another time`);
+        }
+
+        runs.push({
+            kind,
+            ...quote,
+            address,
+            slot,
+            status: 'scheduled',
+            history: [{ status: 'scheduled', note: `${kind === 'delivery' ? 'Delivery' : 'Collection'} booked for ${slot.label}` }]
+        });
+    }
+
+    return {
+        runs,
+        fees: runs.map(run => ({
+            description: `Doorstep ${run.kind} (${run.zone === 'distance' ? `${run.distanceKm} km` : run.zone})`,
+            amount: run.fee
+        }))
+    };
+};
+
+const isSameAddress = (a = {}, b = {}) => ['street', 'city', 'pincode'].every(field => normalise(a[field]) === normalise(b[field]))
+    && (!hasCoordinates(a.coordinates) || !hasCoordinates(b.coordinates)
+        || (Number(a.coordinates.lat) === Number(b.coordinates.lat) && Number(a.coordinates.lng) === Number(b.coordinates.lng)));
+
+const toRun = (run) => (run.toObject ? run.toObject() : run);
+
+/**
+ * Runs of a changed booking. Runs the change leaves as they were keep
+ * their driver and progress; open runs it replaces are cancelled, their
+ * history kept.
+ * @param {Array} current - Booking's runs
+ * @param {Array} planned - Runs for the changed booking
+ * @param {string} reason - Kept in the history of the cancelled runs
+ * @returns {Object} - { deliveries, added, cancelled }
+ */
+const keepUnchangedRuns = (current = [], planned = [], reason = 'Booking changed') => {
+    const kept = [];
+    const added = [];
+
+    const runs = planned.map(run => {
+        const same = current.find(existing => existing.kind === run.kind
+            && existing.status !== 'cancelled'
+            && !kept.includes(existing)
+            && existing.slot.start.getTime() === run.slot.start.getTime()
+            && isSameAddress(existing.address, run.address));
+
+        if (!same) {
+            added.push(run);
+            return run;
+        }
+
+        kept.push(same);
+        return { ...toRun(same), fee: run.fee };
+    });
+
+    const now = new Date();
+    const cancelled = [];
+
+    const previous = current.filter(run => !kept.includes(run)).map(run => {
+        if (!OPEN_RUN_STATUSES.includes(run.status)) return toRun(run);
+
+        const data = toRun(run);
+        const closed = {
+            ...data,
+            status: 'cancelled',
+            history: [...(data.history || []), { status: 'cancelled', note: reason, at: now }]
+        };
+
+        cancelled.push(closed);
+        return closed;
+    });
+
+    return { deliveries: [...previous, ...runs], added, cancelled };
+};
+
+/**
+ * Slots of a day with how many runs each can still take
+ * @param {string} city - Branch city
+ * @param {Date} date - Any time on the day
+ * @returns {Promise<Array>} - [{ label, start, end, remaining }]
+ */
+const getSlots = async (city, date) => {
+    const branch = getBranchSettings(city);
+
+    if (!branch) {
+        throw deliveryError(`Doorstep delivery is not available in ${city}`);
+    }
+
+    const slots = [];
+
+    for (const label of delivery.slots) {
+        const slot = toSlot(date, label);
+        const taken = await getReserved(branch.city, slot.start);
+
+        slots.push({ ...slot, remaining: Math.max(0, delivery.slotCapacity - taken) });
+    }
+
+    return slots;
+};
+
+const findRun = (booking, runId) => {
+    const run = booking.deliveries.id(runId);
+
+    if (!run) {
+        throw deliveryError('Delivery run not found', 404);
+    }
+
+    return run;
+};
+
+/**
+ * Put a staff driver on a run. A driver can only be on one run per slot.
+ * @param {Object} booking - Booking document
+ * @param {string} runId - Run
+ * @param {Object} options
+ * @param {string} options.driverId - Staff user driving
+ * @param {string} options.assignedBy - Admin assigning them
+ * @returns {Promise<Object>} - The run
+ */
+const assignDriver = async (booking, runId, { driverId, assignedBy }) => {
+    const run = findRun(booking, runId);
+
+    // Once dispatched the driver is on the road with the car
+    if (run.status !== 'scheduled') {
+        throw deliveryError(`Cannot assign a driver to a ${run.status} run`);
+    }
+
+    const driver = await User.findOne({ _id: driverId, role: 'staff', status: 'active' });
+
+    if (!driver) {
+        throw deliveryError('Driver must be an active staff member', 404);
+    }
+
+    const busy = await Booking.exists({
+        status: { $in: LIVE_BOOKING_STATUSES },
+        deliveries: {
+            $elemMatch: {
+                _id: { $ne: run._id },
+                driver: driver._id,
+                'slot.start': run.slot.start,
+                status: { $in: OPEN_RUN_STATUSES }
+            }
+        }
+    });
+
+    if (busy) {
+        throw deliveryError(`${driver.name} already has a run in the ${run.slot.label} slot`);
+    }
+
+    run.driver = driver._id;
+    run.assignedBy = assignedBy;
+    run.assignedAt = new Date();
+    run.history.push({ status: run.status, note: `Assigned to ${driver.name}`, by: assignedBy });
+
+    await booking.save();
+
+    await Notification.create({
+        user: driver._id,
+        title: `New ${run.kind === 'delivery' ? 'Delivery' : 'Collection'} Run`,
+        message: `You are on the ${run.kind} for booking #${booking.bookingNumber} on ${formatDate(run.slot.start)}, ${run.slot.label}, at ${[run.address.street, run.address.city, run.address.pincode].filter(Boolean).join(', ')}.`,
+        type: 'booking',
+        metadata: {
+            bookingId: booking._id,
+            bookingNumber: booking.bookingNumber,
+            url: `/bookings/${booking._id}`
+        }
+    });
+
+    return run;
+};
+
+// What each run status can move to, and the customer's message for it
+const RUN_UPDATES = {
+    dispatched: {
+        from: ['scheduled'],
+        check: (booking, run) => {
+            if (!run.driver) {
+                throw deliveryError('Assign a driver before dispatching the run');
+            }
+
+            const required = run.kind === 'delivery' ? 'confirmed' : 'active';
+            if (booking.status !== required) {
+                throw deliveryError(`The booking must be ${required} before the ${run.kind} run is dispatched`);
+            }
+        },
+        message: (booking, run) => run.kind === 'delivery'
+            ? `Your car for booking #${booking.bookingNumber} is on its way and will reach you in the ${run.slot.label} slot.`
+            : `Our driver is on the way to collect the car for booking #${booking.bookingNumber} in the ${run.slot.label} slot.`
+    },
+    delivered: {
+        from: ['dispatched'],
+        kind: 'delivery',
+        // The handover itself is the pickup check-in, done at the door
+        check: (booking) => {
+            if (booking.status !== 'active') {
+                throw deliveryError('Complete the pickup check-in before marking the car delivered');
+            }
+        },
+        message: (booking) => `Your car for booking #${booking.bookingNumber} has been delivered. Enjoy your trip!`
+    },
+    collected: {
+        from: ['dispatched'],
+        kind: 'collection',
+        message: (booking) => `We have collected the car for booking #${booking.bookingNumber}. Thank you for riding with us.`
+    }
+};
+
+/**
+ * Move a run along: dispatched when the driver sets out, then delivered
+ * or collected
+ * @param {Object} booking - Booking document
+ * @param {string} runId - Run
+ * @param {Object} options
+ * @param {string} options.status - dispatched, delivered or collected
+ * @param {string} options.note - Driver's note
+ * @param {string} options.updatedBy - User making the update
+ * @returns {Promise<Object>} - The run
+ */
+const updateRunStatus = async (booking, runId, { status, note, updatedBy }) => {
+    const run = findRun(booking, runId);
+    const update = RUN_UPDATES[status];
+
+    if (!update || !update.from.includes(run.status) || (update.kind && update.kind !== run.kind)) {
+        throw deliveryError(`A ${run.status} ${run.kind} run cannot be marked ${status}`);
+    }
+
+    if (update.check) {
+        update.check(booking, run);
+    }
+
+    const now = new Date();
+
+    run.status = status;
+    if (status === 'dispatched') {
+        run.dispatchedAt = now;
+    } else {
+        run.completedAt = now;
+    }
+    run.history.push({ status, note, by: updatedBy, at: now });
+
+    await booking.save();
+
+    await Notification.create({
+        user: booking.user._id || booking.user,
+        title: status === 'dispatched' ? 'Driver On The Way' : `Car ${status === 'delivered' ? 'Delivered' : 'Collected'}`,
+        message: update.message(booking, run),
+        type: 'booking',
+        metadata: {
+            bookingId: booking._id,
+            bookingNumber: booking.bookingNumber,
+            url: `/bookings/${booking._id}`
+        },
+        sendEmail: status !== 'dispatched'
+    });
+
+    return run;
+};
+
+/**
+ * Call off the open runs of a booking that is not going ahead, letting
+ * the drivers know
+ * @param {Object} booking - Booking
+ * @param {string} reason - Kept in the run history
+ */
+const cancelRuns = async (booking, reason = 'Booking cancelled') => {
+    const open = (booking.deliveries || []).filter(run => OPEN_RUN_STATUSES.includes(run.status));
+    if (open.length === 0) return;
+
+    await Booking.updateOne(
+        { _id: booking._id },
+        {
+            $set: { 'deliveries.$[run].status': 'cancelled' },
+            $push: { 'deliveries.$[run].history': { status: 'cancelled', note: reason, at: new Date() } }
+        },
+        { arrayFilters: [{ 'run.status': { $in: OPEN_RUN_STATUSES } }] }
+    );
+
+    await releaseSlots(open);
+    await notifyRunsCancelled(booking, open, reason);
+};
+
+/**
+ * Let the drivers of cancelled runs know they are off
+ * @param {Object} booking - Booking
+ * @param {Array} runs - Cancelled runs
+ * @param {string} reason - Why, for the drivers
+ */
+const notifyRunsCancelled = async (booking, runs, reason) => {
+    for (const run of runs.filter(candidate => candidate.driver)) {
+        await Notification.create({
+            user: run.driver,
+            title: 'Run Cancelled',
+            message: `The ${run.kind} for booking #${booking.bookingNumber} in the ${run.slot.label} slot is off: ${reason.toLowerCase()}.`,
+            type: 'booking',
+            metadata: {
+                bookingId: booking._id,
+                bookingNumber: booking.bookingNumber
+            }
+        });
+    }
+};
+
+exports.getBranchSettings = getBranchSettings;
+exports.quoteRun = quoteRun;
+exports.getSlot = getSlot;
+exports.getSlots = getSlots;
+exports.planDeliveries = planDeliveries;
+exports.reserveSlots = reserveSlots;
+exports.releaseSlots = releaseSlots;
+exports.keepUnchangedRuns = keepUnchangedRuns;
+exports.assignDriver = assignDriver;
+exports.updateRunStatus = updateRunStatus;
+exports.cancelRuns = cancelRuns;
+exports.notifyRunsCancelled = notifyRunsCancelled;
+exports.OPEN_RUN_STATUSES = OPEN_RUN_STATUSES;
@@ -0,0 +1,96 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const DeliverySlot = require('../models/DeliverySlot');
+const { delivery } = require('../config/booking');
+const { getSlot, reserveSlots, releaseSlots } = require('./deliveryService');
+const { toDateTime, formatTime } = require('./dateTime');
+
+// In-memory slot counters with the conditional updates of the real ones
+let counters;
+
+const key = (branchCity, start) => `${branchCity}@${start.toISOString()}`;
+
+beforeEach(() => {
+    mock.restoreAll();
+    counters = new Map();
+
+    mock.method(Booking, 'find', () => ({ select: async () => [] }));
+    mock.method(DeliverySlot, 'updateOne', async ({ branchCity, start, reserved }, update, options = {}) => {
+        const id = key(branchCity, start);
+
+        if (options.upsert) {
+            if (!counters.has(id)) counters.set(id, update.$setOnInsert.reserved);
+            return {};
+        }
+
+        if (counters.has(id) && counters.get(id) > reserved.$gt) {
+            counters.set(id, counters.get(id) + update.$inc.reserved);
+        }
+        return {};
+    });
+    mock.method(DeliverySlot, 'findOneAndUpdate', async ({ branchCity, start, reserved }) => {
+        const id = key(branchCity, start);
+        if (!(counters.get(id) < reserved.$lt)) return null;
+
+        counters.set(id, counters.get(id) + 1);
+        return { reserved: counters.get(id) };
+    });
+});
+
+const run = (kind, date, branchCity = 'Mumbai') => ({ kind, branchCity, slot: getSlot(date) });
+const morning = toDateTime('2030-03-04', '09:15');
+
+test('slots are the branch timezone windows a time falls in', () => {
+    const slot = getSlot(morning);
+
+    assert.equal(slot.label, '08:00-10:00');
+    assert.equal(formatTime(slot.start), '08:00');
+    assert.throws(() => getSlot(toDateTime('2030-03-04', '22:00')), { message: /run in these slots/ });
+});
+
+test('runs take a place until the slot is full', async () => {
+    for (let i = 0; i < delivery.slotCapacity; i++) {
+        await reserveSlots([run('delivery', morning)]);
+    }
+
+    await assert.rejects(reserveSlots([run('delivery', morning)]), { status: 409, message: /slot in Mumbai is full/ });
+    assert.equal(counters.get(key('Mumbai', getSlot(morning).start)), delivery.slotCapacity);
+});
+
+test('a booking gets all of its places or none', async () => {
+    const evening = toDateTime('2030-03-06', '18:30');
+
+    for (let i = 0; i < delivery.slotCapacity; i++) {
+        await reserveSlots([run('collection', evening)]);
+    }
+
+    await assert.rejects(reserveSlots([run('delivery', morning), run('collection', evening)]), { status: 409 });
+    assert.equal(counters.get(key('Mumbai', getSlot(morning).start)), 0);
+});
+
+test('a run moved within its slot keeps the place of the one it replaces', async () => {
+    const old = run('collection', morning);
+    await reserveSlots([old]);
+
+    const result = await reserveSlots([run('collection', new Date(morning.getTime() + 30 * 60 * 1000))], [old]);
+
+    assert.deepEqual(result, { taken: [], left: [] });
+    assert.equal(counters.get(key('Mumbai', old.slot.start)), 1);
+});
+
+test('a run moved to another slot leaves its old place to give back', async () => {
+    const old = run('collection', morning);
+    await reserveSlots([old]);
+
+    const moved = run('collection', toDateTime('2030-03-05', '09:15'));
+    const { taken, left } = await reserveSlots([moved], [old]);
+
+    assert.deepEqual(taken, [moved]);
+    assert.deepEqual(left, [old]);
+
+    await releaseSlots(left);
+
+    assert.equal(counters.get(key('Mumbai', old.slot.start)), 0);
+    assert.equal(counters.get(key('Mumbai', moved.slot.start)), 1);
+});
@@ -0,0 +1,334 @@
+const Notification = require('../models/Notification');
+const walletService = require('./walletService');
+
+const SETTLED_STATUSES = ['released', 'partially_released', 'forfeited', 'shortfall_billed', 'waived'];
+
+// additionalCharges line billing deductions beyond the deposit
+const SHORTFALL_DESCRIPTION = 'Charges exceeding security deposit';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const depositError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Whether the deposit has been settled (or was never needed)
+ * @param {Object} booking - Booking document
+ * @returns {boolean}
+ */
+const isSettled = (booking) => SETTLED_STATUSES.includes(booking.deposit.status);
+
+/**
+ * Deposit statement for a booking
+ * @param {Object} booking - Booking document
+ * @returns {Object} - { required, status, method, collected, deducted, released, shortfall, balance, deductions, entries }
+ */
+const getDepositSummary = (booking) => {
+    const deposit = booking.deposit || {};
+    const entries = deposit.entries || [];
+    const collected = deposit.collectedAmount || 0;
+    const deducted = deposit.deductedAmount || 0;
+
+    return {
+        required: booking.securityDeposit || 0,
+        status: deposit.status,
+        method: deposit.method,
+        collected,
+        deducted,
+        released: deposit.releasedAmount || 0,
+        shortfall: deposit.shortfallAmount || 0,
+        balance: isSettled(booking) ? 0 : Math.max(0, round(collected - deducted)),
+        deductions: entries.filter(e => e.type === 'deduction'),
+        entries
+    };
+};
+
+/**
+ * Collect or pre-authorise the security deposit at pickup.
+ * Records the ledger entry on the booking but does not save it.
+ * @param {Object} booking - Booking document
+ * @param {Object} options
+ * @param {string} options.method - cash, card, upi, wallet or pre_auth
+ * @param {number} options.amount - Defaults to booking.securityDeposit
+ * @param {string} options.reference - Receipt, terminal or card hold reference
+ * @param {string} options.collectedBy - Staff member taking the deposit
+ * @returns {Promise<Object>} - Deposit summary
+ */
+exports.collectDeposit = async (booking, { method, amount, reference, collectedBy } = {}) => {
+    if (booking.deposit.status !== 'pending') {
+        throw depositError(`Deposit is already ${booking.deposit.status}`);
+    }
+
+    const depositAmount = round(amount !== undefined ? amount : booking.securityDeposit);
+
+    if (!(depositAmount > 0)) {
+        throw depositError('Deposit amount must be positive');
+    }
+
+    if (method === 'wallet') {
+        const entry = await walletService.debit(booking.user._id || booking.user, depositAmount, {
+            source: 'security_deposit',
+            booking: booking._id,
+            description: `Security deposit for booking #${booking.bookingNumber}`,
+            idempotencyKey: `deposit:${booking._id}`
+        });
+        reference = entry._id.toString();
+    }
+
+    booking.deposit.status = method === 'pre_auth' ? 'pre_authorised' : 'held';
+    booking.deposit.method = method;
+    booking.deposit.reference = reference;
+    booking.deposit.collectedAmount = depositAmount;
+    booking.deposit.collectedAt = new Date();
+    booking.deposit.entries.push({
+        type: 'collection',
+        description: method === 'pre_auth' ? 'Card pre-authorisation' : `Collected by ${method}`,
+        amount: depositAmount,
+        reference,
+        createdBy: collectedBy
+    });
+
+    return getDepositSummary(booking);
+};
+
+/**
+ * Itemise a charge against the deposit (extra km, fuel, damage, fine, ...).
+ * Does not save the booking.
+ * @param {Object} booking - Booking document
+ * @param {Object} deduction
+ * @param {string} deduction.category - extra_km, fuel, damage, fine, late_return, cleaning or other
+ * @param {string} deduction.description - Shown on the deposit statement
+ * @param {number} deduction.amount - Amount to deduct
+ * @param {string} deduction.reference - Challan number, damage report, ...
+ * @param {string} deduction.createdBy - Staff member adding the charge
+ * @returns {Object} - Deposit summary
+ */
+exports.addDeduction = (booking, { category = 'other', description, amount, reference, createdBy }) => {
+    if (isSettled(booking)) {
+        throw depositError('Deposit has already been settled');
+    }
+
+    const deductionAmount = round(amount);
+
+    if (!(deductionAmount > 0)) {
+        throw depositError('Deduction amount must be positive');
+    }
+
+    booking.deposit.entries.push({
+        type: 'deduction',
+        category,
+        description,
+        amount: deductionAmount,
+        reference,
+        createdBy
+    });
+    booking.deposit.deductedAmount = round((booking.deposit.deductedAmount || 0) + deductionAmount);
+
+    return getDepositSummary(booking);
+};
+
+/**
+ * Close the deposit once the car is back: release what is left after
+ * deductions, or bill the customer for whatever the deposit did not cover.
+ * Wallet deposits (or releaseTo 'wallet') go back to the wallet; anything
+ * else is returned at the counter or by voiding the card hold.
+ * Does not save the booking.
+ * @param {Object} booking - Booking document
+ * @param {Object} options
+ * @param {string} options.releaseTo - 'original' or 'wallet'
+ * @param {string} options.settledBy - Staff member settling the deposit
+ * @returns {Promise<Object>} - Deposit summary
+ */
+exports.settleDeposit = async (booking, { releaseTo, settledBy } = {}) => {
+    if (isSettled(booking)) {
+        throw depositError('Deposit has already been settled');
+    }
+
+    const deposit = booking.deposit;
+    const userId = booking.user._id || booking.user;
+    const remaining = round(deposit.collectedAmount - deposit.deductedAmount);
+    const destination = releaseTo || (deposit.method === 'wallet' ? 'wallet' : 'original');
+
+    if (remaining > 0) {
+        let reference = deposit.reference;
+
+        if (destination === 'wallet') {
+            const entry = await walletService.credit(userId, remaining, {
+                source: 'security_deposit',
+                booking: booking._id,
+                description: `Security deposit released for booking #${booking.bookingNumber}`,
+                idempotencyKey: `deposit_release:${booking._id}`
+            });
+            reference = entry._id.toString();
+        }
+
+        deposit.entries.push({
+            type: 'release',
+            description: destination === 'wallet'
+                ? 'Released to wallet'
+                : deposit.method === 'pre_auth' ? 'Card hold released' : `Returned by ${deposit.method}`,
+            amount: remaining,
+            reference,
+            createdBy: settledBy
+        });
+        deposit.releasedAmount = remaining;
+        deposit.releasedTo = destination;
+        deposit.status = deposit.deductedAmount > 0 ? 'partially_released' : 'released';
+    } else if (remaining < 0) {
+        // The customer owes the difference on top of the rental
+        const shortfall = -remaining;
+
+        deposit.entries.push({
+            type: 'shortfall',
+            description: 'Charges exceeding the security deposit',
+            amount: shortfall,
+            createdBy: settledBy
+        });
+        deposit.shortfallAmount = shortfall;
+        deposit.status = 'shortfall_billed';
+
+        booking.additionalCharges.push({
+            description: SHORTFALL_DESCRIPTION,
+            amount: shortfall,
+            type: 'penalty'
+        });
+        booking.totalAmount = round(booking.totalAmount + shortfall);
+
+        if (['paid', 'partial'].includes(booking.payment.status)) {
+            booking.payment.status = 'partial';
+        }
+    } else {
+        deposit.status = deposit.collectedAmount > 0 ? 'forfeited' : 'waived';
+    }
+
+    deposit.settledAt = new Date();
+
+    const summary = getDepositSummary(booking);
+
+    if (deposit.status === 'waived') {
+        return summary;
+    }
+
+    await Notification.create({
+        user: userId,
+        title: summary.shortfall > 0 ? 'Payment Due After Return' : 'Security Deposit Settled',
+        message: summary.shortfall > 0
+            ? `Charges for booking #${booking.bookingNumber} exceeded your security deposit by ₹${summary.shortfall}. Please pay the balance.`
+            : `₹${summary.released} of your security deposit for booking #${booking.bookingNumber} has been released${summary.deducted > 0 ? ` after deductions of ₹${summary.deducted}` : ''}.`,
+        type: 'payment',
+        category: summary.shortfall > 0 ? 'warning' : 'success',
+        metadata: {
+            bookingId: booking._id,
+            amount: summary.shortfall > 0 ? summary.shortfall : summary.released
+        },
+        sendEmail: true
+    });
+
+    return summary;
+};
+
+/**
+ * Take part of a deduction back, e.g. after a dispute. On a settled
+ * deposit the amount first comes off any billed shortfall and the rest
+ * is released to the customer like at settlement. Only the ledger
+ * changes: save the booking, then pay the release out with payOutRelease.
+ * @param {Object} booking - Booking document
+ * @param {string} entryId - Deduction entry
+ * @param {number} amount - Amount taken off the deduction
+ * @param {Object} options
+ * @param {string} options.releaseTo - 'original' or 'wallet'
+ * @param {string} options.createdBy - Staff member making the change
+ * @returns {Object} - { shortfallReduced, released, release: { entry, destination } }
+ */
+exports.reduceDeduction = (booking, entryId, amount, { releaseTo, createdBy } = {}) => {
+    const deposit = booking.deposit;
+    const entry = deposit.entries.id(entryId);
+
+    if (!entry || entry.type !== 'deduction') {
+        throw depositError('Deduction not found', 404);
+    }
+
+    const reduction = round(amount);
+
+    if (!(reduction > 0) || reduction > entry.amount) {
+        throw depositError(`Reduction must be between 0 and ₹${entry.amount}`);
+    }
+
+    entry.amount = round(entry.amount - reduction);
+    deposit.deductedAmount = round(deposit.deductedAmount - reduction);
+
+    // Not settled yet: the settlement releases the difference
+    if (!isSettled(booking)) {
+        return { shortfallReduced: 0, released: 0, release: null };
+    }
+
+    const shortfallReduced = Math.min(reduction, deposit.shortfallAmount || 0);
+    const released = round(reduction - shortfallReduced);
+
+    if (shortfallReduced > 0) {
+        const line = booking.additionalCharges.find(charge => charge.description === SHORTFALL_DESCRIPTION);
+
+        if (line) {
+            line.amount = round(line.amount - shortfallReduced);
+        }
+
+        deposit.shortfallAmount = round(deposit.shortfallAmount - shortfallReduced);
+        booking.totalAmount = round(booking.totalAmount - shortfallReduced);
+    }
+
+    let release = null;
+
+    if (released > 0) {
+        const destination = releaseTo || (deposit.method === 'wallet' ? 'wallet' : 'original');
+
+        // A wallet release gets its reference once the wallet is credited
+        deposit.entries.push({
+            type: 'release',
+            description: destination === 'wallet'
+                ? 'Deduction reversed to wallet'
+                : `Deduction reversed, returned by ${deposit.method === 'pre_auth' ? 'card' : deposit.method}`,
+            amount: released,
+            reference: destination === 'wallet' ? undefined : deposit.reference,
+            createdBy
+        });
+        deposit.releasedAmount = round((deposit.releasedAmount || 0) + released);
+        release = { entry: deposit.entries[deposit.entries.length - 1], destination };
+    }
+
+    if (deposit.shortfallAmount > 0) {
+        deposit.status = 'shortfall_billed';
+    } else if (deposit.releasedAmount > 0) {
+        deposit.status = deposit.deductedAmount > 0 ? 'partially_released' : 'released';
+    } else {
+        deposit.status = 'forfeited';
+    }
+
+    return { shortfallReduced, released, release };
+};
+
+/**
+ * Pay out a release recorded by reduceDeduction. Credits to the wallet
+ * are keyed on the release entry, so paying the same release twice is a
+ * no-op. Does not save the booking.
+ * @param {Object} booking - Booking document
+ * @param {Object} release - { entry, destination } from reduceDeduction
+ * @returns {Promise<void>}
+ */
+exports.payOutRelease = async (booking, { entry, destination }) => {
+    if (destination !== 'wallet') return;
+
+    const walletEntry = await walletService.credit(booking.user._id || booking.user, entry.amount, {
+        source: 'security_deposit',
+        booking: booking._id,
+        description: `Security deposit deduction reversed for booking #${booking.bookingNumber}`,
+        idempotencyKey: `deposit_reversal:${entry._id}`
+    });
+    entry.reference = walletEntry._id.toString();
+};
+
+exports.getDepositSummary = getDepositSummary;
+exports.isSettled = isSettled;
+exports.SHORTFALL_DESCRIPTION = SHORTFALL_DESCRIPTION;
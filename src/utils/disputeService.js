@@ -0,0 +1,632 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { issueRefund, getNextRefundAttempt } = require('./refundService');
+const { issueCreditNote } = require('./invoiceService');
+const { reduceDeduction, payOutRelease, SHORTFALL_DESCRIPTION } = require('./depositService');
+const { applyTransition, afterTransition } = require('./bookingLifecycle');
+const { dispute: disputeTerms } = require('../config/booking');
+
+// Booked add-ons, taxes and discounts are not disputable charges
+const DISPUTABLE_CHARGE_TYPES = ['fee', 'penalty'];
+const OPEN_STATUSES = ['open', 'under_review'];
+const RESOLUTION_LOCK_MINUTES = 5;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const disputeError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const isOpen = (booking) => Boolean(booking.dispute && OPEN_STATUSES.includes(booking.dispute.status));
+
+/**
+ * Charges of a booking the customer can dispute: deductions from the
+ * security deposit (extra km, fuel, damage, fines, ...) and fees or
+ * penalties billed on top of the rental. The deposit shortfall line is
+ * left out, it follows from the deductions.
+ * @param {Object} booking - Booking document
+ * @returns {Array} - [{ source, chargeId, category, description, amount }]
+ */
+const getDisputableCharges = (booking) => [
+    ...((booking.deposit && booking.deposit.entries) || [])
+        .filter(entry => entry.type === 'deduction' && entry.amount > 0)
+        .map(entry => ({
+            source: 'deposit',
+            chargeId: entry._id,
+            category: entry.category,
+            description: entry.description,
+            amount: entry.amount
+        })),
+    ...(booking.additionalCharges || [])
+        .filter(charge => DISPUTABLE_CHARGE_TYPES.includes(charge.type)
+            && charge.description !== SHORTFALL_DESCRIPTION
+            && charge.amount > 0)
+        .map(charge => ({
+            source: 'charge',
+            chargeId: charge._id,
+            category: charge.type,
+            description: charge.description,
+            amount: charge.amount
+        }))
+];
+
+/**
+ * Customer disputes charges on a completed booking. The booking is
+ * marked disputed until an admin resolves it.
+ * @param {Object} booking - Booking document
+ * @param {Object} dispute
+ * @param {string} dispute.userId - Customer raising it
+ * @param {string} dispute.reason - What the customer disagrees with
+ * @param {Array} dispute.items - [{ chargeId, comment }]
+ * @returns {Promise<Object>} - booking.dispute
+ */
+const raiseDispute = async (booking, { userId, reason, items }) => {
+    if (booking.status !== 'completed') {
+        throw disputeError('Only the charges of a completed booking can be disputed');
+    }
+
+    if (booking.dispute && booking.dispute.status) {
+        throw disputeError('The charges of this booking have already been disputed');
+    }
+
+    const returnedAt = booking.completedAt || booking.droppedOffAt || booking.updatedAt;
+    const deadline = new Date(returnedAt.getTime() + disputeTerms.windowDays * 24 * 60 * 60 * 1000);
+
+    if (new Date() > deadline) {
+        throw disputeError(`Charges can only be disputed within ${disputeTerms.windowDays} days of the return`);
+    }
+
+    const charges = getDisputableCharges(booking);
+    const disputed = (items || []).map(item => {
+        const charge = charges.find(c => c.chargeId.toString() === String(item.chargeId));
+
+        if (!charge) {
+            throw disputeError('One of the disputed charges does not exist on this booking');
+        }
+
+        return { ...charge, comment: item.comment };
+    });
+
+    if (disputed.length === 0) {
+        throw disputeError('Choose at least one charge to dispute');
+    }
+
+    if (new Set(disputed.map(item => item.chargeId.toString())).size !== disputed.length) {
+        throw disputeError('Each charge can only be disputed once');
+    }
+
+    booking.dispute = {
+        status: 'open',
+        reason,
+        raisedBy: userId,
+        raisedAt: new Date(),
+        items: disputed,
+        evidence: [],
+        messages: [],
+        history: [{
+            action: 'raised',
+            note: reason,
+            amount: round(disputed.reduce((sum, item) => sum + item.amount, 0)),
+            by: userId
+        }]
+    };
+    applyTransition(booking, 'disputed', { by: userId, reason });
+
+    await booking.save();
+    await afterTransition(booking, 'completed', 'disputed', { notify: false });
+
+    const adminUsers = await User.find({ role: 'admin' });
+    for (const admin of adminUsers) {
+        await Notification.create({
+            user: admin._id,
+            title: 'Booking Disputed',
+            message: `The customer disputes ${disputed.length} charge(s) on booking #${booking.bookingNumber}: ${reason}`,
+            type: 'alert',
+            priority: 'high',
+            metadata: {
+                bookingId: booking._id,
+                bookingNumber: booking.bookingNumber,
+                amount: booking.dispute.history[0].amount,
+                url: `/admin/disputes/${booking._id}`
+            }
+        });
+    }
+
+    return booking.dispute;
+};
+
+/**
+ * Attach evidence (photos, receipts, ...) to an open dispute
+ * @param {Object} booking - Booking document
+ * @param {Object} evidence
+ * @param {Array} evidence.files - Stored uploads ({ url, public_id })
+ * @param {Array} evidence.descriptions - One per file
+ * @param {string} evidence.userId - Customer or staff member adding it
+ * @returns {Promise<Array>} - The files added
+ */
+const addEvidence = async (booking, { files, descriptions = [], userId }) => {
+    if (!isOpen(booking)) {
+        throw disputeError('There is no open dispute on this booking');
+    }
+
+    const added = files.map((file, index) => ({
+        url: file.url,
+        public_id: file.public_id,
+        description: descriptions[index] || '',
+        uploadedBy: userId
+    }));
+
+    booking.dispute.evidence.push(...added);
+    booking.dispute.history.push({
+        action: 'evidence_added',
+        note: `${added.length} file(s)`,
+        by: userId
+    });
+
+    await booking.save();
+
+    return booking.dispute.evidence.slice(-added.length);
+};
+
+/**
+ * Message on a dispute. A staff reply puts the dispute under review and
+ * tells the customer; a customer reply tells the admins.
+ * @param {Object} booking - Booking document
+ * @param {Object} reply
+ * @param {Object} reply.user - Author (req.user)
+ * @param {boolean} reply.isStaff - Whether the author answers for the company
+ * @param {string} reply.message - Message text
+ * @returns {Promise<Object>} - booking.dispute
+ */
+const addMessage = async (booking, { user, isStaff, message }) => {
+    if (!isOpen(booking)) {
+        throw disputeError('There is no open dispute on this booking');
+    }
+
+    const userId = user._id || user.id;
+
+    booking.dispute.messages.push({
+        author: userId,
+        role: isStaff ? 'staff' : 'customer',
+        message
+    });
+    booking.dispute.history.push({ action: 'message', note: message, by: userId });
+
+    if (isStaff) {
+        booking.dispute.status = 'under_review';
+    }
+
+    await booking.save();
+
+    if (isStaff) {
+        await Notification.create({
+            user: booking.user._id || booking.user,
+            title: 'Reply to Your Dispute',
+            message: `We replied to your dispute on booking #${booking.bookingNumber}: ${message}`,
+            type: 'booking',
+            metadata: {
+                bookingId: booking._id,
+                bookingNumber: booking.bookingNumber,
+                url: `/bookings/${booking._id}/dispute`
+            },
+            sendEmail: true
+        });
+    } else {
+        const adminUsers = await User.find({ role: 'admin' });
+        for (const admin of adminUsers) {
+            await Notification.create({
+                user: admin._id,
+                title: 'Dispute Reply',
+                message: `The customer replied on the dispute for booking #${booking.bookingNumber}: ${message}`,
+                type: 'alert',
+                metadata: {
+                    bookingId: booking._id,
+                    bookingNumber: booking.bookingNumber,
+                    url: `/admin/disputes/${booking._id}`
+                }
+            });
+        }
+    }
+
+    return booking.dispute;
+};
+
+/**
+ * Admin decides what a disputed charge should be. Nothing is refunded
+ * until the dispute is resolved, so decisions can still be changed.
+ * @param {Object} booking - Booking document
+ * @param {string} itemId - Disputed item
+ * @param {Object} decision
+ * @param {number} decision.amount - What the charge should be (0 waives it)
+ * @param {string} decision.note - Reason, kept in the audit trail
+ * @param {string} decision.decidedBy - Admin deciding
+ * @returns {Promise<Object>} - The item
+ */
+const adjustItem = async (booking, itemId, { amount, note, decidedBy }) => {
+    if (!isOpen(booking)) {
+        throw disputeError('There is no open dispute on this booking');
+    }
+
+    const item = booking.dispute.items.id(itemId);
+
+    if (!item) {
+        throw disputeError('Disputed charge not found', 404);
+    }
+
+    const adjustedAmount = round(amount);
+
+    if (!(adjustedAmount >= 0) || adjustedAmount > item.amount) {
+        throw disputeError(`Amount must be between 0 and ₹${item.amount}`);
+    }
+
+    item.adjustedAmount = adjustedAmount;
+    item.decision = adjustedAmount === item.amount
+        ? 'upheld'
+        : adjustedAmount === 0 ? 'waived' : 'reduced';
+    item.decidedBy = decidedBy;
+    item.decidedAt = new Date();
+
+    booking.dispute.history.push({
+        action: 'item_adjusted',
+        note: `${item.description}: ₹${item.amount} ${item.decision}${item.decision === 'reduced' ? ` to ₹${adjustedAmount}` : ''}${note ? ` (${note})` : ''}`,
+        amount: round(item.amount - adjustedAmount),
+        by: decidedBy
+    });
+
+    await booking.save();
+
+    return item;
+};
+
+/**
+ * Pay back what a resolution owes: deposit releases and whatever the
+ * customer paid beyond the reduced total. Paying again after a failure
+ * only pays what is still owed, so a failure is left pending for
+ * resumeDisputes until the attempts run out. Does not save the booking.
+ * @param {Object} booking - Booking document with a saved resolution
+ * @returns {Promise<boolean>} - Whether everything was paid
+ */
+const payResolution = async (booking) => {
+    const { resolution } = booking.dispute;
+    const errors = [];
+
+    resolution.refundAttempts = (resolution.refundAttempts || 0) + 1;
+
+    // Wallet releases are keyed on their entry, see payOutRelease
+    for (const { entry: entryId, destination } of resolution.releases) {
+        const entry = booking.deposit.entries.id(entryId);
+        if (!entry || entry.reference) continue;
+
+        try {
+            await payOutRelease(booking, { entry, destination });
+        } catch (error) {
+            console.error(`Dispute deposit release error for ${booking.bookingNumber}:`, error.message);
+            errors.push(error.message);
+        }
+    }
+
+    // Refunds come off the paid amount, so only what is left is refunded
+    const refundAmount = round(Math.max(0, booking.paidAmount - booking.totalAmount));
+
+    if (refundAmount > 0) {
+        try {
+            await issueRefund(booking, refundAmount, {
+                destination: resolution.refundTo,
+                reason: `Dispute on booking #${booking.bookingNumber}`
+            });
+        } catch (error) {
+            console.error(`Dispute refund error for ${booking.bookingNumber}:`, error.message);
+            errors.push(error.message);
+        }
+    }
+
+    if (!errors.length) {
+        resolution.refundStatus = resolution.refundAmount > 0 ? 'processed' : 'not_applicable';
+        resolution.nextRefundAttemptAt = undefined;
+        resolution.lastRefundError = undefined;
+        return true;
+    }
+
+    const nextAttemptAt = getNextRefundAttempt(resolution.refundAttempts);
+
+    resolution.refundStatus = nextAttemptAt ? 'pending' : 'failed';
+    resolution.nextRefundAttemptAt = nextAttemptAt || undefined;
+    resolution.lastRefundError = errors.join('; ');
+    return false;
+};
+
+/**
+ * Tell the customer and the admins that a dispute refund gave up retrying
+ */
+const notifyRefundFailure = async (booking) => {
+    const { resolution } = booking.dispute;
+
+    await Notification.create({
+        user: booking.user._id || booking.user,
+        title: 'Refund Delayed',
+        message: `We could not refund ₹${resolution.refundAmount} for the dispute on booking #${booking.bookingNumber}. Our team has been notified and will contact you.`,
+        type: 'payment',
+        category: 'warning',
+        metadata: {
+            bookingId: booking._id,
+            amount: resolution.refundAmount
+        },
+        sendEmail: true
+    });
+
+    const admins = await User.find({ role: { $in: ['admin', 'super_admin'] } });
+
+    for (const admin of admins) {
+        await Notification.create({
+            user: admin._id,
+            title: 'Dispute Refund Failed',
+            message: `Refund for the dispute on booking #${booking.bookingNumber} failed after ${resolution.refundAttempts} attempts: ${resolution.lastRefundError}`,
+            type: 'alert',
+            priority: 'high',
+            metadata: {
+                bookingId: booking._id,
+                amount: resolution.refundAmount
+            }
+        });
+    }
+};
+
+/**
+ * Finish a dispute whose adjustments are saved: pay back what it owes,
+ * issue the credit note, complete the booking and tell the customer.
+ * Picked up again by resumeDisputes if the process stops halfway.
+ * @param {Object} booking - Booking document with the dispute resolving
+ * @returns {Promise<Object>} - booking.dispute
+ */
+const closeDispute = async (booking) => {
+    const { resolution } = booking.dispute;
+    const adjustedTotal = resolution.adjustedAmount;
+
+    await payResolution(booking);
+
+    // A missing invoice must not hold up the resolution
+    if (adjustedTotal > 0 && !resolution.creditNote) {
+        try {
+            const creditNote = await issueCreditNote(booking, adjustedTotal, {
+                reason: `Charges adjusted after dispute on booking #${booking.bookingNumber}`,
+                issuedBy: resolution.resolvedBy
+            });
+
+            resolution.creditNote = creditNote._id;
+        } catch (error) {
+            console.error(`Dispute credit note error for ${booking.bookingNumber}:`, error.message);
+        }
+    }
+
+    booking.dispute.status = adjustedTotal > 0 ? 'resolved' : 'rejected';
+    resolution.resolvedAt = new Date();
+    resolution.lockedUntil = undefined;
+    booking.dispute.history.push({
+        action: booking.dispute.status,
+        note: resolution.note,
+        amount: adjustedTotal,
+        by: resolution.resolvedBy
+    });
+    applyTransition(booking, 'completed', { by: resolution.resolvedBy, reason: `Dispute ${booking.dispute.status}` });
+
+    await booking.save();
+    await afterTransition(booking, 'disputed', 'completed', { notify: false });
+
+    const { note, refundAmount } = resolution;
+
+    await Notification.create({
+        user: booking.user._id || booking.user,
+        title: adjustedTotal > 0 ? 'Dispute Resolved' : 'Dispute Closed',
+        message: adjustedTotal > 0
+            ? `Your dispute on booking #${booking.bookingNumber} has been resolved. Charges were reduced by ₹${adjustedTotal}${refundAmount > 0 ? ` and ₹${refundAmount} will be refunded` : ''}. ${note || ''}`.trim()
+            : `Your dispute on booking #${booking.bookingNumber} has been reviewed and the charges stand. ${note || ''}`.trim(),
+        type: 'booking',
+        category: adjustedTotal > 0 ? 'success' : 'info',
+        metadata: {
+            bookingId: booking._id,
+            bookingNumber: booking.bookingNumber,
+            amount: adjustedTotal,
+            url: `/bookings/${booking._id}/dispute`
+        },
+        sendEmail: true
+    });
+
+    if (resolution.refundStatus === 'failed') {
+        await notifyRefundFailure(booking);
+    }
+
+    return booking.dispute;
+};
+
+/**
+ * Close the dispute. Charges that were reduced or waived are taken off
+ * the deposit ledger or the booking, what the customer overpaid is
+ * refunded and a credit note is issued against the invoice. Charges
+ * without a decision stand. The adjustments are saved together with the
+ * move to 'resolving', and only while the dispute is still open, before
+ * any money moves, so it is paid out once.
+ * @param {Object} booking - Booking document
+ * @param {Object} options
+ * @param {string} options.note - Outcome, sent to the customer
+ * @param {string} options.refundTo - 'original' or 'wallet'
+ * @param {string} options.resolvedBy - Admin resolving it
+ * @returns {Promise<Object>} - booking.dispute
+ */
+const resolveDispute = async (booking, { note, refundTo = 'original', resolvedBy }) => {
+    if (!isOpen(booking)) {
+        throw disputeError('There is no open dispute on this booking');
+    }
+
+    // Charges without a decision stand
+    const reductionOf = (item) => (item.decision === 'pending' ? 0 : round(item.amount - item.adjustedAmount));
+
+    // Every charge is checked before anything is changed or paid
+    for (const item of booking.dispute.items) {
+        const reduction = reductionOf(item);
+        if (reduction <= 0) continue;
+
+        const charge = item.source === 'deposit'
+            ? booking.deposit.entries.id(item.chargeId)
+            : booking.additionalCharges.id(item.chargeId);
+
+        if (!charge || charge.amount < reduction) {
+            throw disputeError(`The charge "${item.description}" has changed since it was disputed`, 409);
+        }
+    }
+
+    let adjustedTotal = 0;
+    let released = 0;
+    const releases = [];
+
+    for (const item of booking.dispute.items) {
+        if (item.decision === 'pending') {
+            item.decision = 'upheld';
+            item.adjustedAmount = item.amount;
+        }
+
+        const reduction = reductionOf(item);
+        if (reduction <= 0) continue;
+
+        if (item.source === 'deposit') {
+            const result = reduceDeduction(booking, item.chargeId, reduction, {
+                releaseTo: refundTo,
+                createdBy: resolvedBy
+            });
+            released = round(released + result.released);
+            if (result.release) releases.push(result.release);
+        } else {
+            const charge = booking.additionalCharges.id(item.chargeId);
+
+            charge.amount = round(charge.amount - reduction);
+            booking.totalAmount = round(booking.totalAmount - reduction);
+        }
+
+        adjustedTotal = round(adjustedTotal + reduction);
+    }
+
+    // Anything now paid beyond the total goes back to the customer
+    const refundAmount = round(Math.max(0, booking.paidAmount - booking.totalAmount));
+
+    booking.dispute.status = 'resolving';
+    booking.dispute.resolution = {
+        note,
+        adjustedAmount: adjustedTotal,
+        refundAmount: round(refundAmount + released),
+        refundTo,
+        releases: releases.map(({ entry, destination }) => ({ entry: entry._id, destination })),
+        refundAttempts: 0,
+        resolvedBy,
+        // Keeps resumeDisputes off it while this request pays it out
+        lockedUntil: new Date(Date.now() + RESOLUTION_LOCK_MINUTES * 60 * 1000)
+    };
+
+    // Saved only while the dispute is still open, so a second resolve
+    // cannot pay out again
+    booking.$where = { 'dispute.status': { $in: OPEN_STATUSES } };
+
+    try {
+        await booking.save();
+    } catch (error) {
+        if (error.name === 'DocumentNotFoundError') {
+            throw disputeError('The dispute is already being resolved', 409);
+        }
+        throw error;
+    } finally {
+        booking.$where = undefined;
+    }
+
+    if (adjustedTotal > 0) {
+        await User.findByIdAndUpdate(booking.user._id || booking.user, {
+            $inc: { totalSpent: -adjustedTotal }
+        });
+    }
+
+    return closeDispute(booking);
+};
+
+/**
+ * Finish resolutions the process stopped in the middle of and retry
+ * dispute refunds that are due. Each booking is claimed first so two
+ * runs cannot pay it out twice.
+ * @returns {Promise<number>} - Number of disputes processed
+ */
+const resumeDisputes = async () => {
+    const now = new Date();
+    const lockUntil = new Date(now.getTime() + RESOLUTION_LOCK_MINUTES * 60 * 1000);
+    let processed = 0;
+
+    const stalled = {
+        'dispute.status': 'resolving',
+        'dispute.resolution.lockedUntil': { $lte: now }
+    };
+    const due = {
+        'dispute.status': { $in: ['resolved', 'rejected'] },
+        'dispute.resolution.refundStatus': 'pending',
+        'dispute.resolution.nextRefundAttemptAt': { $lte: now }
+    };
+
+    const bookings = await Booking.find({ $or: [stalled, due] })
+        .select('_id')
+        .limit(50);
+
+    for (const { _id } of bookings) {
+        try {
+            const resuming = await Booking.findOneAndUpdate(
+                { _id, ...stalled },
+                { $set: { 'dispute.resolution.lockedUntil': lockUntil } },
+                { new: true }
+            );
+
+            if (resuming) {
+                await closeDispute(resuming);
+                processed++;
+                continue;
+            }
+
+            const booking = await Booking.findOneAndUpdate(
+                { _id, ...due },
+                { $set: { 'dispute.resolution.nextRefundAttemptAt': lockUntil } },
+                { new: true }
+            );
+
+            if (!booking) continue;
+
+            const paid = await payResolution(booking);
+            await booking.save();
+            processed++;
+
+            if (paid) {
+                await Notification.create({
+                    user: booking.user,
+                    title: 'Refund Processed',
+                    message: `₹${booking.dispute.resolution.refundAmount} for the dispute on booking #${booking.bookingNumber} has been refunded.`,
+                    type: 'payment',
+                    category: 'success',
+                    metadata: {
+                        bookingId: booking._id,
+                        amount: booking.dispute.resolution.refundAmount
+                    },
+                    sendEmail: true
+                });
+            } else if (booking.dispute.resolution.refundStatus === 'failed') {
+                await notifyRefundFailure(booking);
+            }
+        } catch (error) {
+            console.error(`Resume dispute error for booking ${_id}:`, error.message);
+        }
+    }
+
+    return processed;
+};
+
+exports.getDisputableCharges = getDisputableCharges;
+exports.raiseDispute = raiseDispute;
+exports.addEvidence = addEvidence;
+exports.addMessage = addMessage;
+exports.adjustItem = adjustItem;
+exports.resolveDispute = resolveDispute;
+exports.resumeDisputes = resumeDisputes;
+exports.isOpen = isOpen;
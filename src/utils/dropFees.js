@@ -0,0 +1,51 @@
+const { oneWay } = require('../config/booking');
+
+const normalise = (city) => (city || '').trim().toLowerCase();
+
+/**
+ * Fee from the matrix for one direction of a city pair
+ */
+const lookup = (fromCity, toCity) => {
+    const from = Object.keys(oneWay.dropFees).find(city => normalise(city) === normalise(fromCity));
+    if (!from) return undefined;
+
+    const fees = oneWay.dropFees[from] || {};
+    const to = Object.keys(fees).find(city => normalise(city) === normalise(toCity));
+    return to ? Number(fees[to]) : undefined;
+};
+
+/**
+ * Whether a trip ends in a different branch city than it starts from
+ * @param {string} fromCity - Pickup branch city
+ * @param {string} toCity - Drop-off city
+ * @returns {boolean}
+ */
+exports.isOneWay = (fromCity, toCity) => {
+    return Boolean(normalise(toCity)) && normalise(fromCity) !== normalise(toCity);
+};
+
+/**
+ * Drop fee for a one-way trip between two branch cities
+ * @param {string} fromCity - Pickup branch city
+ * @param {string} toCity - Drop-off branch city
+ * @returns {number|null} - null if one-way trips between them are not offered
+ */
+exports.getDropFee = (fromCity, toCity) => {
+    const fee = lookup(fromCity, toCity);
+    if (fee !== undefined) return fee;
+
+    const reverse = lookup(toCity, fromCity);
+    if (reverse !== undefined) return reverse;
+
+    return oneWay.defaultFee;
+};
+
+/**
+ * Location of a branch as configured for one-way returns
+ * @param {string} city - Branch city
+ * @returns {Object|null} - { address, city, state, pincode, coordinates }
+ */
+exports.getBranchLocation = (city) => {
+    const key = Object.keys(oneWay.branches).find(branch => normalise(branch) === normalise(city));
+    return key ? { ...oneWay.branches[key], city: key } : null;
+};
@@ -0,0 +1,303 @@
+const Car = require('../models/Car');
+const Notification = require('../models/Notification');
+const { calculateTax, toChargeLines } = require('./taxEngine');
+const { issueDebitNote } = require('./invoiceService');
+const { getAmountDue, payWithWallet } = require('./paymentService');
+const { createHold, convertHolds, releaseHolds } = require('./holdService');
+const {
+    planDeliveries,
+    keepUnchangedRuns,
+    reserveSlots,
+    releaseSlots,
+    notifyRunsCancelled
+} = require('./deliveryService');
+const { isClassBooking, getRateCar } = require('./assignmentService');
+const { formatTime } = require('./dateTime');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const extensionError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Car whose tiers price a booking. Category bookings are charged the
+ * class rate whichever car of the class they were given.
+ * @param {Object} booking - Booking document
+ * @param {Object} car - Car bound to the booking
+ * @returns {Promise<Object>} - Car document
+ */
+const getPricingCar = async (booking, car) => {
+    return (isClassBooking(booking) && await getRateCar(booking.vehicleClass)) || car;
+};
+
+/**
+ * Price moving the dropoff of a booking to a later date.
+ * The whole rental is priced again with the car's hourly, daily, weekly
+ * and monthly tiers and the extension costs the difference, so a longer
+ * rental that reaches a cheaper tier is charged accordingly.
+ * @param {Object} booking - Booking document
+ * @param {Object} car - Car the booking is priced on, see getPricingCar
+ * @param {Date} newDropoff - Requested dropoff date
+ * @returns {Object} - { totalDays, totalHours, extensionDays, rentalAmount, tax, taxAmount, totalCost }
+ */
+const priceExtension = (booking, car, newDropoff) => {
+    const period = car.getRentalPeriod(booking.pickupDate, newDropoff);
+    const totalDays = period.totalDays;
+    const rentalAmount = Math.max(0, round(
+        car.calculateRentalPrice(period.days, { hours: period.hours }) - booking.baseAmount
+    ));
+    const bookingTax = booking.tax || {};
+
+    const tax = calculateTax({
+        items: [{
+            type: 'rental',
+            description: `Extension to ${newDropoff.toDateString()}`,
+            amount: rentalAmount
+        }],
+        supplierState: bookingTax.supplierState || (car.location && car.location.state),
+        customerState: bookingTax.customerState,
+        customerGstin: bookingTax.customerGstin,
+        customerName: bookingTax.customerName
+    });
+
+    return {
+        totalDays,
+        totalHours: period.billedHours,
+        extensionDays: totalDays - booking.totalDays,
+        rentalAmount,
+        tax,
+        taxAmount: tax.totalTax,
+        totalCost: round(rentalAmount + tax.totalTax)
+    };
+};
+
+/**
+ * Add the extension's tax lines to the booking's tax breakup
+ */
+const addTaxLines = (booking, tax) => {
+    if (!booking.tax || !booking.tax.lines || booking.tax.lines.length === 0) {
+        return;
+    }
+
+    const current = booking.tax.toObject ? booking.tax.toObject() : booking.tax;
+    const lines = [...current.lines, ...tax.lines];
+    const sum = (field) => round(lines.reduce((total, line) => total + (line[field] || 0), 0));
+
+    booking.tax = {
+        ...current,
+        lines,
+        taxableAmount: sum('taxableAmount'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        totalTax: sum('totalTax')
+    };
+};
+
+/**
+ * Approve a pending extension request: check the car is still free,
+ * move the dropoff, price the extra days and bill them.
+ * @param {Object} booking - Booking document (active)
+ * @param {string} requestId - Extension request id
+ * @param {Object} options
+ * @param {string} options.approvedBy - Admin approving it
+ * @param {boolean} options.chargeWallet - Take the extra amount from the wallet when possible
+ * @returns {Promise<Object>} - { booking, request, amountDue }
+ */
+exports.approveExtension = async (booking, requestId, { approvedBy, chargeWallet = false } = {}) => {
+    const request = booking.extensionRequests.id(requestId);
+
+    if (!request) {
+        throw extensionError('Extension request not found', 404);
+    }
+
+    if (request.status !== 'pending') {
+        throw extensionError(`Extension request is already ${request.status}`);
+    }
+
+    if (booking.status !== 'active') {
+        throw extensionError(`Cannot extend a ${booking.status} booking`);
+    }
+
+    const newDropoff = new Date(request.requestedDropoffDate);
+
+    if (newDropoff <= booking.dropoffDate) {
+        throw extensionError('Requested dropoff is not after the current dropoff');
+    }
+
+    const car = await Car.findById(booking.car._id || booking.car);
+
+    // A doorstep collection moves to the new dropoff; the delivery is left
+    // as it was
+    const collections = booking.deliveries.filter(run => run.kind === 'collection');
+    const planned = await planDeliveries({
+        car,
+        dropoffLocation: booking.dropoffLocation,
+        start: booking.pickupDate,
+        end: newDropoff,
+        currentRuns: collections
+    });
+
+    // Reserve the extra days first so nobody can book them meanwhile
+    const hold = await createHold({
+        carId: car._id,
+        userId: booking.user._id || booking.user,
+        pickupDate: booking.dropoffDate,
+        dropoffDate: newDropoff,
+        purpose: 'extension',
+        bookingId: booking._id
+    });
+
+    const runs = keepUnchangedRuns(collections, planned.runs, 'Booking extended');
+    let slots;
+
+    try {
+        slots = await reserveSlots(runs.added, runs.cancelled);
+    } catch (error) {
+        await releaseHolds({ _id: hold._id });
+        throw error;
+    }
+
+    const price = priceExtension(booking, await getPricingCar(booking, car), newDropoff);
+
+    booking.dropoffDate = newDropoff;
+    booking.totalDays = price.totalDays;
+    booking.totalHours = price.totalHours;
+    booking.dropoffTime = formatTime(newDropoff);
+    booking.deliveries = [
+        ...booking.deliveries.filter(run => run.kind !== 'collection'),
+        ...runs.deliveries
+    ];
+    booking.baseAmount = round(booking.baseAmount + price.rentalAmount);
+    booking.taxAmount = round((booking.taxAmount || 0) + price.taxAmount);
+    booking.totalAmount = round(booking.totalAmount + price.totalCost);
+    addTaxLines(booking, price.tax);
+    booking.additionalCharges.push(...toChargeLines(price.tax).map(charge => ({
+        ...charge,
+        description: `${charge.description} on extension`
+    })));
+
+    if (getAmountDue(booking) > 0 && booking.payment.status === 'paid') {
+        booking.payment.status = 'partial';
+    }
+
+    Object.assign(request, {
+        status: 'approved',
+        approvedBy,
+        approvedAt: new Date(),
+        extensionDays: price.extensionDays,
+        extensionCost: price.rentalAmount,
+        taxAmount: price.taxAmount,
+        totalCost: price.totalCost
+    });
+
+    try {
+        await booking.save();
+    } catch (error) {
+        await releaseSlots(slots.taken);
+        throw error;
+    }
+
+    await convertHolds(booking._id);
+    await releaseSlots(slots.left);
+    await notifyRunsCancelled(booking, runs.cancelled, 'Booking extended');
+
+    // The booking was invoiced on confirmation; the extra days go on a debit note
+    if (price.rentalAmount > 0) {
+        try {
+            const note = await issueDebitNote(booking, [{
+                type: 'rental',
+                description: `Extension of ${price.extensionDays} day(s) to ${newDropoff.toDateString()}`,
+                amount: price.rentalAmount
+            }], { reason: 'Booking extension', issuedBy: approvedBy });
+
+            request.debitNote = note._id;
+            await booking.save();
+        } catch (error) {
+            console.error(`Extension debit note error for ${booking.bookingNumber}:`, error.message);
+        }
+    }
+
+    let updatedBooking = booking;
+
+    if (chargeWallet && getAmountDue(booking) > 0) {
+        try {
+            updatedBooking = await payWithWallet(booking, price.totalCost);
+        } catch (error) {
+            console.error(`Extension wallet payment error for ${booking.bookingNumber}:`, error.message);
+        }
+    }
+
+    const amountDue = getAmountDue(updatedBooking);
+
+    await Notification.create({
+        user: booking.user._id || booking.user,
+        title: 'Extension Approved',
+        message: amountDue > 0
+            ? `Your booking #${booking.bookingNumber} now ends on ${newDropoff.toDateString()}. ₹${amountDue} is due for the extra ${price.extensionDays} day(s).`
+            : `Your booking #${booking.bookingNumber} now ends on ${newDropoff.toDateString()}.`,
+        type: 'booking',
+        category: 'success',
+        metadata: {
+            bookingId: booking._id,
+            amount: price.totalCost
+        },
+        sendEmail: true
+    });
+
+    return {
+        booking: updatedBooking,
+        request: updatedBooking.extensionRequests.id(requestId),
+        amountDue
+    };
+};
+
+/**
+ * Reject a pending extension request
+ * @param {Object} booking - Booking document
+ * @param {string} requestId - Extension request id
+ * @param {Object} options
+ * @param {string} options.reason - Shown to the customer
+ * @param {string} options.rejectedBy - Admin rejecting it
+ * @returns {Promise<Object>} - The rejected request
+ */
+exports.rejectExtension = async (booking, requestId, { reason, rejectedBy } = {}) => {
+    const request = booking.extensionRequests.id(requestId);
+
+    if (!request) {
+        throw extensionError('Extension request not found', 404);
+    }
+
+    if (request.status !== 'pending') {
+        throw extensionError(`Extension request is already ${request.status}`);
+    }
+
+    Object.assign(request, {
+        status: 'rejected',
+        rejectedBy,
+        rejectedAt: new Date(),
+        rejectionReason: reason
+    });
+
+    await booking.save();
+
+    await Notification.create({
+        user: booking.user._id || booking.user,
+        title: 'Extension Request Declined',
+        message: `Your request to extend booking #${booking.bookingNumber} was declined${reason ? `: ${reason}.` : '.'} Please return the car by ${booking.dropoffDate.toDateString()}.`,
+        type: 'booking',
+        category: 'warning',
+        metadata: {
+            bookingId: booking._id
+        },
+        sendEmail: true
+    });
+
+    return request;
+};
+
+exports.getPricingCar = getPricingCar;
+exports.priceExtension = priceExtension;
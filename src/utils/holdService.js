@@ -0,0 +1,159 @@
+const BookingHold = require('../models/BookingHold');
+const Car = require('../models/Car');
+const { hold: holdConfig } = require('../config/booking');
+
+const holdError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Reserve a car for a time range.
+ * Availability is checked and the hold created, then the car's
+ * reservationVersion is bumped from the value read before the check. If
+ * another reservation bumped it first, this one may have missed it, so the
+ * hold is dropped and the check runs again. Two overlapping holds can
+ * therefore never both succeed.
+ * @param {Object} params
+ * @param {string} params.carId - Car to reserve
+ * @param {string} params.userId - Customer (or staff member) reserving it
+ * @param {Date} params.pickupDate - Start of the range
+ * @param {Date} params.dropoffDate - End of the range
+ * @param {string} params.purpose - booking | extension | modification | waitlist | assignment
+ * @param {string} params.bookingId - Booking the range belongs to (extensions, changes), left out of the check
+ * @param {number} params.minutes - How long the hold lasts (defaults to the checkout hold)
+ * @returns {Promise<Object>} - BookingHold document
+ */
+exports.createHold = async ({ carId, userId, pickupDate, dropoffDate, purpose = 'booking', bookingId, minutes }) => {
+    if (!(pickupDate < dropoffDate)) {
+        throw holdError('Dropoff date must be after pickup date');
+    }
+
+    // Picking new dates replaces the customer's earlier hold on the car
+    if (purpose === 'booking') {
+        await BookingHold.updateMany(
+            { car: carId, user: userId, status: 'active', booking: { $exists: false } },
+            { $set: { status: 'released', releasedAt: new Date() } }
+        );
+    }
+
+    for (let attempt = 1; attempt <= holdConfig.maxAttempts; attempt++) {
+        // Category and branch set the turnaround the availability check allows for
+        const car = await Car.findById(carId).select('reservationVersion status category location.city');
+
+        if (!car || car.status !== 'active') {
+            throw holdError('Car not found or not available', 404);
+        }
+
+        const version = car.reservationVersion || 0;
+
+        if (!(await car.isAvailableForDates(pickupDate, dropoffDate, bookingId))) {
+            throw holdError(
+                purpose === 'extension'
+                    ? 'Car is booked after the current dropoff'
+                    : 'Car not available for selected dates',
+                409
+            );
+        }
+
+        const hold = await BookingHold.create({
+            car: carId,
+            user: userId,
+            pickupDate,
+            dropoffDate,
+            purpose,
+            booking: bookingId,
+            expiresAt: new Date(Date.now() + (minutes || holdConfig.minutes) * 60 * 1000)
+        });
+
+        const claimed = await Car.updateOne(
+            { _id: carId, reservationVersion: version || { $in: [0, null] } },
+            { $inc: { reservationVersion: 1 } }
+        );
+
+        if (claimed.modifiedCount === 1) {
+            return hold;
+        }
+
+        // Someone reserved the car meanwhile; check again
+        await BookingHold.deleteOne({ _id: hold._id });
+    }
+
+    throw holdError('The car is being booked by someone else right now, please try again', 409);
+};
+
+/**
+ * Check a customer's hold still covers what they are booking
+ * @param {string} holdId - Hold to use
+ * @param {Object} params
+ * @param {string} params.userId - Customer booking
+ * @param {string} params.carId - Car being booked
+ * @param {Date} params.pickupDate - Booking start
+ * @param {Date} params.dropoffDate - Booking end
+ * @returns {Promise<Object>} - BookingHold document
+ */
+exports.getUsableHold = async (holdId, { userId, carId, pickupDate, dropoffDate }) => {
+    const hold = await BookingHold.findOne({
+        _id: holdId,
+        user: userId,
+        status: 'active',
+        expiresAt: { $gt: new Date() },
+        booking: { $exists: false }
+    });
+
+    if (!hold) {
+        throw holdError('Your reservation has expired, please select the dates again', 410);
+    }
+
+    if (hold.car.toString() !== carId.toString() ||
+        hold.pickupDate > pickupDate ||
+        hold.dropoffDate < dropoffDate) {
+        throw holdError('Reservation does not cover the selected car and dates');
+    }
+
+    return hold;
+};
+
+/**
+ * Tie a hold to the booking made with it; the hold keeps blocking the car
+ * until the booking is paid for or the hold expires
+ * @param {Object} hold - BookingHold document
+ * @param {Object} booking - Booking document
+ */
+exports.attachHold = async (hold, booking) => {
+    hold.booking = booking._id;
+    await hold.save();
+};
+
+/**
+ * Turn the holds of a booking into part of it once it is paid for.
+ * Converted holds no longer expire; the booking itself blocks the car.
+ * @param {string} bookingId - Booking id
+ * @returns {Promise<number>} - Number of holds converted
+ */
+exports.convertHolds = async (bookingId) => {
+    const result = await BookingHold.updateMany(
+        { booking: bookingId, status: 'active' },
+        {
+            $set: { status: 'converted', convertedAt: new Date() },
+            $unset: { expiresAt: 1 }
+        }
+    );
+
+    return result.modifiedCount;
+};
+
+/**
+ * Give up a hold before it expires
+ * @param {Object} filter - e.g. { _id, user } or { booking }
+ * @returns {Promise<number>} - Number of holds released
+ */
+exports.releaseHolds = async (filter) => {
+    const result = await BookingHold.updateMany(
+        { ...filter, status: 'active' },
+        { $set: { status: 'released', releasedAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+};
@@ -0,0 +1,85 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const BookingHold = require('../models/BookingHold');
+const { createHold } = require('./holdService');
+
+const HOUR = 60 * 60 * 1000;
+const carId = new mongoose.Types.ObjectId();
+const start = new Date(Date.now() + 24 * HOUR);
+
+let holds;
+let version;
+
+const overlaps = (hold, pickupDate, dropoffDate) => hold.pickupDate < dropoffDate && hold.dropoffDate > pickupDate;
+
+beforeEach(() => {
+    mock.restoreAll();
+    holds = [];
+    version = 0;
+
+    // Reads the version, then checks the holds after a tick, so two
+    // reservations made together both pass the check before either holds
+    mock.method(Car, 'findById', () => ({
+        select: async () => ({
+            status: 'active',
+            reservationVersion: version,
+            isAvailableForDates: async (pickupDate, dropoffDate) => {
+                await new Promise(resolve => setImmediate(resolve));
+                return !holds.some(hold => overlaps(hold, pickupDate, dropoffDate));
+            }
+        })
+    }));
+    mock.method(Car, 'updateOne', async (filter) => {
+        const expected = typeof filter.reservationVersion === 'number' ? filter.reservationVersion : 0;
+        if (expected !== version) return { modifiedCount: 0 };
+
+        version++;
+        return { modifiedCount: 1 };
+    });
+    mock.method(BookingHold, 'create', async (data) => {
+        const hold = { ...data, _id: new mongoose.Types.ObjectId() };
+        holds.push(hold);
+        return hold;
+    });
+    mock.method(BookingHold, 'deleteOne', async ({ _id }) => {
+        holds = holds.filter(hold => hold._id !== _id);
+    });
+    mock.method(BookingHold, 'updateMany', async () => ({}));
+});
+
+const reserve = (userId, from = start, hours = 48) => createHold({
+    carId,
+    userId,
+    pickupDate: from,
+    dropoffDate: new Date(from.getTime() + hours * HOUR)
+});
+
+test('two customers reserving overlapping dates at once get one hold', async () => {
+    const results = await Promise.allSettled([
+        reserve(new mongoose.Types.ObjectId()),
+        reserve(new mongoose.Types.ObjectId())
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+    assert.equal(holds.length, 1);
+    assert.equal(version, 1);
+});
+
+test('reservations of separate dates both go through', async () => {
+    const results = await Promise.allSettled([
+        reserve(new mongoose.Types.ObjectId()),
+        reserve(new mongoose.Types.ObjectId(), new Date(start.getTime() + 96 * HOUR))
+    ]);
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled']);
+    assert.equal(holds.length, 2);
+});
+
+test('the dropoff must be after the pickup', async () => {
+    await assert.rejects(reserve(new mongoose.Types.ObjectId(), start, 0), {
+        message: 'Dropoff date must be after pickup date'
+    });
+});
@@ -1,13 +1,13 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
-const { cloudinary } = require('../config/cloudinary');
+const storage = require('./storage');
 
 /**
  * Generate invoice PDF
  * @param {Object} invoiceData - Invoice data
  * @param {boolean} isFinal - Is final invoice (after return)
- * @returns {Promise<string>} - Cloudinary URL of the invoice
+ * @returns {Promise<Object>} - { url, public_id } of the uploaded PDF
  */
 exports.generateInvoice = async (invoiceData, isFinal = false) => {
     return new Promise(async (resolve, reject) => {
@@ -21,25 +21,14 @@ exports.generateInvoice = async (invoiceData, isFinal = false) => {
                 try {
                     const pdfBuffer = Buffer.concat(chunks);
                     
-                    // Upload to Cloudinary
-                    const result = await new Promise((resolve, reject) => {
-                        const stream = cloudinary.uploader.upload_stream(
-                            {
-                                folder: 'car-rental/invoices',
-                                resource_type: 'raw',
-                                public_id: `invoice_${invoiceData.bookingNumber}_${Date.now()}`,
-                                format: 'pdf'
-                            },
-                            (error, result) => {
-                                if (error) reject(error);
-                                else resolve(result);
-                            }
-                        );
-                        
-                        stream.end(pdfBuffer);
+                    const result = await storage.upload(pdfBuffer, {
+                        folder: 'invoices',
+                        filename: `${isFinal ? 'receipt' : 'proforma'}_${invoiceData.bookingNumber}_${Date.now()}.pdf`,
+                        contentType: 'application/pdf',
+                        access: 'private'
                     });
                     
-                    resolve(result.secure_url);
+                    resolve(result);
                 } catch (error) {
                     reject(error);
                 }
@@ -74,9 +63,11 @@ function generateInvoiceContent(doc, data, isFinal) {
         additionalCharges = [],
         discountAmount = 0,
         taxAmount = 0,
-        securityDeposit,
+        tax,
+        invoiceNumber,
+        securityDeposit = 0,
         totalAmount,
-        extraCharges
+        deposit
     } = data;
     
     // Header
@@ -84,6 +75,9 @@ function generateInvoiceContent(doc, data, isFinal) {
     doc.moveDown();
     doc.fontSize(10).text('123 Rental Street, Mumbai, India', { align: 'center' });
     doc.text('Phone: +91 9876543210 | Email: info@carrental.com', { align: 'center' });
+    if (tax && tax.supplierGstin) {
+        doc.text(`GSTIN: ${tax.supplierGstin} | State: ${tax.supplierState} (${tax.supplierStateCode})`, { align: 'center' });
+    }
     doc.moveDown();
     
     // Invoice Title
@@ -92,7 +86,9 @@ function generateInvoiceContent(doc, data, isFinal) {
     
     // Invoice Details
     doc.fontSize(12);
-    doc.text(`Invoice Number: INV-${bookingNumber}`);
+    doc.text(isFinal
+        ? `Invoice Number: ${invoiceNumber || `INV-${bookingNumber}`}`
+        : `Proforma Number: PRO-${bookingNumber}`);
     doc.text(`Invoice Date: ${new Date().toLocaleDateString()}`);
     doc.text(`Booking Number: ${bookingNumber}`);
     doc.moveDown();
@@ -102,6 +98,13 @@ function generateInvoiceContent(doc, data, isFinal) {
     doc.fontSize(12);
     doc.text(`Name: ${userName}`);
     doc.text(`Email: ${userEmail}`);
+    if (tax) {
+        if (tax.customerGstin) {
+            doc.text(`Billed To: ${tax.customerName || userName}`);
+            doc.text(`GSTIN: ${tax.customerGstin}`);
+        }
+        doc.text(`Place of Supply: ${tax.placeOfSupply}`);
+    }
     doc.moveDown();
     
     // Booking Details
@@ -159,7 +162,19 @@ function generateInvoiceContent(doc, data, isFinal) {
     }
     
     // Taxes
-    if (taxAmount > 0) {
+    if (tax && tax.lines && tax.lines.length > 0) {
+        const components = tax.isInterState
+            ? [['IGST', tax.igst]]
+            : [['CGST', tax.cgst], ['SGST', tax.sgst]];
+
+        components.forEach(([name, amount]) => {
+            doc.text(itemCount.toString(), itemX, y);
+            doc.text(name, descriptionX, y);
+            doc.text(amount.toFixed(2), amountX, y);
+            y += 20;
+            itemCount++;
+        });
+    } else if (taxAmount > 0) {
         doc.text(itemCount.toString(), itemX, y);
         doc.text('GST (18%)', descriptionX, y);
         doc.text(taxAmount.toFixed(2), amountX, y);
@@ -167,53 +182,29 @@ function generateInvoiceContent(doc, data, isFinal) {
         itemCount++;
     }
     
-    // Extra Charges (for final invoice)
-    if (isFinal && extraCharges) {
-        if (extraCharges.extraKilometers) {
-            doc.text(itemCount.toString(), itemX, y);
-            doc.text('Extra Kilometers', descriptionX, y);
-            doc.text(extraCharges.extraKilometers.toFixed(2), amountX, y);
-            y += 20;
-            itemCount++;
-        }
-        
-        if (extraCharges.fuelCharges) {
-            doc.text(itemCount.toString(), itemX, y);
-            doc.text('Fuel Refill Charges', descriptionX, y);
-            doc.text(extraCharges.fuelCharges.toFixed(2), amountX, y);
-            y += 20;
-            itemCount++;
-        }
-        
-        if (extraCharges.damages && extraCharges.damages.length > 0) {
-            extraCharges.damages.forEach(damage => {
-                if (damage.repairCost) {
-                    doc.text(itemCount.toString(), itemX, y);
-                    doc.text(`Damage: ${damage.description}`, descriptionX, y);
-                    doc.text(damage.repairCost.toFixed(2), amountX, y);
-                    y += 20;
-                    itemCount++;
-                }
-            });
-        }
-    }
-    
-    // Security Deposit (separate line)
-    y += 10;
-    doc.moveTo(50, y).lineTo(550, y).stroke();
-    y += 20;
-    
-    doc.text('Security Deposit', descriptionX, y);
-    doc.text(securityDeposit.toFixed(2), amountX, y);
-    y += 30;
-    
     // Total
+    y += 10;
     doc.moveTo(50, y).lineTo(550, y).stroke();
     y += 20;
     
     doc.font('Helvetica-Bold').fontSize(14);
     doc.text('TOTAL AMOUNT', descriptionX, y);
     doc.text(totalAmount.toFixed(2), amountX, y);
+    y += 30;
+    
+    if (tax && tax.lines && tax.lines.length > 0) {
+        y = generateTaxBreakup(doc, tax, y);
+    }
+    
+    // Security deposit is held separately and not part of the total
+    doc.font('Helvetica').fontSize(12);
+    if (isFinal && deposit) {
+        y = generateDepositStatement(doc, deposit, y, { descriptionX, amountX });
+    } else {
+        doc.text('Security Deposit (collected at pickup)', descriptionX, y);
+        doc.text(securityDeposit.toFixed(2), amountX, y);
+        y += 20;
+    }
     
     // Payment Instructions
     y += 40;
@@ -247,6 +238,235 @@ function generateInvoiceContent(doc, data, isFinal) {
     );
 }
 
+/**
+ * Print the GST breakup per SAC code
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} tax - Booking tax breakup from taxEngine
+ * @param {number} y - Current vertical position
+ * @returns {number} - Vertical position after the table
+ */
+function generateTaxBreakup(doc, tax, y) {
+    const columns = tax.isInterState
+        ? [['SAC', 50], ['Description', 100], ['Taxable', 300], ['Rate', 380], ['IGST', 450]]
+        : [['SAC', 50], ['Description', 100], ['Taxable', 280], ['Rate', 350], ['CGST', 410], ['SGST', 480]];
+    
+    doc.font('Helvetica-Bold').fontSize(12).text('Tax Breakup', 50, y);
+    y += 20;
+    
+    doc.fontSize(9);
+    columns.forEach(([label, x]) => doc.text(label, x, y));
+    y += 15;
+    doc.font('Helvetica');
+    
+    tax.lines.forEach(line => {
+        const values = tax.isInterState
+            ? [line.sacCode, line.description, line.taxableAmount.toFixed(2), `${line.rate}%`, line.igst.toFixed(2)]
+            : [line.sacCode, line.description, line.taxableAmount.toFixed(2), `${line.rate / 2}% + ${line.rate / 2}%`, line.cgst.toFixed(2), line.sgst.toFixed(2)];
+        
+        values.forEach((value, index) => doc.text(value, columns[index][1], y, { width: 170, lineBreak: false }));
+        y += 15;
+    });
+    
+    doc.moveTo(50, y).lineTo(550, y).stroke();
+    y += 5;
+    
+    const totals = tax.isInterState
+        ? ['', 'Total', tax.taxableAmount.toFixed(2), '', tax.igst.toFixed(2)]
+        : ['', 'Total', tax.taxableAmount.toFixed(2), '', tax.cgst.toFixed(2), tax.sgst.toFixed(2)];
+    
+    doc.font('Helvetica-Bold');
+    totals.forEach((value, index) => doc.text(value, columns[index][1], y));
+    doc.font('Helvetica').fontSize(12);
+    
+    return y + 25;
+}
+
+/**
+ * Print the security deposit statement
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} deposit - Deposit summary from depositService
+ * @param {number} y - Current vertical position
+ * @param {Object} columns - { descriptionX, amountX }
+ * @returns {number} - Vertical position after the statement
+ */
+function generateDepositStatement(doc, deposit, y, { descriptionX, amountX }) {
+    doc.font('Helvetica-Bold').text('Security Deposit Statement', 50, y);
+    y += 20;
+    doc.font('Helvetica');
+    
+    doc.text('Deposit collected', descriptionX, y);
+    doc.text(deposit.collected.toFixed(2), amountX, y);
+    y += 20;
+    
+    deposit.deductions.forEach(deduction => {
+        doc.text(`Less: ${deduction.description || deduction.category}`, descriptionX, y);
+        doc.text(`-${deduction.amount.toFixed(2)}`, amountX, y);
+        y += 20;
+    });
+    
+    doc.moveTo(descriptionX, y).lineTo(550, y).stroke();
+    y += 10;
+    
+    if (deposit.shortfall > 0) {
+        doc.text('Shortfall billed (included in total)', descriptionX, y);
+        doc.text(deposit.shortfall.toFixed(2), amountX, y);
+    } else if (deposit.released > 0) {
+        doc.text('Deposit released', descriptionX, y);
+        doc.text(deposit.released.toFixed(2), amountX, y);
+    } else if (deposit.balance > 0) {
+        doc.text('Deposit held pending settlement', descriptionX, y);
+        doc.text(deposit.balance.toFixed(2), amountX, y);
+    } else {
+        doc.text('Deposit released', descriptionX, y);
+        doc.text('0.00', amountX, y);
+    }
+    
+    return y + 20;
+}
+
+/**
+ * Generate the PDF of an issued tax invoice, credit note or debit note
+ * @param {Object} invoice - Invoice document
+ * @param {Object} originalInvoice - Invoice a credit/debit note adjusts
+ * @returns {Promise<Object>} - { url, public_id } of the uploaded PDF
+ */
+exports.generateTaxDocument = async (invoice, originalInvoice) => {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ margin: 50 });
+            const chunks = [];
+            
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', async () => {
+                try {
+                    const pdfBuffer = Buffer.concat(chunks);
+                    
+                    const result = await storage.upload(pdfBuffer, {
+                        folder: 'invoices',
+                        filename: `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`,
+                        contentType: 'application/pdf',
+                        access: 'private'
+                    });
+                    
+                    resolve(result);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            
+            generateTaxDocumentContent(doc, invoice, originalInvoice);
+            doc.end();
+            
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
+
+/**
+ * Generate tax invoice / credit note / debit note content
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} invoice - Invoice document
+ * @param {Object} originalInvoice - Invoice a note adjusts
+ */
+function generateTaxDocumentContent(doc, invoice, originalInvoice) {
+    const titles = {
+        invoice: 'TAX INVOICE',
+        credit_note: 'CREDIT NOTE',
+        debit_note: 'DEBIT NOTE'
+    };
+    const { supplier, customer, totals } = invoice;
+    
+    // Header
+    doc.fontSize(25).text(supplier.legalName || 'Car Rental Service', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(10).text('123 Rental Street, Mumbai, India', { align: 'center' });
+    if (supplier.gstin) {
+        doc.text(`GSTIN: ${supplier.gstin} | State: ${supplier.state} (${supplier.stateCode})`, { align: 'center' });
+    }
+    doc.moveDown();
+    
+    doc.fontSize(20).text(titles[invoice.type], { align: 'center' });
+    doc.moveDown();
+    
+    // Document Details
+    doc.fontSize(12);
+    doc.text(`${invoice.type === 'invoice' ? 'Invoice' : 'Note'} Number: ${invoice.invoiceNumber}`);
+    doc.text(`Date: ${new Date(invoice.issuedAt).toLocaleDateString()}`);
+    if (originalInvoice) {
+        doc.text(`Against Invoice: ${originalInvoice.invoiceNumber} dated ${new Date(originalInvoice.issuedAt).toLocaleDateString()}`);
+    }
+    if (invoice.reason) {
+        doc.text(`Reason: ${invoice.reason}`);
+    }
+    doc.moveDown();
+    
+    // Customer Details
+    doc.fontSize(14).text('Billed To:', { underline: true });
+    doc.fontSize(12);
+    doc.text(`Name: ${customer.name}`);
+    if (customer.email) doc.text(`Email: ${customer.email}`);
+    if (customer.gstin) doc.text(`GSTIN: ${customer.gstin}`);
+    doc.text(`Place of Supply: ${invoice.placeOfSupply}`);
+    doc.moveDown();
+    
+    // Line Items
+    const columns = invoice.isInterState
+        ? [['Description', 50], ['SAC', 230], ['Taxable', 290], ['Rate', 360], ['IGST', 410], ['Total', 480]]
+        : [['Description', 50], ['SAC', 200], ['Taxable', 250], ['Rate', 320], ['CGST', 370], ['SGST', 425], ['Total', 480]];
+    
+    let y = doc.y + 10;
+    doc.fontSize(10).font('Helvetica-Bold');
+    columns.forEach(([label, x]) => doc.text(label, x, y));
+    doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke();
+    y += 25;
+    doc.font('Helvetica');
+    
+    invoice.lines.forEach(line => {
+        const lineTotal = (line.taxableAmount + line.totalTax).toFixed(2);
+        const values = invoice.isInterState
+            ? [line.description, line.sacCode, line.taxableAmount.toFixed(2), `${line.rate}%`, line.igst.toFixed(2), lineTotal]
+            : [line.description, line.sacCode, line.taxableAmount.toFixed(2), `${line.rate}%`, line.cgst.toFixed(2), line.sgst.toFixed(2), lineTotal];
+        
+        values.forEach((value, index) => {
+            const nextX = columns[index + 1] ? columns[index + 1][1] : 550;
+            doc.text(String(value), columns[index][1], y, { width: nextX - columns[index][1] - 5, lineBreak: false });
+        });
+        y += 20;
+    });
+    
+    // Totals
+    doc.moveTo(50, y).lineTo(550, y).stroke();
+    y += 10;
+    
+    const totalRows = [['Taxable Value', totals.taxableAmount]];
+    if (invoice.isInterState) {
+        totalRows.push(['IGST', totals.igst]);
+    } else {
+        totalRows.push(['CGST', totals.cgst], ['SGST', totals.sgst]);
+    }
+    
+    totalRows.forEach(([label, amount]) => {
+        doc.text(label, 320, y);
+        doc.text(amount.toFixed(2), 480, y);
+        y += 18;
+    });
+    
+    doc.font('Helvetica-Bold').fontSize(12);
+    doc.text(invoice.type === 'credit_note' ? 'TOTAL CREDIT' : 'TOTAL', 320, y);
+    doc.text(totals.grandTotal.toFixed(2), 480, y);
+    doc.font('Helvetica');
+    
+    // Footer
+    const pageHeight = doc.page.height;
+    doc.fontSize(8).text(
+        'This is a computer-generated document. No signature required.',
+        50,
+        pageHeight - 50,
+        { align: 'center' }
+    );
+}
+
 /**
  * Generate booking summary (simpler version)
  * @param {Object} booking - Booking object
@@ -263,24 +483,14 @@ exports.generateBookingSummary = async (booking) => {
                 try {
                     const pdfBuffer = Buffer.concat(chunks);
                     
-                    const result = await new Promise((resolve, reject) => {
-                        const stream = cloudinary.uploader.upload_stream(
-                            {
-                                folder: 'car-rental/summaries',
-                                resource_type: 'raw',
-                                public_id: `summary_${booking.bookingNumber}`,
-                                format: 'pdf'
-                            },
-                            (error, result) => {
-                                if (error) reject(error);
-                                else resolve(result);
-                            }
-                        );
-                        
-                        stream.end(pdfBuffer);
+                    const result = await storage.upload(pdfBuffer, {
+                        folder: 'summaries',
+                        filename: `summary_${booking.bookingNumber}.pdf`,
+                        contentType: 'application/pdf',
+                        access: 'private'
                     });
                     
-                    resolve(result.secure_url);
+                    resolve(result.url);
                 } catch (error) {
                     reject(error);
                 }
@@ -324,24 +534,14 @@ exports.generateDailyReport = async (bookings, stats) => {
                 try {
                     const pdfBuffer = Buffer.concat(chunks);
                     
-                    const result = await new Promise((resolve, reject) => {
-                        const stream = cloudinary.uploader.upload_stream(
-                            {
-                                folder: 'car-rental/reports',
-                                resource_type: 'raw',
-                                public_id: `daily_report_${new Date().toISOString().split('T')[0]}`,
-                                format: 'pdf'
-                            },
-                            (error, result) => {
-                                if (error) reject(error);
-                                else resolve(result);
-                            }
-                        );
-                        
-                        stream.end(pdfBuffer);
+                    const result = await storage.upload(pdfBuffer, {
+                        folder: 'reports',
+                        filename: `daily_report_${new Date().toISOString().split('T')[0]}.pdf`,
+                        contentType: 'application/pdf',
+                        access: 'private'
                     });
                     
-                    resolve(result.secure_url);
+                    resolve(result.url);
                 } catch (error) {
                     reject(error);
                 }
@@ -0,0 +1,537 @@
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const User = require('../models/User');
+const invoiceConfig = require('../config/invoice');
+const taxConfig = require('../config/tax');
+const { calculateTax } = require('./taxEngine');
+const { getDepositSummary } = require('./depositService');
+const { generateInvoice, generateTaxDocument } = require('./invoiceGenerator');
+const storage = require('./storage');
+
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+// PDFs a customer can download for a booking
+const DOCUMENT_TYPES = ['proforma', 'final', 'receipt'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Deposit deduction category -> tax item type
+const DEDUCTION_TAX_TYPES = {
+    extra_km: 'rental',
+    fuel: 'service'
+};
+
+/**
+ * Financial year a date falls in, e.g. '2026-27' (April to March, IST)
+ * @param {Date} date
+ * @returns {string}
+ */
+const getFinancialYear = (date = new Date()) => {
+    const ist = new Date(date.getTime() + 330 * 60 * 1000);
+    const year = ist.getUTCFullYear();
+    const startYear = ist.getUTCMonth() + 1 >= invoiceConfig.financialYearStartMonth ? year : year - 1;
+
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Short code of the branch a booking is billed from
+ * @param {string} city - Branch city
+ * @returns {string}
+ */
+const getBranchCode = (city) => {
+    if (city && invoiceConfig.branchCodes[city]) {
+        return invoiceConfig.branchCodes[city];
+    }
+
+    return (city || '').replace(/[^A-Za-z]/g, '').slice(0, 3).toUpperCase() || 'HQ';
+};
+
+/**
+ * Branch city of a booking (the car's home location at pickup; a one-way
+ * trip moves the car to another branch on return)
+ */
+const getBranchCity = async (booking) => {
+    if (booking.oneWay && booking.oneWay.fromCity) {
+        return booking.oneWay.fromCity;
+    }
+
+    if (booking.car && booking.car.location) {
+        return booking.car.location.city;
+    }
+
+    const car = await Car.findById(booking.car).select('location');
+    return car && car.location ? car.location.city : undefined;
+};
+
+/**
+ * Create a document with the next number in its series.
+ * The number is the last issued one plus one, and a unique index on
+ * (series, sequence) turns a race into a retry, so numbers never skip.
+ */
+const createNumberedDocument = async (type, branchCode, data) => {
+    const financialYear = getFinancialYear(data.issuedAt);
+    const series = `${invoiceConfig.prefixes[type]}/${branchCode}/${financialYear.replace('-', '').slice(2)}`;
+
+    for (let attempt = 1; attempt <= MAX_NUMBERING_ATTEMPTS; attempt++) {
+        const last = await Invoice.findOne({ series }).sort('-sequence').select('sequence');
+        const sequence = last ? last.sequence + 1 : 1;
+
+        try {
+            return await Invoice.create({
+                ...data,
+                type,
+                series,
+                sequence,
+                financialYear,
+                branchCode,
+                invoiceNumber: `${series}/${String(sequence).padStart(invoiceConfig.sequencePadding, '0')}`
+            });
+        } catch (error) {
+            // Only a number taken meanwhile is retried; other duplicates
+            // (a booking's second invoice) are for the caller
+            const numberTaken = error.code === 11000 && error.keyPattern && error.keyPattern.sequence;
+
+            if (!numberTaken || attempt === MAX_NUMBERING_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Totals of a set of invoice lines
+ */
+const sumLines = (lines) => {
+    const sum = (field) => round(lines.reduce((total, line) => total + (line[field] || 0), 0));
+    const taxableAmount = sum('taxableAmount');
+    const totalTax = sum('totalTax');
+
+    return {
+        taxableAmount,
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        totalTax,
+        grandTotal: round(taxableAmount + totalTax)
+    };
+};
+
+/**
+ * Render and upload the PDF; the document stays valid if this fails and
+ * the PDF can be generated again later
+ */
+const attachPdf = async (invoice, originalInvoice) => {
+    try {
+        invoice.pdf = await generateTaxDocument(invoice, originalInvoice);
+        await invoice.save();
+    } catch (error) {
+        console.error(`Invoice PDF error for ${invoice.invoiceNumber}:`, error.message);
+    }
+
+    return invoice;
+};
+
+/**
+ * Tax breakup of a booking, worked out again for bookings made before
+ * the tax engine stored one
+ */
+const getBookingTax = async (booking) => {
+    if (booking.tax && booking.tax.lines && booking.tax.lines.length > 0) {
+        return booking.tax;
+    }
+
+    const car = booking.car && booking.car.location ? booking.car : await Car.findById(booking.car).select('location');
+
+    return calculateTax({
+        items: [
+            { type: 'rental', description: 'Car rental', amount: booking.baseAmount },
+            ...booking.additionalCharges
+                .filter(charge => charge.type === 'service')
+                .map(charge => ({ type: 'service', description: charge.description, amount: charge.amount }))
+        ],
+        discount: booking.discountAmount,
+        supplierState: car && car.location ? car.location.state : undefined
+    });
+};
+
+/**
+ * Issue the tax invoice for a booking. Idempotent: returns the existing
+ * invoice if one was already issued.
+ * @param {Object} booking - Booking document
+ * @param {Object} options
+ * @param {string} options.issuedBy - Staff member issuing it
+ * @returns {Promise<Object>} - Invoice document
+ */
+exports.issueInvoice = async (booking, { issuedBy } = {}) => {
+    const existing = await Invoice.findOne({ booking: booking._id, type: 'invoice', status: 'issued' });
+
+    if (existing) {
+        return existing;
+    }
+
+    const tax = await getBookingTax(booking);
+    const user = booking.user && booking.user.email
+        ? booking.user
+        : await User.findById(booking.user).select('name email');
+    const lines = tax.lines.map(line => ({ ...(line.toObject ? line.toObject() : line) }));
+
+    let invoice;
+
+    try {
+        invoice = await createNumberedDocument('invoice', getBranchCode(await getBranchCity(booking)), {
+            booking: booking._id,
+            user: user._id,
+            supplier: {
+                legalName: taxConfig.company.legalName,
+                gstin: tax.supplierGstin,
+                state: tax.supplierState,
+                stateCode: tax.supplierStateCode
+            },
+            customer: {
+                name: tax.customerName || user.name,
+                email: user.email,
+                gstin: tax.customerGstin,
+                state: tax.customerState,
+                stateCode: tax.customerStateCode
+            },
+            placeOfSupply: tax.placeOfSupply,
+            isInterState: tax.isInterState,
+            currency: booking.payment.currency,
+            lines,
+            totals: sumLines(lines),
+            issuedBy,
+            issuedAt: new Date()
+        });
+    } catch (error) {
+        // Issued by a concurrent call (payment webhook and confirmation)
+        if (error.code !== 11000) throw error;
+
+        const issued = await Invoice.findOne({ booking: booking._id, type: 'invoice', status: 'issued' });
+        if (!issued) throw error;
+
+        return issued;
+    }
+
+    booking.payment.invoiceNumber = invoice.invoiceNumber;
+    await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { 'payment.invoiceNumber': invoice.invoiceNumber } }
+    );
+
+    return attachPdf(invoice);
+};
+
+/**
+ * Copy the parties of the original invoice onto a note
+ */
+const noteBase = (original, { reason, issuedBy }) => {
+    const { booking, user, supplier, customer, placeOfSupply, isInterState, currency } = original.toObject();
+
+    return {
+        booking,
+        user,
+        originalInvoice: original._id,
+        reason,
+        supplier,
+        customer,
+        placeOfSupply,
+        isInterState,
+        currency,
+        issuedBy,
+        issuedAt: new Date()
+    };
+};
+
+/**
+ * Issue a credit note for money given back on an invoiced booking.
+ * The amount (GST inclusive) is spread over the invoice lines pro rata.
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Amount credited, including GST
+ * @param {Object} options
+ * @param {string} options.reason - Printed on the note
+ * @param {string} options.issuedBy - Staff member issuing it
+ * @returns {Promise<Object|null>} - Credit note, or null if the booking was never invoiced
+ */
+exports.issueCreditNote = async (booking, amount, { reason = 'Refund', issuedBy } = {}) => {
+    const original = await Invoice.findOne({ booking: booking._id, type: 'invoice', status: 'issued' });
+
+    if (!original) {
+        return null;
+    }
+
+    const [credited, debited] = await Promise.all(['credit_note', 'debit_note'].map(type =>
+        Invoice.find({ originalInvoice: original._id, type, status: 'issued' }).select('totals')
+            .then(notes => notes.reduce((sum, note) => sum + note.totals.grandTotal, 0))
+    ));
+    const creditable = round(original.totals.grandTotal + debited - credited);
+    const creditAmount = Math.min(round(amount), creditable);
+
+    if (!(creditAmount > 0)) {
+        const error = new Error('Nothing left to credit on this invoice');
+        error.status = 400;
+        throw error;
+    }
+
+    const factor = creditAmount / original.totals.grandTotal;
+    const lines = original.lines.map(line => {
+        const scaled = {
+            type: line.type,
+            description: line.description,
+            sacCode: line.sacCode,
+            amount: round(line.amount * factor),
+            discount: round((line.discount || 0) * factor),
+            taxableAmount: round(line.taxableAmount * factor),
+            rate: line.rate,
+            cgst: round(line.cgst * factor),
+            sgst: round(line.sgst * factor),
+            igst: round(line.igst * factor)
+        };
+        scaled.totalTax = round(scaled.cgst + scaled.sgst + scaled.igst);
+        return scaled;
+    });
+
+    const note = await createNumberedDocument('credit_note', original.branchCode, {
+        ...noteBase(original, { reason, issuedBy }),
+        lines,
+        totals: sumLines(lines)
+    });
+
+    return attachPdf(note, original);
+};
+
+/**
+ * Issue a debit note for charges added after the invoice (extensions,
+ * damages, fines, ...)
+ * @param {Object} booking - Booking document
+ * @param {Array} items - [{ type: rental|insurance|service|penalty, description, amount }]
+ * @param {Object} options
+ * @param {string} options.reason - Printed on the note
+ * @param {string} options.issuedBy - Staff member issuing it
+ * @param {boolean} options.taxInclusive - Item amounts already include GST
+ * @returns {Promise<Object>} - Debit note
+ */
+exports.issueDebitNote = async (booking, items, { reason = 'Additional charges', issuedBy, taxInclusive = false } = {}) => {
+    const original = await exports.issueInvoice(booking, { issuedBy });
+
+    const tax = calculateTax({
+        items,
+        supplierState: original.supplier.state,
+        customerState: original.customer.state,
+        customerGstin: original.customer.gstin,
+        customerName: original.customer.name,
+        taxInclusive
+    });
+
+    if (tax.lines.length === 0) {
+        const error = new Error('Debit note needs at least one charge');
+        error.status = 400;
+        throw error;
+    }
+
+    const note = await createNumberedDocument('debit_note', original.branchCode, {
+        ...noteBase(original, { reason, issuedBy }),
+        lines: tax.lines,
+        totals: sumLines(tax.lines)
+    });
+
+    return attachPdf(note, original);
+};
+
+/**
+ * Debit note for the deductions taken from the security deposit.
+ * Deductions are what the customer actually paid, so they include GST.
+ * Only issued once per booking.
+ * @param {Object} booking - Booking document (deposit settled)
+ * @param {Object} options
+ * @param {string} options.issuedBy - Staff member settling the deposit
+ * @returns {Promise<Object|null>} - Debit note, or null if there was nothing to bill
+ */
+exports.issueDepositDebitNote = async (booking, { issuedBy } = {}) => {
+    const deductions = booking.deposit.entries.filter(entry => entry.type === 'deduction');
+
+    if (booking.deposit.debitNote || deductions.length === 0) {
+        return null;
+    }
+
+    const note = await exports.issueDebitNote(
+        booking,
+        deductions.map(entry => ({
+            type: DEDUCTION_TAX_TYPES[entry.category] || 'penalty',
+            description: entry.description || entry.category,
+            amount: entry.amount
+        })),
+        { reason: 'Charges on return', issuedBy, taxInclusive: true }
+    );
+
+    booking.deposit.debitNote = note._id;
+    await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { 'deposit.debitNote': note._id } }
+    );
+
+    return note;
+};
+
+/**
+ * Render the PDF of an issued document again
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Object>} - Invoice with the new PDF
+ */
+exports.regeneratePdf = async (invoice) => {
+    const original = invoice.originalInvoice
+        ? await Invoice.findById(invoice.originalInvoice)
+        : undefined;
+
+    invoice.pdf = await generateTaxDocument(invoice, original);
+    return invoice.save();
+};
+
+/**
+ * Data printed on the proforma (at booking) or the receipt (after return)
+ */
+const buildInvoiceData = async (booking, isFinal) => {
+    const car = booking.car && booking.car.make ? booking.car : await Car.findById(booking.car);
+    const user = booking.user && booking.user.email
+        ? booking.user
+        : await User.findById(booking.user).select('name email');
+
+    const data = {
+        bookingNumber: booking.bookingNumber,
+        userName: user.name,
+        userEmail: user.email,
+        carDetails: `${car.make} ${car.model} - ${car.licensePlate}`,
+        pickupDate: booking.pickupDate,
+        dropoffDate: booking.dropoffDate,
+        totalDays: booking.totalDays,
+        baseAmount: booking.baseAmount,
+        additionalCharges: booking.additionalCharges,
+        discountAmount: booking.discountAmount,
+        taxAmount: booking.taxAmount,
+        tax: booking.tax,
+        securityDeposit: booking.securityDeposit,
+        totalAmount: booking.totalAmount
+    };
+
+    if (isFinal) {
+        data.invoiceNumber = booking.payment.invoiceNumber;
+        data.deposit = getDepositSummary(booking);
+    }
+
+    return data;
+};
+
+/**
+ * Stored PDF, or the one just generated when the stored file is missing
+ */
+const readOrRegenerate = async (file, regenerate) => {
+    let buffer = await storage.read(file && file.public_id);
+
+    if (!buffer) {
+        const generated = await regenerate();
+        buffer = await storage.read(generated.public_id);
+    }
+
+    if (!buffer) {
+        throw new Error('Could not generate the PDF');
+    }
+
+    return buffer;
+};
+
+/**
+ * PDF of a booking document:
+ *   proforma - issued when the booking is made
+ *   final    - GST tax invoice, issued once the booking is confirmed
+ *   receipt  - final statement issued when the car is returned
+ * Without a type, the latest one the booking has. A document whose file
+ * is missing from storage is generated again.
+ * @param {Object} booking - Booking document
+ * @param {string} type - proforma | final | receipt
+ * @returns {Promise<Object>} - { type, filename, buffer }
+ */
+exports.getBookingDocument = async (booking, type) => {
+    if (type && !DOCUMENT_TYPES.includes(type)) {
+        const error = new Error(`Invoice type must be one of ${DOCUMENT_TYPES.join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+
+    const taxInvoice = await Invoice.findOne({ booking: booking._id, type: 'invoice', status: 'issued' });
+    const documentType = type || (booking.status === 'completed' ? 'receipt' : taxInvoice ? 'final' : 'proforma');
+
+    if (documentType === 'final') {
+        if (!taxInvoice) {
+            const error = new Error('No tax invoice has been issued for this booking yet');
+            error.status = 404;
+            throw error;
+        }
+
+        const buffer = await readOrRegenerate(taxInvoice.pdf, async () => {
+            const updated = await exports.regeneratePdf(taxInvoice);
+            return updated.pdf;
+        });
+
+        return {
+            type: documentType,
+            filename: `${taxInvoice.invoiceNumber.replace(/\//g, '-')}.pdf`,
+            buffer
+        };
+    }
+
+    if (documentType === 'receipt' && booking.status !== 'completed') {
+        const error = new Error('The receipt is issued once the car is returned');
+        error.status = 404;
+        throw error;
+    }
+
+    const isFinal = documentType === 'receipt';
+
+    const buffer = await readOrRegenerate(booking.documents && booking.documents[documentType], async () => {
+        const file = await generateInvoice(await buildInvoiceData(booking, isFinal), isFinal);
+        const update = { [`documents.${documentType}`]: file };
+
+        if (!isFinal) {
+            update['payment.invoiceUrl'] = file.url;
+        }
+
+        booking.set(update);
+        await Booking.updateOne({ _id: booking._id }, { $set: update });
+
+        return file;
+    });
+
+    return {
+        type: documentType,
+        filename: `${documentType}_${booking.bookingNumber}.pdf`,
+        buffer
+    };
+};
+
+/**
+ * Issue the proforma of a booking again after its dates or charges
+ * changed. The old file is removed; the booking is updated, not saved.
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} - { url, public_id }
+ */
+exports.refreshProforma = async (booking) => {
+    const previous = booking.documents && booking.documents.proforma;
+    const file = await generateInvoice(await buildInvoiceData(booking, false));
+
+    booking.documents.proforma = file;
+    booking.payment.invoiceUrl = file.url;
+
+    if (previous && previous.public_id) {
+        try {
+            await storage.remove(previous.public_id);
+        } catch (error) {
+            console.error(`Could not remove old proforma of ${booking.bookingNumber}:`, error.message);
+        }
+    }
+
+    return file;
+};
+
+exports.getFinancialYear = getFinancialYear;
+exports.getBranchCode = getBranchCode;
@@ -0,0 +1,630 @@
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const Offer = require('../models/Offer');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { priceBooking } = require('./bookingPricing');
+const { toDateTime, formatTime, formatDate, isValidDate } = require('./dateTime');
+const { getAmountDue, getAdvanceTerms, payWithWallet } = require('./paymentService');
+const { issueRefund, getNextRefundAttempt } = require('./refundService');
+const { issueDebitNote, issueCreditNote, refreshProforma } = require('./invoiceService');
+const { createHold, convertHolds, releaseHolds } = require('./holdService');
+const { releaseOfferUsage } = require('./bookingExpiryService');
+const { offerFreedCar } = require('./waitlistService');
+const { isClassBooking, getRateCar, getPoolAvailability } = require('./assignmentService');
+const { voidAgreement } = require('./agreementService');
+const {
+    planDeliveries,
+    keepUnchangedRuns,
+    reserveSlots,
+    releaseSlots,
+    notifyRunsCancelled
+} = require('./deliveryService');
+const { modification } = require('../config/booking');
+
+const MODIFIABLE_STATUSES = ['pending', 'confirmed'];
+const REFUND_LOCK_MINUTES = 5;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const modificationError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const normaliseLocation = (location) => ({
+    type: location.type || 'branch',
+    address: location.address || {}
+});
+
+const normaliseServices = (services) => (services || []).map(service => ({
+    service: service.service,
+    quantity: service.quantity,
+    price: service.price
+}));
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * New pickup or dropoff time; a time without a date keeps the current day
+ */
+const resolveDateTime = (current, date, time) => {
+    if (date) return toDateTime(date, time);
+    if (time) return toDateTime(formatDate(current), time);
+    return current;
+};
+
+/**
+ * Work out what a change request actually changes
+ */
+const resolveChanges = (booking, body) => {
+    const start = resolveDateTime(booking.pickupDate, body.pickupDate, body.pickupTime);
+    const end = resolveDateTime(booking.dropoffDate, body.dropoffDate, body.dropoffTime);
+
+    if (!isValidDate(start) || !isValidDate(end)) {
+        throw modificationError('Invalid pickup or dropoff time');
+    }
+
+    if (start >= end) {
+        throw modificationError('Dropoff date must be after pickup date');
+    }
+
+    const current = {
+        pickupLocation: normaliseLocation(booking.pickupLocation.toObject ? booking.pickupLocation.toObject() : booking.pickupLocation),
+        dropoffLocation: normaliseLocation(booking.dropoffLocation.toObject ? booking.dropoffLocation.toObject() : booking.dropoffLocation),
+        additionalServices: normaliseServices(booking.additionalServices)
+    };
+
+    const next = {
+        pickupLocation: body.pickupLocation ? normaliseLocation(body.pickupLocation) : current.pickupLocation,
+        dropoffLocation: body.dropoffLocation ? normaliseLocation(body.dropoffLocation) : current.dropoffLocation,
+        additionalServices: body.additionalServices ? normaliseServices(body.additionalServices) : current.additionalServices
+    };
+
+    const changes = [];
+
+    if (start.getTime() !== booking.pickupDate.getTime()) {
+        changes.push({ field: 'pickupDate', from: booking.pickupDate, to: start });
+    }
+
+    if (end.getTime() !== booking.dropoffDate.getTime()) {
+        changes.push({ field: 'dropoffDate', from: booking.dropoffDate, to: end });
+    }
+
+    ['pickupLocation', 'dropoffLocation', 'additionalServices'].forEach(field => {
+        if (!isSame(current[field], next[field])) {
+            changes.push({ field, from: current[field], to: next[field] });
+        }
+    });
+
+    return {
+        start,
+        end,
+        ...next,
+        changes,
+        datesChanged: changes.some(change => ['pickupDate', 'dropoffDate'].includes(change.field))
+    };
+};
+
+/**
+ * Check the booking can still be changed by its customer
+ */
+const assertModifiable = (booking) => {
+    if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+        throw modificationError(`Cannot change a ${booking.status} booking`);
+    }
+
+    const cutoff = new Date(booking.pickupDate.getTime() - modification.cutoffHours * 60 * 60 * 1000);
+
+    if (new Date() > cutoff) {
+        throw modificationError(`Bookings can only be changed up to ${modification.cutoffHours} hours before pickup`);
+    }
+};
+
+/**
+ * Promo code of the booking, set up to be checked again. The booking's
+ * own use is already counted, so it does not count against the limit.
+ */
+const getBookingOffer = async (booking) => {
+    if (!booking.promoCode) return null;
+
+    const offer = await Offer.findOne({ code: booking.promoCode });
+
+    if (offer && offer.usersUsed.some(use => use.booking && use.booking.toString() === booking._id.toString())) {
+        offer.usedCount = Math.max(0, offer.usedCount - 1);
+    }
+
+    return offer;
+};
+
+/**
+ * Price a change to a booking without saving anything.
+ * The booking is priced again from scratch with the new dates, locations
+ * and add-ons, plus the change fee for this and earlier changes.
+ * @param {Object} booking - Booking document
+ * @param {Object} body - pickupDate, pickupTime, dropoffDate, dropoffTime,
+ *                        pickupLocation, dropoffLocation, additionalServices
+ * @returns {Promise<Object>} - Quote with the new totals and what is owed or refunded
+ */
+const quoteModification = async (booking, body) => {
+    assertModifiable(booking);
+
+    const resolved = resolveChanges(booking, body);
+
+    if (resolved.changes.length === 0) {
+        throw modificationError('Nothing to change');
+    }
+
+    if (resolved.datesChanged && resolved.start < new Date(Date.now() + 2 * 60 * 60 * 1000)) {
+        throw modificationError('Pickup must be at least 2 hours from now');
+    }
+
+    const assignedCar = await Car.findById(booking.car._id || booking.car);
+    const classBooking = isClassBooking(booking);
+
+    // Category bookings stay on the class rate whichever car they have
+    const rateCar = (classBooking && await getRateCar(booking.vehicleClass)) || assignedCar;
+    const offer = await getBookingOffer(booking);
+    const bookingTax = booking.tax || {};
+
+    const previousFees = (booking.revisions || []).reduce((sum, revision) => sum + (revision.changeFee || 0), 0);
+    const changeFee = modification.changeFee;
+
+    // Doorstep runs follow the new times and addresses
+    const deliveries = await planDeliveries({
+        car: assignedCar,
+        pickupLocation: resolved.pickupLocation,
+        dropoffLocation: resolved.dropoffLocation,
+        start: resolved.start,
+        end: resolved.end,
+        currentRuns: booking.deliveries
+    });
+
+    const pricing = priceBooking({
+        car: rateCar,
+        start: resolved.start,
+        end: resolved.end,
+        additionalServices: resolved.additionalServices,
+        dropoffCity: resolved.dropoffLocation.address.city,
+        offer,
+        userId: booking.user._id || booking.user,
+        taxParties: {
+            supplierState: bookingTax.supplierState,
+            customerState: bookingTax.customerState,
+            customerGstin: bookingTax.customerGstin,
+            customerName: bookingTax.customerName
+        },
+        fees: [
+            ...deliveries.fees,
+            { description: 'Booking change fee', amount: round(previousFees + changeFee) }
+        ]
+    });
+
+    let car = assignedCar;
+    let available = resolved.datesChanged
+        ? await car.isAvailableForDates(resolved.start, resolved.end, booking._id)
+        : true;
+
+    // A category booking can move to another car of the class for the new dates
+    if (!available && classBooking) {
+        const pool = await getPoolAvailability(booking.vehicleClass, resolved.start, resolved.end, {
+            excludeBookingId: booking._id
+        });
+
+        if (pool.available > 0) {
+            car = pool.cars[0];
+            available = true;
+        }
+    }
+
+    const paid = booking.paidAmount || 0;
+
+    return {
+        car,
+        resolved,
+        pricing,
+        deliveries: deliveries.runs,
+        available,
+        changes: resolved.changes,
+        changeFee,
+        previousTotal: booking.totalAmount,
+        newTotal: pricing.totalAmount,
+        difference: round(pricing.totalAmount - booking.totalAmount),
+        amountDue: Math.max(0, round(pricing.totalAmount - paid)),
+        refundAmount: Math.max(0, round(paid - pricing.totalAmount)),
+        promo: pricing.promo
+    };
+};
+
+/**
+ * Summary of a quote for the customer
+ */
+const toPreview = (quote) => ({
+    changes: quote.changes,
+    available: quote.available,
+    pickupDate: quote.resolved.start,
+    dropoffDate: quote.resolved.end,
+    totalDays: quote.pricing.totalDays,
+    totalHours: quote.pricing.period.billedHours,
+    baseAmount: quote.pricing.baseAmount,
+    additionalCharges: quote.pricing.additionalCharges,
+    discountAmount: quote.pricing.discountAmount,
+    taxAmount: quote.pricing.taxAmount,
+    changeFee: quote.changeFee,
+    previousTotal: quote.previousTotal,
+    newTotal: quote.newTotal,
+    difference: quote.difference,
+    amountDue: quote.amountDue,
+    refundAmount: quote.refundAmount,
+    promo: quote.promo
+});
+
+/**
+ * Put the credit or debit note for the new total on an invoiced booking
+ */
+const adjustInvoice = async (booking, quote, previousTaxable, revisedBy) => {
+    const invoiced = await Invoice.exists({ booking: booking._id, type: 'invoice', status: 'issued' });
+    if (!invoiced) return null;
+
+    const reason = `Booking change #${booking.revisions.length}`;
+
+    if (quote.difference > 0) {
+        return issueDebitNote(booking, [{
+            type: 'service',
+            description: 'Booking change',
+            amount: round(quote.pricing.tax.taxableAmount - previousTaxable)
+        }], { reason, issuedBy: revisedBy });
+    }
+
+    if (quote.difference < 0) {
+        return issueCreditNote(booking, -quote.difference, { reason, issuedBy: revisedBy });
+    }
+
+    return null;
+};
+
+/**
+ * Pay back what a change left overpaid. A failure leaves the refund
+ * pending for retryChangeRefunds until the attempts run out. Records the
+ * refund on the booking but does not save it.
+ * @param {Object} booking - Booking document
+ * @param {Object} revision - Revision owing the refund
+ * @returns {Promise<boolean>} - Whether the refund went through
+ */
+const payChangeRefund = async (booking, revision) => {
+    // Whatever went out before an earlier failure is already off the
+    // paid amount, so only the overpayment left is refunded
+    const amount = Math.min(revision.refundAmount, round((booking.paidAmount || 0) - booking.totalAmount));
+
+    revision.refundAttempts = (revision.refundAttempts || 0) + 1;
+
+    try {
+        await issueRefund(booking, amount, {
+            destination: revision.refundMethod,
+            reason: `Change to booking #${booking.bookingNumber}`
+        });
+
+        revision.refundStatus = 'processed';
+        revision.nextRefundAttemptAt = undefined;
+        revision.lastRefundError = undefined;
+        return true;
+    } catch (error) {
+        console.error(`Change refund error for ${booking.bookingNumber}:`, error.message);
+
+        const nextAttemptAt = getNextRefundAttempt(revision.refundAttempts);
+
+        revision.refundStatus = nextAttemptAt ? 'pending' : 'failed';
+        revision.nextRefundAttemptAt = nextAttemptAt || undefined;
+        revision.lastRefundError = error.message;
+        return false;
+    }
+};
+
+/**
+ * Tell the customer and the admins that a change refund gave up retrying
+ */
+const notifyChangeRefundFailure = async (booking, revision) => {
+    await Notification.create({
+        user: booking.user,
+        title: 'Refund Delayed',
+        message: `We could not refund ₹${revision.refundAmount} for the change to booking #${booking.bookingNumber}. Our team has been notified and will contact you.`,
+        type: 'payment',
+        category: 'warning',
+        metadata: {
+            bookingId: booking._id,
+            amount: revision.refundAmount
+        },
+        sendEmail: true
+    });
+
+    const admins = await User.find({ role: { $in: ['admin', 'super_admin'] } });
+
+    for (const admin of admins) {
+        await Notification.create({
+            user: admin._id,
+            title: 'Change Refund Failed',
+            message: `Refund for the change to booking #${booking.bookingNumber} failed after ${revision.refundAttempts} attempts: ${revision.lastRefundError}`,
+            type: 'alert',
+            priority: 'high',
+            metadata: {
+                bookingId: booking._id,
+                amount: revision.refundAmount
+            }
+        });
+    }
+};
+
+/**
+ * Retry change refunds that are due. Each revision is claimed first so
+ * two runs cannot refund it twice.
+ * @returns {Promise<number>} - Number of refunds tried
+ */
+const retryChangeRefunds = async () => {
+    const now = new Date();
+    const due = {
+        refundStatus: 'pending',
+        nextRefundAttemptAt: { $lte: now }
+    };
+
+    const bookings = await Booking.find({ revisions: { $elemMatch: due } })
+        .select('revisions')
+        .limit(50);
+
+    let tried = 0;
+
+    for (const { _id, revisions } of bookings) {
+        const pending = revisions.filter(revision => revision.refundStatus === 'pending'
+            && revision.nextRefundAttemptAt <= now);
+
+        for (const { _id: revisionId } of pending) {
+            const booking = await Booking.findOneAndUpdate(
+                { _id, revisions: { $elemMatch: { _id: revisionId, ...due } } },
+                { $set: { 'revisions.$.nextRefundAttemptAt': new Date(now.getTime() + REFUND_LOCK_MINUTES * 60 * 1000) } },
+                { new: true }
+            );
+
+            if (!booking) continue;
+
+            const revision = booking.revisions.id(revisionId);
+            const refunded = await payChangeRefund(booking, revision);
+
+            await booking.save();
+            tried++;
+
+            if (refunded) {
+                await Notification.create({
+                    user: booking.user,
+                    title: 'Refund Processed',
+                    message: `₹${revision.refundAmount} for the change to booking #${booking.bookingNumber} has been refunded.`,
+                    type: 'payment',
+                    category: 'success',
+                    metadata: {
+                        bookingId: booking._id,
+                        amount: revision.refundAmount
+                    },
+                    sendEmail: true
+                });
+            } else if (revision.refundStatus === 'failed') {
+                await notifyChangeRefundFailure(booking, revision);
+            }
+        }
+    }
+
+    return tried;
+};
+
+/**
+ * Apply a customer's change to a pending or confirmed booking.
+ * New dates are reserved before anything changes; the booking is then
+ * priced again, a revision is recorded and the difference is settled:
+ * an overpayment is refunded, anything extra is left due (or taken from
+ * the wallet when asked).
+ * @param {Object} booking - Booking document
+ * @param {Object} body - Requested changes, see quoteModification
+ * @param {Object} options
+ * @param {string} options.revisedBy - User making the change
+ * @param {string} options.refundTo - 'original' or 'wallet'
+ * @param {boolean} options.chargeWallet - Pay any amount due from the wallet
+ * @returns {Promise<Object>} - { booking, revision, amountDue }
+ */
+const applyModification = async (booking, body, { revisedBy, refundTo = 'original', chargeWallet = false } = {}) => {
+    const quote = await quoteModification(booking, body);
+    const { resolved, pricing } = quote;
+
+    // Reserve the new dates first so nobody can book them meanwhile
+    const hold = resolved.datesChanged
+        ? await createHold({
+            carId: quote.car._id,
+            userId: booking.user._id || booking.user,
+            pickupDate: resolved.start,
+            dropoffDate: resolved.end,
+            purpose: 'modification',
+            bookingId: booking._id
+        })
+        : null;
+
+    // Doorstep runs the change replaces are called off; new runs take
+    // their slot places now so the slots cannot fill up meanwhile
+    const runs = keepUnchangedRuns(booking.deliveries, quote.deliveries);
+    const slots = await reserveSlots(runs.added, runs.cancelled);
+
+    const previousTaxable = booking.tax && booking.tax.taxableAmount !== undefined
+        ? booking.tax.taxableAmount
+        : booking.baseAmount;
+
+    Object.assign(booking, {
+        pickupDate: resolved.start,
+        dropoffDate: resolved.end,
+        pickupTime: formatTime(resolved.start),
+        dropoffTime: formatTime(resolved.end),
+        totalDays: pricing.totalDays,
+        totalHours: pricing.period.billedHours,
+        pickupLocation: resolved.pickupLocation,
+        dropoffLocation: resolved.dropoffLocation,
+        additionalServices: resolved.additionalServices.map(service => ({
+            ...service,
+            total: service.price * service.quantity
+        })),
+        oneWay: pricing.oneWay,
+        deliveries: runs.deliveries,
+        baseAmount: pricing.baseAmount,
+        additionalCharges: pricing.additionalCharges,
+        discountAmount: pricing.discountAmount,
+        taxAmount: pricing.taxAmount,
+        tax: pricing.tax,
+        totalAmount: pricing.totalAmount
+    });
+
+    const promoRemoved = quote.promo && !quote.promo.valid ? quote.promo.code : undefined;
+
+    if (promoRemoved) {
+        booking.promoCode = undefined;
+    }
+
+    // Advance and balance follow the new total and pickup
+    if (booking.payment.mode === 'advance') {
+        booking.payment.balanceDueAt = resolved.start;
+
+        if (booking.status === 'pending') {
+            booking.payment.advanceAmount = getAdvanceTerms(pricing.totalAmount, resolved.start).advanceAmount;
+        }
+    }
+
+    if (booking.status === 'pending' && booking.payment.expiresAt > resolved.start) {
+        booking.payment.expiresAt = resolved.start;
+    }
+
+    if (booking.status === 'confirmed' && getAmountDue(booking) > 0 && booking.payment.status === 'paid') {
+        booking.payment.status = 'partial';
+    }
+
+    // The new dates are on another car of the class
+    const previousCar = booking.car._id || booking.car;
+    const carChanged = hold && hold.car.toString() !== previousCar.toString();
+
+    if (carChanged) {
+        booking.car = hold.car;
+        booking.assignment.history.push({
+            car: hold.car,
+            previousCar,
+            reason: 'Booking dates changed',
+            changedBy: revisedBy
+        });
+    }
+
+    // The agreement was written for the old terms; a new one is signed
+    voidAgreement(booking);
+
+    booking.revisions.push({
+        revisedBy,
+        changes: quote.changes,
+        previousTotal: quote.previousTotal,
+        newTotal: quote.newTotal,
+        changeFee: quote.changeFee,
+        difference: quote.difference,
+        refundAmount: quote.refundAmount,
+        promoRemoved
+    });
+
+    const revision = booking.revisions[booking.revisions.length - 1];
+
+    try {
+        await booking.save();
+    } catch (error) {
+        await releaseSlots(slots.taken);
+        throw error;
+    }
+
+    await releaseSlots(slots.left);
+    await notifyRunsCancelled(booking, runs.cancelled, 'Booking changed');
+
+    // The booking now covers the new dates; drop the holds on the old ones
+    if (hold) {
+        await releaseHolds({ booking: booking._id, _id: { $ne: hold._id } });
+
+        if (booking.status === 'confirmed') {
+            await convertHolds(booking._id);
+        }
+
+        // Old dates the booking no longer covers may suit someone waiting
+        await offerFreedCar(previousCar);
+    }
+
+    if (promoRemoved) {
+        try {
+            await releaseOfferUsage({ _id: booking._id, promoCode: promoRemoved });
+        } catch (error) {
+            console.error(`Offer release failed for booking ${booking.bookingNumber}:`, error);
+        }
+    }
+
+    // Paperwork and refunds must not undo the change, so failures are logged
+    try {
+        const note = await adjustInvoice(booking, quote, previousTaxable, revisedBy);
+
+        if (note) {
+            revision.invoiceNote = note._id;
+        }
+    } catch (error) {
+        console.error(`Change invoice note error for ${booking.bookingNumber}:`, error.message);
+    }
+
+    try {
+        await refreshProforma(booking);
+    } catch (error) {
+        console.error(`Proforma error for ${booking.bookingNumber}:`, error.message);
+    }
+
+    if (quote.refundAmount > 0) {
+        revision.refundMethod = refundTo;
+
+        if (!await payChangeRefund(booking, revision) && revision.refundStatus === 'failed') {
+            await notifyChangeRefundFailure(booking, revision);
+        }
+    }
+
+    await booking.save();
+
+    let updatedBooking = booking;
+
+    if (chargeWallet && getAmountDue(booking) > 0) {
+        try {
+            updatedBooking = await payWithWallet(booking, getAmountDue(booking));
+        } catch (error) {
+            console.error(`Change wallet payment error for ${booking.bookingNumber}:`, error.message);
+        }
+    }
+
+    const amountDue = getAmountDue(updatedBooking);
+
+    await Notification.create({
+        user: booking.user._id || booking.user,
+        title: 'Booking Updated',
+        message: amountDue > 0
+            ? `Your booking #${booking.bookingNumber} has been updated. ₹${amountDue} is now due.`
+            : ['processed', 'pending'].includes(revision.refundStatus)
+                ? `Your booking #${booking.bookingNumber} has been updated. ₹${quote.refundAmount} will be refunded.`
+                : `Your booking #${booking.bookingNumber} has been updated.`,
+        type: 'booking',
+        category: 'success',
+        metadata: {
+            bookingId: booking._id,
+            bookingNumber: booking.bookingNumber,
+            amount: quote.difference
+        },
+        sendEmail: true
+    });
+
+    return {
+        booking: updatedBooking,
+        revision: updatedBooking.revisions[updatedBooking.revisions.length - 1],
+        amountDue
+    };
+};
+
+exports.quoteModification = quoteModification;
+exports.applyModification = applyModification;
+exports.toPreview = toPreview;
+exports.retryChangeRefunds = retryChangeRefunds;
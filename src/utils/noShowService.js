@@ -0,0 +1,79 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { claimTransition, getNoShowFee } = require('./bookingLifecycle');
+const { formatDateTime } = require('./dateTime');
+const { noShow } = require('../config/booking');
+
+/**
+ * Mark confirmed bookings that were not picked up within the grace period
+ * as no-shows. The transition keeps the no-show fee, refunds the rest of
+ * the payment and offers the car's dates to the waitlist.
+ * @returns {Promise<number>} - Number of bookings marked
+ */
+exports.markNoShows = async () => {
+    const cutoff = new Date(Date.now() - noShow.graceMinutes * 60 * 1000);
+
+    const bookings = await Booking.find({
+        status: 'confirmed',
+        pickupDate: { $lte: cutoff },
+        pickedUpAt: { $exists: false }
+    }).limit(50);
+
+    let marked = 0;
+
+    for (const booking of bookings) {
+        // Only mark it if the car was not handed over or paid for in the
+        // meantime, the fee is worked out from what was paid. The booking
+        // no longer blocks the car, so the remaining days go to the next
+        // customer in line.
+        const updated = await claimTransition(booking, 'no_show', {
+            where: { paidAmount: booking.paidAmount },
+            reason: 'Car was not picked up',
+            notify: false
+        });
+
+        if (!updated) continue;
+
+        const { cancellationFee: fee, refundAmount } = updated.cancellation;
+
+        await Notification.create({
+            user: updated.user,
+            title: 'Booking Marked as No-Show',
+            message: refundAmount > 0
+                ? `Your booking #${updated.bookingNumber} was not picked up and has been closed as a no-show. A no-show fee of ₹${fee} applies and ₹${refundAmount} will be refunded.`
+                : `Your booking #${updated.bookingNumber} was not picked up and has been closed as a no-show. A no-show fee of ₹${fee} applies.`,
+            type: 'booking',
+            category: 'warning',
+            metadata: {
+                bookingId: updated._id,
+                bookingNumber: updated.bookingNumber,
+                amount: refundAmount,
+                url: `/bookings/${updated._id}`
+            },
+            sendEmail: true
+        });
+
+        const staffUsers = await User.find({ role: { $in: ['staff', 'admin', 'super_admin'] } });
+        for (const staff of staffUsers) {
+            await Notification.create({
+                user: staff._id,
+                title: 'Booking No-Show',
+                message: `Booking #${updated.bookingNumber} was not picked up by ${formatDateTime(updated.pickupDate)} and has been marked as a no-show. Fee ₹${fee}, refund ₹${refundAmount}. The car is free for the rest of the booking.`,
+                type: 'alert',
+                priority: 'high',
+                metadata: {
+                    bookingId: updated._id,
+                    bookingNumber: updated.bookingNumber,
+                    amount: fee
+                }
+            });
+        }
+
+        marked++;
+    }
+
+    return marked;
+};
+
+exports.getNoShowFee = getNoShowFee;
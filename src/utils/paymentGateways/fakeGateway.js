@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { createRazorpayProtocolGateway } = require('./razorpayGateway');
+
+// Local stand-in for Razorpay so the order -> checkout -> verify -> webhook
+// loop can be exercised without network access or real credentials.
+const KEY_SECRET = process.env.FAKE_GATEWAY_SECRET;
+const WEBHOOK_SECRET = process.env.FAKE_GATEWAY_WEBHOOK_SECRET || KEY_SECRET;
+
+const orders = new Map();
+
+const randomId = (prefix) => `${prefix}_fake_${crypto.randomBytes(7).toString('hex')}`;
+
+const createFakeGateway = () => {
+    if (!KEY_SECRET) {
+        throw new Error('FAKE_GATEWAY_SECRET must be set to use the fake payment gateway');
+    }
+
+    const gateway = createRazorpayProtocolGateway({
+        name: 'fake',
+        keyId: 'rzp_test_fake',
+        keySecret: KEY_SECRET,
+        webhookSecret: WEBHOOK_SECRET,
+        createRemoteOrder: async (order) => {
+            const remoteOrder = {
+                id: randomId('order'),
+                entity: 'order',
+                status: 'created',
+                ...order
+            };
+
+            orders.set(remoteOrder.id, remoteOrder);
+            return remoteOrder;
+        },
+        createRemoteRefund: async (paymentId, refund) => {
+            // Set FAKE_GATEWAY_FAIL_REFUNDS=true to exercise the retry path
+            if (process.env.FAKE_GATEWAY_FAIL_REFUNDS === 'true') {
+                throw new Error('Simulated refund failure');
+            }
+
+            return {
+                id: randomId('rfnd'),
+                entity: 'refund',
+                payment_id: paymentId,
+                status: 'processed',
+                ...refund
+            };
+        }
+    });
+
+    /**
+     * Pretend the customer completed checkout for an order
+     * @param {string} orderId - Order returned by createOrder
+     * @returns {Object} - { orderId, paymentId, signature } as the checkout would return
+     */
+    gateway.simulatePayment = (orderId) => {
+        const paymentId = randomId('pay');
+        const signature = crypto
+            .createHmac('sha256', KEY_SECRET)
+            .update(`${orderId}|${paymentId}`)
+            .digest('hex');
+
+        return { orderId, paymentId, signature };
+    };
+
+    /**
+     * Build a signed webhook call for an order
+     * @param {string} orderId - Order returned by createOrder
+     * @param {Object} options
+     * @param {string} options.event - Razorpay event name
+     * @param {string} options.paymentId - Payment id (generated if omitted)
+     * @returns {Object} - { rawBody, headers } ready to POST to the webhook route
+     */
+    gateway.simulateWebhook = (orderId, { event = 'payment.captured', paymentId } = {}) => {
+        const order = orders.get(orderId) || {};
+        const rawBody = JSON.stringify({
+            event,
+            payload: {
+                payment: {
+                    entity: {
+                        id: paymentId || randomId('pay'),
+                        order_id: orderId,
+                        amount: order.amount,
+                        currency: order.currency,
+                        status: event === 'payment.failed' ? 'failed' : 'captured',
+                        error_description: event === 'payment.failed' ? 'Simulated failure' : undefined
+                    }
+                }
+            }
+        });
+
+        const signature = crypto
+            .createHmac('sha256', WEBHOOK_SECRET)
+            .update(rawBody)
+            .digest('hex');
+
+        return {
+            rawBody,
+            headers: {
+                'content-type': 'application/json',
+                'x-razorpay-signature': signature
+            }
+        };
+    };
+
+    return gateway;
+};
+
+module.exports = { createFakeGateway };
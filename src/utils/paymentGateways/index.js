@@ -0,0 +1,86 @@
+const { createRazorpayGateway } = require('./razorpayGateway');
+const { createStripeGateway } = require('./stripeGateway');
+const { createFakeGateway } = require('./fakeGateway');
+
+// Every adapter exposes the same surface:
+//   name, getPublicConfig(), createOrder(), verifyPayment(), refund(), parseWebhook()
+const factories = {
+    razorpay: createRazorpayGateway,
+    stripe: createStripeGateway,
+    // Anyone holding its secret can sign payments, so it only exists in tests
+    ...(process.env.NODE_ENV === 'test' && { fake: createFakeGateway })
+};
+
+const instances = {};
+
+/**
+ * Get a payment gateway adapter by name
+ * @param {string} name - Gateway name (defaults to PAYMENT_GATEWAY or razorpay)
+ * @returns {Object} - Gateway adapter
+ */
+exports.getGateway = (name) => {
+    const gatewayName = name || exports.getDefaultGatewayName();
+    const factory = factories[gatewayName];
+
+    if (!factory) {
+        const error = new Error(`Unknown payment gateway "${gatewayName}"`);
+        error.status = 400;
+        throw error;
+    }
+
+    if (!instances[gatewayName]) {
+        instances[gatewayName] = factory();
+    }
+
+    return instances[gatewayName];
+};
+
+/**
+ * Name of the gateway used when a booking does not specify one
+ * @returns {string}
+ */
+exports.getDefaultGatewayName = () => process.env.PAYMENT_GATEWAY || 'razorpay';
+
+/**
+ * Pick the gateway for a new booking.
+ * Razorpay handles domestic payments (UPI, netbanking, cards); customers
+ * paying from another currency go through Stripe. Both charge in INR.
+ * @param {Object} options
+ * @param {string} options.method - Booking payment method
+ * @param {string} options.currency - ISO currency code
+ * @returns {string} - Gateway name
+ */
+exports.selectGatewayName = ({ method, currency = 'INR' } = {}) => {
+    const defaultGateway = exports.getDefaultGatewayName();
+
+    // The fake gateway stands in for every provider when testing offline
+    if (defaultGateway === 'fake') {
+        return 'fake';
+    }
+
+    if (currency.toUpperCase() !== 'INR') {
+        return 'stripe';
+    }
+
+    if (method === 'card' && process.env.CARD_PAYMENT_GATEWAY) {
+        return process.env.CARD_PAYMENT_GATEWAY;
+    }
+
+    return defaultGateway;
+};
+
+exports.isSupportedGateway = (name) => Boolean(factories[name]);
+
+/**
+ * Reject a confirmation for an order placed on another gateway, so one
+ * gateway's signature can never settle another gateway's orders
+ * @param {Object} record - Transaction or ledger entry that owns the order
+ * @param {string} gatewayName - Gateway that verified the confirmation
+ */
+exports.assertOrderGateway = (record, gatewayName) => {
+    if (record && record.gateway !== gatewayName) {
+        const error = new Error('Payment order was not placed on this gateway');
+        error.status = 400;
+        throw error;
+    }
+};
@@ -0,0 +1,205 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const API_BASE_URL = 'https://api.razorpay.com/v1';
+
+/**
+ * Compare two hex signatures in constant time
+ * @param {string} expected - Signature we computed
+ * @param {string} received - Signature sent by the client or gateway
+ * @returns {boolean}
+ */
+const safeCompare = (expected, received) => {
+    if (!expected || !received) return false;
+
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(received));
+
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Build a Razorpay-protocol gateway.
+ * The fake gateway reuses this with its own client and secrets, so both
+ * speak exactly the same order / signature / webhook format.
+ * @param {Object} options
+ * @param {string} options.name - Gateway name stored on transactions
+ * @param {string} options.keyId - Public key id handed to the checkout
+ * @param {string} options.keySecret - Secret used for payment signatures
+ * @param {string} options.webhookSecret - Secret used for webhook signatures
+ * @param {Function} options.createRemoteOrder - Creates the order upstream
+ * @returns {Object} - Gateway adapter
+ */
+const createRazorpayProtocolGateway = ({
+    name,
+    keyId,
+    keySecret,
+    webhookSecret,
+    createRemoteOrder,
+    createRemoteRefund
+}) => ({
+    name,
+
+    getPublicConfig() {
+        return { keyId };
+    },
+
+    /**
+     * Create a payment order
+     * @param {Object} order
+     * @param {number} order.amount - Amount in rupees
+     * @param {string} order.currency - ISO currency code
+     * @param {string} order.receipt - Our reference (booking number)
+     * @param {Object} order.notes - Extra key/values echoed back by the gateway
+     * @returns {Promise<Object>} - { orderId, amount, currency, clientData }
+     */
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+        const remoteOrder = await createRemoteOrder({
+            amount: Math.round(amount * 100), // paise
+            currency,
+            receipt,
+            notes
+        });
+
+        return {
+            orderId: remoteOrder.id,
+            amount,
+            currency: remoteOrder.currency,
+            clientData: {
+                keyId,
+                orderId: remoteOrder.id,
+                amount: remoteOrder.amount,
+                currency: remoteOrder.currency
+            }
+        };
+    },
+
+    /**
+     * Verify the signature returned to the client by the checkout
+     * @returns {Promise<boolean>}
+     */
+    async verifyPayment({ orderId, paymentId, signature }) {
+        const expected = crypto
+            .createHmac('sha256', keySecret)
+            .update(`${orderId}|${paymentId}`)
+            .digest('hex');
+
+        return safeCompare(expected, signature);
+    },
+
+    /**
+     * Refund all or part of a captured payment
+     * @param {Object} refund
+     * @param {string} refund.paymentId - Gateway payment id
+     * @param {number} refund.amount - Amount in rupees
+     * @param {Object} refund.notes - Extra key/values stored with the refund
+     * @returns {Promise<Object>} - { refundId, status } where status is processed or pending
+     */
+    async refund({ paymentId, amount, notes = {} }) {
+        const remoteRefund = await createRemoteRefund(paymentId, {
+            amount: Math.round(amount * 100), // paise
+            notes
+        });
+
+        return {
+            refundId: remoteRefund.id,
+            status: remoteRefund.status === 'processed' ? 'processed' : 'pending'
+        };
+    },
+
+    /**
+     * Verify and normalise a webhook call
+     * @param {Buffer|string} rawBody - Unparsed request body
+     * @param {Object} headers - Request headers
+     * @returns {Object} - { event, orderId, paymentId, amount, reason }
+     */
+    parseWebhook(rawBody, headers) {
+        const expected = crypto
+            .createHmac('sha256', webhookSecret)
+            .update(rawBody)
+            .digest('hex');
+
+        if (!safeCompare(expected, headers['x-razorpay-signature'])) {
+            const error = new Error('Invalid webhook signature');
+            error.status = 400;
+            throw error;
+        }
+
+        const payload = JSON.parse(rawBody.toString());
+        const payment = payload.payload && payload.payload.payment
+            ? payload.payload.payment.entity
+            : null;
+
+        if (!payment) {
+            return { event: 'ignored', type: payload.event };
+        }
+
+        const base = {
+            type: payload.event,
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            amount: payment.amount / 100
+        };
+
+        switch (payload.event) {
+            case 'payment.captured':
+            case 'order.paid':
+                return { ...base, event: 'payment.captured' };
+
+            case 'payment.failed':
+                return {
+                    ...base,
+                    event: 'payment.failed',
+                    reason: payment.error_description || payment.error_reason
+                };
+
+            case 'refund.processed':
+                return {
+                    ...base,
+                    event: 'refund.processed',
+                    // Cumulative amount refunded on this payment so far
+                    amount: payment.amount_refunded / 100,
+                    refundId: payload.payload.refund ? payload.payload.refund.entity.id : undefined
+                };
+
+            default:
+                return { ...base, event: 'ignored' };
+        }
+    }
+});
+
+/**
+ * Create the live Razorpay gateway from environment variables
+ * @returns {Object} - Gateway adapter
+ */
+const createRazorpayGateway = () => {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+
+    return createRazorpayProtocolGateway({
+        name: 'razorpay',
+        keyId,
+        keySecret,
+        webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || keySecret,
+        createRemoteOrder: async (order) => {
+            const response = await axios.post(`${API_BASE_URL}/orders`, order, {
+                auth: { username: keyId, password: keySecret }
+            });
+
+            return response.data;
+        },
+        createRemoteRefund: async (paymentId, refund) => {
+            const response = await axios.post(`${API_BASE_URL}/payments/${paymentId}/refund`, refund, {
+                auth: { username: keyId, password: keySecret }
+            });
+
+            return response.data;
+        }
+    });
+};
+
+module.exports = {
+    createRazorpayGateway,
+    createRazorpayProtocolGateway,
+    safeCompare
+};
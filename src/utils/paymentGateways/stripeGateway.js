@@ -0,0 +1,160 @@
+const Stripe = require('stripe');
+
+// Currencies Stripe expects in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+const toMinorUnits = (amount, currency) => {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency) ? Math.round(amount) : Math.round(amount * 100);
+};
+
+const fromMinorUnits = (amount, currency) => {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount / 100;
+};
+
+/**
+ * Create the Stripe PaymentIntents gateway from environment variables
+ * @returns {Object} - Gateway adapter
+ */
+const createStripeGateway = () => {
+    if (!process.env.STRIPE_SECRET_KEY) {
+        throw new Error('Stripe is not configured (STRIPE_SECRET_KEY is missing)');
+    }
+
+    const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    const publishableKey = process.env.STRIPE_PUBLISHABLE_KEY;
+
+    return {
+        name: 'stripe',
+
+        getPublicConfig() {
+            return { publishableKey };
+        },
+
+        /**
+         * Create a PaymentIntent
+         * @param {Object} order
+         * @param {number} order.amount - Amount in major units
+         * @param {string} order.currency - ISO currency code
+         * @param {string} order.receipt - Our reference (booking number)
+         * @param {Object} order.notes - Stored as PaymentIntent metadata
+         * @returns {Promise<Object>} - { orderId, amount, currency, clientData }
+         */
+        async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+            const stripeCurrency = currency.toLowerCase();
+
+            const intent = await stripe.paymentIntents.create({
+                amount: toMinorUnits(amount, stripeCurrency),
+                currency: stripeCurrency,
+                description: `Booking ${receipt}`,
+                metadata: { ...notes, receipt },
+                automatic_payment_methods: { enabled: true }
+            });
+
+            return {
+                orderId: intent.id,
+                amount,
+                currency: currency.toUpperCase(),
+                clientData: {
+                    publishableKey,
+                    paymentIntentId: intent.id,
+                    clientSecret: intent.client_secret
+                }
+            };
+        },
+
+        /**
+         * Stripe does not sign the client callback, so ask Stripe directly
+         * whether the PaymentIntent succeeded
+         * @returns {Promise<boolean>}
+         */
+        async verifyPayment({ orderId }) {
+            const intent = await stripe.paymentIntents.retrieve(orderId);
+            return intent.status === 'succeeded';
+        },
+
+        /**
+         * Refund all or part of a PaymentIntent
+         * @param {Object} refund
+         * @param {string} refund.orderId - PaymentIntent id
+         * @param {number} refund.amount - Amount in major units
+         * @param {string} refund.currency - ISO currency code
+         * @param {Object} refund.notes - Stored as refund metadata
+         * @returns {Promise<Object>} - { refundId, status } where status is processed or pending
+         */
+        async refund({ orderId, amount, currency = 'INR', notes = {} }) {
+            const refund = await stripe.refunds.create({
+                payment_intent: orderId,
+                amount: toMinorUnits(amount, currency.toLowerCase()),
+                metadata: notes
+            });
+
+            if (refund.status === 'failed' || refund.status === 'canceled') {
+                throw new Error(`Stripe refund ${refund.id} ${refund.status}`);
+            }
+
+            return {
+                refundId: refund.id,
+                status: refund.status === 'succeeded' ? 'processed' : 'pending'
+            };
+        },
+
+        /**
+         * Verify and normalise a webhook call
+         * @param {Buffer|string} rawBody - Unparsed request body
+         * @param {Object} headers - Request headers
+         * @returns {Object} - { event, orderId, paymentId, amount, reason, refundId }
+         */
+        parseWebhook(rawBody, headers) {
+            let event;
+
+            try {
+                event = stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], webhookSecret);
+            } catch (err) {
+                const error = new Error(`Invalid webhook signature: ${err.message}`);
+                error.status = 400;
+                throw error;
+            }
+
+            const object = event.data.object;
+
+            switch (event.type) {
+                case 'payment_intent.succeeded':
+                    return {
+                        event: 'payment.captured',
+                        type: event.type,
+                        orderId: object.id,
+                        paymentId: object.latest_charge || object.id,
+                        amount: fromMinorUnits(object.amount_received, object.currency)
+                    };
+
+                case 'payment_intent.payment_failed':
+                    return {
+                        event: 'payment.failed',
+                        type: event.type,
+                        orderId: object.id,
+                        paymentId: object.latest_charge || object.id,
+                        reason: object.last_payment_error ? object.last_payment_error.message : 'Payment failed'
+                    };
+
+                case 'charge.refunded':
+                    return {
+                        event: 'refund.processed',
+                        type: event.type,
+                        orderId: object.payment_intent,
+                        paymentId: object.id,
+                        // Cumulative amount refunded on this charge so far
+                        amount: fromMinorUnits(object.amount_refunded, object.currency),
+                        refundId: object.refunds && object.refunds.data.length
+                            ? object.refunds.data[0].id
+                            : undefined
+                    };
+
+                default:
+                    return { event: 'ignored', type: event.type };
+            }
+        }
+    };
+};
+
+module.exports = { createStripeGateway };
@@ -0,0 +1,581 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getGateway, assertOrderGateway } = require('./paymentGateways');
+const walletService = require('./walletService');
+const { applyTransition, afterTransition } = require('./bookingLifecycle');
+const { advancePayment, unpaidExpiry, currency: currencyConfig } = require('../config/booking');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Bookings that can still take a payment
+const PAYABLE_STATUSES = ['pending', 'confirmed', 'active'];
+
+/**
+ * Amount still owed on a booking
+ * @param {Object} booking - Booking document
+ * @returns {number}
+ */
+const getAmountDue = (booking) => {
+    return Math.max(0, Math.round(((booking.totalAmount || 0) - (booking.paidAmount || 0)) * 100) / 100);
+};
+
+/**
+ * Advance still owed before an advance-mode booking is confirmed
+ * @param {Object} booking - Booking document
+ * @returns {number}
+ */
+const getAdvanceDue = (booking) => {
+    if (booking.payment.mode !== 'advance') return 0;
+    return Math.max(0, round((booking.payment.advanceAmount || 0) - (booking.paidAmount || 0)));
+};
+
+/**
+ * Advance terms for a new booking
+ * @param {number} totalAmount - Booking total
+ * @param {Date} pickupAt - Pickup date and time
+ * @returns {Object} - { mode, advanceAmount, advanceDueAt, balanceDueAt }
+ */
+const getAdvanceTerms = (totalAmount, pickupAt) => {
+    const advanceAmount = Math.min(
+        totalAmount,
+        Math.max(advancePayment.minimumAmount, round(totalAmount * advancePayment.percent / 100))
+    );
+    const dueAt = new Date(Date.now() + advancePayment.dueHours * 60 * 60 * 1000);
+
+    return {
+        mode: 'advance',
+        advanceAmount,
+        // Never give longer than the pickup itself to pay the advance
+        advanceDueAt: pickupAt > Date.now() && pickupAt < dueAt ? pickupAt : dueAt,
+        balanceDueAt: pickupAt
+    };
+};
+
+/**
+ * When a booking is cancelled if it is still unpaid. Bookings keep it as
+ * payment.expiresAt; it is worked out from the terms for a new booking
+ * and for bookings made before deadlines were stored.
+ * @param {Object} terms - Payment terms of the booking (booking.payment)
+ * @param {Date} pickupAt - Pickup date and time
+ * @param {Date} bookedAt - When the booking was made (now for a new one)
+ * @returns {Date}
+ */
+const getPaymentDeadline = (terms, pickupAt, bookedAt = new Date()) => {
+    if (terms.expiresAt) return terms.expiresAt;
+    if (terms.mode === 'advance') return terms.advanceDueAt;
+
+    const dueAt = new Date(bookedAt.getTime() + unpaidExpiry.minutes * 60 * 1000);
+    return pickupAt > bookedAt && pickupAt < dueAt ? pickupAt : dueAt;
+};
+
+/**
+ * An INR amount in the customer's preferred currency, for display only
+ * @param {number} amount - Amount in INR
+ * @param {string} currency - ISO currency code
+ * @returns {Object|null} - { currency, amount }, or null without a rate
+ */
+const toDisplayAmount = (amount, currency) => {
+    const rate = currency && currency !== 'INR' && currencyConfig.displayRates[currency];
+    if (!rate) return null;
+
+    return { currency, amount: round(amount * rate) };
+};
+
+/**
+ * Total amount refunded on a booking so far
+ * @param {Object} booking - Booking document
+ * @returns {number}
+ */
+const getRefundedAmount = (booking) => {
+    return booking.payment.transactions
+        .filter(t => t.type === 'refund' && t.status === 'processed')
+        .reduce((sum, t) => sum + (t.amount || 0), 0);
+};
+
+/**
+ * Payment status once a refund has been taken off the paid amount
+ * @param {Object} booking - Booking document
+ * @returns {string}
+ */
+const getRefundedStatus = (booking) => {
+    if ((booking.paidAmount || 0) <= 0) return 'refunded';
+    return booking.paidAmount >= booking.totalAmount ? 'paid' : 'partially_refunded';
+};
+
+/**
+ * Gateway-specific transaction fields (Razorpay keeps its own columns)
+ */
+const gatewayFields = (gatewayName, { orderId, paymentId, signature }) => {
+    const fields = {
+        gatewayOrderId: orderId,
+        gatewayPaymentId: paymentId
+    };
+
+    if (gatewayName === 'razorpay') {
+        fields.razorpayOrderId = orderId;
+        fields.razorpayPaymentId = paymentId;
+        fields.razorpaySignature = signature;
+    }
+
+    return fields;
+};
+
+/**
+ * Prefix fields for a positional update of the matched transaction
+ */
+const positional = (fields) => {
+    const update = {};
+    Object.keys(fields).forEach(key => {
+        if (fields[key] !== undefined) {
+            update[`payment.transactions.$.${key}`] = fields[key];
+        }
+    });
+    return update;
+};
+
+/**
+ * Create a gateway order for the outstanding amount of a booking.
+ * Advance-mode bookings are charged just the advance until it is paid.
+ * @param {Object} booking - Booking document
+ * @param {Object} options
+ * @param {boolean} options.payFull - Charge the whole outstanding amount
+ * @returns {Promise<Object>} - { gateway, orderId, amount, currency, clientData, display }
+ */
+exports.createOrderForBooking = async (booking, { payFull = false } = {}) => {
+    const advanceDue = getAdvanceDue(booking);
+    const amount = advanceDue > 0 && !payFull ? advanceDue : getAmountDue(booking);
+
+    if (amount <= 0) {
+        const error = new Error('Booking has no outstanding amount');
+        error.status = 400;
+        throw error;
+    }
+
+    const gateway = getGateway(booking.payment.gateway);
+
+    // Totals are in INR, so that is what the gateway charges whatever
+    // currency the customer prefers
+    const order = await gateway.createOrder({
+        amount,
+        currency: 'INR',
+        receipt: booking.bookingNumber,
+        notes: {
+            bookingId: booking._id.toString(),
+            bookingNumber: booking.bookingNumber
+        }
+    });
+
+    booking.payment.gateway = gateway.name;
+    booking.payment.currency = 'INR';
+    booking.payment.transactions.push({
+        type: 'payment',
+        amount,
+        method: booking.payment.method,
+        status: 'created',
+        gateway: gateway.name,
+        ...gatewayFields(gateway.name, { orderId: order.orderId }),
+        timestamp: new Date()
+    });
+
+    await booking.save();
+
+    return {
+        gateway: gateway.name,
+        ...order,
+        display: toDisplayAmount(amount, booking.payment.displayCurrency)
+    };
+};
+
+/**
+ * Record a successful payment against the booking that owns the order.
+ * Safe to call more than once for the same order (client callback and
+ * webhook usually both arrive) - only the first call moves money.
+ * A payment that lands after the booking was cancelled or closed as a
+ * no-show is recorded and refunded straight away instead.
+ * @param {Object} payment
+ * @param {string} payment.orderId - Gateway order id
+ * @param {string} payment.paymentId - Gateway payment id
+ * @param {string} payment.signature - Client callback signature, if any
+ * @param {string} payment.gateway - Gateway that verified the payment
+ * @returns {Promise<Object|null>} - Updated booking, or null if no booking owns the order
+ */
+exports.capturePayment = async ({ orderId, paymentId, signature, gateway }) => {
+    const existing = await Booking.findOne({ 'payment.transactions.gatewayOrderId': orderId });
+
+    if (!existing) {
+        return null;
+    }
+
+    const transaction = existing.payment.transactions.find(t => t.gatewayOrderId === orderId);
+    assertOrderGateway(transaction, gateway);
+
+    const uncaptured = {
+        _id: existing._id,
+        'payment.transactions': {
+            $elemMatch: { gatewayOrderId: orderId, status: { $ne: 'captured' } }
+        }
+    };
+    const captured = {
+        'payment.transactions.$.status': 'captured',
+        'payment.transactions.$.transactionId': paymentId,
+        ...positional(gatewayFields(transaction.gateway, { orderId, paymentId, signature })),
+        'payment.transactions.$.timestamp': new Date()
+    };
+
+    // Claim the transaction atomically so concurrent callbacks cannot double count
+    const booking = await Booking.findOneAndUpdate(
+        { ...uncaptured, status: { $in: PAYABLE_STATUSES } },
+        {
+            $set: captured,
+            $inc: { paidAmount: transaction.amount }
+        },
+        { new: true }
+    );
+
+    if (booking) {
+        return settlePayment(booking, transaction.amount, paymentId);
+    }
+
+    // The booking was called off while the customer was paying; the
+    // money goes back as part of its cancellation refund
+    const closed = await Booking.findOneAndUpdate(
+        { ...uncaptured, status: { $in: ['cancelled', 'no_show'] } },
+        {
+            $set: {
+                ...captured,
+                'payment.status': 'refund_pending',
+                'cancellation.refundStatus': 'pending'
+            },
+            $inc: {
+                paidAmount: transaction.amount,
+                'cancellation.refundAmount': transaction.amount
+            }
+        },
+        { new: true }
+    );
+
+    if (!closed) {
+        // Already captured by an earlier call
+        return existing;
+    }
+
+    console.error(`Payment ${paymentId} captured on ${closed.status} booking ${closed.bookingNumber}, refunding it`);
+
+    // Required here: refundService loads this module
+    const { processRefund } = require('./refundService');
+    return (await processRefund(closed._id)) || closed;
+};
+
+/**
+ * Pay all or part of a booking from the user's wallet
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Amount to pay (defaults to as much as the wallet covers)
+ * @returns {Promise<Object>} - Updated booking
+ */
+exports.payWithWallet = async (booking, amount) => {
+    if (booking.payment.currency && booking.payment.currency !== 'INR') {
+        const error = new Error('Wallet can only pay for INR bookings');
+        error.status = 400;
+        throw error;
+    }
+
+    const due = getAmountDue(booking);
+    let payAmount = amount;
+
+    if (payAmount === undefined) {
+        const user = await User.findById(booking.user).select('walletBalance');
+        payAmount = user ? user.walletBalance : 0;
+    }
+
+    payAmount = Math.round(Math.min(payAmount, due) * 100) / 100;
+
+    if (payAmount <= 0) {
+        const error = new Error(due <= 0 ? 'Booking has no outstanding amount' : 'Wallet balance is empty');
+        error.status = 400;
+        throw error;
+    }
+
+    const entry = await walletService.debit(booking.user, payAmount, {
+        source: 'booking_payment',
+        booking: booking._id,
+        description: `Payment for booking #${booking.bookingNumber}`
+    });
+
+    let updatedBooking;
+
+    try {
+        updatedBooking = await Booking.findByIdAndUpdate(
+            booking._id,
+            {
+                $push: {
+                    'payment.transactions': {
+                        transactionId: entry._id.toString(),
+                        type: 'payment',
+                        amount: payAmount,
+                        method: 'wallet',
+                        status: 'captured',
+                        gateway: 'wallet',
+                        timestamp: new Date()
+                    }
+                },
+                $inc: { paidAmount: payAmount }
+            },
+            { new: true }
+        );
+    } catch (error) {
+        // Put the money back once; the key stops a retry crediting it twice
+        await walletService.credit(booking.user, payAmount, {
+            source: 'refund',
+            booking: booking._id,
+            description: `Reversal of payment for booking #${booking.bookingNumber}`,
+            idempotencyKey: `reversal:${entry._id}`
+        });
+        throw error;
+    }
+
+    return settlePayment(updatedBooking, payAmount, entry._id.toString());
+};
+
+/**
+ * Record money taken at the counter (cash, UPI or card terminal)
+ * @param {Object} booking - Booking document
+ * @param {Object} payment
+ * @param {number} payment.amount - Amount collected (defaults to the full balance)
+ * @param {string} payment.method - cash, upi or card
+ * @param {string} payment.reference - Receipt number or terminal/UPI reference
+ * @param {string} payment.collectedBy - Staff member who took the money
+ * @returns {Promise<Object>} - Updated booking
+ */
+exports.recordCounterPayment = async (booking, { amount, method, reference, collectedBy }) => {
+    const due = getAmountDue(booking);
+    const payAmount = round(amount !== undefined ? amount : due);
+
+    if (!(payAmount > 0) || payAmount > due) {
+        const error = new Error(due <= 0
+            ? 'Booking has no outstanding amount'
+            : `Amount must be between 0 and the balance of ₹${due}`);
+        error.status = 400;
+        throw error;
+    }
+
+    const transactionId = reference || `COUNTER-${booking.bookingNumber}-${Date.now()}`;
+
+    const updatedBooking = await Booking.findOneAndUpdate(
+        // Guard against two counters collecting the same balance
+        { _id: booking._id, paidAmount: booking.paidAmount },
+        {
+            $push: {
+                'payment.transactions': {
+                    transactionId,
+                    type: 'payment',
+                    amount: payAmount,
+                    method,
+                    status: 'captured',
+                    gateway: 'counter',
+                    collectedBy,
+                    timestamp: new Date()
+                }
+            },
+            $inc: { paidAmount: payAmount }
+        },
+        { new: true }
+    );
+
+    if (!updatedBooking) {
+        const error = new Error('Booking payment changed, reload and try again');
+        error.status = 409;
+        throw error;
+    }
+
+    return settlePayment(updatedBooking, payAmount, transactionId);
+};
+
+/**
+ * Update payment status after money came in, confirm the booking once it
+ * is fully paid and let the customer know
+ */
+async function settlePayment(booking, amount, paymentId) {
+    booking.payment.status = getAmountDue(booking) <= 0 ? 'paid' : 'partial';
+
+    const confirmable = booking.payment.status === 'paid' ||
+        (booking.payment.mode === 'advance' && getAdvanceDue(booking) <= 0);
+
+    const justConfirmed = booking.status === 'pending' && confirmable;
+
+    if (justConfirmed) {
+        applyTransition(booking, 'confirmed', { reason: 'Payment received' });
+    }
+
+    await booking.save();
+
+    // The payment notification below tells the customer
+    if (justConfirmed) {
+        await afterTransition(booking, 'pending', 'confirmed', { notify: false });
+    }
+
+    await Notification.create({
+        user: booking.user,
+        title: 'Payment Received',
+        message: booking.status === 'confirmed'
+            ? `Payment of ₹${amount} received. Your booking #${booking.bookingNumber} is confirmed.`
+            : `Payment of ₹${amount} received for booking #${booking.bookingNumber}.`,
+        type: 'payment',
+        category: 'success',
+        metadata: {
+            bookingId: booking._id,
+            paymentId,
+            amount
+        },
+        sendEmail: true
+    });
+
+    return booking;
+}
+
+/**
+ * Record a failed payment attempt
+ * @param {Object} payment
+ * @param {string} payment.orderId - Gateway order id
+ * @param {string} payment.paymentId - Gateway payment id
+ * @param {string} payment.reason - Failure reason reported by the gateway
+ * @param {string} payment.gateway - Gateway that reported the failure
+ * @returns {Promise<Object|null>} - Updated booking, or null if no booking owns the order
+ */
+exports.failPayment = async ({ orderId, paymentId, reason, gateway }) => {
+    const existing = await Booking.findOne({ 'payment.transactions.gatewayOrderId': orderId });
+
+    if (!existing) {
+        return null;
+    }
+
+    assertOrderGateway(existing.payment.transactions.find(t => t.gatewayOrderId === orderId), gateway);
+
+    const booking = await Booking.findOneAndUpdate(
+        {
+            _id: existing._id,
+            'payment.transactions': {
+                $elemMatch: { gatewayOrderId: orderId, status: { $nin: ['captured', 'failed'] } }
+            }
+        },
+        {
+            $set: {
+                'payment.transactions.$.status': 'failed',
+                'payment.transactions.$.gatewayPaymentId': paymentId,
+                'payment.transactions.$.failureReason': reason,
+                'payment.transactions.$.timestamp': new Date()
+            }
+        },
+        { new: true }
+    );
+
+    if (!booking) {
+        // Already settled by an earlier call
+        return existing;
+    }
+
+    if (booking.payment.status === 'pending') {
+        booking.payment.status = 'failed';
+        await booking.save();
+    }
+
+    await Notification.create({
+        user: booking.user,
+        title: 'Payment Failed',
+        message: `Your payment for booking #${booking.bookingNumber} could not be completed. Please try again.`,
+        type: 'payment',
+        category: 'error',
+        metadata: {
+            bookingId: booking._id,
+            paymentId
+        }
+    });
+
+    return booking;
+};
+
+/**
+ * Record a refund reported by the gateway (e.g. issued from its dashboard).
+ * The gateway reports the cumulative refunded amount, so only the part we
+ * have not recorded yet is added.
+ * @param {Object} refund
+ * @param {string} refund.orderId - Gateway order id of the original payment
+ * @param {string} refund.paymentId - Gateway payment / charge id
+ * @param {number} refund.amount - Total refunded on the payment so far
+ * @param {string} refund.refundId - Gateway refund id
+ * @param {string} refund.gateway - Gateway that reported the refund
+ * @returns {Promise<Object|null>} - Updated booking, or null if no booking owns the order
+ */
+exports.recordGatewayRefund = async ({ orderId, paymentId, amount, refundId, gateway }) => {
+    const booking = await Booking.findOne({ 'payment.transactions.gatewayOrderId': orderId });
+
+    if (!booking) {
+        return null;
+    }
+
+    assertOrderGateway(booking.payment.transactions.find(t => t.gatewayOrderId === orderId), gateway);
+
+    // Refunds we issued ourselves are already recorded - just settle them
+    const known = refundId && booking.payment.transactions.find(
+        t => t.type === 'refund' && t.transactionId === refundId
+    );
+
+    if (known) {
+        if (known.status !== 'processed') {
+            known.status = 'processed';
+            await booking.save();
+        }
+        return booking;
+    }
+
+    const payment = booking.payment.transactions.find(t => t.gatewayOrderId === orderId && t.type === 'payment');
+    const recorded = booking.payment.transactions
+        .filter(t => t.type === 'refund' && t.gatewayOrderId === orderId && t.status === 'processed')
+        .reduce((sum, t) => sum + t.amount, 0);
+    const newlyRefunded = Math.round((amount - recorded) * 100) / 100;
+
+    if (newlyRefunded <= 0) {
+        return booking;
+    }
+
+    booking.payment.transactions.push({
+        transactionId: refundId,
+        type: 'refund',
+        amount: newlyRefunded,
+        method: payment ? payment.method : booking.payment.method,
+        status: 'processed',
+        gateway: payment ? payment.gateway : booking.payment.gateway,
+        gatewayOrderId: orderId,
+        gatewayPaymentId: paymentId,
+        timestamp: new Date()
+    });
+
+    // paidAmount is what the booking holds, so refunds come off it
+    booking.paidAmount = round(booking.paidAmount - newlyRefunded);
+    booking.payment.status = getRefundedStatus(booking);
+
+    await booking.save();
+
+    await Notification.create({
+        user: booking.user,
+        title: 'Refund Processed',
+        message: `A refund of ₹${newlyRefunded} for booking #${booking.bookingNumber} has been issued to your original payment method.`,
+        type: 'payment',
+        category: 'success',
+        metadata: {
+            bookingId: booking._id,
+            paymentId: refundId,
+            amount: newlyRefunded
+        },
+        sendEmail: true
+    });
+
+    return booking;
+};
+
+exports.getAmountDue = getAmountDue;
+exports.getAdvanceDue = getAdvanceDue;
+exports.getAdvanceTerms = getAdvanceTerms;
+exports.getPaymentDeadline = getPaymentDeadline;
+exports.getRefundedAmount = getRefundedAmount;
+exports.getRefundedStatus = getRefundedStatus;
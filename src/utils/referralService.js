@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const Referral = require('../models/Referral');
 const Notification = require('../models/Notification');
+const walletService = require('./walletService');
 
 exports.processReferral = async (referrerId, referredUserId) => {
     try {
@@ -11,17 +12,22 @@ exports.processReferral = async (referrerId, referredUserId) => {
             throw new Error('Invalid users');
         }
 
-        // Update referrer's wallet
-        referrer.walletBalance += 100;
-        referrer.referralPoints += 100;
-        await referrer.save();
-
         // Update referral record
-        await Referral.findOneAndUpdate(
+        const referral = await Referral.findOneAndUpdate(
             { referrer: referrerId, referredUser: referredUserId },
             { status: 'completed', completedAt: new Date() }
         );
 
+        // Update referrer's wallet
+        await walletService.credit(referrerId, 100, {
+            source: 'referral',
+            referral: referral ? referral._id : undefined,
+            description: `Referral reward for ${referredUser.name}`,
+            ...(referral && { idempotencyKey: `referral:${referral._id}` })
+        });
+
+        await User.findByIdAndUpdate(referrerId, { $inc: { referralPoints: 100 } });
+
         // Send notification
         await Notification.create({
             user: referrerId,
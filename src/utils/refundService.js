@@ -0,0 +1,337 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getGateway, isSupportedGateway } = require('./paymentGateways');
+const { getRefundedStatus } = require('./paymentService');
+const walletService = require('./walletService');
+const { issueCreditNote } = require('./invoiceService');
+
+const MAX_REFUND_ATTEMPTS = parseInt(process.env.REFUND_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MINUTES = parseInt(process.env.REFUND_RETRY_BASE_MINUTES, 10) || 15;
+const REFUND_LOCK_MINUTES = 5;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Amount of the cancellation refund not yet paid out
+ * @param {Object} booking - Booking document
+ * @returns {number}
+ */
+const getOutstandingRefund = (booking) => {
+    const { refundAmount = 0, refundedAmount = 0 } = booking.cancellation || {};
+    return Math.max(0, round(refundAmount - refundedAmount));
+};
+
+/**
+ * When a failed refund is tried again, backing off exponentially
+ * @param {number} attempts - Attempts made so far
+ * @returns {Date|null} - null once MAX_REFUND_ATTEMPTS is reached
+ */
+const getNextRefundAttempt = (attempts) => {
+    if (attempts >= MAX_REFUND_ATTEMPTS) return null;
+
+    const delayMinutes = RETRY_BASE_MINUTES * Math.pow(2, attempts - 1);
+    return new Date(Date.now() + delayMinutes * 60 * 1000);
+};
+
+/**
+ * Credit a refund to the user's wallet
+ */
+const refundToWallet = async (booking, amount) => {
+    const entry = await walletService.credit(booking.user, amount, {
+        source: 'refund',
+        booking: booking._id,
+        description: `Refund for booking #${booking.bookingNumber}`
+    });
+
+    booking.payment.transactions.push({
+        transactionId: entry._id.toString(),
+        type: 'refund',
+        amount,
+        method: 'wallet',
+        status: 'processed',
+        gateway: 'wallet',
+        timestamp: new Date()
+    });
+
+    return { refunded: amount, pending: 0 };
+};
+
+/**
+ * Sum of refund transactions that have been issued (processed or in flight)
+ */
+const getIssuedRefunds = (booking) => {
+    return booking.payment.transactions
+        .filter(t => t.type === 'refund' && t.status !== 'failed')
+        .reduce((sum, t) => sum + (t.amount || 0), 0);
+};
+
+/**
+ * Refund through the gateways that took the original payments.
+ * Spreads the amount over captured payments, newest first. Anything that
+ * was not paid through a gateway (wallet, cash at the counter) goes to the wallet.
+ */
+const refundToOriginalMethod = async (booking, amount, reason) => {
+    let remaining = amount;
+    let pending = 0;
+
+    const payments = booking.payment.transactions
+        .filter(t => t.type === 'payment' && t.status === 'captured' && isSupportedGateway(t.gateway))
+        .reverse();
+
+    for (const payment of payments) {
+        if (remaining <= 0) break;
+
+        const alreadyRefunded = booking.payment.transactions
+            .filter(t => t.type === 'refund' && t.gatewayOrderId === payment.gatewayOrderId && t.status !== 'failed')
+            .reduce((sum, t) => sum + t.amount, 0);
+        const available = round(payment.amount - alreadyRefunded);
+
+        if (available <= 0) continue;
+
+        const part = Math.min(available, remaining);
+        const result = await getGateway(payment.gateway).refund({
+            orderId: payment.gatewayOrderId,
+            paymentId: payment.gatewayPaymentId,
+            amount: part,
+            currency: booking.payment.currency,
+            notes: {
+                bookingNumber: booking.bookingNumber,
+                reason
+            }
+        });
+
+        booking.payment.transactions.push({
+            transactionId: result.refundId,
+            type: 'refund',
+            amount: part,
+            method: payment.method,
+            status: result.status,
+            gateway: payment.gateway,
+            gatewayOrderId: payment.gatewayOrderId,
+            gatewayPaymentId: payment.gatewayPaymentId,
+            timestamp: new Date()
+        });
+
+        if (result.status !== 'processed') {
+            pending = round(pending + part);
+        }
+
+        remaining = round(remaining - part);
+    }
+
+    if (remaining > 0) {
+        await refundToWallet(booking, remaining);
+    }
+
+    return { refunded: amount, pending };
+};
+
+/**
+ * Pay money back to the customer for a booking. Records the refund
+ * transactions on the booking and takes what went out off its paid
+ * amount, even when a failure stops part of it, but does not save it.
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Amount to refund
+ * @param {Object} options
+ * @param {string} options.destination - 'original' or 'wallet'
+ * @param {string} options.reason - Stored with the gateway refund
+ * @returns {Promise<Object>} - { refunded, pending }
+ */
+exports.issueRefund = async (booking, amount, { destination = 'original', reason = 'Booking refund' } = {}) => {
+    const refundAmount = round(amount);
+
+    if (refundAmount <= 0) {
+        return { refunded: 0, pending: 0 };
+    }
+
+    const issuedBefore = getIssuedRefunds(booking);
+
+    try {
+        return destination === 'wallet'
+            ? await refundToWallet(booking, refundAmount)
+            : await refundToOriginalMethod(booking, refundAmount, reason);
+    } finally {
+        const issued = round(getIssuedRefunds(booking) - issuedBefore);
+
+        if (issued > 0) {
+            booking.paidAmount = round((booking.paidAmount || 0) - issued);
+            booking.payment.status = getRefundedStatus(booking);
+        }
+    }
+};
+
+/**
+ * Process the cancellation refund of a booking.
+ * Claims the booking first so the retry job and an admin cannot refund
+ * the same booking at the same time. Failures are retried with
+ * exponential backoff until MAX_REFUND_ATTEMPTS, then marked failed.
+ * @param {string} bookingId - Booking id
+ * @param {Object} options
+ * @param {number} options.amount - Refund only part of the outstanding amount
+ * @param {string} options.destination - 'original' or 'wallet' (defaults to cancellation.refundMethod)
+ * @returns {Promise<Object|null>} - Updated booking, or null if it is locked by another run
+ */
+exports.processRefund = async (bookingId, { amount, destination } = {}) => {
+    const now = new Date();
+
+    const booking = await Booking.findOneAndUpdate(
+        {
+            _id: bookingId,
+            $or: [
+                { 'cancellation.refundLockedUntil': { $exists: false } },
+                { 'cancellation.refundLockedUntil': null },
+                { 'cancellation.refundLockedUntil': { $lte: now } }
+            ]
+        },
+        {
+            $set: {
+                'cancellation.refundLockedUntil': new Date(now.getTime() + REFUND_LOCK_MINUTES * 60 * 1000)
+            }
+        },
+        { new: true }
+    );
+
+    if (!booking) {
+        return null;
+    }
+
+    const outstanding = getOutstandingRefund(booking);
+    const refundAmount = amount !== undefined ? Math.min(round(amount), outstanding) : outstanding;
+    const refundDestination = destination || booking.cancellation.refundMethod || 'original';
+    const issuedBefore = getIssuedRefunds(booking);
+    const reason = `${booking.status === 'no_show' ? 'No-show' : 'Cancellation'} refund for booking #${booking.bookingNumber}`;
+
+    try {
+        if (refundAmount > 0) {
+            booking.cancellation.refundAttempts = (booking.cancellation.refundAttempts || 0) + 1;
+
+            await exports.issueRefund(booking, refundAmount, {
+                destination: refundDestination,
+                reason
+            });
+
+            booking.cancellation.refundedAmount = round((booking.cancellation.refundedAmount || 0) + refundAmount);
+            booking.cancellation.lastRefundError = undefined;
+            booking.cancellation.nextRefundAttemptAt = undefined;
+
+            // Refunds on an invoiced booking need a credit note; a failure
+            // here must not undo the refund, so it is only logged
+            try {
+                await issueCreditNote(booking, refundAmount, {
+                    reason
+                });
+            } catch (error) {
+                console.error(`Credit note error for booking ${booking.bookingNumber}:`, error.message);
+            }
+
+            await Notification.create({
+                user: booking.user,
+                title: 'Refund Processed',
+                message: refundDestination === 'wallet'
+                    ? `₹${refundAmount} for booking #${booking.bookingNumber} has been credited to your wallet.`
+                    : `A refund of ₹${refundAmount} for booking #${booking.bookingNumber} has been issued to your original payment method.`,
+                type: 'payment',
+                category: 'success',
+                metadata: {
+                    bookingId: booking._id,
+                    amount: refundAmount
+                },
+                sendEmail: true
+            });
+        }
+
+        // Nothing owed and nothing paid back means there was no refund
+        if (getOutstandingRefund(booking) <= 0 && !booking.cancellation.refundedAmount) {
+            booking.cancellation.refundStatus = 'not_applicable';
+        } else if (getOutstandingRefund(booking) <= 0) {
+            booking.cancellation.refundStatus = 'processed';
+            booking.cancellation.refundedAt = new Date();
+        }
+    } catch (error) {
+        console.error(`Refund error for booking ${booking.bookingNumber}:`, error.message);
+
+        // Keep whatever part went through before the failure
+        booking.cancellation.refundedAmount = round(
+            (booking.cancellation.refundedAmount || 0) + getIssuedRefunds(booking) - issuedBefore
+        );
+
+        booking.cancellation.lastRefundError = error.message;
+
+        const nextAttemptAt = getNextRefundAttempt(booking.cancellation.refundAttempts);
+
+        if (!nextAttemptAt) {
+            booking.cancellation.refundStatus = 'failed';
+            booking.cancellation.nextRefundAttemptAt = undefined;
+
+            await notifyRefundFailure(booking);
+        } else {
+            booking.cancellation.nextRefundAttemptAt = nextAttemptAt;
+        }
+    }
+
+    booking.cancellation.refundLockedUntil = undefined;
+    await booking.save();
+
+    return booking;
+};
+
+/**
+ * Retry cancellation and no-show refunds that are due
+ * @returns {Promise<number>} - Number of bookings processed
+ */
+exports.retryPendingRefunds = async () => {
+    const bookings = await Booking.find({
+        status: { $in: ['cancelled', 'no_show'] },
+        'cancellation.refundStatus': 'pending',
+        $or: [
+            { 'cancellation.nextRefundAttemptAt': { $exists: false } },
+            { 'cancellation.nextRefundAttemptAt': null },
+            { 'cancellation.nextRefundAttemptAt': { $lte: new Date() } }
+        ]
+    })
+    .select('_id')
+    .limit(50);
+
+    for (const booking of bookings) {
+        await exports.processRefund(booking._id);
+    }
+
+    return bookings.length;
+};
+
+/**
+ * Tell the customer and the admins that a refund gave up retrying
+ */
+async function notifyRefundFailure(booking) {
+    await Notification.create({
+        user: booking.user,
+        title: 'Refund Delayed',
+        message: `We could not process the refund for booking #${booking.bookingNumber}. Our team has been notified and will contact you.`,
+        type: 'payment',
+        category: 'warning',
+        metadata: {
+            bookingId: booking._id,
+            amount: getOutstandingRefund(booking)
+        },
+        sendEmail: true
+    });
+
+    const adminUsers = await User.find({ role: 'admin' });
+    for (const admin of adminUsers) {
+        await Notification.create({
+            user: admin._id,
+            title: 'Refund Failed',
+            message: `Refund for booking #${booking.bookingNumber} failed after ${booking.cancellation.refundAttempts} attempts: ${booking.cancellation.lastRefundError}`,
+            type: 'alert',
+            priority: 'high',
+            metadata: {
+                bookingId: booking._id,
+                amount: getOutstandingRefund(booking)
+            }
+        });
+    }
+}
+
+exports.getOutstandingRefund = getOutstandingRefund;
+exports.getNextRefundAttempt = getNextRefundAttempt;
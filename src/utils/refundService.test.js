@@ -0,0 +1,119 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const walletService = require('./walletService');
+const { processRefund, getOutstandingRefund } = require('./refundService');
+
+let booking;
+let credits;
+
+const makeBooking = ({ paidAmount = 3000, refundAmount = 2000 } = {}) => {
+    const doc = new Booking({
+        user: new mongoose.Types.ObjectId(),
+        car: new mongoose.Types.ObjectId(),
+        bookingNumber: 'BK0001',
+        status: 'cancelled',
+        totalAmount: 3000,
+        paidAmount,
+        payment: {
+            status: 'refund_pending',
+            transactions: [{ type: 'payment', amount: paidAmount, method: 'cash', status: 'captured', gateway: 'cash' }]
+        },
+        cancellation: {
+            initiatedBy: 'user',
+            cancellationFee: paidAmount - refundAmount,
+            refundAmount,
+            refundStatus: refundAmount > 0 ? 'pending' : 'not_applicable',
+            refundMethod: 'wallet'
+        }
+    });
+
+    doc.save = async () => doc;
+    return doc;
+};
+
+// The refund lock is a conditional update; a booking someone else is
+// refunding does not match it
+const lockable = () => mock.method(Booking, 'findOneAndUpdate', async () => booking);
+
+beforeEach(() => {
+    mock.restoreAll();
+    credits = [];
+
+    mock.method(walletService, 'credit', async (userId, amount) => {
+        credits.push(amount);
+        return { _id: new mongoose.Types.ObjectId() };
+    });
+    mock.method(Invoice, 'findOne', async () => null);
+    mock.method(Notification, 'create', async () => ({}));
+});
+
+test('the outstanding refund is paid once and takes the paid amount down', async () => {
+    booking = makeBooking();
+    lockable();
+
+    await processRefund(booking._id);
+
+    assert.deepEqual(credits, [2000]);
+    assert.equal(booking.cancellation.refundedAmount, 2000);
+    assert.equal(booking.cancellation.refundStatus, 'processed');
+    assert.ok(booking.cancellation.refundedAt instanceof Date);
+    assert.equal(booking.paidAmount, 1000);
+    assert.equal(booking.payment.status, 'partially_refunded');
+    assert.equal(getOutstandingRefund(booking), 0);
+
+    // The retry job or an admin running it again pays nothing more
+    await processRefund(booking._id);
+
+    assert.deepEqual(credits, [2000]);
+    assert.equal(booking.paidAmount, 1000);
+});
+
+test('a booking another run is refunding is left alone', async () => {
+    booking = makeBooking();
+    mock.method(Booking, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await processRefund(booking._id), null);
+    assert.deepEqual(credits, []);
+});
+
+test('a partial refund leaves the rest outstanding', async () => {
+    booking = makeBooking();
+    lockable();
+
+    await processRefund(booking._id, { amount: 500 });
+
+    assert.deepEqual(credits, [500]);
+    assert.equal(booking.cancellation.refundStatus, 'pending');
+    assert.equal(getOutstandingRefund(booking), 1500);
+});
+
+test('a failed refund is retried later instead of marked done', async () => {
+    booking = makeBooking();
+    lockable();
+    mock.method(walletService, 'credit', async () => {
+        throw new Error('Wallet unavailable');
+    });
+
+    await processRefund(booking._id);
+
+    assert.equal(booking.cancellation.refundStatus, 'pending');
+    assert.equal(booking.cancellation.refundAttempts, 1);
+    assert.equal(booking.cancellation.lastRefundError, 'Wallet unavailable');
+    assert.ok(booking.cancellation.nextRefundAttemptAt > new Date());
+    assert.equal(booking.paidAmount, 3000);
+});
+
+test('nothing to refund is not applicable rather than processed', async () => {
+    booking = makeBooking({ refundAmount: 0 });
+    lockable();
+
+    await processRefund(booking._id);
+
+    assert.deepEqual(credits, []);
+    assert.equal(booking.cancellation.refundStatus, 'not_applicable');
+    assert.equal(booking.cancellation.refundedAt, undefined);
+});
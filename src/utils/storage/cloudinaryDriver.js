@@ -0,0 +1,70 @@
+const path = require('path');
+const axios = require('axios');
+const { cloudinary } = require('../../config/cloudinary');
+const storageConfig = require('../../config/storage');
+
+// Cloudinary keeps the extension in raw (PDF, document) ids but not in image ids
+const getResourceType = (publicId) => path.extname(publicId) ? 'raw' : 'image';
+
+// Private files are uploaded as authenticated assets
+const getDeliveryType = (publicId) => /(^|\/)private\//.test(publicId) ? 'authenticated' : 'upload';
+
+/**
+ * Build a driver that keeps files on Cloudinary
+ * @returns {Object} - Storage driver
+ */
+exports.createCloudinaryDriver = () => ({
+    name: 'cloudinary',
+
+    async upload(buffer, { key, contentType }) {
+        const isImage = (contentType || '').startsWith('image/');
+        const publicId = `${storageConfig.cloudinary.rootFolder}/${isImage ? key.replace(/\.[^./]+$/, '') : key}`;
+
+        const result = await new Promise((resolve, reject) => {
+            const stream = cloudinary.uploader.upload_stream(
+                {
+                    public_id: publicId,
+                    resource_type: isImage ? 'image' : 'raw',
+                    type: getDeliveryType(key),
+                    overwrite: true
+                },
+                (error, result) => {
+                    if (error) reject(error);
+                    else resolve(result);
+                }
+            );
+
+            stream.end(buffer);
+        });
+
+        return {
+            url: result.secure_url,
+            public_id: result.public_id
+        };
+    },
+
+    async remove(publicId) {
+        await cloudinary.uploader.destroy(publicId, {
+            resource_type: getResourceType(publicId),
+            type: getDeliveryType(publicId),
+            invalidate: true
+        });
+    },
+
+    async read(publicId) {
+        const response = await axios.get(this.getSignedUrl(publicId, 300), {
+            responseType: 'arraybuffer',
+            validateStatus: status => status === 200 || status === 404
+        });
+
+        return response.status === 404 ? null : Buffer.from(response.data);
+    },
+
+    getSignedUrl(publicId, expiresIn) {
+        return cloudinary.utils.private_download_url(publicId, '', {
+            resource_type: getResourceType(publicId),
+            type: getDeliveryType(publicId),
+            expires_at: Math.floor(Date.now() / 1000) + expiresIn
+        });
+    }
+});
@@ -0,0 +1,129 @@
+const path = require('path');
+const crypto = require('crypto');
+const storageConfig = require('../../config/storage');
+const { createLocalDriver } = require('./localDriver');
+const { createS3Driver } = require('./s3Driver');
+const { createCloudinaryDriver } = require('./cloudinaryDriver');
+
+// Every driver exposes the same surface:
+//   name, upload(buffer, { key, contentType }), read(key), remove(key), getSignedUrl(key, expiresIn)
+const factories = {
+    local: createLocalDriver,
+    s3: createS3Driver,
+    cloudinary: createCloudinaryDriver
+};
+
+const instances = {};
+
+/**
+ * Get a storage driver by name
+ * @param {string} name - Driver name (defaults to STORAGE_DRIVER)
+ * @returns {Object} - Storage driver
+ */
+exports.getStorage = (name) => {
+    const driverName = name || storageConfig.driver;
+    const factory = factories[driverName];
+
+    if (!factory) {
+        throw new Error(`Unknown storage driver "${driverName}"`);
+    }
+
+    if (!instances[driverName]) {
+        instances[driverName] = factory();
+    }
+
+    return instances[driverName];
+};
+
+/**
+ * Whether a stored file may only be reached through a signed URL
+ * @param {string} publicId - Key returned by upload
+ * @returns {boolean}
+ */
+exports.isPrivate = (publicId) => /(^|\/)private\//.test(publicId || '');
+
+/**
+ * Unique file name keeping the original extension
+ * @param {string} prefix - e.g. the form field name
+ * @param {string} originalName - Name of the uploaded file
+ * @returns {string}
+ */
+exports.buildFilename = (prefix, originalName) => {
+    const ext = path.extname(originalName || '').toLowerCase();
+    return `${prefix}-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${ext}`;
+};
+
+/**
+ * Store a file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options
+ * @param {string} options.folder - e.g. cars, users, licenses, invoices
+ * @param {string} options.filename - Name inside the folder, with extension
+ * @param {string} options.contentType - MIME type
+ * @param {string} options.access - public | private
+ * @returns {Promise<Object>} - { url, public_id }; the url of a private file
+ *                              is a signed link valid for STORAGE_LINK_EXPIRY
+ */
+exports.upload = async (buffer, { folder, filename, contentType, access = 'public' }) => {
+    const storage = exports.getStorage();
+    const stored = await storage.upload(buffer, {
+        key: `${access === 'private' ? 'private' : 'public'}/${folder}/${filename}`,
+        contentType
+    });
+
+    if (access === 'private') {
+        stored.url = storage.getSignedUrl(stored.public_id, storageConfig.linkExpiry);
+    }
+
+    return stored;
+};
+
+/**
+ * Fetch the contents of a stored file
+ * @param {string} publicId - Key returned by upload
+ * @returns {Promise<Buffer|null>} - Contents, or null if the file is gone
+ */
+exports.read = async (publicId) => {
+    if (!publicId) return null;
+
+    return exports.getStorage().read(publicId);
+};
+
+/**
+ * Delete a stored file
+ * @param {string} publicId - Key returned by upload
+ */
+exports.remove = async (publicId) => {
+    if (!publicId) return;
+
+    await exports.getStorage().remove(publicId);
+};
+
+/**
+ * URL to hand out for a stored file: the stored URL for public files,
+ * a fresh signed link for private ones
+ * @param {Object} file - { url, public_id }
+ * @param {number} expiresIn - Lifetime of a signed link in seconds
+ * @returns {string|undefined}
+ */
+exports.getFileUrl = (file, expiresIn = storageConfig.signedUrlExpiry) => {
+    if (!file) return undefined;
+
+    if (!exports.isPrivate(file.public_id)) {
+        return file.url;
+    }
+
+    return exports.getStorage().getSignedUrl(file.public_id, expiresIn);
+};
+
+/**
+ * Copy of a stored file reference with a usable URL
+ * @param {Object} file - { url, public_id, ... } (plain object or subdocument)
+ * @returns {Object}
+ */
+exports.withFileUrl = (file) => {
+    if (!file) return file;
+
+    const plain = file.toObject ? file.toObject() : { ...file };
+    return { ...plain, url: exports.getFileUrl(plain) };
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const storageConfig = require('../../config/storage');
+
+/**
+ * Build a driver that keeps files on the local disk.
+ * Files are served by the /api/files route; private ones need a signature.
+ * @returns {Object} - Storage driver
+ */
+exports.createLocalDriver = () => {
+    const { root, baseUrl, signingSecret } = storageConfig.local;
+    const rootDir = path.resolve(root);
+
+    if (!signingSecret) {
+        throw new Error('Local storage needs STORAGE_SIGNING_SECRET or JWT_SECRET to sign private links');
+    }
+
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDir, key);
+
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            const error = new Error('Invalid file key');
+            error.status = 400;
+            throw error;
+        }
+
+        return filePath;
+    };
+
+    const sign = (key, expires) => crypto
+        .createHmac('sha256', signingSecret)
+        .update(`${key}:${expires}`)
+        .digest('hex');
+
+    const fileUrl = (key) => `${baseUrl}/api/files/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+    return {
+        name: 'local',
+
+        async upload(buffer, { key }) {
+            const filePath = resolveKey(key);
+
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+
+            return {
+                url: fileUrl(key),
+                public_id: key
+            };
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        },
+
+        async read(key) {
+            try {
+                return await fs.promises.readFile(resolveKey(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        getSignedUrl(key, expiresIn) {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            return `${fileUrl(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+        },
+
+        /**
+         * Check a link produced by getSignedUrl
+         * @param {string} key - File key
+         * @param {string} expires - Unix time the link expires at
+         * @param {string} signature - Signature from the link
+         * @returns {boolean}
+         */
+        verifySignature(key, expires, signature) {
+            if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+                return false;
+            }
+
+            const expected = Buffer.from(sign(key, expires));
+            const received = Buffer.from(String(signature));
+
+            return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+        },
+
+        /**
+         * Absolute path of a stored file
+         * @param {string} key - File key
+         * @returns {Promise<string|null>} - Path, or null if the file does not exist
+         */
+        async getPath(key) {
+            const filePath = resolveKey(key);
+
+            try {
+                await fs.promises.access(filePath);
+                return filePath;
+            } catch (error) {
+                return null;
+            }
+        }
+    };
+};
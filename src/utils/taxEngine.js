@@ -0,0 +1,175 @@
+const taxConfig = require('../config/tax');
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * GST state code for a state name
+ * @param {string} state - State name
+ * @returns {string|undefined} - Two digit code
+ */
+const getStateCode = (state) => {
+    if (!state) return undefined;
+
+    const match = Object.keys(taxConfig.stateCodes)
+        .find(name => name.toLowerCase() === state.trim().toLowerCase());
+
+    return match ? taxConfig.stateCodes[match] : undefined;
+};
+
+/**
+ * State name a GSTIN is registered in
+ * @param {string} gstin - GSTIN
+ * @returns {string|undefined}
+ */
+const getStateFromGstin = (gstin) => {
+    const code = (gstin || '').slice(0, 2);
+    return Object.keys(taxConfig.stateCodes).find(name => taxConfig.stateCodes[name] === code);
+};
+
+/**
+ * Check the format and state code of a GSTIN
+ * @param {string} gstin - GSTIN
+ * @returns {boolean}
+ */
+const isValidGstin = (gstin) => {
+    const value = (gstin || '').toUpperCase();
+    return GSTIN_PATTERN.test(value) && Boolean(getStateFromGstin(value));
+};
+
+/**
+ * Our registration for the state a booking is supplied from
+ * @param {string} state - Branch state
+ * @returns {Object} - { state, stateCode, gstin, legalName }
+ */
+const getSupplier = (state) => {
+    const supplierState = state || taxConfig.company.state;
+
+    return {
+        state: supplierState,
+        stateCode: getStateCode(supplierState),
+        gstin: taxConfig.company.gstinByState[supplierState] || taxConfig.company.gstin,
+        legalName: taxConfig.company.legalName
+    };
+};
+
+/**
+ * Spread a discount over the discountable items in proportion to their value
+ */
+const allocateDiscount = (items, discount) => {
+    const discountable = items.filter(item => item.discountable !== false);
+    const base = discountable.reduce((sum, item) => sum + item.amount, 0);
+    let remaining = round(Math.min(discount, base));
+
+    return items.map(item => {
+        if (item.discountable === false || remaining <= 0 || base <= 0) {
+            return { ...item, discount: 0 };
+        }
+
+        const isLast = item === discountable[discountable.length - 1];
+        const share = isLast ? remaining : round(discount * item.amount / base);
+        const itemDiscount = Math.min(share, item.amount, remaining);
+        remaining = round(remaining - itemDiscount);
+
+        return { ...item, discount: itemDiscount };
+    });
+};
+
+/**
+ * Work out GST for a set of charges.
+ * Intra-state supplies (branch and customer in the same state) are split
+ * into CGST and SGST, inter-state supplies carry IGST. For B2B bookings the
+ * customer's state is taken from their GSTIN.
+ * @param {Object} params
+ * @param {Array} params.items - [{ type: rental|insurance|service|penalty, description, amount, discountable }]
+ * @param {number} params.discount - Discount to spread over discountable items
+ * @param {string} params.supplierState - State of the branch supplying the car
+ * @param {string} params.customerState - Customer's billing state
+ * @param {string} params.customerGstin - Customer's GSTIN (B2B)
+ * @param {string} params.customerName - Legal name for B2B invoices
+ * @param {boolean} params.taxInclusive - Item amounts already include GST (deposit deductions)
+ * @returns {Object} - Tax breakup to store on the booking
+ */
+exports.calculateTax = ({ items, discount = 0, supplierState, customerState, customerGstin, customerName, taxInclusive = false }) => {
+    const supplier = getSupplier(supplierState);
+    const gstin = customerGstin ? customerGstin.toUpperCase() : undefined;
+    const buyerState = (gstin && getStateFromGstin(gstin)) || customerState || supplier.state;
+    const buyerStateCode = getStateCode(buyerState);
+
+    const isInterState = buyerStateCode && supplier.stateCode
+        ? buyerStateCode !== supplier.stateCode
+        : buyerState.trim().toLowerCase() !== supplier.state.trim().toLowerCase();
+
+    const lines = allocateDiscount(items.filter(item => item.amount > 0), discount).map(item => {
+        const itemConfig = taxConfig.items[item.type] || taxConfig.items.service;
+        const netAmount = round(item.amount - item.discount);
+        const taxableAmount = taxInclusive
+            ? round(netAmount / (1 + itemConfig.rate / 100))
+            : netAmount;
+        // CGST and SGST are each half the rate, rounded separately so they match
+        const halfTax = isInterState ? 0 : round(taxableAmount * itemConfig.rate / 200);
+        const igst = isInterState ? round(taxableAmount * itemConfig.rate / 100) : 0;
+
+        return {
+            type: item.type,
+            description: item.description || itemConfig.label,
+            sacCode: itemConfig.sacCode,
+            amount: round(item.amount),
+            discount: item.discount,
+            taxableAmount,
+            rate: itemConfig.rate,
+            cgst: halfTax,
+            sgst: halfTax,
+            igst,
+            totalTax: round(halfTax * 2 + igst)
+        };
+    });
+
+    const sum = (field) => round(lines.reduce((total, line) => total + line[field], 0));
+
+    return {
+        supplierGstin: supplier.gstin,
+        supplierState: supplier.state,
+        supplierStateCode: supplier.stateCode,
+        customerGstin: gstin,
+        customerName,
+        customerState: buyerState,
+        customerStateCode: buyerStateCode,
+        placeOfSupply: buyerStateCode ? `${buyerState} (${buyerStateCode})` : buyerState,
+        isInterState,
+        lines,
+        taxableAmount: sum('taxableAmount'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        totalTax: sum('totalTax')
+    };
+};
+
+/**
+ * Tax entries for Booking.additionalCharges
+ * @param {Object} tax - Result of calculateTax
+ * @returns {Array} - [{ description, amount, type: 'tax' }]
+ */
+exports.toChargeLines = (tax) => {
+    const rates = [...new Set(tax.lines.map(line => line.rate))];
+    const rateLabel = (share) => rates.length === 1 ? ` (${rates[0] * share}%)` : '';
+
+    const components = tax.isInterState
+        ? [['IGST', tax.igst, 1]]
+        : [['CGST', tax.cgst, 0.5], ['SGST', tax.sgst, 0.5]];
+
+    return components
+        .filter(([, amount]) => amount > 0)
+        .map(([name, amount, share]) => ({
+            description: `${name}${rateLabel(share)}`,
+            amount,
+            type: 'tax'
+        }));
+};
+
+exports.getStateCode = getStateCode;
+exports.getStateFromGstin = getStateFromGstin;
+exports.isValidGstin = isValidGstin;
+exports.getSupplier = getSupplier;
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateTax, toChargeLines } = require('./taxEngine');
+
+test('an intra-state supply is split into equal CGST and SGST', () => {
+    const tax = calculateTax({
+        items: [{ type: 'rental', amount: 1001 }],
+        supplierState: 'Maharashtra',
+        customerState: 'Maharashtra'
+    });
+
+    const [line] = tax.lines;
+
+    assert.equal(tax.isInterState, false);
+    assert.equal(line.cgst, 90.09);
+    assert.equal(line.sgst, 90.09);
+    assert.equal(line.igst, 0);
+    assert.equal(line.totalTax, 180.18);
+    assert.equal(tax.totalTax, 180.18);
+});
+
+test('an inter-state supply carries IGST only', () => {
+    const tax = calculateTax({
+        items: [{ type: 'rental', amount: 1000 }],
+        supplierState: 'Maharashtra',
+        customerState: 'Karnataka'
+    });
+
+    const [line] = tax.lines;
+
+    assert.equal(tax.isInterState, true);
+    assert.equal(line.cgst, 0);
+    assert.equal(line.sgst, 0);
+    assert.equal(line.igst, 180);
+});
+
+test('a B2B customer is taxed in the state of their GSTIN', () => {
+    const tax = calculateTax({
+        items: [{ type: 'rental', amount: 1000 }],
+        supplierState: 'Maharashtra',
+        customerState: 'Maharashtra',
+        customerGstin: '29abcde1234f1z5'
+    });
+
+    assert.equal(tax.customerState, 'Karnataka');
+    assert.equal(tax.customerGstin, '29ABCDE1234F1Z5');
+    assert.equal(tax.isInterState, true);
+});
+
+test('a discount is spread over the discountable items only', () => {
+    const tax = calculateTax({
+        items: [
+            { type: 'rental', amount: 3000 },
+            { type: 'service', amount: 1000 },
+            { type: 'penalty', amount: 500, discountable: false }
+        ],
+        discount: 400,
+        supplierState: 'Maharashtra'
+    });
+
+    assert.deepEqual(tax.lines.map(line => line.discount), [300, 100, 0]);
+    assert.deepEqual(tax.lines.map(line => line.taxableAmount), [2700, 900, 500]);
+});
+
+test('tax-inclusive amounts are split back into taxable value and tax', () => {
+    const tax = calculateTax({
+        items: [{ type: 'penalty', amount: 1180 }],
+        supplierState: 'Maharashtra',
+        taxInclusive: true
+    });
+
+    const [line] = tax.lines;
+
+    assert.equal(line.taxableAmount, 1000);
+    assert.equal(line.cgst + line.sgst, 180);
+});
+
+test('the charge lines add up to the total tax', () => {
+    const tax = calculateTax({
+        items: [{ type: 'rental', amount: 1234.56 }, { type: 'service', amount: 99.99 }],
+        supplierState: 'Maharashtra'
+    });
+
+    const charged = toChargeLines(tax).reduce((sum, charge) => sum + charge.amount, 0);
+
+    assert.equal(Math.round(charged * 100) / 100, tax.totalTax);
+});
@@ -0,0 +1,20 @@
+/**
+ * Whether a booking was made for a class of car rather than a specific one
+ * @param {Object} booking - Booking document
+ * @returns {boolean}
+ */
+exports.isClassBooking = (booking) => Boolean(booking.vehicleClass && booking.vehicleClass.category);
+
+/**
+ * Human readable class, e.g. "SUV, automatic, 7+ seats in Pune"
+ * @param {Object} vehicleClass - { category, transmission, seats, city }
+ * @returns {string}
+ */
+exports.describeClass = (vehicleClass) => {
+    const parts = [vehicleClass.category ? vehicleClass.category.toUpperCase() : 'Car'];
+
+    if (vehicleClass.transmission) parts.push(vehicleClass.transmission);
+    if (vehicleClass.seats) parts.push(`${vehicleClass.seats}+ seats`);
+
+    return vehicleClass.city ? `${parts.join(', ')} in ${vehicleClass.city}` : parts.join(', ');
+};
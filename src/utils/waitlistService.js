@@ -0,0 +1,344 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const BookingHold = require('../models/BookingHold');
+const Car = require('../models/Car');
+const Notification = require('../models/Notification');
+const { createHold, releaseHolds } = require('./holdService');
+const { formatDateTime } = require('./dateTime');
+const { waitlist: waitlistConfig } = require('../config/booking');
+
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+const waitlistError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Cars that would do for a waitlist entry, the one asked for first
+ */
+const getCandidateCars = async (entry) => {
+    const requested = await Car.findById(entry.car);
+    const cars = requested && requested.status === 'active' ? [requested] : [];
+
+    if (entry.scope === 'category') {
+        const similar = await Car.find({
+            _id: { $ne: entry.car },
+            category: entry.category,
+            'location.city': entry.city,
+            status: 'active',
+            availability: { $ne: 'maintenance' }
+        });
+
+        cars.push(...similar);
+    }
+
+    return cars;
+};
+
+/**
+ * Hold the first free car for the customer and tell them about it
+ * @returns {Promise<boolean>} - Whether an offer was made
+ */
+const tryOffer = async (entry, cars) => {
+    for (const car of cars) {
+        let hold;
+        try {
+            hold = await createHold({
+                carId: car._id,
+                userId: entry.user,
+                pickupDate: entry.pickupDate,
+                dropoffDate: entry.dropoffDate,
+                purpose: 'waitlist',
+                minutes: waitlistConfig.offerMinutes
+            });
+        } catch (error) {
+            // Still booked, or someone else got it first; try the next one
+            if (error.status === 409) continue;
+            throw error;
+        }
+
+        // Only offer once, even if two runs reach the same entry
+        const offered = await WaitlistEntry.findOneAndUpdate(
+            { _id: entry._id, status: 'waiting' },
+            {
+                $set: {
+                    status: 'offered',
+                    offer: {
+                        car: car._id,
+                        hold: hold._id,
+                        offeredAt: new Date(),
+                        expiresAt: hold.expiresAt
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!offered) {
+            await releaseHolds({ _id: hold._id });
+            return false;
+        }
+
+        await Notification.create({
+            user: entry.user,
+            title: 'A Car Is Available',
+            message: `${car.make} ${car.model} is now available from ${formatDateTime(entry.pickupDate)} to ${formatDateTime(entry.dropoffDate)}. We are holding it for you until ${formatDateTime(hold.expiresAt)}.`,
+            type: 'booking',
+            category: 'success',
+            priority: 'high',
+            metadata: {
+                carId: car._id,
+                holdId: hold._id,
+                waitlistId: entry._id,
+                url: `/cars/${car._id}/book?holdId=${hold._id}`
+            },
+            sendEmail: true
+        });
+
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Join the waitlist for a car that is booked for the requested dates
+ * @param {Object} params
+ * @param {string} params.userId - Customer
+ * @param {string} params.carId - Car asked for
+ * @param {Date} params.pickupDate - Start of the range
+ * @param {Date} params.dropoffDate - End of the range
+ * @param {string} params.scope - 'car', or 'category' to take any similar car in the same city
+ * @returns {Promise<Object>} - WaitlistEntry document
+ */
+exports.joinWaitlist = async ({ userId, carId, pickupDate, dropoffDate, scope = 'car' }) => {
+    if (!(pickupDate < dropoffDate)) {
+        throw waitlistError('Dropoff date must be after pickup date');
+    }
+
+    if (pickupDate <= new Date()) {
+        throw waitlistError('Pickup must be in the future');
+    }
+
+    const car = await Car.findById(carId);
+
+    if (!car || car.status !== 'active') {
+        throw waitlistError('Car not found or not available', 404);
+    }
+
+    const open = await WaitlistEntry.countDocuments({ user: userId, status: { $in: OPEN_STATUSES } });
+
+    if (open >= waitlistConfig.maxEntriesPerUser) {
+        throw waitlistError(`You can be on at most ${waitlistConfig.maxEntriesPerUser} waitlists at a time`);
+    }
+
+    const duplicate = await WaitlistEntry.exists({
+        user: userId,
+        car: carId,
+        status: { $in: OPEN_STATUSES },
+        pickupDate: { $lt: dropoffDate },
+        dropoffDate: { $gt: pickupDate }
+    });
+
+    if (duplicate) {
+        throw waitlistError('You are already on the waitlist for this car and dates');
+    }
+
+    if (await car.isAvailableForDates(pickupDate, dropoffDate)) {
+        throw waitlistError('Car is available for these dates, book it now', 409);
+    }
+
+    return WaitlistEntry.create({
+        user: userId,
+        car: carId,
+        scope,
+        category: car.category,
+        city: car.location.city,
+        pickupDate,
+        dropoffDate
+    });
+};
+
+/**
+ * Leave the waitlist; a car held for the customer goes to the next in line
+ * @param {Object} entry - WaitlistEntry document
+ * @returns {Promise<Object>} - Cancelled entry
+ */
+exports.leaveWaitlist = async (entry) => {
+    if (!OPEN_STATUSES.includes(entry.status)) {
+        throw waitlistError(`Waitlist entry is already ${entry.status}`);
+    }
+
+    const wasOffered = entry.status === 'offered';
+
+    entry.status = 'cancelled';
+    entry.cancelledAt = new Date();
+    await entry.save();
+
+    if (wasOffered) {
+        await releaseHolds({ _id: entry.offer.hold, booking: { $exists: false } });
+        await exports.offerFreedCar(entry.offer.car);
+    }
+
+    return entry;
+};
+
+/**
+ * Offer a car that just freed up (cancellation, expiry, changed dates)
+ * to the customers waiting for it, first come first served. Never
+ * throws, so whatever freed the car is not affected.
+ * @param {string} carId - Car that has free dates again
+ * @returns {Promise<number>} - Number of offers made
+ */
+exports.offerFreedCar = async (carId) => {
+    try {
+        const car = await Car.findById(carId);
+
+        if (!car || car.status !== 'active') return 0;
+
+        const entries = await WaitlistEntry.find({
+            status: 'waiting',
+            pickupDate: { $gt: new Date() },
+            $or: [
+                { car: car._id },
+                { scope: 'category', category: car.category, city: car.location.city }
+            ]
+        })
+        .sort('createdAt')
+        .limit(50);
+
+        let offered = 0;
+
+        for (const entry of entries) {
+            if (await tryOffer(entry, [car])) offered++;
+        }
+
+        return offered;
+    } catch (error) {
+        console.error(`Waitlist offer error for car ${carId}:`, error);
+        return 0;
+    }
+};
+
+/**
+ * Mark the waitlist entry a booking was made from
+ * @param {Object} hold - BookingHold the booking used
+ * @param {Object} booking - Booking document
+ */
+exports.markBooked = async (hold, booking) => {
+    if (hold.purpose !== 'waitlist') return;
+
+    await WaitlistEntry.updateOne(
+        { 'offer.hold': hold._id, status: 'offered' },
+        { $set: { status: 'booked', booking: booking._id } }
+    );
+};
+
+/**
+ * Close lapsed offers and passed dates, then offer free cars to whoever
+ * is still waiting. Catches cars freed without a direct trigger, such as
+ * checkout holds running out.
+ * @returns {Promise<number>} - Number of entries updated or offered a car
+ */
+exports.processWaitlist = async () => {
+    const now = new Date();
+    let processed = 0;
+
+    const lapsed = await WaitlistEntry.find({
+        status: 'offered',
+        'offer.expiresAt': { $lte: now }
+    }).limit(100);
+
+    for (const entry of lapsed) {
+        const hold = await BookingHold.findById(entry.offer.hold).select('booking');
+
+        if (hold && hold.booking) {
+            entry.status = 'booked';
+            entry.booking = hold.booking;
+            await entry.save();
+        } else {
+            entry.status = 'expired';
+            await entry.save();
+
+            await Notification.create({
+                user: entry.user,
+                title: 'Waitlist Offer Expired',
+                message: `The car we held for you from ${formatDateTime(entry.pickupDate)} was not booked in time and has been offered to the next customer.`,
+                type: 'booking',
+                category: 'warning',
+                metadata: {
+                    carId: entry.offer.car,
+                    waitlistId: entry._id
+                }
+            });
+
+            await exports.offerFreedCar(entry.offer.car);
+        }
+
+        processed++;
+    }
+
+    const passed = await WaitlistEntry.updateMany(
+        { status: 'waiting', pickupDate: { $lte: now } },
+        { $set: { status: 'expired' } }
+    );
+    processed += passed.modifiedCount;
+
+    const waiting = await WaitlistEntry.find({ status: 'waiting' })
+        .sort('createdAt')
+        .limit(50);
+
+    for (const entry of waiting) {
+        if (await tryOffer(entry, await getCandidateCars(entry))) processed++;
+    }
+
+    return processed;
+};
+
+/**
+ * Open waitlist demand per car, busiest first
+ * @returns {Promise<Array>}
+ */
+exports.getDemandByCar = async () => {
+    return WaitlistEntry.aggregate([
+        { $match: { status: { $in: OPEN_STATUSES } } },
+        {
+            $group: {
+                _id: '$car',
+                waiting: { $sum: { $cond: [{ $eq: ['$status', 'waiting'] }, 1, 0] } },
+                offered: { $sum: { $cond: [{ $eq: ['$status', 'offered'] }, 1, 0] } },
+                flexible: { $sum: { $cond: [{ $eq: ['$scope', 'category'] }, 1, 0] } },
+                earliestPickup: { $min: '$pickupDate' },
+                latestDropoff: { $max: '$dropoffDate' }
+            }
+        },
+        {
+            $lookup: {
+                from: 'cars',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'car'
+            }
+        },
+        { $unwind: '$car' },
+        {
+            $project: {
+                car: {
+                    _id: '$car._id',
+                    make: '$car.make',
+                    model: '$car.model',
+                    licensePlate: '$car.licensePlate',
+                    category: '$car.category',
+                    city: '$car.location.city'
+                },
+                waiting: 1,
+                offered: 1,
+                flexible: 1,
+                earliestPickup: 1,
+                latestDropoff: 1
+            }
+        },
+        { $sort: { waiting: -1, earliestPickup: 1 } }
+    ]);
+};
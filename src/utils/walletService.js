@@ -0,0 +1,341 @@
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const Notification = require('../models/Notification');
+const { getGateway, getDefaultGatewayName, assertOrderGateway } = require('./paymentGateways');
+
+// The ledger is the source of truth and User.walletBalance a cache of it.
+// credit()/debit() write the ledger entry first and only then move the
+// cached balance, so a failure in between leaves the cache behind the
+// ledger, where reconcileBalance() can repair it, and never the other
+// way round.
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const walletError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+/**
+ * Record the balance a user had before the ledger existed, the first time
+ * their wallet is touched. The entry has a fixed idempotency key, so
+ * concurrent first uses write it only once.
+ */
+const ensureOpeningBalance = async (userId, openingBalance) => {
+    if (!(openingBalance > 0) || await WalletTransaction.exists({ user: userId })) {
+        return;
+    }
+
+    try {
+        await WalletTransaction.create({
+            user: userId,
+            type: 'credit',
+            source: 'admin_adjustment',
+            amount: round(openingBalance),
+            status: 'completed',
+            balanceAfter: round(openingBalance),
+            description: 'Opening balance',
+            idempotencyKey: `opening:${userId}`,
+            completedAt: new Date()
+        });
+    } catch (error) {
+        if (!isDuplicateKey(error)) throw error;
+    }
+};
+
+/**
+ * Write a ledger entry. A retry with the same idempotency key gets the
+ * entry written the first time instead of a second one.
+ * @returns {Promise<Object>} - { entry, created }
+ */
+const writeEntry = async (userId, type, amount, details, status) => {
+    try {
+        const entry = await WalletTransaction.create({
+            ...details,
+            user: userId,
+            type,
+            amount,
+            status,
+            ...(status === 'completed' && { completedAt: new Date() })
+        });
+
+        return { entry, created: true };
+    } catch (error) {
+        if (!details.idempotencyKey || !isDuplicateKey(error)) throw error;
+
+        const entry = await WalletTransaction.findOne({ idempotencyKey: details.idempotencyKey });
+        return { entry, created: false };
+    }
+};
+
+/**
+ * Add money to a user's wallet
+ * @param {string} userId - User id
+ * @param {number} amount - Amount to credit
+ * @param {Object} details
+ * @param {string} details.source - Ledger source (referral, refund, cashback, ...)
+ * @param {string} details.description - Shown in the wallet history
+ * @param {string} details.booking - Related booking id
+ * @param {string} details.createdBy - Admin who made the change
+ * @param {string} details.idempotencyKey - Makes a retried credit a no-op
+ * @returns {Promise<Object>} - Ledger entry
+ */
+exports.credit = async (userId, amount, details = {}) => {
+    const creditAmount = round(amount);
+
+    if (!(creditAmount > 0)) {
+        throw walletError('Credit amount must be positive');
+    }
+
+    const user = await User.findById(userId).select('walletBalance');
+
+    if (!user) {
+        throw walletError('User not found', 404);
+    }
+
+    await ensureOpeningBalance(userId, user.walletBalance);
+
+    const { entry, created } = await writeEntry(userId, 'credit', creditAmount, details, 'completed');
+
+    if (!created) {
+        return entry;
+    }
+
+    // The money is in the ledger now; if the cache cannot follow, rebuild it
+    try {
+        const updated = await User.findByIdAndUpdate(
+            userId,
+            { $inc: { walletBalance: creditAmount } },
+            { new: true }
+        );
+
+        entry.balanceAfter = updated.walletBalance;
+        await entry.save();
+    } catch (error) {
+        console.error(`Wallet balance update failed for user ${userId}, reconciling:`, error.message);
+        entry.balanceAfter = await exports.reconcileBalance(userId);
+    }
+
+    return entry;
+};
+
+/**
+ * Take money out of a user's wallet.
+ * A pending ledger entry holds the amount first; the balance check and
+ * the deduction are then one atomic update, so two concurrent debits can
+ * never take the wallet below zero.
+ * @param {string} userId - User id
+ * @param {number} amount - Amount to debit
+ * @param {Object} details - Same as credit()
+ * @returns {Promise<Object>} - Ledger entry
+ */
+exports.debit = async (userId, amount, details = {}) => {
+    const debitAmount = round(amount);
+
+    if (!(debitAmount > 0)) {
+        throw walletError('Debit amount must be positive');
+    }
+
+    const user = await User.findById(userId).select('walletBalance');
+
+    if (!user) {
+        throw walletError('User not found', 404);
+    }
+
+    if (user.walletBalance < debitAmount) {
+        throw walletError('Insufficient wallet balance');
+    }
+
+    await ensureOpeningBalance(userId, user.walletBalance);
+
+    const { entry, created } = await writeEntry(userId, 'debit', debitAmount, details, 'pending');
+
+    if (!created) {
+        return entry;
+    }
+
+    const updated = await User.findOneAndUpdate(
+        { _id: userId, walletBalance: { $gte: debitAmount } },
+        { $inc: { walletBalance: -debitAmount } },
+        { new: true }
+    );
+
+    if (!updated) {
+        entry.status = 'failed';
+        await entry.save();
+        throw walletError('Insufficient wallet balance');
+    }
+
+    // A pending debit already counts against the ledger balance, so the
+    // money is accounted for even if this last write fails
+    entry.status = 'completed';
+    entry.balanceAfter = updated.walletBalance;
+    entry.completedAt = new Date();
+
+    try {
+        await entry.save();
+    } catch (error) {
+        console.error(`Wallet debit ${entry._id} left pending:`, error.message);
+    }
+
+    return entry;
+};
+
+/**
+ * Wallet balance derived from the ledger.
+ * Users whose balance predates the ledger get an opening-balance entry
+ * the first time their wallet is read.
+ * @param {string} userId - User id
+ * @returns {Promise<number>}
+ */
+exports.getBalance = async (userId) => {
+    const user = await User.findById(userId).select('walletBalance');
+
+    if (user) {
+        await ensureOpeningBalance(userId, user.walletBalance);
+    }
+
+    return WalletTransaction.getBalance(userId);
+};
+
+/**
+ * Re-sync the cached User.walletBalance with the ledger
+ * @param {string} userId - User id
+ * @returns {Promise<number>} - Ledger balance
+ */
+exports.reconcileBalance = async (userId) => {
+    const balance = await exports.getBalance(userId);
+    await User.findByIdAndUpdate(userId, { walletBalance: balance });
+    return balance;
+};
+
+/**
+ * Paginated wallet history
+ * @param {string} userId - User id
+ * @param {Object} options - { page, limit, type, source }
+ * @returns {Promise<Object>} - { transactions, total }
+ */
+exports.getHistory = async (userId, { page = 1, limit = 20, type, source } = {}) => {
+    const query = { user: userId, status: { $ne: 'failed' } };
+
+    if (type) query.type = type;
+    if (source) query.source = source;
+
+    const transactions = await WalletTransaction.find(query)
+        .populate('booking', 'bookingNumber')
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit));
+
+    const total = await WalletTransaction.countDocuments(query);
+
+    return { transactions, total };
+};
+
+/**
+ * Start a wallet top-up through the payment gateway.
+ * The ledger entry stays pending until the gateway confirms payment.
+ * @param {Object} user - User document
+ * @param {number} amount - Amount to add
+ * @returns {Promise<Object>} - Gateway order for the checkout
+ */
+exports.createTopUpOrder = async (user, amount) => {
+    const topUpAmount = round(amount);
+    const gateway = getGateway(getDefaultGatewayName());
+
+    await ensureOpeningBalance(user._id, user.walletBalance);
+
+    const order = await gateway.createOrder({
+        amount: topUpAmount,
+        currency: 'INR',
+        receipt: `WALLET-${user._id}-${Date.now()}`,
+        notes: {
+            purpose: 'wallet_top_up',
+            userId: user._id.toString()
+        }
+    });
+
+    const entry = await WalletTransaction.create({
+        user: user._id,
+        type: 'credit',
+        source: 'top_up',
+        amount: topUpAmount,
+        status: 'pending',
+        description: 'Wallet top-up',
+        gateway: gateway.name,
+        gatewayOrderId: order.orderId
+    });
+
+    return {
+        gateway: gateway.name,
+        transactionId: entry._id,
+        ...order
+    };
+};
+
+/**
+ * Complete a pending top-up once the gateway confirms payment.
+ * Idempotent: only the call that flips the entry from pending credits the wallet.
+ * @param {Object} payment - { orderId, paymentId, gateway }
+ * @returns {Promise<Object|null>} - Ledger entry, or null if no top-up owns the order
+ */
+exports.completeTopUp = async ({ orderId, paymentId, gateway }) => {
+    assertOrderGateway(await WalletTransaction.findOne({ gatewayOrderId: orderId, source: 'top_up' }), gateway);
+
+    const entry = await WalletTransaction.findOneAndUpdate(
+        { gatewayOrderId: orderId, source: 'top_up', status: 'pending' },
+        { $set: { status: 'completed', gatewayPaymentId: paymentId, completedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!entry) {
+        return WalletTransaction.findOne({ gatewayOrderId: orderId, source: 'top_up' });
+    }
+
+    try {
+        const user = await User.findByIdAndUpdate(
+            entry.user,
+            { $inc: { walletBalance: entry.amount } },
+            { new: true }
+        );
+
+        entry.balanceAfter = user.walletBalance;
+        await entry.save();
+    } catch (error) {
+        console.error(`Wallet balance update failed for user ${entry.user}, reconciling:`, error.message);
+        entry.balanceAfter = await exports.reconcileBalance(entry.user);
+    }
+
+    await Notification.create({
+        user: entry.user,
+        title: 'Wallet Topped Up',
+        message: `₹${entry.amount} has been added to your wallet.`,
+        type: 'payment',
+        category: 'success',
+        metadata: {
+            paymentId,
+            amount: entry.amount,
+            url: '/wallet'
+        }
+    });
+
+    return entry;
+};
+
+/**
+ * Mark a pending top-up as failed
+ * @param {Object} payment - { orderId, paymentId, gateway }
+ * @returns {Promise<Object|null>} - Ledger entry, or null if no pending top-up owns the order
+ */
+exports.failTopUp = async ({ orderId, paymentId, gateway }) => {
+    assertOrderGateway(await WalletTransaction.findOne({ gatewayOrderId: orderId, source: 'top_up' }), gateway);
+
+    return WalletTransaction.findOneAndUpdate(
+        { gatewayOrderId: orderId, source: 'top_up', status: 'pending' },
+        { $set: { status: 'failed', gatewayPaymentId: paymentId } },
+        { new: true }
+    );
+};
@@ -0,0 +1,88 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const walletService = require('./walletService');
+
+// In-memory wallet: the user's cached balance and the ledger, with the
+// unique idempotency key of the real collection
+let balance;
+let ledger;
+const userId = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+    mock.restoreAll();
+    balance = 100;
+    ledger = [{ idempotencyKey: `opening:${userId}` }];
+
+    mock.method(User, 'findById', () => ({ select: async () => ({ walletBalance: balance }) }));
+    mock.method(User, 'findByIdAndUpdate', async (id, { $inc }) => {
+        balance += $inc.walletBalance;
+        return { walletBalance: balance };
+    });
+    mock.method(User, 'findOneAndUpdate', async ({ walletBalance: { $gte } }, { $inc }) => {
+        if (balance < $gte) return null;
+        balance += $inc.walletBalance;
+        return { walletBalance: balance };
+    });
+    mock.method(WalletTransaction, 'exists', async () => true);
+    mock.method(WalletTransaction, 'create', async (data) => {
+        if (data.idempotencyKey && ledger.some(entry => entry.idempotencyKey === data.idempotencyKey)) {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        }
+
+        const entry = { ...data, _id: new mongoose.Types.ObjectId(), save: async () => entry };
+        ledger.push(entry);
+        return entry;
+    });
+    mock.method(WalletTransaction, 'findOne', async ({ idempotencyKey }) => {
+        return ledger.find(entry => entry.idempotencyKey === idempotencyKey);
+    });
+});
+
+test('a retried credit with the same key credits once', async () => {
+    const details = { source: 'refund', description: 'Refund', idempotencyKey: 'refund:1' };
+
+    const first = await walletService.credit(userId, 50, details);
+    const second = await walletService.credit(userId, 50, details);
+
+    assert.equal(second._id, first._id);
+    assert.equal(balance, 150);
+    assert.equal(first.balanceAfter, 150);
+});
+
+test('credits without a key are separate entries', async () => {
+    await walletService.credit(userId, 10, { source: 'cashback' });
+    await walletService.credit(userId, 10, { source: 'cashback' });
+
+    assert.equal(balance, 120);
+});
+
+test('a retried debit with the same key debits once', async () => {
+    const details = { source: 'booking_payment', description: 'Payment', idempotencyKey: 'payment:1' };
+
+    const first = await walletService.debit(userId, 40, details);
+    const second = await walletService.debit(userId, 40, details);
+
+    assert.equal(second._id, first._id);
+    assert.equal(first.status, 'completed');
+    assert.equal(balance, 60);
+});
+
+test('concurrent debits cannot take the wallet below zero', async () => {
+    const results = await Promise.allSettled([
+        walletService.debit(userId, 70, { source: 'booking_payment' }),
+        walletService.debit(userId, 70, { source: 'booking_payment' })
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.message, 'Insufficient wallet balance');
+    assert.equal(balance, 30);
+    assert.equal(ledger.filter(entry => entry.status === 'failed').length, 1);
+});
+
+test('amounts must be positive', async () => {
+    await assert.rejects(walletService.credit(userId, 0), { message: 'Credit amount must be positive' });
+    await assert.rejects(walletService.debit(userId, -5), { message: 'Debit amount must be positive' });
+});